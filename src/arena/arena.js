@@ -1,29 +1,63 @@
 // Arena mode - test arena for flying ships
 
 import * as THREE from 'three';
-import { createArenaPhysics, stepArenaPhysics, clearArenaPhysics, getArenaDimensions, removeFromArena } from './arenaPhysics.js';
-import { createArenaShip, syncShipMeshToBody, destroyArenaShip } from './arenaShip.js';
+import { createArenaPhysics, clearArenaPhysics, getArenaDimensions } from './arenaPhysics.js';
+import { setArenaGeometry, resetArenaGeometry, getArenaGeometry, getBoundaryEdges, raycastBoundary } from './arenaGeometry.js';
+import { createArenaShip, destroyArenaShip } from './arenaShip.js';
+import { attachShipMesh, disposeShipMesh, captureShipTransform, syncShipVisuals } from './shipVisuals.js';
 import { setupArenaInput, removeArenaInput, getInputState, clearFireRequest } from './arenaInput.js';
 import { initThrustDebug, updateThrustDebug, cleanupThrustDebug, setThrustDebugEnabled } from './thrustDebug.js';
-import { updateThrusterState } from './thrustSystem.js';
 import { initTargetIndicator, setTargetPosition, updateTargetIndicator, cleanupTargetIndicator } from './targetIndicator.js';
-import { initWeaponSystem, cleanupWeaponSystem, updateWeaponSystem, checkProjectileCollisions, getProjectiles } from './weaponSystem.js';
+import { initWeaponSystem, cleanupWeaponSystem, getProjectiles, getExplosions } from './weaponSystem.js';
+import { initProjectileVisuals, captureProjectilePositions, syncProjectileVisuals, spawnExplosionVisuals, updateExplosionVisuals, cleanupProjectileVisuals } from './projectileVisuals.js';
+import { initBeamVisuals, syncBeamVisuals, cleanupBeamVisuals } from './beamVisuals.js';
 import { setDebugVisible } from '../debug.js';
-import { applyInputToShip, createPlayerController, createController } from './controllers.js';
-import { getLevel } from './levels.js';
+import { createPlayerController, createController } from './controllers.js';
+import { getLevel, getLevelWaves, getLevelRules } from './levels.js';
 import { initArenaControlsDisplay, updateArenaControlsDisplay, cleanupArenaControlsDisplay } from './arenaControlsDisplay.js';
+import { initFuelDisplay, updateFuelDisplay, cleanupFuelDisplay } from './fuelDisplay.js';
 import { computeSensingState } from './sensing.js';
-import { initSensingDebug, cleanupSensingDebug, updateSensingDebug } from './sensingDebug.js';
+import { initSensingDebug, cleanupSensingDebug, updateSensingDebug, setSensingDebugEnabled } from './sensingDebug.js';
+import { setupSpectatorInput, removeSpectatorInput } from './spectatorInput.js';
 import { isRecording, stopRecording, recordFrame } from '../ml/recording.js';
 import { hasTracker, trackFrame } from '../ml/predictionTracker.js';
 import { createMlController } from '../ml/mlController.js';
-import { loadModelWeights } from '../ml/model.js';
+import { loadModelWeights, hashModelTopology } from '../ml/model.js';
 import { resolveArenaType } from './arenaTypes.js';
-import { initHazards, updateHazards, checkHazardCollisions, cleanupHazards, getHazardSensingData } from './hazards.js';
+import { initHazards, cleanupHazards, getHazardSensingData } from './hazards.js';
+import { initBlockers, cleanupBlockers, getBlockers } from './blockers.js';
+import { initHazardVisuals, syncHazardVisuals, cleanupHazardVisuals } from './hazardVisuals.js';
+import { DEFAULT_FIGHT_RULES, initFightClock, cleanupFightClock, isFightTimeUp, decideOnDamage } from './fightClock.js';
+import { initFightClockDisplay, updateFightClockDisplay, cleanupFightClockDisplay } from './fightClockDisplay.js';
+import { OBJECTIVE_TYPES, initObjective, cleanupObjective, getObjectiveWinner, getObjectiveLeader, getObjectiveState } from './objectives.js';
+import { initObjectiveDisplay, updateObjectiveDisplay, cleanupObjectiveDisplay } from './objectiveDisplay.js';
+import { SIM_DT, SIM_TICK_RATE, seedFightRng, stepSimulation, getControllerAimTarget, updateControllerSensing } from './simulation.js';
+import { generateSeed } from '../rng.js';
+import { createPiecesFromLayout, layoutFromPieces } from '../layout.js';
+import { REPLAY_VERSION, startReplayRecording, addReplayShip, setReplayShipModel, recordReplayTick, finishReplayRecording, createReplayController } from './replay.js';
+import { saveReplay } from '../replayPersistence.js';
 
 // Delay before showing fight outcome (let destruction sink in)
 const OUTCOME_DELAY_MS = 1500;
 
+// Longest frame time fed to the tick accumulator (seconds)
+const MAX_FRAME_TIME = 0.25;
+
+// Blocker look
+const BLOCKER_COLOR = 0x556070;
+const BLOCKER_DEPTH = 0.8;
+
+// Team fight lineup: ships per side, spawn rows, and spacing along a row
+const MAX_TEAM_SIZE = 3;
+const PLAYER_TEAM_SPAWN_Y = -20;
+const OPPONENT_TEAM_SPAWN_Y = 15;
+const TEAM_SPAWN_SPACING = 10;
+
+// Wall look
+const WALL_DEPTH = 0.5;
+const WALL_THICKNESS = 2;             // boundary walls (matches arenaPhysics.js)
+const INTERIOR_WALL_THICKNESS = 1;
+
 // Arena state
 const arenaState = {
     active: false,
@@ -34,14 +68,20 @@ const arenaState = {
     camera: null,
     renderer: null,
     arenaVisuals: null,  // Group for arena-specific visuals (walls, background)
-    lastTime: 0,
+    accumulator: 0,      // Frame time not yet consumed by fixed ticks (seconds)
+    tick: 0,             // Simulation ticks run this fight
     hazards: [],         // Moving hazards (future use)
-    blockers: [],        // Static circular obstacles (future use)
+    blockers: [],        // Static obstacles from blockers.js (fed to sensing)
     sensingState: null,  // Current sensing state for player ship
     onFightWon: null,    // Callback when player wins (all enemies destroyed)
-    onFightLost: null,   // Callback when player loses (player core destroyed)
+    onFightLost: null,   // Callback when player loses (player's whole team destroyed)
     outcomeResolved: false, // Prevents double-firing outcome callbacks
-    paused: false           // When true, updateArena() skips simulation (freeze in place)
+    paused: false,          // When true, updateArena() skips simulation (freeze in place)
+    seed: null,             // Fight RNG seed for this fight (reproduces spread + random AI)
+    arenaKey: null,         // Resolved arena type key for this fight
+    fightResult: null,      // 'won' | 'lost' once the outcome is decided (player perspective)
+    winnerTeam: null,       // Winning team once the outcome is decided (null for draws / undecided)
+    fightDecision: null     // How the outcome was decided (see resolveFightOutcome)
 };
 
 // Store original camera settings to restore on exit
@@ -57,21 +97,232 @@ let currentArenaConfig = null;
 let savedPlayerController = null;  // Original player controller (saved when switching to AI)
 let activeMlController = null;     // Active ML controller instance (null when player-controlled)
 
-// Previous frame's mouse position for ML sensing (so input reflects state before movement)
+// Previous tick's mouse position for ML sensing (so input reflects state before movement)
 let previousMousePos = null;
 
+// Results of the most recent simulation tick (drawn by frames with no new tick)
+let lastTick = { playerInput: null, activeThrusts: [], thrustsByShip: new Map() };
+
+// Ships spawned this fight, in spawn order: { team, label, spawnX, spawnY, spawnTick, modelHash, layout }
+// (what a replay needs to rebuild them)
+let spawnRecords = [];
+
+// Level reinforcements still to come (null outside level fights):
+// { waves: [{ atTick, enemies }], nextWave, getPresetPieces }
+let levelWaves = null;
+
+// Hazards and blockers the fight's level adds to its arena type, plus its
+// capture zone / beacon objective (or null), or null for no level
+// (recorded in replays so playback rebuilds the same arena)
+let fightEnvironment = null;
+
+// Time limit and sudden death of the fight ({ timeLimit, suddenDeath }), or
+// null for no clock (recorded in replays too)
+let fightRules = null;
+
+// Whether shots hit allies this fight (team fights; recorded in replays too)
+let fightFriendlyFire = false;
+
+// Replay playback state (null unless watching a replay)
+let replayPlayback = null;
+
+// Whether the arena is only a backdrop for the level editor
+let editorBackdrop = false;
+
+// Spectator state (null unless spectating an AI-vs-AI fight):
+// { follow, zoom, panX, panY, sensingShip: index|null, thrustShips: [bool per ship] }
+let spectator = null;
+
+/**
+ * Creates an arena ship with its mesh and adds it to the scene and ship list
+ * @param {Array} pieces - Grid pieces for the ship
+ * @param {object} options - createArenaShip options (team, spawnX, spawnY, controller)
+ * @param {string} [label] - Display name for replays
+ * @returns {object|null} The ship, or null if it couldn't be built
+ */
+function spawnArenaShip(pieces, options, label) {
+    const ship = createArenaShip(pieces, options);
+    if (!ship) return null;
+    
+    attachShipMesh(ship, pieces);
+    arenaState.scene.add(ship.mesh);
+    arenaState.ships.push(ship);
+    const record = {
+        team: options.team,
+        label,
+        spawnX: options.spawnX,
+        spawnY: options.spawnY,
+        spawnTick: arenaState.tick,
+        modelHash: options.controller?.getModel ? hashModelTopology(options.controller.getModel()) : null,
+        layout: layoutFromPieces(pieces)
+    };
+    spawnRecords.push(record);
+    // Reinforcements join the replay already being recorded
+    if (arenaState.active) addReplayShip(record);
+    return ship;
+}
+
+/**
+ * Starts recording a replay of the fight that was just set up.
+ * Free flight (a lone ship) isn't a fight and isn't recorded.
+ */
+function startFightReplay() {
+    if (arenaState.ships.length < 2) return;
+    startReplayRecording({
+        seed: arenaState.seed,
+        arenaKey: arenaState.arenaKey,
+        environment: fightEnvironment,
+        rules: fightRules,
+        friendlyFire: fightFriendlyFire,
+        ships: spawnRecords
+    });
+}
+
+/**
+ * Finishes the fight's replay (if one was recorded) and saves it
+ */
+function finishFightReplay() {
+    const replay = finishReplayRecording({
+        result: arenaState.fightResult,
+        winnerTeam: arenaState.winnerTeam,
+        decidedBy: arenaState.fightDecision?.by ?? null
+    });
+    if (!replay) return;
+    saveReplay(replay).catch(err => console.warn('Failed to save replay:', err.message));
+}
+
+/**
+ * Seeds the per-fight RNG streams for a new fight and records the seed on the
+ * arena state so the fight can be reproduced.
+ * @param {number} seed - Fight seed
+ */
+function seedFight(seed) {
+    arenaState.seed = seed;
+    seedFightRng(seed);
+    console.log(`Fight seed: ${seed}`);
+}
+
+/**
+ * Shared first half of every fight entry point: resolves the arena, stores
+ * the scene references, and builds the arena visuals, the fight simulation,
+ * and the clock/objective displays. The entry point then spawns its ships
+ * and calls startArenaSession().
+ * @param {object} session
+ * @param {string} session.arenaType - Arena type key or 'random'
+ * @param {number} session.seed - Fight RNG seed
+ * @param {THREE.Scene} session.scene - The Three.js scene
+ * @param {THREE.Camera} session.camera - The camera
+ * @param {THREE.Renderer} session.renderer - The renderer
+ * @param {object|null} [session.level] - Level being played
+ * @param {object|null} [session.environment] - Extra hazards, blockers, and objective
+ * @param {object|null} [session.rules] - Time limit and sudden death (null for no clock)
+ * @param {boolean} [session.friendlyFire=false] - Whether shots hit allies
+ * @returns {object} The resolved arena config
+ */
+function setupArenaSession({ arenaType, seed, scene, camera, renderer, level = null, environment = null, rules = null, friendlyFire = false }) {
+    const { key: arenaKey, config } = resolveArenaType(arenaType);
+    currentArenaConfig = config;
+    setArenaGeometry(config.geometry);
+    arenaState.arenaKey = arenaKey;
+    fightEnvironment = environment;
+    fightRules = rules;
+    fightFriendlyFire = friendlyFire;
+
+    arenaState.scene = scene;
+    arenaState.camera = camera;
+    arenaState.renderer = renderer;
+    arenaState.currentLevel = level;
+    arenaState.ships = [];
+    arenaState.playerShip = null;
+    saveCameraSettings(camera);
+
+    createArenaVisuals(scene, config.theme);
+    createBlockerVisuals(getEnvironmentBlockers());
+    buildFightWorld(seed);
+    initFightClockDisplay(scene);
+    initObjectiveDisplay(scene);
+    return config;
+}
+
+/**
+ * Seeds the fight and creates its simulation (physics, hazards, blockers,
+ * fight clock, objective, weapons) with the matching visuals
+ * @param {number} seed - Fight RNG seed
+ */
+function buildFightWorld(seed) {
+    seedFight(seed);
+    createArenaPhysics();
+    initArenaEnvironment();
+    initHazardVisuals(arenaState.scene);
+    initWeaponSystem({ friendlyFire: fightFriendlyFire });
+    initProjectileVisuals(arenaState.scene);
+    initBeamVisuals(arenaState.scene);
+}
+
+/**
+ * Shared second half of every fight entry point, once the ships are
+ * spawned: camera, debug overlays, the mode's input, then starts ticking
+ * (and recording, unless this is a replay)
+ * @param {object} options
+ * @param {string} options.controls - 'player' (the player flies a ship),
+ *   'spectator' (free camera over AI ships), or 'replay' (playback)
+ * @param {function} [options.screenToWorld] - Screen to world conversion (player and spectator)
+ * @param {string} options.title - Text for the arena name overlay
+ */
+function startArenaSession({ controls, screenToWorld = null, title }) {
+    const { scene, camera, renderer } = arenaState;
+    setupArenaCamera(camera);
+    initThrustDebug(scene);
+    setThrustDebugEnabled(controls !== 'replay');
+    if (controls !== 'spectator') initTargetIndicator(scene);
+
+    if (controls === 'player') {
+        initArenaControlsDisplay();
+        initFuelDisplay();
+        initSensingDebug(scene);
+        setupArenaInput(arenaState, screenToWorld, renderer.domElement);
+    } else if (controls === 'spectator') {
+        initSensingDebug(scene);
+        setSensingDebugEnabled(false);
+        setupSpectatorInput(screenToWorld, renderer.domElement);
+        // Prime ML controllers so they act on the first tick
+        updateControllerSensing(arenaState.ships, arenaState.blockers);
+    }
+    setDebugVisible(false);
+
+    arenaState.active = true;
+    arenaState.accumulator = 0;
+    if (controls !== 'replay') startFightReplay();
+    showArenaNameOverlay(title);
+}
+
+/**
+ * Remembers the design-mode camera so exitArena() can restore it
+ * @param {THREE.Camera} camera - The camera
+ */
+function saveCameraSettings(camera) {
+    originalCameraSettings = {
+        left: camera.left,
+        right: camera.right,
+        top: camera.top,
+        bottom: camera.bottom,
+        position: camera.position.clone()
+    };
+}
+
 /**
- * Enters arena mode with a specific level
- * @param {number} levelId - Level ID to load
+ * Enters arena mode with a specific level (arena type, hazards, blockers,
+ * and win condition all come from the level)
+ * @param {string} levelId - Level ID to load
  * @param {Array} playerGridPieces - Player's ship pieces from the design grid
  * @param {THREE.Scene} scene - The Three.js scene
  * @param {THREE.Camera} camera - The camera
  * @param {THREE.Renderer} renderer - The renderer
  * @param {function} screenToWorld - Screen to world conversion function
  * @param {function} getPresetPieces - Function to get grid pieces from a preset name
- * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
  */
-function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, screenToWorld, getPresetPieces, arenaType = 'random') {
+function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, screenToWorld, getPresetPieces, seed = generateSeed()) {
     if (arenaState.active) {
         console.warn('Already in arena mode');
         return false;
@@ -95,44 +346,31 @@ function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, scr
         return false;
     }
     
-    const { config } = resolveArenaType(arenaType);
-    currentArenaConfig = config;
+    const config = setupArenaSession({
+        arenaType: level.arena,
+        seed,
+        scene,
+        camera,
+        renderer,
+        level,
+        environment: {
+            hazards: level.hazards ?? [],
+            blockers: level.blockers ?? [],
+            objective: OBJECTIVE_TYPES.includes(level.win.type) ? level.win : null
+        },
+        rules: getLevelRules(level)
+    });
     
     console.log(`Entering arena - ${config.name} - ${level.name}...`);
     
-    // Store references
-    arenaState.scene = scene;
-    arenaState.camera = camera;
-    arenaState.renderer = renderer;
-    arenaState.currentLevel = level;
-    arenaState.ships = [];
-    
-    // Save original camera settings
-    originalCameraSettings = {
-        left: camera.left,
-        right: camera.right,
-        top: camera.top,
-        bottom: camera.bottom,
-        position: camera.position.clone()
-    };
-    
-    // Initialize arena physics
-    createArenaPhysics();
-    
-    // Create arena visuals (walls, background) with theme
-    createArenaVisuals(scene, config.theme);
-    
-    // Initialize hazards
-    initHazards(scene, config);
-    
     // Create player ship with PlayerController
     const playerController = createPlayerController(getInputState);
-    arenaState.playerShip = createArenaShip(playerGridPieces, {
+    arenaState.playerShip = spawnArenaShip(playerGridPieces, {
         team: 1,
         spawnX: level.playerSpawn.x,
         spawnY: level.playerSpawn.y,
         controller: playerController
-    });
+    }, 'Player');
     
     if (!arenaState.playerShip) {
         console.error('Failed to create player ship');
@@ -140,11 +378,35 @@ function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, scr
         return false;
     }
     
-    arenaState.ships.push(arenaState.playerShip);
-    scene.add(arenaState.playerShip.mesh);
+    // Create enemy ships from level definition; reinforcement waves spawn later
+    spawnLevelEnemies(level.enemies, getPresetPieces);
+    levelWaves = {
+        waves: getLevelWaves(level).map(wave => ({
+            atTick: Math.round(wave.at * SIM_TICK_RATE),
+            enemies: wave.enemies
+        })),
+        nextWave: 0,
+        getPresetPieces
+    };
+    
+    startArenaSession({ controls: 'player', screenToWorld, title: config.name });
+    
+    console.log(`Arena mode active - ${config.name}. WASD to move, mouse to aim. G for debug, V for sensing, T to exit.`);
     
-    // Create enemy ships from level definition
-    for (const enemyDef of level.enemies) {
+    return true;
+}
+
+// ============================================================================
+// Level Waves
+// ============================================================================
+
+/**
+ * Spawns a group of level enemies (team 2) from their definitions
+ * @param {Array} enemies - Enemy definitions [{ preset, controller, spawnX, spawnY }]
+ * @param {function} getPresetPieces - Function to get grid pieces from a preset name
+ */
+function spawnLevelEnemies(enemies, getPresetPieces) {
+    for (const enemyDef of enemies) {
         const enemyPieces = getPresetPieces(enemyDef.preset);
         if (!enemyPieces || enemyPieces.length === 0) {
             console.warn(`Failed to get pieces for enemy preset: ${enemyDef.preset}`);
@@ -152,53 +414,131 @@ function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, scr
         }
         
         const enemyController = createController(enemyDef.controller);
-        const enemyShip = createArenaShip(enemyPieces, {
+        spawnArenaShip(enemyPieces, {
             team: 2,
             spawnX: enemyDef.spawnX,
             spawnY: enemyDef.spawnY,
             controller: enemyController
-        });
-        
-        if (enemyShip) {
-            arenaState.ships.push(enemyShip);
-            scene.add(enemyShip.mesh);
-        }
+        }, enemyDef.preset);
     }
+}
+
+/**
+ * Brings in the next reinforcement wave once its time comes or the field is
+ * clear of enemies. Runs at the start of a tick, before the simulation step.
+ */
+function spawnDueWaves() {
+    if (!levelWaves || arenaState.outcomeResolved) return;
+    
+    const wave = levelWaves.waves[levelWaves.nextWave];
+    if (!wave) return;
+    if (arenaState.tick < wave.atTick && areEnemiesAlive()) return;
+    
+    levelWaves.nextWave++;
+    const total = levelWaves.waves.length + 1;
+    console.log(`Wave ${levelWaves.nextWave + 1}/${total} incoming (${wave.enemies.length} ships)`);
+    spawnLevelEnemies(wave.enemies, levelWaves.getPresetPieces);
+    showArenaNameOverlay(`Wave ${levelWaves.nextWave + 1}/${total}`);
+}
+
+/** Whether any level reinforcement wave has yet to arrive */
+function hasPendingWaves() {
+    return !!levelWaves && levelWaves.nextWave < levelWaves.waves.length;
+}
+
+/** Whether any ship not on the player's team is still alive */
+function areEnemiesAlive() {
+    return arenaState.ships.some(
+        s => s.team !== arenaState.playerShip.team && !s.destroyed
+    );
+}
+
+/** Whether the player or any of their wingmen is still alive */
+function isPlayerTeamAlive() {
+    return arenaState.ships.some(
+        s => s.team === arenaState.playerShip.team && !s.destroyed
+    );
+}
+
+/**
+ * Wins a survive level once the player has lasted its time limit
+ */
+function checkSurviveWin() {
+    const win = arenaState.currentLevel?.win;
+    if (!win || win.type !== 'survive' || arenaState.outcomeResolved) return;
+    if (arenaState.tick < Math.round(win.seconds * SIM_TICK_RATE)) return;
     
-    // Setup arena camera (zoom out to see arena)
-    setupArenaCamera(camera);
-    
-    // Initialize thrust debug visualization
-    initThrustDebug(scene);
-    setThrustDebugEnabled(true); // Start with debug on
-    
-    // Initialize target facing indicator
-    initTargetIndicator(scene);
-    
-    // Initialize weapon system
-    initWeaponSystem(scene);
-    
-    // Initialize controls display
-    initArenaControlsDisplay();
-    
-    // Initialize sensing debug visualization
-    initSensingDebug(scene);
-    
-    // Setup input handling (for player input events)
-    setupArenaInput(arenaState, screenToWorld, renderer.domElement);
-    
-    // Hide design mode debug visualization
-    setDebugVisible(false);
-    
-    arenaState.active = true;
-    arenaState.lastTime = performance.now();
-    
-    // Show arena name overlay
-    showArenaNameOverlay(config.name);
-    
-    console.log(`Arena mode active - ${config.name}. WASD to move, mouse to aim. G for debug, V for sensing, T to exit.`);
-    
-    return true;
+    console.log(`Survived ${win.seconds}s!`);
+    resolveFightOutcome('won', { by: 'survival', seconds: win.seconds });
+}
+
+/**
+ * Ends a capture zone / beacon level once a team reaches the points target
+ */
+function checkObjectiveWin() {
+    if (arenaState.outcomeResolved || replayPlayback) return;
+    const winnerTeam = getObjectiveWinner();
+    if (winnerTeam === null) return;
+
+    const { mode } = getObjectiveState();
+    console.log(`Objective taken by team ${winnerTeam}`);
+    resolveFightOutcome(winnerTeam === arenaState.playerShip.team ? 'won' : 'lost', { by: 'objective', mode });
+}
+
+/**
+ * Once the fight clock runs out with both sides alive, decides the fight on
+ * objective points (if the level has an objective and someone leads), then
+ * on damage dealt. A tie is a draw when spectating and a loss for the player.
+ */
+function checkTimeLimit() {
+    if (arenaState.outcomeResolved || replayPlayback || !isFightTimeUp()) return;
+
+    const { winnerTeam, damageByTeam } = decideOnDamage(arenaState.ships);
+    if (spectator) {
+        arenaState.outcomeResolved = true;
+        arenaState.winnerTeam = winnerTeam;
+        arenaState.fightDecision = { by: 'damage', damageByTeam };
+        console.log(winnerTeam !== null
+            ? `Spectated fight over - time up, team ${winnerTeam} wins on damage`
+            : 'Spectated fight over - time up, damage tied');
+        return;
+    }
+
+    const playerTeam = arenaState.playerShip.team;
+    const leader = getObjectiveLeader();
+    if (leader !== null) {
+        console.log(`Time up - team ${leader} leads on points`);
+        resolveFightOutcome(leader === playerTeam ? 'won' : 'lost', { by: 'points' });
+        return;
+    }
+
+    let enemyDamage = 0;
+    for (const [team, damage] of Object.entries(damageByTeam)) {
+        if (Number(team) !== playerTeam) enemyDamage += damage;
+    }
+    const decision = { by: 'damage', playerDamage: damageByTeam[playerTeam] ?? 0, enemyDamage, tied: winnerTeam === null };
+    console.log(`Time up - damage dealt ${decision.playerDamage} to ${enemyDamage}`);
+    resolveFightOutcome(winnerTeam === playerTeam ? 'won' : 'lost', decision);
+}
+
+/**
+ * Creates the arena type's hazards plus the fight environment's hazards,
+ * blockers, and objective, and starts the fight clock. Call after
+ * createArenaPhysics().
+ */
+function initArenaEnvironment() {
+    const hazards = fightEnvironment ? fightEnvironment.hazards : [];
+    initHazards({ ...currentArenaConfig, hazards: [...currentArenaConfig.hazards, ...hazards] });
+    initBlockers(getEnvironmentBlockers());
+    arenaState.blockers = getBlockers();
+    initFightClock(fightRules);
+    initObjective(fightEnvironment?.objective ?? null);
+}
+
+/** The arena type's blockers plus any the fight environment adds */
+function getEnvironmentBlockers() {
+    const blockers = fightEnvironment ? fightEnvironment.blockers : [];
+    return [...currentArenaConfig.blockers, ...blockers];
 }
 
 /**
@@ -208,9 +548,10 @@ function enterArenaLevel(levelId, playerGridPieces, scene, camera, renderer, scr
  * @param {THREE.Camera} camera - The camera
  * @param {THREE.Renderer} renderer - The renderer
  * @param {function} screenToWorld - Screen to world conversion function
- * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', or 'random')
+ * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
  */
-function enterArena(gridPieces, scene, camera, renderer, screenToWorld, arenaType = 'base') {
+function enterArena(gridPieces, scene, camera, renderer, screenToWorld, arenaType = 'base', seed = generateSeed()) {
     if (arenaState.active) {
         console.warn('Already in arena mode');
         return false;
@@ -228,44 +569,18 @@ function enterArena(gridPieces, scene, camera, renderer, screenToWorld, arenaTyp
         return false;
     }
     
-    const { config } = resolveArenaType(arenaType);
-    currentArenaConfig = config;
+    const config = setupArenaSession({ arenaType, seed, scene, camera, renderer });
     
     console.log(`Entering arena - ${config.name}...`);
     
-    // Store references
-    arenaState.scene = scene;
-    arenaState.camera = camera;
-    arenaState.renderer = renderer;
-    arenaState.currentLevel = null;
-    arenaState.ships = [];
-    
-    // Save original camera settings
-    originalCameraSettings = {
-        left: camera.left,
-        right: camera.right,
-        top: camera.top,
-        bottom: camera.bottom,
-        position: camera.position.clone()
-    };
-    
-    // Initialize arena physics
-    createArenaPhysics();
-    
-    // Create arena visuals (walls, background) with theme
-    createArenaVisuals(scene, config.theme);
-    
-    // Initialize hazards
-    initHazards(scene, config);
-    
     // Create player ship with PlayerController at center
     const playerController = createPlayerController(getInputState);
-    arenaState.playerShip = createArenaShip(gridPieces, {
+    arenaState.playerShip = spawnArenaShip(gridPieces, {
         team: 1,
         spawnX: 0,
         spawnY: 0,
         controller: playerController
-    });
+    }, 'Player');
     
     if (!arenaState.playerShip) {
         console.error('Failed to create arena ship');
@@ -273,39 +588,7 @@ function enterArena(gridPieces, scene, camera, renderer, screenToWorld, arenaTyp
         return false;
     }
     
-    arenaState.ships.push(arenaState.playerShip);
-    scene.add(arenaState.playerShip.mesh);
-    
-    // Setup arena camera (zoom out to see arena)
-    setupArenaCamera(camera);
-    
-    // Initialize thrust debug visualization
-    initThrustDebug(scene);
-    setThrustDebugEnabled(true); // Start with debug on
-    
-    // Initialize target facing indicator
-    initTargetIndicator(scene);
-    
-    // Initialize weapon system
-    initWeaponSystem(scene);
-    
-    // Initialize controls display
-    initArenaControlsDisplay();
-    
-    // Initialize sensing debug visualization
-    initSensingDebug(scene);
-    
-    // Setup input handling
-    setupArenaInput(arenaState, screenToWorld, renderer.domElement);
-    
-    // Hide design mode debug visualization
-    setDebugVisible(false);
-    
-    arenaState.active = true;
-    arenaState.lastTime = performance.now();
-    
-    // Show arena name overlay
-    showArenaNameOverlay(config.name);
+    startArenaSession({ controls: 'player', screenToWorld, title: config.name });
     
     console.log(`Arena mode active - ${config.name}. WASD to move, mouse to aim. G for debug, V for sensing, T to exit.`);
     
@@ -328,39 +611,55 @@ function exitArena() {
     // Stop ML recording if active
     if (isRecording()) stopRecording();
     
-    // Reset previous mouse position tracking
+    // Save the fight's replay (no-op for free flight and replay playback)
+    finishFightReplay();
+    
+    // Reset previous mouse position, tick, and replay tracking
     previousMousePos = null;
+    lastTick = { playerInput: null, activeThrusts: [], thrustsByShip: new Map() };
+    spawnRecords = [];
+    levelWaves = null;
+    fightEnvironment = null;
+    fightRules = null;
+    fightFriendlyFire = false;
+    replayPlayback = null;
+    spectator = null;
+    editorBackdrop = false;
     
     // Remove input handlers
     removeArenaInput();
+    removeSpectatorInput();
     
     // Clean up hazards, thrust debug, sensing debug, weapon system, and controls display
     if (arenaState.scene) {
         cleanupHazards();
+        cleanupBlockers();
+        cleanupFightClock();
+        cleanupObjective();
+        cleanupHazardVisuals();
         cleanupThrustDebug(arenaState.scene);
         cleanupTargetIndicator(arenaState.scene);
         cleanupSensingDebug();
         cleanupWeaponSystem();
+        cleanupProjectileVisuals();
+        cleanupBeamVisuals();
     }
     cleanupArenaControlsDisplay();
+    cleanupFuelDisplay();
+    cleanupFightClockDisplay();
+    cleanupObjectiveDisplay();
     removeArenaNameOverlay();
     
     // Destroy all ships
     for (const ship of arenaState.ships) {
-        destroyArenaShip(ship, arenaState.scene);
+        destroyArenaShip(ship);
+        disposeShipMesh(ship, arenaState.scene);
     }
     arenaState.ships = [];
     arenaState.playerShip = null;
     
     // Remove arena visuals
-    if (arenaState.arenaVisuals && arenaState.scene) {
-        arenaState.scene.remove(arenaState.arenaVisuals);
-        arenaState.arenaVisuals.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
-        });
-        arenaState.arenaVisuals = null;
-    }
+    removeArenaVisuals();
     
     // Clear arena physics
     clearArenaPhysics();
@@ -381,6 +680,7 @@ function exitArena() {
     }
     originalBackground = null;
     currentArenaConfig = null;
+    resetArenaGeometry();
     
     arenaState.active = false;
     arenaState.currentLevel = null;
@@ -394,6 +694,13 @@ function exitArena() {
     arenaState.onFightLost = null;
     arenaState.outcomeResolved = false;
     arenaState.paused = false;
+    arenaState.seed = null;
+    arenaState.arenaKey = null;
+    arenaState.fightResult = null;
+    arenaState.winnerTeam = null;
+    arenaState.fightDecision = null;
+    arenaState.accumulator = 0;
+    arenaState.tick = 0;
     
     // Restore design mode debug visibility
     setDebugVisible(true);
@@ -410,97 +717,96 @@ function pauseArena() {
 }
 
 /**
- * Updates arena simulation (called from game loop)
+ * Updates the arena (called from game loop once per rendered frame).
+ * Runs as many fixed simulation ticks as the frame time covers, then
+ * renders the meshes interpolated between the last two ticks.
  * @param {number} deltaTime - Time since last frame in seconds
  */
 function updateArena(deltaTime) {
     if (!arenaState.active || arenaState.paused || arenaState.ships.length === 0) return;
     
-    let allActiveThrusts = [];
-    let playerInput = null;
+    // Clamp long frames (tab switch, hitch) so we drop time instead of
+    // trying to catch up with a burst of ticks
+    const frameTime = Math.min(deltaTime, MAX_FRAME_TIME);
+    arenaState.accumulator += replayPlayback ? frameTime * getReplayRate() : frameTime;
+    
+    while (arenaState.accumulator >= SIM_DT) {
+        if (replayPlayback && replayPlayback.tick >= replayPlayback.replay.ticks) {
+            // Reached the end of the recording
+            replayPlayback.playing = false;
+            arenaState.accumulator = 0;
+            break;
+        }
+        lastTick = tickArena();
+        arenaState.accumulator -= SIM_DT;
+    }
+    
+    renderArenaFrame(deltaTime, arenaState.accumulator / SIM_DT);
+    if (replayPlayback) applyViewCamera(replayPlayback);
+    if (spectator) applyViewCamera(spectator);
+}
+
+/**
+ * Advances the fight by one fixed tick: simulation, outcome checks,
+ * sensing, and ML recording. Nothing here depends on the display rate.
+ * @returns {{ playerInput: object|null, activeThrusts: Array, thrustsByShip: Map }} Tick results the frame render uses
+ */
+function tickArena() {
     const inputState = getInputState();
     const mousePos = inputState.mousePosition;
     
-    // Update all ships
+    // Player cannons follow the mouse (or the AI's aim); others use their controller.
+    // Every aim handed to the weapon system is kept for the replay.
+    const turretAims = new Map();
+    const getAimTarget = (ship) => {
+        const aim = ship === arenaState.playerShip
+            ? (activeMlController ? activeMlController.getLastAimTarget() : mousePos)
+            : getControllerAimTarget(ship);
+        turretAims.set(ship, aim);
+        return aim;
+    };
+    
+    // Reinforcements arrive before the tick so they act on it
+    if (replayPlayback) {
+        spawnReplayReinforcements();
+    } else {
+        spawnDueWaves();
+    }
+    
+    // Remember where everything was so the render can interpolate
     for (const ship of arenaState.ships) {
-        if (!ship || !ship.body || ship.destroyed) continue;
-        
-        // Get input from ship's controller
-        if (ship.controller) {
-            const input = ship.controller.getInput(ship, deltaTime);
-            
-            // Capture player input for ML recording
-            if (ship === arenaState.playerShip) playerInput = input;
-            
-            // Apply input to ship physics
-            const thrusts = applyInputToShip(ship, input);
-            allActiveThrusts.push(...thrusts);
-            
-            // Post-update for controller (clear one-shot inputs)
-            ship.controller.postUpdate();
-        }
-        
-        // Update thruster state (ramp-up timers, overheat tracking)
-        updateThrusterState(ship, deltaTime);
-        
-        // Update weapon system for this ship
-        let aimTarget = null;
-        if (ship === arenaState.playerShip) {
-            aimTarget = activeMlController
-                ? activeMlController.getLastAimTarget()
-                : mousePos;
-        } else if (ship.controller && ship.controller.getLastAimTarget) {
-            aimTarget = ship.controller.getLastAimTarget();
-        }
-        updateWeaponSystem(ship, deltaTime, aimTarget);
-        
-        // Sync ship mesh to physics body
-        syncShipMeshToBody(ship);
+        captureShipTransform(ship);
     }
+    captureProjectilePositions(getProjectiles());
+    
+    // Controllers, thrust, weapons, physics, hazards, collisions
+    const { inputs, activeThrusts, thrustsByShip, destroyedShips } = stepSimulation(arenaState.ships, SIM_DT, getAimTarget);
+    spawnExplosionVisuals(getExplosions());
+    recordReplayTick(arenaState.ships, inputs, turretAims);
+    arenaState.tick++;
+    if (replayPlayback) replayPlayback.tick++;
+    
+    // Capture player input for ML recording
+    const playerInput = inputs.get(arenaState.playerShip) || null;
     
     // Clear fire request after processing (for player controller)
     clearFireRequest();
     
-    // Step physics
-    stepArenaPhysics(deltaTime);
-    
-    // Update hazards (movement, animation) and expose positions to sensing
-    updateHazards(deltaTime);
+    // Expose hazard positions to sensing
     arenaState.hazards = getHazardSensingData();
     
-    // Check projectile collisions and apply damage
-    const destroyedShips = checkProjectileCollisions(arenaState.ships);
-    
-    // Check hazard collisions and apply damage + impulse
-    const hazardDestroyed = checkHazardCollisions(arenaState.ships);
-    for (const ship of hazardDestroyed) {
-        if (!destroyedShips.includes(ship)) destroyedShips.push(ship);
-    }
-    
     // Handle destroyed ships
     for (const ship of destroyedShips) {
         handleShipDestroyed(ship);
     }
-    
-    // Update thrust debug visualization (player ship only for now)
-    updateThrustDebug(allActiveThrusts);
-    
-    // Update target facing indicator
-    // AI mode: always show the predicted aim target
-    // Player mode: show only while right-click is held
-    if (activeMlController) {
-        setTargetPosition(activeMlController.getLastAimTarget());
-    } else if (inputState.rightMouseDown && mousePos) {
-        setTargetPosition(mousePos);
-    } else {
-        setTargetPosition(null);
-    }
-    updateTargetIndicator(deltaTime);
+    checkSurviveWin();
+    checkObjectiveWin();
+    checkTimeLimit();
     
     // Compute sensing state for player ship (for ML training data)
     if (arenaState.playerShip && !arenaState.playerShip.destroyed) {
         const projectiles = getProjectiles();
-        // aimPosition for mouse sensing: use previous frame's mouse position (player)
+        // aimPosition for mouse sensing: use previous tick's mouse position (player)
         // or ML controller's last aim target (AI), so the NN input reflects the state
         // BEFORE the movement that the output describes.
         const aimPosition = activeMlController
@@ -517,18 +823,15 @@ function updateArena(deltaTime) {
             mousePos,
             aimPosition
         );
-        // Track mouse position for next frame's sensing input
+        // Track mouse position for next tick's sensing input
         previousMousePos = mousePos ? { x: mousePos.x, y: mousePos.y } : null;
         
-        // Update sensing debug visualization (pass ships for lead indicator)
-        updateSensingDebug(arenaState.sensingState, arenaState.playerShip, mousePos, arenaState.ships);
-        
-        // Feed sensing to ML controller for next frame's inference
+        // Feed sensing to ML controller for next tick's inference
         if (activeMlController) {
             activeMlController.setSensingState(arenaState.sensingState);
         }
         
-        // Record frame for ML training (sense + action from this frame)
+        // Record frame for ML training (sense + action from this tick)
         if (isRecording() && playerInput) {
             recordFrame(arenaState.sensingState, playerInput, arenaState.playerShip, mousePos);
             if (hasTracker()) {
@@ -537,18 +840,60 @@ function updateArena(deltaTime) {
         }
     }
 
+    // Spectators can inspect what one ship senses
+    if (spectator) updateSpectatorSensing();
+
     // Compute sensing for non-player ML-controlled ships (opponents)
-    const projectilesForOpponents = getProjectiles();
+    updateControllerSensing(arenaState.ships, arenaState.blockers, arenaState.playerShip);
+    
+    return { playerInput, activeThrusts, thrustsByShip };
+}
+
+/**
+ * Brings meshes and debug overlays in line with the simulation for this frame
+ * @param {number} deltaTime - Time since last frame in seconds (for animations)
+ * @param {number} alpha - How far between the previous and current tick to draw (0..1)
+ */
+function renderArenaFrame(deltaTime, alpha) {
+    const inputState = getInputState();
+    const mousePos = inputState.mousePosition;
+    const playerInput = lastTick.playerInput;
+    
+    // Bring meshes in line with simulation state
     for (const ship of arenaState.ships) {
-        if (!ship || ship === arenaState.playerShip || ship.destroyed) continue;
-        if (ship.controller && ship.controller.type === 'ml' && ship.controller.setSensingState) {
-            const opponentSensing = computeSensingState(
-                ship, arenaState.ships,
-                arenaState.hazards, arenaState.blockers,
-                projectilesForOpponents
-            );
-            ship.controller.setSensingState(opponentSensing);
-        }
+        syncShipVisuals(ship, alpha);
+    }
+    syncProjectileVisuals(getProjectiles(), alpha);
+    updateExplosionVisuals(deltaTime);
+    syncBeamVisuals(arenaState.ships);
+    syncHazardVisuals();
+    updateFightClockDisplay();
+    updateObjectiveDisplay();
+    
+    // Spectators get per-ship overlays instead of the player's
+    if (spectator) {
+        renderSpectatorDebug();
+        return;
+    }
+    
+    // Update thrust debug visualization (player ship only for now)
+    updateThrustDebug(lastTick.activeThrusts);
+    
+    // Update target facing indicator
+    // AI mode: always show the predicted aim target
+    // Player mode: show only while right-click is held
+    if (activeMlController) {
+        setTargetPosition(activeMlController.getLastAimTarget());
+    } else if (inputState.rightMouseDown && mousePos) {
+        setTargetPosition(mousePos);
+    } else {
+        setTargetPosition(null);
+    }
+    updateTargetIndicator(deltaTime);
+    
+    // Update sensing debug visualization (pass ships for lead indicator)
+    if (arenaState.sensingState && arenaState.playerShip && !arenaState.playerShip.destroyed) {
+        updateSensingDebug(arenaState.sensingState, arenaState.playerShip, mousePos, arenaState.ships);
     }
     
     // Update controls display (show AI's decisions when AI-controlled)
@@ -567,6 +912,7 @@ function updateArena(deltaTime) {
     } else {
         updateArenaControlsDisplay(inputState);
     }
+    updateFuelDisplay(arenaState.playerShip);
 }
 
 /**
@@ -579,43 +925,50 @@ function handleShipDestroyed(ship) {
     
     console.log(`Ship destroyed! Team ${ship.team}`);
     
-    // Remove the ship's physics body from the arena
-    if (ship.body) {
-        removeFromArena(ship.body);
-        ship.body = null;
-    }
-    
-    // Hide the ship mesh
-    if (ship.mesh) {
-        ship.mesh.visible = false;
-    }
+    // Remove the ship's physics body from the arena (shipVisuals hides the mesh)
+    destroyArenaShip(ship);
 
-    if (arenaState.outcomeResolved) return;
+    // Replays only re-enact the fight; the outcome was decided when it was recorded
+    if (arenaState.outcomeResolved || replayPlayback) return;
+
+    // No player to win or lose when spectating: the last team standing wins
+    if (spectator) {
+        resolveSpectatedFight();
+        return;
+    }
 
-    // Check if player was destroyed -> LOSS
-    if (ship === arenaState.playerShip) {
-        console.log('Player ship destroyed!');
-        resolveFightOutcome('lost');
+    // Check if the player's team was wiped out -> LOSS
+    // (wingmen fight on after the player's own ship goes down)
+    if (ship.team === arenaState.playerShip.team && !isPlayerTeamAlive()) {
+        console.log('Player team destroyed!');
+        resolveFightOutcome('lost', { by: 'cores' });
         return;
     }
     
-    // Check if all enemies are destroyed -> WIN
-    const enemiesAlive = arenaState.ships.some(
-        s => s !== arenaState.playerShip && !s.destroyed
-    );
-    if (!enemiesAlive) {
+    // Check if all enemies are destroyed and no waves remain -> WIN
+    // (a cleared field with waves left brings in the next wave next tick)
+    if (!areEnemiesAlive() && !hasPendingWaves()) {
         console.log('All enemies destroyed!');
-        resolveFightOutcome('won');
+        resolveFightOutcome('won', { by: 'cores' });
     }
 }
 
 /**
- * Fires the appropriate outcome callback after a delay.
+ * Fires the appropriate outcome callback after a delay. The callback gets
+ * the decision so the outcome screen can say how the fight was decided.
  * @param {'won'|'lost'} outcome
+ * @param {object} decision - { by: 'cores' } | { by: 'survival', seconds } |
+ *   { by: 'objective', mode } | { by: 'points' } (time ran out, objective lead) |
+ *   { by: 'damage', playerDamage, enemyDamage, tied } (time ran out).
+ *   Objective fights also get `points` ({ player, enemy, target }).
  */
-function resolveFightOutcome(outcome) {
+function resolveFightOutcome(outcome, decision) {
     if (arenaState.outcomeResolved) return;
+    if (getObjectiveState()) decision = { ...decision, points: getObjectivePoints() };
     arenaState.outcomeResolved = true;
+    arenaState.fightResult = outcome;
+    arenaState.winnerTeam = decision.tied ? null : outcome === 'won' ? 1 : 2;
+    arenaState.fightDecision = decision;
 
     const callback = outcome === 'won'
         ? arenaState.onFightWon
@@ -627,7 +980,21 @@ function resolveFightOutcome(outcome) {
     }
 
     // Delay so the player sees the destruction before the overlay
-    setTimeout(() => callback(), OUTCOME_DELAY_MS);
+    setTimeout(() => callback(decision), OUTCOME_DELAY_MS);
+}
+
+/**
+ * Objective points of the player's team against the best enemy team
+ * @returns {{ player: number, enemy: number, target: number }}
+ */
+function getObjectivePoints() {
+    const { pointsByTeam, target } = getObjectiveState();
+    const playerTeam = arenaState.playerShip.team;
+    let enemy = 0;
+    for (const [team, points] of Object.entries(pointsByTeam)) {
+        if (Number(team) !== playerTeam) enemy = Math.max(enemy, points);
+    }
+    return { player: pointsByTeam[playerTeam] ?? 0, enemy, target };
 }
 
 /**
@@ -649,9 +1016,8 @@ function setOutcomeCallbacks(onWon, onLost) {
 function createArenaVisuals(scene, theme) {
     arenaState.arenaVisuals = new THREE.Group();
     
-    const { width, height } = getArenaDimensions();
-    const halfWidth = width / 2;
-    const halfHeight = height / 2;
+    const geometry = getArenaGeometry();
+    const { width, height } = geometry;
     
     // Apply arena background color
     originalBackground = scene.background ? scene.background.clone() : null;
@@ -664,30 +1030,17 @@ function createArenaVisuals(scene, theme) {
         metalness: 0.3
     });
     
-    const wallDepth = 0.5;
-    const wallThickness = 2;
-    
-    // Top wall
-    const topGeom = new THREE.BoxGeometry(width + wallThickness * 2, wallThickness, wallDepth);
-    const topWall = new THREE.Mesh(topGeom, wallMaterial);
-    topWall.position.set(0, halfHeight + wallThickness / 2, 0);
-    arenaState.arenaVisuals.add(topWall);
-    
-    // Bottom wall
-    const bottomWall = new THREE.Mesh(topGeom, wallMaterial);
-    bottomWall.position.set(0, -halfHeight - wallThickness / 2, 0);
-    arenaState.arenaVisuals.add(bottomWall);
-    
-    // Left wall
-    const sideGeom = new THREE.BoxGeometry(wallThickness, height, wallDepth);
-    const leftWall = new THREE.Mesh(sideGeom, wallMaterial);
-    leftWall.position.set(-halfWidth - wallThickness / 2, 0, 0);
-    arenaState.arenaVisuals.add(leftWall);
-    
-    // Right wall
-    const rightWall = new THREE.Mesh(sideGeom, wallMaterial);
-    rightWall.position.set(halfWidth + wallThickness / 2, 0, 0);
-    arenaState.arenaVisuals.add(rightWall);
+    if (geometry.shape === 'rect') {
+        addRectWallVisuals(width, height, wallMaterial);
+    } else {
+        // Slabs just outside each boundary edge, overlapping at the corners
+        for (const edge of getBoundaryEdges(geometry)) {
+            addWallSlabVisual(edge, WALL_THICKNESS, WALL_THICKNESS / 2, wallMaterial);
+        }
+    }
+    for (const wall of geometry.walls) {
+        addWallSlabVisual(wall, INTERIOR_WALL_THICKNESS, 0, wallMaterial);
+    }
     
     // Floor grid pattern
     const gridHelper = new THREE.GridHelper(Math.max(width, height), 20, theme.gridColor1, theme.gridColor2);
@@ -699,14 +1052,7 @@ function createArenaVisuals(scene, theme) {
     const markerGeom = new THREE.CircleGeometry(1, 16);
     const markerMaterial = new THREE.MeshBasicMaterial({ color: theme.markerColor });
     
-    const corners = [
-        { x: -halfWidth + 5, y: halfHeight - 5 },
-        { x: halfWidth - 5, y: halfHeight - 5 },
-        { x: -halfWidth + 5, y: -halfHeight + 5 },
-        { x: halfWidth - 5, y: -halfHeight + 5 }
-    ];
-    
-    for (const corner of corners) {
+    for (const corner of getCornerMarkerPoints(geometry)) {
         const marker = new THREE.Mesh(markerGeom, markerMaterial);
         marker.position.set(corner.x, corner.y, -0.05);
         arenaState.arenaVisuals.add(marker);
@@ -715,6 +1061,118 @@ function createArenaVisuals(scene, theme) {
     scene.add(arenaState.arenaVisuals);
 }
 
+/** Four box walls around a width x height rectangle */
+function addRectWallVisuals(width, height, wallMaterial) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
+    
+    // Top wall
+    const topGeom = new THREE.BoxGeometry(width + WALL_THICKNESS * 2, WALL_THICKNESS, WALL_DEPTH);
+    const topWall = new THREE.Mesh(topGeom, wallMaterial);
+    topWall.position.set(0, halfHeight + WALL_THICKNESS / 2, 0);
+    arenaState.arenaVisuals.add(topWall);
+    
+    // Bottom wall
+    const bottomWall = new THREE.Mesh(topGeom, wallMaterial);
+    bottomWall.position.set(0, -halfHeight - WALL_THICKNESS / 2, 0);
+    arenaState.arenaVisuals.add(bottomWall);
+    
+    // Left wall
+    const sideGeom = new THREE.BoxGeometry(WALL_THICKNESS, height, WALL_DEPTH);
+    const leftWall = new THREE.Mesh(sideGeom, wallMaterial);
+    leftWall.position.set(-halfWidth - WALL_THICKNESS / 2, 0, 0);
+    arenaState.arenaVisuals.add(leftWall);
+    
+    // Right wall
+    const rightWall = new THREE.Mesh(sideGeom, wallMaterial);
+    rightWall.position.set(halfWidth + WALL_THICKNESS / 2, 0, 0);
+    arenaState.arenaVisuals.add(rightWall);
+}
+
+/**
+ * Box wall along a segment, pushed `offset` along its right-hand (outward
+ * for counter-clockwise boundary edges) normal. Offset (boundary) slabs are
+ * lengthened by their thickness so they overlap at the corners, like the
+ * physics walls.
+ */
+function addWallSlabVisual(segment, thickness, offset, wallMaterial) {
+    const dx = segment.x2 - segment.x1;
+    const dy = segment.y2 - segment.y1;
+    const length = Math.hypot(dx, dy);
+    const overlap = offset > 0 ? thickness : 0;
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(length + overlap, thickness, WALL_DEPTH), wallMaterial);
+    mesh.position.set(
+        (segment.x1 + segment.x2) / 2 + (dy / length) * offset,
+        (segment.y1 + segment.y2) / 2 - (dx / length) * offset,
+        0
+    );
+    mesh.rotation.z = Math.atan2(dy, dx);
+    arenaState.arenaVisuals.add(mesh);
+}
+
+/** Floor markers 5 units in from the arena's four corners (diagonals for round shapes) */
+function getCornerMarkerPoints(geometry) {
+    const inset = 5;
+    const { width, height } = geometry;
+    if (geometry.shape === 'rect') {
+        return [
+            { x: -width / 2 + inset, y: height / 2 - inset },
+            { x: width / 2 - inset, y: height / 2 - inset },
+            { x: -width / 2 + inset, y: -height / 2 + inset },
+            { x: width / 2 - inset, y: -height / 2 + inset }
+        ];
+    }
+    return [[-1, 1], [1, 1], [-1, -1], [1, -1]].map(([sx, sy]) => {
+        const dirX = sx * Math.SQRT1_2;
+        const dirY = sy * Math.SQRT1_2;
+        const reach = raycastBoundary(geometry, 0, 0, dirX, dirY) - inset;
+        return { x: dirX * reach, y: dirY * reach };
+    });
+}
+
+/**
+ * Adds a mesh for each blocker to the arena visuals
+ * @param {Array} blockers - Blocker definitions (circles or polygons, see blockers.js)
+ */
+function createBlockerVisuals(blockers) {
+    const material = new THREE.MeshStandardMaterial({
+        color: BLOCKER_COLOR,
+        roughness: 0.8,
+        metalness: 0.2
+    });
+    for (const blocker of blockers) {
+        const mesh = new THREE.Mesh(createBlockerGeometry(blocker), material);
+        mesh.position.set(blocker.x, blocker.y, 0);
+        arenaState.arenaVisuals.add(mesh);
+    }
+}
+
+/** Slab geometry for a blocker, centered on its position in Z */
+function createBlockerGeometry(blocker) {
+    if (!blocker.vertices) {
+        const geom = new THREE.CylinderGeometry(blocker.radius, blocker.radius, BLOCKER_DEPTH, 24);
+        geom.rotateX(Math.PI / 2);
+        return geom;
+    }
+    const shape = new THREE.Shape(blocker.vertices.map(v => new THREE.Vector2(v.x, v.y)));
+    const geom = new THREE.ExtrudeGeometry(shape, { depth: BLOCKER_DEPTH, bevelEnabled: false });
+    geom.translate(0, 0, -BLOCKER_DEPTH / 2);
+    return geom;
+}
+
+/**
+ * Removes the arena visuals (walls, floor, blockers) and disposes them
+ */
+function removeArenaVisuals() {
+    if (!arenaState.arenaVisuals || !arenaState.scene) return;
+    arenaState.scene.remove(arenaState.arenaVisuals);
+    arenaState.arenaVisuals.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+    });
+    arenaState.arenaVisuals = null;
+}
+
 /**
  * Configures camera for arena view
  * @param {THREE.Camera} camera - The camera (optional, uses stored ref)
@@ -790,6 +1248,7 @@ function switchToAiControl(model) {
     }
 
     arenaState.playerShip.controller = activeMlController;
+    setReplayShipModel(arenaState.ships.indexOf(arenaState.playerShip), hashModelTopology(model));
     console.log('Switched to AI control');
     return true;
 }
@@ -842,12 +1301,13 @@ async function toggleAiControl() {
  * @param {THREE.Camera} camera - The camera
  * @param {THREE.Renderer} renderer - The renderer
  * @param {function} screenToWorld - Screen to world conversion function
- * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', or 'random')
+ * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
  * @returns {boolean} Whether arena was entered successfully
  */
-function enterArenaWithOpponent(playerPieces, opponentPieces, opponentModel, scene, camera, renderer, screenToWorld, arenaType = 'random') {
+function enterArenaWithOpponent(playerPieces, opponentPieces, opponentModel, scene, camera, renderer, screenToWorld, arenaType = 'random', seed = generateSeed()) {
     const mlController = createMlController(opponentModel);
-    return enterArenaWithController(playerPieces, opponentPieces, mlController, scene, camera, renderer, screenToWorld, arenaType);
+    return enterArenaWithController(playerPieces, opponentPieces, mlController, scene, camera, renderer, screenToWorld, arenaType, seed);
 }
 
 /**
@@ -860,14 +1320,44 @@ function enterArenaWithOpponent(playerPieces, opponentPieces, opponentModel, sce
  * @param {THREE.Camera} camera - The camera
  * @param {THREE.Renderer} renderer - The renderer
  * @param {function} screenToWorld - Screen to world conversion function
- * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', or 'random')
+ * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
  * @returns {boolean} Whether arena was entered successfully
  */
-function enterArenaWithController(playerPieces, opponentPieces, opponentController, scene, camera, renderer, screenToWorld, arenaType = 'random') {
+function enterArenaWithController(playerPieces, opponentPieces, opponentController, scene, camera, renderer, screenToWorld, arenaType = 'random', seed = generateSeed()) {
+    const teams = {
+        wingmen: [],
+        opponents: [{ pieces: opponentPieces, controller: opponentController, label: 'Opponent' }]
+    };
+    return enterArenaTeamFight(playerPieces, teams, scene, camera, renderer, screenToWorld, arenaType, seed);
+}
+
+/**
+ * Enters arena for a team fight: the player plus AI wingmen (team 1)
+ * against opponents (team 2). Each team lines up across its spawn row with
+ * the player in the middle. The fight is won once every opponent is
+ * destroyed and lost once the player and every wingman are.
+ * @param {Array} playerPieces - Player's ship pieces
+ * @param {object} teams
+ * @param {Array} teams.wingmen - Player's allies: [{ pieces, controller, label }]
+ * @param {Array} teams.opponents - At least one enemy: [{ pieces, controller, label }]
+ * @param {boolean} [teams.friendlyFire=false] - Whether shots hit allies
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The camera
+ * @param {THREE.Renderer} renderer - The renderer
+ * @param {function} screenToWorld - Screen to world conversion function
+ * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
+ * @returns {boolean} Whether arena was entered successfully
+ */
+function enterArenaTeamFight(playerPieces, { wingmen, opponents, friendlyFire = false }, scene, camera, renderer, screenToWorld, arenaType = 'random', seed = generateSeed()) {
     if (arenaState.active) {
         console.warn('Already in arena mode');
         return false;
     }
+    if (opponents.length === 0 || Math.max(wingmen.length + 1, opponents.length) > MAX_TEAM_SIZE) {
+        throw new Error(`Team fights need 1 to ${MAX_TEAM_SIZE} ships per side`);
+    }
 
     const hasCore = playerPieces.some(p => p.category === 'CORE' || p.type === 'core');
     if (!hasCore) {
@@ -875,76 +1365,570 @@ function enterArenaWithController(playerPieces, opponentPieces, opponentControll
         return false;
     }
 
-    const { config } = resolveArenaType(arenaType);
-    currentArenaConfig = config;
-
-    console.log(`Entering arena - ${config.name} - Fight Against opponent...`);
-
-    arenaState.scene = scene;
-    arenaState.camera = camera;
-    arenaState.renderer = renderer;
-    arenaState.currentLevel = null;
-    arenaState.ships = [];
-
-    originalCameraSettings = {
-        left: camera.left,
-        right: camera.right,
-        top: camera.top,
-        bottom: camera.bottom,
-        position: camera.position.clone()
-    };
+    const config = setupArenaSession({
+        arenaType, seed, scene, camera, renderer,
+        rules: DEFAULT_FIGHT_RULES,
+        friendlyFire
+    });
 
-    createArenaPhysics();
-    createArenaVisuals(scene, config.theme);
-    initHazards(scene, config);
+    const matchup = `${wingmen.length + 1}v${opponents.length}`;
+    console.log(`Entering arena - ${config.name} - Fight Against opponent (${matchup})...`);
 
-    // Create player ship
+    // Player in the middle of its row, wingmen filling the other slots
+    const playerRow = getTeamSpawnXs(wingmen.length + 1);
+    const playerX = playerRow.splice(Math.floor((playerRow.length - 1) / 2), 1)[0];
     const playerController = createPlayerController(getInputState);
-    arenaState.playerShip = createArenaShip(playerPieces, {
+    arenaState.playerShip = spawnArenaShip(playerPieces, {
         team: 1,
-        spawnX: 0,
-        spawnY: -20,
+        spawnX: playerX,
+        spawnY: PLAYER_TEAM_SPAWN_Y,
         controller: playerController
-    });
+    }, 'Player');
 
     if (!arenaState.playerShip) {
         console.error('Failed to create player ship');
         exitArena();
         return false;
     }
-    arenaState.ships.push(arenaState.playerShip);
-    scene.add(arenaState.playerShip.mesh);
 
-    // Create opponent ship with provided controller
-    const opponentShip = createArenaShip(opponentPieces, {
-        team: 2,
-        spawnX: 0,
-        spawnY: 15,
-        controller: opponentController
+    const sides = [
+        ...wingmen.map((side, i) => ({ ...side, team: 1, spawnX: playerRow[i], spawnY: PLAYER_TEAM_SPAWN_Y })),
+        ...getTeamSpawnXs(opponents.length).map((x, i) => ({ ...opponents[i], team: 2, spawnX: x, spawnY: OPPONENT_TEAM_SPAWN_Y }))
+    ];
+    for (const side of sides) {
+        const ship = spawnArenaShip(side.pieces, {
+            team: side.team,
+            spawnX: side.spawnX,
+            spawnY: side.spawnY,
+            controller: side.controller
+        }, side.label);
+        if (!ship) {
+            console.error(`Failed to create ship "${side.label}"`);
+            exitArena();
+            return false;
+        }
+    }
+
+    startArenaSession({ controls: 'player', screenToWorld, title: config.name });
+
+    console.log(`Arena mode active - ${config.name}. WASD to move, mouse to aim, T to exit.`);
+    return true;
+}
+
+/**
+ * Spawn X positions for a team's row, centered on the arena's middle
+ * @param {number} count - Ships in the team
+ * @returns {number[]} X per ship, left to right
+ */
+function getTeamSpawnXs(count) {
+    return Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * TEAM_SPAWN_SPACING);
+}
+
+// ============================================================================
+// Replay Playback
+// ============================================================================
+
+// Playback speeds offered by the replay viewer
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Enters arena mode to watch a recorded fight. Ships are driven by their
+ * recorded inputs; nothing is recorded, trained, or resolved.
+ * @param {object} replay - Replay from finishReplayRecording / loadReplay
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The camera
+ * @param {THREE.Renderer} renderer - The renderer
+ * @returns {boolean} Whether playback started
+ */
+function enterArenaReplay(replay, scene, camera, renderer) {
+    if (arenaState.active) {
+        console.warn('Already in arena mode');
+        return false;
+    }
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        console.warn(`Can't play replay v${replay?.version}: recorded under different simulation rules (current v${REPLAY_VERSION})`);
+        return false;
+    }
+
+    const config = setupArenaSession({
+        arenaType: replay.arenaKey,
+        seed: replay.seed,
+        scene, camera, renderer,
+        environment: replay.environment ?? null,
+        rules: replay.rules ?? null,
+        friendlyFire: replay.friendlyFire ?? false
+    });
+
+    console.log(`Entering replay - ${config.name} - ${replay.ticks} ticks...`);
+
+    replayPlayback = { replay, tick: 0, playing: true, speed: 1, follow: null, zoom: VIEW_MIN_ZOOM };
+    if (!spawnReplayReinforcements()) {
+        exitArena();
+        return false;
+    }
+
+    startArenaSession({ controls: 'replay', title: `Replay - ${config.name}` });
+    return true;
+}
+
+/**
+ * Rebuilds the fight simulation and ships for tick 0 of the replay (after
+ * teardownReplayFight, when seeking backwards)
+ * @returns {boolean} Whether every ship could be rebuilt
+ */
+function buildReplayFight() {
+    buildFightWorld(replayPlayback.replay.seed);
+    replayPlayback.tick = 0;
+    return spawnReplayReinforcements();
+}
+
+/**
+ * Rebuilds the recorded ships whose spawn tick has come, in recorded order
+ * (tick 0 ships when the fight is built, reinforcements mid-fight)
+ * @returns {boolean} Whether every due ship could be rebuilt
+ */
+function spawnReplayReinforcements() {
+    const { replay } = replayPlayback;
+    const getTick = () => replayPlayback.tick;
+
+    for (let i = arenaState.ships.length; i < replay.ships.length; i++) {
+        const record = replay.ships[i];
+        if ((record.spawnTick ?? 0) > replayPlayback.tick) break;
+
+        const ship = spawnArenaShip(createPiecesFromLayout(record.layout), {
+            team: record.team,
+            spawnX: record.spawnX,
+            spawnY: record.spawnY,
+            controller: createReplayController(replay.tracks[i], getTick)
+        }, record.label);
+        if (!ship) {
+            console.error(`Failed to rebuild replay ship ${i} (${record.label})`);
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Removes everything buildReplayFight created (arena visuals stay)
+ */
+function teardownReplayFight() {
+    for (const ship of arenaState.ships) {
+        destroyArenaShip(ship);
+        disposeShipMesh(ship, arenaState.scene);
+    }
+    arenaState.ships = [];
+    spawnRecords = [];
+    cleanupHazards();
+    cleanupBlockers();
+    cleanupFightClock();
+    cleanupObjective();
+    cleanupHazardVisuals();
+    cleanupWeaponSystem();
+    cleanupProjectileVisuals();
+    cleanupBeamVisuals();
+    clearArenaPhysics();
+}
+
+/**
+ * Jumps playback to a tick. Seeking backwards restarts the fight and
+ * re-simulates up to the target (there are no stored snapshots).
+ * @param {number} tick - Target tick (clamped to the replay length)
+ */
+function seekReplay(tick) {
+    if (!replayPlayback) return;
+
+    const target = Math.max(0, Math.min(Math.round(tick), replayPlayback.replay.ticks));
+    if (target < replayPlayback.tick) {
+        teardownReplayFight();
+        if (!buildReplayFight()) {
+            exitArena();
+            return;
+        }
+    }
+    while (replayPlayback.tick < target) {
+        lastTick = tickArena();
+    }
+    arenaState.accumulator = 0;
+}
+
+/**
+ * Plays or pauses the replay. Playing from the end restarts it.
+ * @param {boolean} playing
+ */
+function setReplayPlaying(playing) {
+    if (!replayPlayback) return;
+    if (playing && replayPlayback.tick >= replayPlayback.replay.ticks) seekReplay(0);
+    replayPlayback.playing = playing;
+}
+
+/**
+ * Sets the playback speed multiplier
+ * @param {number} speed - One of REPLAY_SPEEDS
+ */
+function setReplaySpeed(speed) {
+    if (!replayPlayback) return;
+    if (!REPLAY_SPEEDS.includes(speed)) {
+        throw new Error(`Unsupported replay speed: ${speed}`);
+    }
+    replayPlayback.speed = speed;
+}
+
+/**
+ * Sets the replay camera
+ * @param {object} options
+ * @param {number|null} [options.follow] - Ship index to follow, or null for the whole arena
+ * @param {number} [options.zoom] - Zoom factor (clamped to VIEW_MIN_ZOOM..VIEW_MAX_ZOOM)
+ */
+function setReplayCamera({ follow, zoom }) {
+    if (!replayPlayback) return;
+    if (follow !== undefined) replayPlayback.follow = follow;
+    if (zoom !== undefined) {
+        replayPlayback.zoom = clampViewZoom(zoom);
+    }
+}
+
+/**
+ * Returns the playback state for the replay viewer, or null when not watching a replay
+ * @returns {object|null} { tick, ticks, tickRate, playing, speed, speeds, follow, zoom, ships: [{label, team, destroyed}] }
+ */
+function getReplayPlayback() {
+    if (!replayPlayback) return null;
+    const { replay } = replayPlayback;
+    return {
+        tick: replayPlayback.tick,
+        ticks: replay.ticks,
+        tickRate: replay.tickRate,
+        playing: replayPlayback.playing,
+        speed: replayPlayback.speed,
+        speeds: REPLAY_SPEEDS,
+        follow: replayPlayback.follow,
+        zoom: replayPlayback.zoom,
+        ships: replay.ships.map((record, i) => ({
+            label: record.label,
+            team: record.team,
+            destroyed: !!arenaState.ships[i]?.destroyed
+        }))
+    };
+}
+
+/**
+ * Returns whether a replay is being watched
+ * @returns {boolean}
+ */
+function isReplayActive() {
+    return replayPlayback !== null;
+}
+
+/** Simulated seconds per real second for the replay right now */
+function getReplayRate() {
+    return replayPlayback.playing ? replayPlayback.speed : 0;
+}
+
+// ============================================================================
+// View Camera (replay + spectator)
+// ============================================================================
+
+// Camera zoom range while watching (1 = whole arena in view)
+const VIEW_MIN_ZOOM = 1;
+const VIEW_MAX_ZOOM = 4;
+
+/** Clamps a zoom factor to VIEW_MIN_ZOOM..VIEW_MAX_ZOOM */
+function clampViewZoom(zoom) {
+    return Math.max(VIEW_MIN_ZOOM, Math.min(VIEW_MAX_ZOOM, zoom));
+}
+
+/**
+ * Applies zoom and follow target (or free pan) on top of the whole-arena camera
+ * @param {object} view - { zoom, follow: ship index|null, panX?, panY? }
+ */
+function applyViewCamera(view) {
+    const cam = arenaState.camera;
+    if (!cam) return;
+
+    setupArenaCamera(cam);
+    const { zoom, follow } = view;
+    cam.left /= zoom;
+    cam.right /= zoom;
+    cam.top /= zoom;
+    cam.bottom /= zoom;
+
+    const target = follow !== null ? arenaState.ships[follow] : null;
+    if (target && target.mesh && target.mesh.visible) {
+        cam.position.x = target.mesh.position.x;
+        cam.position.y = target.mesh.position.y;
+    } else if (view.panX !== undefined) {
+        cam.position.x = view.panX;
+        cam.position.y = view.panY;
+    }
+    cam.updateProjectionMatrix();
+}
+
+// ============================================================================
+// Spectator Mode
+// ============================================================================
+
+// Spawn points for the two spectated ships (same as enterArenaWithController)
+const SPECTATE_SPAWNS = [
+    { x: 0, y: -20 },
+    { x: 0, y: 15 }
+];
+
+/**
+ * Enters arena mode to watch two non-player controllers fight. There is no
+ * player ship: the camera pans/zooms/follows freely and the sensing/thrust
+ * debug overlays are toggled per ship. The fight is recorded as a replay.
+ * @param {Array} sides - Two entries: [{ pieces, controller, label }]
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The camera
+ * @param {THREE.Renderer} renderer - The renderer
+ * @param {function} screenToWorld - Screen to world conversion function
+ * @param {string} arenaType - Arena type key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion', or 'random')
+ * @param {number} [seed] - Fight RNG seed (fresh random seed if omitted)
+ * @returns {boolean} Whether arena was entered successfully
+ */
+function enterArenaSpectate(sides, scene, camera, renderer, screenToWorld, arenaType = 'random', seed = generateSeed()) {
+    if (arenaState.active) {
+        console.warn('Already in arena mode');
+        return false;
+    }
+    if (!sides || sides.length !== SPECTATE_SPAWNS.length) {
+        throw new Error(`Spectating needs exactly ${SPECTATE_SPAWNS.length} sides`);
+    }
+    for (const side of sides) {
+        if (!side.controller || side.controller.type === 'player') {
+            throw new Error(`Spectated ship "${side.label}" needs a non-player controller`);
+        }
+    }
+
+    const config = setupArenaSession({ arenaType, seed, scene, camera, renderer, rules: DEFAULT_FIGHT_RULES });
+
+    console.log(`Entering arena - ${config.name} - Spectating ${sides.map(s => s.label).join(' vs ')}...`);
+
+    for (let i = 0; i < sides.length; i++) {
+        const ship = spawnArenaShip(sides[i].pieces, {
+            team: i + 1,
+            spawnX: SPECTATE_SPAWNS[i].x,
+            spawnY: SPECTATE_SPAWNS[i].y,
+            controller: sides[i].controller
+        }, sides[i].label);
+        if (!ship) {
+            console.error(`Failed to create spectated ship "${sides[i].label}"`);
+            exitArena();
+            return false;
+        }
+    }
+
+    spectator = {
+        follow: null,
+        zoom: VIEW_MIN_ZOOM,
+        panX: 0,
+        panY: 0,
+        sensingShip: null,
+        thrustShips: sides.map(() => false)
+    };
+
+    startArenaSession({ controls: 'spectator', screenToWorld, title: config.name });
+
+    console.log(`Spectating - ${config.name}. Drag to pan, wheel to zoom, 1/2 follow, 0 free camera, G/V debug, T to exit.`);
+    return true;
+}
+
+/**
+ * Sets the spectator camera
+ * @param {object} options
+ * @param {number|null} [options.follow] - Ship index to follow, or null for the free camera
+ * @param {number} [options.zoom] - Zoom factor (clamped to VIEW_MIN_ZOOM..VIEW_MAX_ZOOM)
+ */
+function setSpectatorCamera({ follow, zoom }) {
+    if (!spectator) return;
+    if (follow !== undefined) {
+        // Dropping a follow leaves the free camera where the ship was
+        if (follow === null && spectator.follow !== null && arenaState.camera) {
+            spectator.panX = arenaState.camera.position.x;
+            spectator.panY = arenaState.camera.position.y;
+        }
+        spectator.follow = follow;
+    }
+    if (zoom !== undefined) spectator.zoom = clampViewZoom(zoom);
+}
+
+/**
+ * Moves the free camera by a world-space offset (stops following)
+ * @param {number} dx - World units right
+ * @param {number} dy - World units up
+ */
+function panSpectatorCamera(dx, dy) {
+    if (!spectator) return;
+    if (spectator.follow !== null) setSpectatorCamera({ follow: null });
+
+    const { width, height } = getArenaDimensions();
+    spectator.panX = Math.max(-width / 2, Math.min(width / 2, spectator.panX + dx));
+    spectator.panY = Math.max(-height / 2, Math.min(height / 2, spectator.panY + dy));
+}
+
+/**
+ * Toggles a debug overlay for one ship. Thrust arrows can show for any
+ * number of ships; the sensing overlay is one panel, so it shows one ship.
+ * @param {number} index - Ship index
+ * @param {'thrust'|'sensing'} overlay - Which overlay
+ */
+function toggleSpectatorDebug(index, overlay) {
+    if (!spectator) return;
+    if (index < 0 || index >= arenaState.ships.length) {
+        throw new Error(`No spectated ship at index ${index}`);
+    }
+
+    if (overlay === 'thrust') {
+        spectator.thrustShips[index] = !spectator.thrustShips[index];
+    } else if (overlay === 'sensing') {
+        spectator.sensingShip = spectator.sensingShip === index ? null : index;
+        if (spectator.sensingShip === null) arenaState.sensingState = null;
+        setSensingDebugEnabled(spectator.sensingShip !== null);
+        updateSpectatorSensing();
+    } else {
+        throw new Error(`Unknown spectator overlay: ${overlay}`);
+    }
+}
+
+/**
+ * Returns the spectator state for the control bar, or null when not spectating
+ * @returns {object|null} { follow, zoom, finished, winnerTeam, ships: [{label, team, destroyed, thrust, sensing}] }
+ */
+function getSpectatorState() {
+    if (!spectator) return null;
+    return {
+        follow: spectator.follow,
+        zoom: spectator.zoom,
+        finished: arenaState.outcomeResolved,
+        winnerTeam: arenaState.winnerTeam,
+        ships: arenaState.ships.map((ship, i) => ({
+            label: spawnRecords[i]?.label ?? `Team ${ship.team}`,
+            team: ship.team,
+            destroyed: !!ship.destroyed,
+            thrust: spectator.thrustShips[i],
+            sensing: spectator.sensingShip === i
+        }))
+    };
+}
+
+/**
+ * Returns whether an AI-vs-AI fight is being spectated
+ * @returns {boolean}
+ */
+function isSpectating() {
+    return spectator !== null;
+}
+
+/**
+ * Computes sensing for the ship whose sensing overlay is on. Uses the same
+ * inputs ML controllers get, so the overlay shows what the model sees.
+ */
+function updateSpectatorSensing() {
+    const ship = spectator.sensingShip !== null ? arenaState.ships[spectator.sensingShip] : null;
+    if (!ship || ship.destroyed) {
+        arenaState.sensingState = null;
+        return;
+    }
+    arenaState.sensingState = computeSensingState(
+        ship,
+        arenaState.ships,
+        getHazardSensingData(),
+        arenaState.blockers,
+        getProjectiles()
+    );
+}
+
+/**
+ * Draws the per-ship debug overlays chosen by the spectator
+ */
+function renderSpectatorDebug() {
+    const thrusts = [];
+    arenaState.ships.forEach((ship, i) => {
+        if (spectator.thrustShips[i]) thrusts.push(...(lastTick.thrustsByShip.get(ship) ?? []));
     });
+    updateThrustDebug(thrusts);
 
-    if (opponentShip) {
-        arenaState.ships.push(opponentShip);
-        scene.add(opponentShip.mesh);
+    const ship = spectator.sensingShip !== null ? arenaState.ships[spectator.sensingShip] : null;
+    if (ship && !ship.destroyed && arenaState.sensingState) {
+        updateSensingDebug(arenaState.sensingState, ship, getControllerAimTarget(ship), arenaState.ships);
     }
+}
+
+/**
+ * Ends a spectated fight once at most one team has ships left
+ */
+function resolveSpectatedFight() {
+    const teamsAlive = new Set(arenaState.ships.filter(s => !s.destroyed).map(s => s.team));
+    if (teamsAlive.size > 1) return;
 
+    arenaState.outcomeResolved = true;
+    arenaState.winnerTeam = teamsAlive.size === 1 ? [...teamsAlive][0] : null;
+    arenaState.fightDecision = { by: 'cores' };
+    console.log(arenaState.winnerTeam !== null
+        ? `Spectated fight over - team ${arenaState.winnerTeam} wins`
+        : 'Spectated fight over - draw');
+}
+
+// ============================================================================
+// Level Editor Backdrop
+// ============================================================================
+
+/**
+ * Enters arena mode as a backdrop for the level editor: walls, floor, and
+ * theme only. No physics, ships, or input; exitArena() leaves it.
+ * @param {string} arenaType - Arena type key to theme the backdrop ('random' shows base)
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Camera} camera - The camera
+ * @param {THREE.Renderer} renderer - The renderer
+ * @returns {boolean} Whether the backdrop was entered
+ */
+function enterArenaEditor(arenaType, scene, camera, renderer) {
+    if (arenaState.active) {
+        console.warn('Already in arena mode');
+        return false;
+    }
+
+    arenaState.scene = scene;
+    arenaState.camera = camera;
+    arenaState.renderer = renderer;
+    arenaState.ships = [];
+    saveCameraSettings(camera);
+
+    const config = resolveEditorArena(arenaType);
+    setArenaGeometry(config.geometry);
+    createArenaVisuals(scene, config.theme);
+    createBlockerVisuals(config.blockers);
     setupArenaCamera(camera);
-    initThrustDebug(scene);
-    setThrustDebugEnabled(true);
-    initTargetIndicator(scene);
-    initWeaponSystem(scene);
-    initArenaControlsDisplay();
-    initSensingDebug(scene);
-    setupArenaInput(arenaState, screenToWorld, renderer.domElement);
     setDebugVisible(false);
 
     arenaState.active = true;
-    arenaState.lastTime = performance.now();
+    editorBackdrop = true;
+    return true;
+}
+
+/**
+ * Re-themes the editor backdrop for another arena type
+ * @param {string} arenaType - Arena type key ('random' shows base)
+ */
+function setEditorArenaType(arenaType) {
+    if (!editorBackdrop) {
+        throw new Error('setEditorArenaType needs the level editor backdrop');
+    }
 
-    showArenaNameOverlay(config.name);
+    // Keep the design-mode background from the first createArenaVisuals call
+    const background = originalBackground;
+    removeArenaVisuals();
+    const config = resolveEditorArena(arenaType);
+    setArenaGeometry(config.geometry);
+    createArenaVisuals(arenaState.scene, config.theme);
+    createBlockerVisuals(config.blockers);
+    originalBackground = background;
+}
 
-    console.log(`Arena mode active - ${config.name}. WASD to move, mouse to aim, T to exit.`);
-    return true;
+/** The arena config to draw for an editor arena key ('random' has no look of its own) */
+function resolveEditorArena(arenaType) {
+    return resolveArenaType(arenaType === 'random' ? 'base' : arenaType).config;
 }
 
 // ============================================================================
@@ -978,8 +1962,11 @@ function removeArenaNameOverlay() {
 export {
     enterArena,
     enterArenaLevel,
+    enterArenaEditor,
+    setEditorArenaType,
     enterArenaWithOpponent,
     enterArenaWithController,
+    enterArenaTeamFight,
     exitArena,
     pauseArena,
     updateArena,
@@ -990,5 +1977,18 @@ export {
     switchToPlayerControl,
     isAiControlled,
     toggleAiControl,
-    setOutcomeCallbacks
+    setOutcomeCallbacks,
+    enterArenaReplay,
+    seekReplay,
+    setReplayPlaying,
+    setReplaySpeed,
+    setReplayCamera,
+    getReplayPlayback,
+    isReplayActive,
+    enterArenaSpectate,
+    setSpectatorCamera,
+    panSpectatorCamera,
+    toggleSpectatorDebug,
+    getSpectatorState,
+    isSpectating
 };
@@ -0,0 +1,239 @@
+// Arena geometry -- outer boundary shape and interior walls of the arena
+//
+// Arena types (arenaTypes.js) describe their geometry as one of:
+//   { shape: 'rect', width, height }
+//   { shape: 'circle', radius }
+//   { shape: 'octagon', width, height, corner }   // corner: cut along each axis
+// plus optional `walls: [{ x1, y1, x2, y2 }]` interior wall segments.
+// All shapes are centered on the origin, world units, Y up.
+//
+// The geometry of the current fight is module state: set it with
+// setArenaGeometry() before building physics or visuals. Physics walls,
+// visuals, spawn checks, and wall sensing all read it from here.
+
+// Classic 80x60 rectangle, used by arena types that don't give a geometry
+const DEFAULT_GEOMETRY = { shape: 'rect', width: 80, height: 60 };
+
+const SHAPES = ['rect', 'circle', 'octagon'];
+const CIRCLE_EDGE_COUNT = 48;           // chords approximating a circular boundary
+const DEFAULT_OCTAGON_CORNER = 0.3;     // corner cut as a fraction of the shorter side
+
+let currentGeometry = resolveArenaGeometry(DEFAULT_GEOMETRY);
+
+// ============================================================================
+// Resolution
+// ============================================================================
+
+/**
+ * Fills in a geometry definition: bounding size, boundary vertices, walls
+ * @param {object} [def] - Geometry definition (default rectangle if omitted)
+ * @returns {object} { shape, width, height, radius, vertices, walls }
+ */
+function resolveArenaGeometry(def = DEFAULT_GEOMETRY) {
+    if (!SHAPES.includes(def.shape)) {
+        throw new Error(`Unknown arena shape "${def.shape}"`);
+    }
+
+    const walls = (def.walls ?? []).map(w => ({ x1: w.x1, y1: w.y1, x2: w.x2, y2: w.y2 }));
+
+    if (def.shape === 'circle') {
+        const vertices = [];
+        for (let i = 0; i < CIRCLE_EDGE_COUNT; i++) {
+            const angle = (i / CIRCLE_EDGE_COUNT) * Math.PI * 2;
+            vertices.push({ x: Math.cos(angle) * def.radius, y: Math.sin(angle) * def.radius });
+        }
+        return { shape: 'circle', width: def.radius * 2, height: def.radius * 2, radius: def.radius, vertices, walls };
+    }
+
+    const hw = def.width / 2;
+    const hh = def.height / 2;
+    if (def.shape === 'rect') {
+        const vertices = [{ x: -hw, y: -hh }, { x: hw, y: -hh }, { x: hw, y: hh }, { x: -hw, y: hh }];
+        return { shape: 'rect', width: def.width, height: def.height, radius: null, vertices, walls };
+    }
+
+    const c = def.corner ?? Math.min(def.width, def.height) * DEFAULT_OCTAGON_CORNER;
+    const vertices = [
+        { x: -hw + c, y: -hh }, { x: hw - c, y: -hh },
+        { x: hw, y: -hh + c }, { x: hw, y: hh - c },
+        { x: hw - c, y: hh }, { x: -hw + c, y: hh },
+        { x: -hw, y: hh - c }, { x: -hw, y: -hh + c }
+    ];
+    return { shape: 'octagon', width: def.width, height: def.height, radius: null, vertices, walls };
+}
+
+// ============================================================================
+// Current Arena
+// ============================================================================
+
+/**
+ * Makes a geometry the current arena's
+ * @param {object} [def] - Geometry definition (default rectangle if omitted)
+ */
+function setArenaGeometry(def) {
+    currentGeometry = resolveArenaGeometry(def);
+}
+
+/** Goes back to the default rectangle */
+function resetArenaGeometry() {
+    currentGeometry = resolveArenaGeometry(DEFAULT_GEOMETRY);
+}
+
+/**
+ * @returns {object} The current arena's resolved geometry (read-only use)
+ */
+function getArenaGeometry() {
+    return currentGeometry;
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
+
+/**
+ * Whether a point lies inside a geometry's outer boundary (non-numbers
+ * never do). Interior walls are thin and not considered.
+ * @param {object} geometry - Resolved geometry
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @returns {boolean}
+ */
+function isInsideGeometry(geometry, x, y) {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+    if (geometry.shape === 'rect') {
+        return Math.abs(x) <= geometry.width / 2 && Math.abs(y) <= geometry.height / 2;
+    }
+    if (geometry.shape === 'circle') {
+        return x * x + y * y <= geometry.radius * geometry.radius;
+    }
+    // Convex, counter-clockwise: inside is left of every edge
+    return getBoundaryEdges(geometry).every(e =>
+        (e.x2 - e.x1) * (y - e.y1) - (e.y2 - e.y1) * (x - e.x1) >= 0
+    );
+}
+
+/**
+ * Whether a point lies inside every one of several geometries (e.g. a level
+ * on a random arena must fit them all)
+ * @param {Array} geometries - Resolved geometries
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @returns {boolean}
+ */
+function isInsideGeometries(geometries, x, y) {
+    return geometries.every(geometry => isInsideGeometry(geometry, x, y));
+}
+
+/**
+ * Boundary edges in counter-clockwise order (circles as chords)
+ * @param {object} geometry - Resolved geometry
+ * @returns {Array} [{ x1, y1, x2, y2 }]
+ */
+function getBoundaryEdges(geometry) {
+    const { vertices } = geometry;
+    return vertices.map((a, i) => {
+        const b = vertices[(i + 1) % vertices.length];
+        return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+    });
+}
+
+/**
+ * Distance along a ray to the outer boundary. Circles use the true circle,
+ * not the chords. For a rectangle the result is signed (negative once past
+ * the wall), so an axis-aligned ray gives exactly the perpendicular distance.
+ * @param {object} geometry - Resolved geometry
+ * @param {number} x - Ray origin X
+ * @param {number} y - Ray origin Y
+ * @param {number} dirX - Unit direction X
+ * @param {number} dirY - Unit direction Y
+ * @returns {number} Distance in world units (0 from outside a circle/octagon)
+ */
+function raycastBoundary(geometry, x, y, dirX, dirY) {
+    if (geometry.shape === 'rect') {
+        const hw = geometry.width / 2;
+        const hh = geometry.height / 2;
+        const tx = dirX > 0 ? (hw - x) / dirX : dirX < 0 ? (-hw - x) / dirX : Infinity;
+        const ty = dirY > 0 ? (hh - y) / dirY : dirY < 0 ? (-hh - y) / dirY : Infinity;
+        return Math.min(tx, ty);
+    }
+    if (geometry.shape === 'circle') {
+        const b = x * dirX + y * dirY;
+        const c = x * x + y * y - geometry.radius * geometry.radius;
+        const disc = b * b - c;
+        return disc > 0 ? Math.max(0, -b + Math.sqrt(disc)) : 0;
+    }
+    const hit = nearestSegmentHit(getBoundaryEdges(geometry), x, y, dirX, dirY);
+    return hit === Infinity ? 0 : hit;
+}
+
+/**
+ * Distance along a ray to the nearest boundary or interior wall
+ * @param {object} geometry - Resolved geometry
+ * @param {number} x - Ray origin X
+ * @param {number} y - Ray origin Y
+ * @param {number} dirX - Unit direction X
+ * @param {number} dirY - Unit direction Y
+ * @returns {number} Distance in world units
+ */
+function raycastArena(geometry, x, y, dirX, dirY) {
+    const boundary = raycastBoundary(geometry, x, y, dirX, dirY);
+    return Math.min(boundary, nearestSegmentHit(geometry.walls, x, y, dirX, dirY));
+}
+
+/**
+ * Whether the segment a-b crosses any interior wall (for point-like movers
+ * such as projectiles, which could skip over a thin wall in one tick)
+ * @param {object} geometry - Resolved geometry
+ * @param {number} ax - Start X
+ * @param {number} ay - Start Y
+ * @param {number} bx - End X
+ * @param {number} by - End Y
+ * @returns {boolean}
+ */
+function crossesInteriorWall(geometry, ax, ay, bx, by) {
+    // Unnormalized direction: t in [0, 1] spans a to b
+    return geometry.walls.some(wall => raySegmentHit(wall, ax, ay, bx - ax, by - ay) <= 1);
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/** Smallest ray distance to any of the segments (Infinity if none is hit) */
+function nearestSegmentHit(segments, x, y, dirX, dirY) {
+    let nearest = Infinity;
+    for (const segment of segments) {
+        nearest = Math.min(nearest, raySegmentHit(segment, x, y, dirX, dirY));
+    }
+    return nearest;
+}
+
+/**
+ * Ray parameter t >= 0 where (x, y) + t * dir meets the segment, or Infinity.
+ * With a unit dir, t is the distance.
+ */
+function raySegmentHit(segment, x, y, dirX, dirY) {
+    const ex = segment.x2 - segment.x1;
+    const ey = segment.y2 - segment.y1;
+    const denom = dirX * ey - dirY * ex;
+    if (denom === 0) return Infinity;   // parallel
+
+    const wx = segment.x1 - x;
+    const wy = segment.y1 - y;
+    const t = (wx * ey - wy * ex) / denom;
+    const u = (wx * dirY - wy * dirX) / denom;
+    return t >= 0 && u >= 0 && u <= 1 ? t : Infinity;
+}
+
+export {
+    resolveArenaGeometry,
+    setArenaGeometry,
+    resetArenaGeometry,
+    getArenaGeometry,
+    isInsideGeometry,
+    isInsideGeometries,
+    getBoundaryEdges,
+    raycastBoundary,
+    raycastArena,
+    crossesInteriorWall
+};
@@ -16,7 +16,8 @@ const inputState = {
     rightMouseDown: false, // Right-click held (turn toward mouse)
     shiftHeld: false,     // Shift held (fast turn modifier)
     mousePosition: null,  // Current mouse world position (for cannon aiming and turning)
-    fireRequested: false  // Left-click to fire
+    fireRequested: false, // Left-click to fire
+    fireHeld: false       // Left button held (holds beams lit; cannons fire once per click)
 };
 
 // References
@@ -74,6 +75,7 @@ function removeArenaInput() {
     inputState.shiftHeld = false;
     inputState.mousePosition = null;
     inputState.fireRequested = false;
+    inputState.fireHeld = false;
     
     arenaStateRef = null;
     screenToWorldFn = null;
@@ -175,6 +177,7 @@ function onMouseDown(event) {
     // Left-click (button 0) to fire
     if (event.button === 0) {
         inputState.fireRequested = true;
+        inputState.fireHeld = true;
     }
     
     // Right-click (button 2) to turn toward mouse
@@ -187,6 +190,11 @@ function onMouseDown(event) {
  * Handles mouse button up
  */
 function onMouseUp(event) {
+    // Left-click released (a click shorter than a tick still fires once)
+    if (event.button === 0) {
+        inputState.fireHeld = false;
+    }
+    
     // Right-click released
     if (event.button === 2) {
         inputState.rightMouseDown = false;
@@ -1,6 +1,10 @@
 // Arena physics - zero-gravity simulation with boundary walls
+//
+// Each step also records the contacts that started during it (Matter.js
+// collisionStart) with their closing speed, for collisionDamage.js.
 
 import { PHYSICS_SCALE, worldToPhysics, getBodyWorldPos, setBodyWorldPos } from '../physicsCoords.js';
+import { getArenaGeometry, getBoundaryEdges } from './arenaGeometry.js';
 
 // Matter.js is loaded globally from CDN
 const Engine = Matter.Engine;
@@ -8,18 +12,26 @@ const World = Matter.World;
 const Bodies = Matter.Bodies;
 const Body = Matter.Body;
 const Composite = Matter.Composite;
+const Vertices = Matter.Vertices;
+const Events = Matter.Events;
 
 // Arena configuration
-const ARENA_WIDTH = 80;
-const ARENA_HEIGHT = 60;
 const WALL_THICKNESS = 2;
+const INTERIOR_WALL_THICKNESS = 1;
 
 let arenaEngine = null;
 let arenaWorld = null;
 let walls = [];
 
+// Contacts that started during the latest step: {bodyA, bodyB, speed}
+const collisionImpacts = [];
+// Length of the step in progress (seconds), to turn Matter's per-step
+// velocities into per-second impact speeds
+let stepSeconds = 0;
+
 /**
- * Creates the arena physics world with zero gravity
+ * Creates the arena physics world with zero gravity, walled in by the
+ * current arena geometry (arenaGeometry.js)
  */
 function createArenaPhysics() {
     arenaEngine = Engine.create();
@@ -32,15 +44,59 @@ function createArenaPhysics() {
     // Create boundary walls
     createArenaWalls();
     
+    // Velocities are still pre-impact when collisionStart fires
+    collisionImpacts.length = 0;
+    Events.on(arenaEngine, 'collisionStart', recordCollisionImpacts);
+    
     return { engine: arenaEngine, world: arenaWorld };
 }
 
 /**
- * Creates the arena boundary walls
+ * Snapshots new contacts (Matter reuses its pair objects between steps).
+ * bodyA/bodyB are the touching parts, not their compound parents; speed is
+ * how fast the contact points were closing along the collision normal, in
+ * world units per second (Matter velocities are per step, so they're divided
+ * by the step length to keep damage the same at any tick rate).
+ */
+function recordCollisionImpacts(event) {
+    for (const pair of event.pairs) {
+        const { bodyA, bodyB, collision } = pair;
+        const point = collision.supports[0] || bodyA.position;
+        const velA = getPointVelocity(bodyA.parent, point);
+        const velB = getPointVelocity(bodyB.parent, point);
+        const closing = (velA.x - velB.x) * collision.normal.x + (velA.y - velB.y) * collision.normal.y;
+        collisionImpacts.push({ bodyA, bodyB, speed: Math.abs(closing) / PHYSICS_SCALE / stepSeconds });
+    }
+}
+
+/** Velocity of a point on a (possibly rotating) body, in physics units */
+function getPointVelocity(body, point) {
+    const rx = point.x - body.position.x;
+    const ry = point.y - body.position.y;
+    return {
+        x: body.velocity.x - body.angularVelocity * ry,
+        y: body.velocity.y + body.angularVelocity * rx
+    };
+}
+
+/**
+ * Creates the arena boundary walls and interior walls
  */
 function createArenaWalls() {
-    const halfWidth = ARENA_WIDTH / 2;
-    const halfHeight = ARENA_HEIGHT / 2;
+    const geometry = getArenaGeometry();
+    walls = geometry.shape === 'rect'
+        ? createRectWalls(geometry.width, geometry.height)
+        : getBoundaryEdges(geometry).map(createBoundaryWall);
+    walls.push(...geometry.walls.map(createInteriorWall));
+    World.add(arenaWorld, walls);
+}
+
+/**
+ * Four walls around a width x height rectangle
+ */
+function createRectWalls(width, height) {
+    const halfWidth = width / 2;
+    const halfHeight = height / 2;
     const halfThick = WALL_THICKNESS / 2;
     
     // Convert to physics coordinates
@@ -50,7 +106,7 @@ function createArenaWalls() {
     const topWall = Bodies.rectangle(
         0, 
         -(halfHeight + halfThick) * scale,
-        ARENA_WIDTH * scale,
+        width * scale,
         WALL_THICKNESS * scale,
         { isStatic: true, label: 'wall_top' }
     );
@@ -59,7 +115,7 @@ function createArenaWalls() {
     const bottomWall = Bodies.rectangle(
         0,
         (halfHeight + halfThick) * scale,
-        ARENA_WIDTH * scale,
+        width * scale,
         WALL_THICKNESS * scale,
         { isStatic: true, label: 'wall_bottom' }
     );
@@ -69,7 +125,7 @@ function createArenaWalls() {
         -(halfWidth + halfThick) * scale,
         0,
         WALL_THICKNESS * scale,
-        (ARENA_HEIGHT + WALL_THICKNESS * 2) * scale,
+        (height + WALL_THICKNESS * 2) * scale,
         { isStatic: true, label: 'wall_left' }
     );
     
@@ -78,12 +134,75 @@ function createArenaWalls() {
         (halfWidth + halfThick) * scale,
         0,
         WALL_THICKNESS * scale,
-        (ARENA_HEIGHT + WALL_THICKNESS * 2) * scale,
+        (height + WALL_THICKNESS * 2) * scale,
         { isStatic: true, label: 'wall_right' }
     );
     
-    walls = [topWall, bottomWall, leftWall, rightWall];
-    World.add(arenaWorld, walls);
+    return [topWall, bottomWall, leftWall, rightWall];
+}
+
+/**
+ * A boundary wall along one counter-clockwise edge, just outside the arena.
+ * Lengthened by the wall thickness so neighbouring edges overlap at corners.
+ * @param {object} edge - { x1, y1, x2, y2 } in world units
+ */
+function createBoundaryWall(edge) {
+    const dx = edge.x2 - edge.x1;
+    const dy = edge.y2 - edge.y1;
+    const length = Math.hypot(dx, dy);
+    // Outward normal of a counter-clockwise edge is (dy, -dx)
+    const offset = WALL_THICKNESS / 2;
+    return createWallSlab(
+        (edge.x1 + edge.x2) / 2 + (dy / length) * offset,
+        (edge.y1 + edge.y2) / 2 - (dx / length) * offset,
+        length + WALL_THICKNESS, WALL_THICKNESS, Math.atan2(dy, dx), 'wall'
+    );
+}
+
+/**
+ * An interior wall centered on its segment
+ * @param {object} segment - { x1, y1, x2, y2 } in world units
+ */
+function createInteriorWall(segment) {
+    const dx = segment.x2 - segment.x1;
+    const dy = segment.y2 - segment.y1;
+    return createWallSlab(
+        (segment.x1 + segment.x2) / 2, (segment.y1 + segment.y2) / 2,
+        Math.hypot(dx, dy), INTERIOR_WALL_THICKNESS, Math.atan2(dy, dx), 'wall_interior'
+    );
+}
+
+/** Static rectangle centered at a world point, rotated by a world angle (CCW) */
+function createWallSlab(x, y, length, thickness, angle, label) {
+    const pos = worldToPhysics(x, y);
+    return Bodies.rectangle(pos.x, pos.y, length * PHYSICS_SCALE, thickness * PHYSICS_SCALE, {
+        isStatic: true,
+        label,
+        angle: -angle     // physics Y points down
+    });
+}
+
+/**
+ * Adds static blockers (circles or convex polygons) to the arena
+ * @param {Array} blockers - [{ x, y, radius }] or [{ x, y, vertices }] in world units
+ */
+function createArenaBlockers(blockers) {
+    const bodies = blockers.map(blocker => (blocker.vertices
+        ? createPolygonBlocker(blocker)
+        : createCircleBlocker(blocker)));
+    World.add(arenaWorld, bodies);
+}
+
+function createCircleBlocker(blocker) {
+    const pos = worldToPhysics(blocker.x, blocker.y);
+    return Bodies.circle(pos.x, pos.y, blocker.radius * PHYSICS_SCALE, { isStatic: true, label: 'blocker' });
+}
+
+function createPolygonBlocker(blocker) {
+    const vertices = blocker.vertices.map(v => worldToPhysics(blocker.x + v.x, blocker.y + v.y));
+    // fromVertices centres the body on the polygon's centroid, so place it there
+    const centre = Vertices.centre(vertices);
+    return Bodies.fromVertices(centre.x, centre.y, [vertices], { isStatic: true, label: 'blocker' });
 }
 
 /**
@@ -94,9 +213,19 @@ function stepArenaPhysics(deltaTime) {
     if (!arenaEngine) return;
     
     const cappedDelta = Math.min(deltaTime * 1000, 33.33);
+    collisionImpacts.length = 0;
+    stepSeconds = cappedDelta / 1000;
     Engine.update(arenaEngine, cappedDelta);
 }
 
+/**
+ * Gets the contacts that started during the latest step
+ * @returns {Array} Array of {bodyA, bodyB, speed}
+ */
+function getCollisionImpacts() {
+    return collisionImpacts;
+}
+
 /**
  * Adds a body to the arena world
  * @param {Matter.Body} body - The body to add
@@ -137,6 +266,37 @@ function applyForceAtPosition(body, worldPos, force) {
     Body.applyForce(body, physPos, physForce);
 }
 
+/**
+ * Applies an instant impulse to a body at a specific world position: the
+ * velocity change (impulse / mass, plus spin from the offset) is set
+ * directly in Matter's velocity units, which don't depend on the step length
+ * @param {Matter.Body} body - The physics body
+ * @param {object} worldPos - World position {x, y} to apply the impulse at
+ * @param {object} impulse - Impulse vector {x, y} in force units × seconds
+ *   (the force applyForceAtPosition takes, held for that long)
+ */
+function applyImpulseAtPosition(body, worldPos, impulse) {
+    const physPos = worldToPhysics(worldPos.x, worldPos.y);
+    
+    // A force accelerates a body by force × PHYSICS_SCALE × 0.001 / mass per
+    // ms², so held for `impulse` seconds it adds impulse × PHYSICS_SCALE / mass
+    // per ms. Matter's velocities are displacement per Body._baseDelta ms
+    // whatever the step length (setVelocity rescales them to the step taken)
+    const physImpulse = {
+        x: impulse.x * PHYSICS_SCALE * Body._baseDelta,
+        y: -impulse.y * PHYSICS_SCALE * Body._baseDelta
+    };
+    const offsetX = physPos.x - body.position.x;
+    const offsetY = physPos.y - body.position.y;
+    
+    const velocity = Body.getVelocity(body);
+    Body.setVelocity(body, {
+        x: velocity.x + physImpulse.x / body.mass,
+        y: velocity.y + physImpulse.y / body.mass
+    });
+    Body.setAngularVelocity(body, Body.getAngularVelocity(body) + (offsetX * physImpulse.y - offsetY * physImpulse.x) / body.inertia);
+}
+
 /**
  * Applies torque to rotate a body
  * @param {Matter.Body} body - The physics body
@@ -180,8 +340,10 @@ function clearArenaPhysics() {
         walls = [];
     }
     if (arenaEngine) {
+        Events.off(arenaEngine, 'collisionStart', recordCollisionImpacts);
         Engine.clear(arenaEngine);
     }
+    collisionImpacts.length = 0;
     arenaEngine = null;
     arenaWorld = null;
 }
@@ -189,14 +351,24 @@ function clearArenaPhysics() {
 function getArenaEngine() { return arenaEngine; }
 function getArenaWorld() { return arenaWorld; }
 function getArenaPhysicsScale() { return PHYSICS_SCALE; }
-function getArenaDimensions() { return { width: ARENA_WIDTH, height: ARENA_HEIGHT }; }
+/**
+ * Bounding size of the current arena (a circle's is its diameter)
+ * @returns {{width: number, height: number}}
+ */
+function getArenaDimensions() {
+    const { width, height } = getArenaGeometry();
+    return { width, height };
+}
 
 export {
     createArenaPhysics,
+    createArenaBlockers,
     stepArenaPhysics,
+    getCollisionImpacts,
     addToArena,
     removeFromArena,
     applyForceAtPosition,
+    applyImpulseAtPosition,
     applyTorque,
     getArenaBodyPosition,
     setArenaBodyPosition,
@@ -1,9 +1,12 @@
 // Arena ship - builds a compound physics body from grid pieces
+//
+// Pure simulation state: no meshes are created here, so ships can be built
+// headless. The arena attaches visuals afterwards via shipVisuals.js.
 
-import * as THREE from 'three';
 import { addToArena, removeFromArena, getArenaPhysicsScale } from './arenaPhysics.js';
-import { EQUIPMENT_DEFINITIONS, isThrusterType, isCannonType } from '../pieces/equipment.js';
+import { EQUIPMENT_DEFINITIONS, isThrusterType, isWeaponType, isBeamType, isPointDefenseType, isReactorType, isShieldType } from '../pieces/equipment.js';
 import { CORE_DEFINITION } from '../pieces/core.js';
+import { DAMAGE_TYPES } from '../pieces/damageTypes.js';
 import { getEquipmentForward } from '../math.js';
 
 // Matter.js is loaded globally from CDN
@@ -13,12 +16,6 @@ const Bodies = Matter.Bodies;
 // Ship scale in arena (relative to design screen)
 const ARENA_SHIP_SCALE = 0.75;
 
-// Team colors for ship tinting
-const TEAM_COLORS = {
-    1: 0x4488ff,  // Team 1 (player) - blue
-    2: 0xff4444   // Team 2 (enemy) - red
-};
-
 /**
  * Creates an arena ship from grid pieces
  * @param {Array} gridPieces - Pieces placed on the design grid
@@ -27,7 +24,7 @@ const TEAM_COLORS = {
  * @param {number} options.spawnX - Spawn X position in world coordinates
  * @param {number} options.spawnY - Spawn Y position in world coordinates
  * @param {object} options.controller - Controller instance for this ship
- * @returns {object} Arena ship object with body, mesh, thrusters, core info
+ * @returns {object} Arena ship object with body, thrusters, cannons, beams, point defenses, reactors, shields, core info (mesh is null until attached)
  */
 function createArenaShip(gridPieces, options = {}) {
     if (!gridPieces || gridPieces.length === 0) {
@@ -44,7 +41,7 @@ function createArenaShip(gridPieces, options = {}) {
     const com = calculateCenterOfMass(gridPieces);
     
     // Build compound body parts
-    const { bodyParts, parts, thrusters, cannons, core } = buildBodyParts(gridPieces, com);
+    const { bodyParts, parts, thrusters, cannons, beams, pointDefenses, reactors, shields, core } = buildBodyParts(gridPieces, com);
     
     if (bodyParts.length === 0) {
         console.warn('No body parts created');
@@ -69,58 +66,82 @@ function createArenaShip(gridPieces, options = {}) {
         y: -spawnY * scale
     });
     
-    // Create visual mesh group (pass cannons and parts to link meshes)
-    const meshGroup = createShipMesh(gridPieces, com, cannons, parts);
-    
-    // Apply team color tint to the ship
-    applyTeamColor(meshGroup, team);
-    
     const ship = {
         body: compoundBody,
-        mesh: meshGroup,
+        mesh: null,         // Set by attachShipMesh() when rendered
         parts: parts,       // Part tracking with HP and broken state
         thrusters: thrusters,
         cannons: cannons,
+        beams: beams,
+        pointDefenses: pointDefenses,
+        reactors: reactors,
+        shields: shields,
         core: core,
         centerOfMass: com,
         scale: ARENA_SHIP_SCALE,
         team: team,
         controller: controller,
-        destroyed: false    // Set to true when core is destroyed
+        destroyed: false,   // Set to true when core is destroyed
+        pendingRecoil: [],  // Recoil from this tick's shots, applied by updateWeaponSystem
+        simTime: 0,         // Simulated seconds this ship has existed (thruster overheat clock)
+        fuel: createShipFuel(parts),
+        power: createShipPower(core, reactors),
+        stats: createShipStats()
     };
     
     return ship;
 }
 
 /**
- * Applies team color tint to a ship mesh
- * @param {THREE.Group} meshGroup - Ship mesh group
- * @param {number} team - Team number
+ * Creates the per-fight combat stats counters for a ship
+ * @returns {object} Zeroed stats
  */
-function applyTeamColor(meshGroup, team) {
-    const teamColor = TEAM_COLORS[team] ?? TEAM_COLORS[1];
-    const tintColor = new THREE.Color(teamColor);
-    
-    meshGroup.traverse((child) => {
-        if (child.isMesh && child.material) {
-            // Clone material to avoid affecting original pieces
-            if (Array.isArray(child.material)) {
-                child.material = child.material.map(m => {
-                    const cloned = m.clone();
-                    // Blend team color with original color
-                    if (cloned.color) {
-                        cloned.color.lerp(tintColor, 0.3);
-                    }
-                    return cloned;
-                });
-            } else {
-                child.material = child.material.clone();
-                if (child.material.color) {
-                    child.material.color.lerp(tintColor, 0.3);
-                }
-            }
-        }
-    });
+function createShipStats() {
+    return {
+        shotsFired: 0,
+        shotsHit: 0,
+        damageDealt: 0,
+        damageTaken: 0
+    };
+}
+
+/**
+ * Creates a ship's thruster fuel pool, starting full. Capacity is the core's
+ * plus every fuel tank's; thrustSystem.js drains and refills it.
+ * @param {Array} parts - Part tracking array from buildBodyParts
+ * @returns {object} { amount, capacity, regen, burn } (burn = fuel/s requested this tick)
+ */
+function createShipFuel(parts) {
+    const capacity = parts.reduce((sum, part) => sum + part.fuelCapacity, 0);
+    return {
+        amount: capacity,
+        capacity: capacity,
+        regen: CORE_DEFINITION.fuelRegen,
+        burn: 0
+    };
+}
+
+/**
+ * Creates a ship's power bank, starting full. Generation and capacity come
+ * from the core and every reactor; powerSystem.js charges and spends it.
+ * @param {object|null} core - Core info from buildBodyParts
+ * @param {Array} reactors - Reactor info from buildBodyParts
+ * @returns {object} { stored, capacity, generation, tickLength, reserve }
+ */
+function createShipPower(core, reactors) {
+    let capacity = core ? core.powerCapacity : 0;
+    let generation = core ? core.powerGeneration : 0;
+    for (const reactor of reactors) {
+        capacity += reactor.powerCapacity;
+        generation += reactor.powerGeneration;
+    }
+    return {
+        stored: capacity,
+        capacity: capacity,
+        generation: generation,
+        tickLength: 0,      // Seconds in the current tick (set by beginPowerTick)
+        reserve: {}         // Consumer kind -> energy it must leave for higher priorities
+    };
 }
 
 /**
@@ -150,11 +171,28 @@ function calculateCenterOfMass(gridPieces) {
     };
 }
 
+/**
+ * Picks the guidance stats a launcher's missiles steer with
+ * @param {object} def - Cannon or launcher definition
+ * @returns {object|null} Guidance stats, or null for unguided cannons
+ */
+function createMissileGuidance(def) {
+    if (def.equipmentType !== 'launcher') return null;
+    return {
+        maxSpeed: def.maxSpeed,
+        acceleration: def.acceleration,
+        turnRate: def.turnRate,
+        fuelTime: def.fuelTime,
+        seekerCone: def.seekerCone,
+        lockRange: def.lockRange
+    };
+}
+
 /**
  * Builds Matter.js body parts from grid pieces
  * @param {Array} gridPieces - Grid pieces
  * @param {object} com - Center of mass
- * @returns {object} Body parts array, parts tracking array, and thruster/core/cannon info
+ * @returns {object} Body parts array, parts tracking array, and thruster/core/cannon/beam/point-defense/reactor/shield info
  */
 function buildBodyParts(gridPieces, com) {
     const scale = getArenaPhysicsScale();
@@ -162,6 +200,10 @@ function buildBodyParts(gridPieces, com) {
     const parts = [];  // Tracks HP and broken state for each part
     const thrusters = [];
     const cannons = [];
+    const beams = [];
+    const pointDefenses = [];
+    const reactors = [];
+    const shields = [];
     let core = null;
     
     for (const piece of gridPieces) {
@@ -188,6 +230,7 @@ function buildBodyParts(gridPieces, com) {
         // Determine HP from piece definition
         const isCore = piece.category === 'core' || piece.type === 'core';
         const hp = piece.definition?.hp ?? (isCore ? CORE_DEFINITION.hp : 6);
+        const fuelCapacity = piece.definition?.fuelCapacity ?? (isCore ? CORE_DEFINITION.fuelCapacity : 0);
         
         // Track part with HP and broken state
         parts.push({
@@ -197,7 +240,10 @@ function buildBodyParts(gridPieces, com) {
             maxHp: hp,
             broken: false,
             isCore: isCore,
-            mesh: null  // Will be linked in createShipMesh
+            fuelCapacity: fuelCapacity,  // Fuel this part holds (core and tanks); lost when broken
+            resistances: piece.definition?.resistances ?? null,  // Damage type -> fraction ignored
+            ramDamage: piece.definition?.ramDamage ?? 1,  // Multiplies the impact damage this part deals
+            mesh: null  // Linked by attachShipMesh() for damage visuals
         });
         
         // Track thrusters for force application
@@ -210,6 +256,8 @@ function buildBodyParts(gridPieces, com) {
                 localPos: { x: localX, y: localY },
                 localAngle: piece.angle,
                 thrustForce: thrusterDef.thrustForce,
+                fuelBurn: thrusterDef.fuelBurn ?? 0,
+                powerDraw: thrusterDef.powerDraw ?? 0,
                 // Exhaust direction = equipment forward = +Y in local space at angle 0
                 // Ship is pushed opposite to exhaust direction
                 exhaustDir: mainExhaustDir,
@@ -237,6 +285,8 @@ function buildBodyParts(gridPieces, com) {
                     localPos: { x: localX, y: localY },
                     localAngle: sideAngle,
                     thrustForce: thrusterDef.sideThrust.force,
+                    fuelBurn: thrusterDef.fuelBurn ?? 0,
+                    powerDraw: thrusterDef.powerDraw ?? 0,
                     exhaustDir: sideExhaustDir,
                     disabled: false,
                     isVirtual: true,
@@ -261,6 +311,8 @@ function buildBodyParts(gridPieces, com) {
                     localPos: { x: localX, y: localY },
                     localAngle: backAngle,
                     thrustForce: thrusterDef.backThrust.force,
+                    fuelBurn: thrusterDef.fuelBurn ?? 0,
+                    powerDraw: thrusterDef.powerDraw ?? 0,
                     exhaustDir: backExhaustDir,
                     disabled: false,
                     isVirtual: true,
@@ -276,8 +328,8 @@ function buildBodyParts(gridPieces, com) {
             }
         }
         
-        // Track cannons for weapon system
-        if (isCannonType(piece.type)) {
+        // Track cannons (and missile launchers) for weapon system
+        if (isWeaponType(piece.type)) {
             const cannonDef = piece.definition || EQUIPMENT_DEFINITIONS[piece.type];
             cannons.push({
                 piece: piece,
@@ -291,6 +343,8 @@ function buildBodyParts(gridPieces, com) {
                 projectileLifetime: cannonDef.projectileLifetime,
                 reloadTime: cannonDef.reloadTime,
                 damage: cannonDef.damage,
+                damageType: cannonDef.damageType ?? DAMAGE_TYPES.KINETIC,
+                energyPerShot: cannonDef.energyPerShot ?? 0,
                 // Spread
                 spread: cannonDef.spread || 0,
                 // Burst
@@ -298,6 +352,14 @@ function buildBodyParts(gridPieces, com) {
                 burstDelay: cannonDef.burstDelay || 0,
                 // Penetration
                 penetrating: cannonDef.penetrating || false,
+                // Interceptor hits needed to shoot the projectile down
+                projectileHp: cannonDef.projectileHp,
+                // Blast on impact or expiry (null for plain shots)
+                explosive: cannonDef.explosive ?? null,
+                // Impulse kicked back into the ship per shot
+                recoil: cannonDef.recoil ?? 0,
+                // Missile guidance (launchers only)
+                guidance: createMissileGuidance(cannonDef),
                 // Runtime state
                 currentAimOffset: 0,    // Current turret rotation offset from base angle
                 reloadTimer: 0,         // Time until can fire again
@@ -307,170 +369,129 @@ function buildBodyParts(gridPieces, com) {
             });
         }
         
-        // Track core for omni-thrust
-        if (isCore) {
-            core = {
+        // Track beam weapons for weapon system
+        if (isBeamType(piece.type)) {
+            const beamDef = piece.definition || EQUIPMENT_DEFINITIONS[piece.type];
+            beams.push({
                 piece: piece,
                 localPos: { x: localX, y: localY },
-                omniThrustForce: CORE_DEFINITION.omniThrustForce,
-                angularThrustForce: CORE_DEFINITION.angularThrustForce
-            };
+                localAngle: piece.angle,
+                // Weapon stats from definition
+                firingArc: beamDef.firingArc,
+                aimingArc: beamDef.aimingArc,
+                aimingSpeed: beamDef.aimingSpeed,
+                range: beamDef.range,
+                damagePerSecond: beamDef.damagePerSecond,
+                damageType: beamDef.damageType ?? DAMAGE_TYPES.ENERGY,
+                chargeTime: beamDef.chargeTime,
+                heatCapacity: beamDef.heatCapacity,
+                coolRate: beamDef.coolRate,
+                powerDraw: beamDef.powerDraw ?? 0,
+                beamColor: beamDef.beamColor,
+                // Runtime state
+                currentAimOffset: 0,    // Current turret rotation offset from base angle
+                triggered: false,       // Trigger held this tick (set by fireAllBeams)
+                charge: 0,              // Seconds the trigger has been held, up to chargeTime
+                heat: 0,                // Seconds of fire built up, cooling when idle
+                overheated: false,      // Locked out until heat falls back to 0
+                firing: false,          // Beam on this tick
+                tickDamage: 0,          // Damage the beam deals this tick
+                start: null,            // World {x, y} of the muzzle while firing
+                end: null,              // World {x, y} where the beam stopped
+                disabled: false         // Set to true when supporting block breaks
+            });
         }
-    }
-    
-    return { bodyParts, parts, thrusters, cannons, core };
-}
-
-/**
- * Creates the Three.js mesh group for the ship
- * Clones and scales meshes from original pieces
- * @param {Array} gridPieces - Grid pieces
- * @param {object} com - Center of mass
- * @param {Array} cannons - Cannon data array to attach turret mesh references
- * @param {Array} parts - Parts array to attach mesh references for damage visuals
- * @returns {THREE.Group} Ship mesh group
- */
-function createShipMesh(gridPieces, com, cannons, parts) {
-    const group = new THREE.Group();
-    
-    // Build maps for piece id lookups
-    const cannonsByPieceId = new Map();
-    for (const cannon of cannons) {
-        cannonsByPieceId.set(cannon.piece.id, cannon);
-    }
-    
-    const partsByPieceId = new Map();
-    for (const part of parts) {
-        partsByPieceId.set(part.piece.id, part);
-    }
-    
-    for (const piece of gridPieces) {
-        if (!piece.mesh) continue;
-        
-        // Clone the mesh
-        const clonedMesh = piece.mesh.clone();
         
-        // Position relative to center of mass
-        const localX = (piece.x - com.x) * ARENA_SHIP_SCALE;
-        const localY = (piece.y - com.y) * ARENA_SHIP_SCALE;
-        
-        clonedMesh.position.set(localX, localY, 0);
-        clonedMesh.rotation.z = piece.angle;
-        clonedMesh.scale.setScalar(ARENA_SHIP_SCALE);
+        // Track point-defense turrets (aim and fire on their own)
+        if (isPointDefenseType(piece.type)) {
+            const pdDef = piece.definition || EQUIPMENT_DEFINITIONS[piece.type];
+            pointDefenses.push({
+                piece: piece,
+                localPos: { x: localX, y: localY },
+                localAngle: piece.angle,
+                // Turret and targeting stats from definition
+                aimingArc: pdDef.aimingArc,
+                aimingSpeed: pdDef.aimingSpeed,
+                range: pdDef.range,
+                interceptorSpeed: pdDef.interceptorSpeed,
+                interceptorLifetime: pdDef.interceptorLifetime,
+                interceptorDamage: pdDef.interceptorDamage,
+                spread: pdDef.spread || 0,
+                reloadTime: pdDef.reloadTime,
+                energyPerShot: pdDef.energyPerShot ?? 0,
+                // Runtime state
+                currentAimOffset: 0,    // Current turret rotation offset from base angle
+                reloadTimer: 0,         // Time until can fire again
+                target: null,           // Projectile being tracked this tick
+                disabled: false         // Set to true when supporting block breaks
+            });
+        }
         
-        group.add(clonedMesh);
+        // Track reactors for the power system
+        if (isReactorType(piece.type)) {
+            const reactorDef = piece.definition || EQUIPMENT_DEFINITIONS[piece.type];
+            reactors.push({
+                piece: piece,
+                powerGeneration: reactorDef.powerGeneration,
+                powerCapacity: reactorDef.powerCapacity,
+                disabled: false         // Set to true when it or its supporting block breaks
+            });
+        }
         
-        // Link mesh to part for damage visuals
-        const partData = partsByPieceId.get(piece.id);
-        if (partData) {
-            partData.mesh = clonedMesh;
+        // Track shield generators for the shield system
+        if (isShieldType(piece.type)) {
+            const shieldDef = piece.definition || EQUIPMENT_DEFINITIONS[piece.type];
+            shields.push({
+                piece: piece,
+                localPos: { x: localX, y: localY },
+                localAngle: piece.angle,
+                arc: shieldDef.coverageArc,
+                radius: shieldDef.shieldRadius,
+                regenDelay: shieldDef.regenDelay,
+                regenRate: shieldDef.regenRate,
+                // Runtime state
+                hp: shieldDef.shieldHp,
+                maxHp: shieldDef.shieldHp,
+                sinceHit: Infinity,     // Seconds since the last absorbed hit
+                disabled: false         // Set to true when it or its supporting block breaks
+            });
         }
         
-        // If this is a cannon, find and store the turret mesh reference
-        if (isCannonType(piece.type)) {
-            const cannonData = cannonsByPieceId.get(piece.id);
-            if (cannonData) {
-                const turret = clonedMesh.getObjectByName('turret');
-                if (turret) {
-                    cannonData.turretMesh = turret;
-                }
-            }
+        // Track core for omni-thrust and its built-in generator
+        if (isCore) {
+            core = {
+                piece: piece,
+                localPos: { x: localX, y: localY },
+                omniThrustForce: CORE_DEFINITION.omniThrustForce,
+                angularThrustForce: CORE_DEFINITION.angularThrustForce,
+                powerGeneration: CORE_DEFINITION.powerGeneration,
+                powerCapacity: CORE_DEFINITION.powerCapacity
+            };
         }
     }
     
-    return group;
+    return { bodyParts, parts, thrusters, cannons, beams, pointDefenses, reactors, shields, core };
 }
 
 /**
- * Updates ship mesh position from physics body
+ * Removes an arena ship's physics body from the world.
+ * Mesh disposal is handled separately by disposeShipMesh().
  * @param {object} ship - Arena ship object
  */
-function syncShipMeshToBody(ship) {
-    if (!ship || !ship.body || !ship.mesh) return;
-    
-    const scale = getArenaPhysicsScale();
-    const body = ship.body;
-    
-    // Convert physics position to world position
-    ship.mesh.position.x = body.position.x / scale;
-    ship.mesh.position.y = -body.position.y / scale;
-    ship.mesh.rotation.z = -body.angle;
-}
-
-/**
- * Destroys an arena ship
- * @param {object} ship - Arena ship object
- * @param {THREE.Scene} scene - The scene to remove mesh from
- */
-function destroyArenaShip(ship, scene) {
+function destroyArenaShip(ship) {
     if (!ship) return;
     
     if (ship.body) {
         removeFromArena(ship.body);
-    }
-    
-    if (ship.mesh && scene) {
-        scene.remove(ship.mesh);
-        // Dispose of geometries and materials
-        ship.mesh.traverse((child) => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(m => m.dispose());
-                } else {
-                    child.material.dispose();
-                }
-            }
-        });
+        ship.body = null;
     }
 }
 
 function getArenaShipScale() { return ARENA_SHIP_SCALE; }
 
-/**
- * Applies a very dark tint to a mesh to indicate it's broken
- * @param {THREE.Object3D} mesh - The mesh to tint
- */
-function applyBrokenTint(mesh) {
-    if (!mesh) return;
-    
-    const darkMultiplier = 0.2;  // Very dark tint
-    
-    mesh.traverse((child) => {
-        if (child.isMesh && child.material) {
-            // Handle array of materials or single material
-            const materials = Array.isArray(child.material) 
-                ? child.material 
-                : [child.material];
-            
-            for (const mat of materials) {
-                // Darken the color
-                if (mat.color) {
-                    mat.color.multiplyScalar(darkMultiplier);
-                }
-                // Remove emissive glow
-                if (mat.emissive) {
-                    mat.emissive.setHex(0x000000);
-                }
-                if (mat.emissiveIntensity !== undefined) {
-                    mat.emissiveIntensity = 0;
-                }
-            }
-        }
-        
-        // Also darken line materials (edges)
-        if (child.isLineSegments && child.material) {
-            child.material.color.multiplyScalar(darkMultiplier);
-            child.material.opacity *= darkMultiplier;
-        }
-    });
-}
-
 export {
     createArenaShip,
-    syncShipMeshToBody,
     destroyArenaShip,
     calculateCenterOfMass,
-    getArenaShipScale,
-    applyBrokenTint
+    getArenaShipScale
 };
@@ -1,4 +1,9 @@
-// Arena type definitions -- name, visual theme, and hazard configuration
+// Arena type definitions -- name, visual theme, geometry, hazards, and static blockers
+//
+// Geometry format (boundary shape and interior walls) is documented in
+// arenaGeometry.js, blocker format in blockers.js.
+
+import { RNG_STREAMS, randomInt, deriveSeed } from '../rng.js';
 
 const ARENA_TYPES = {
     base: {
@@ -10,7 +15,9 @@ const ARENA_TYPES = {
             markerColor: 0x666688,
             backgroundColor: 0x1a1a2e
         },
-        hazards: []
+        geometry: { shape: 'rect', width: 80, height: 60 },
+        hazards: [],
+        blockers: []
     },
     saw: {
         name: 'The Shredder',
@@ -21,10 +28,12 @@ const ARENA_TYPES = {
             markerColor: 0x886633,
             backgroundColor: 0x2e1a1a
         },
+        geometry: { shape: 'rect', width: 80, height: 60 },
         hazards: [
             { type: 'sawblade', path: 'wallLoop', direction: -1, offsetFraction: 0 },
             { type: 'sawblade', path: 'wallLoop', direction: -1, offsetFraction: 0.5 }
-        ]
+        ],
+        blockers: []
     },
     energy: {
         name: 'The Conduit',
@@ -35,10 +44,78 @@ const ARENA_TYPES = {
             markerColor: 0x33aa88,
             backgroundColor: 0x0d1a2e
         },
+        geometry: { shape: 'rect', width: 80, height: 60 },
         hazards: [
             { type: 'energyball', pathY: 10, count: 1, startOffset: 0 },
             { type: 'energyball', pathY: -10, count: 1, startOffset: 0.5 }
+        ],
+        blockers: []
+    },
+    pillars: {
+        name: 'The Quarry',
+        theme: {
+            wallColor: 0x887755,
+            gridColor1: 0x3a3328,
+            gridColor2: 0x2b261e,
+            markerColor: 0x998866,
+            backgroundColor: 0x1e1a14
+        },
+        geometry: { shape: 'rect', width: 80, height: 60 },
+        hazards: [],
+        // Bar and diamond break the spawn-to-spawn line of fire; the pillars give cover on the flanks
+        blockers: [
+            { x: 0, y: -10, vertices: [{ x: -6, y: -1 }, { x: 6, y: -1 }, { x: 6, y: 1 }, { x: -6, y: 1 }] },
+            { x: 0, y: 8, vertices: [{ x: 0, y: 3 }, { x: 3, y: 0 }, { x: 0, y: -3 }, { x: -3, y: 0 }] },
+            { x: -20, y: 4, radius: 3.5 },
+            { x: 20, y: 4, radius: 3.5 }
         ]
+    },
+    ring: {
+        name: 'The Crucible',
+        theme: {
+            wallColor: 0x9944aa,
+            gridColor1: 0x33223a,
+            gridColor2: 0x24182b,
+            markerColor: 0x885599,
+            backgroundColor: 0x1a1020
+        },
+        // Four short baffles on the diagonals; the spawn axis stays open
+        geometry: {
+            shape: 'circle',
+            radius: 32,
+            walls: [
+                { x1: 10, y1: 10, x2: 17, y2: 17 },
+                { x1: -10, y1: 10, x2: -17, y2: 17 },
+                { x1: -10, y1: -10, x2: -17, y2: -17 },
+                { x1: 10, y1: -10, x2: 17, y2: -17 }
+            ]
+        },
+        hazards: [],
+        blockers: []
+    },
+    bastion: {
+        name: 'The Bastion',
+        theme: {
+            wallColor: 0x667788,
+            gridColor1: 0x2a3038,
+            gridColor2: 0x1f242a,
+            markerColor: 0x778899,
+            backgroundColor: 0x15191e
+        },
+        // Wide octagon with a low wall across the middle and cover on the flanks
+        geometry: {
+            shape: 'octagon',
+            width: 90,
+            height: 70,
+            corner: 18,
+            walls: [
+                { x1: -8, y1: -6, x2: 8, y2: -6 },
+                { x1: -22, y1: -10, x2: -22, y2: 10 },
+                { x1: 22, y1: -10, x2: 22, y2: 10 }
+            ]
+        },
+        hazards: [],
+        blockers: []
     }
 };
 
@@ -46,7 +123,7 @@ const ARENA_KEYS = Object.keys(ARENA_TYPES);
 
 /**
  * Gets an arena type config by key
- * @param {string} key - Arena key ('base', 'saw', 'energy')
+ * @param {string} key - Arena key ('base', 'saw', 'energy', 'pillars', 'ring', 'bastion')
  * @returns {object|null} Arena config or null
  */
 function getArenaType(key) {
@@ -54,20 +131,35 @@ function getArenaType(key) {
 }
 
 /**
- * Picks a random arena type key
+ * Picks a random arena type key from the arena RNG stream
  * @returns {string} Random arena key
  */
 function getRandomArenaType() {
-    return ARENA_KEYS[Math.floor(Math.random() * ARENA_KEYS.length)];
+    return ARENA_KEYS[randomInt(RNG_STREAMS.ARENA, ARENA_KEYS.length)];
+}
+
+/**
+ * Picks an arena type key from a fight seed without touching any RNG stream,
+ * so the same seed always lands in the same arena
+ * @param {number} seed - Fight seed
+ * @returns {string} Arena key
+ */
+function getSeededArenaType(seed) {
+    return ARENA_KEYS[deriveSeed(seed, 'arena') % ARENA_KEYS.length];
 }
 
 /**
  * Resolves an arena type string, handling 'random'
  * @param {string} key - Arena key or 'random'
+ * @param {number} [seed] - Fight seed to pick 'random' from (otherwise the
+ *   run's arena stream is used)
  * @returns {object} { key, config } with the resolved arena key and its config
  */
-function resolveArenaType(key) {
-    const resolvedKey = key === 'random' ? getRandomArenaType() : key;
+function resolveArenaType(key, seed) {
+    let resolvedKey = key;
+    if (key === 'random') {
+        resolvedKey = seed === undefined ? getRandomArenaType() : getSeededArenaType(seed);
+    }
     const config = getArenaType(resolvedKey);
     if (!config) {
         console.warn(`Unknown arena type "${key}", falling back to base`);
@@ -76,4 +168,4 @@ function resolveArenaType(key) {
     return { key: resolvedKey, config };
 }
 
-export { ARENA_TYPES, getArenaType, getRandomArenaType, resolveArenaType };
+export { ARENA_TYPES, getArenaType, getRandomArenaType, getSeededArenaType, resolveArenaType };
@@ -0,0 +1,179 @@
+// Beam system - hitscan beam weapons (lasers, arc projectors)
+//
+// Beams spawn no projectiles. While the trigger is held (fireAllBeams, from
+// the controller's fire input) a beam charges for chargeTime, then stays lit,
+// drawing power and building heat every tick. After the physics step
+// checkBeamHits casts each lit beam from its mount along the aim direction:
+// it stops at the first unbroken part it can damage, wall, or blocker, and
+// deals damagePerSecond to that part. A beam that reaches heatCapacity
+// overheats and stays off until it has cooled all the way down.
+//
+// Turrets aim with the cannons (updateCannonAiming in weaponSystem.js);
+// beamVisuals.js draws ship.beams' start/end each frame.
+
+import { getArenaPhysicsScale } from './arenaPhysics.js';
+import { getArenaGeometry, raycastArena } from './arenaGeometry.js';
+import { getBlockerEntry } from './blockers.js';
+import { drawPower } from './powerSystem.js';
+import { applyDamageToPart, canDamageShip } from './weaponSystem.js';
+import { normalizeAngle, rotateVector, angleTo, getEquipmentForward, segmentPolygonEntry } from '../math.js';
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Holds the trigger on every working beam whose firing arc covers the target
+ * for this tick
+ * @param {object} ship - Arena ship
+ * @param {object} targetPos - Target position to check firing arc against (optional)
+ */
+function fireAllBeams(ship, targetPos) {
+    if (!ship || !ship.beams || ship.beams.length === 0) return;
+
+    const scale = getArenaPhysicsScale();
+    const shipX = ship.body.position.x / scale;
+    const shipY = -ship.body.position.y / scale;
+    const shipAngle = -ship.body.angle;
+
+    for (const beam of ship.beams) {
+        if (beam.disabled) continue;
+
+        if (targetPos) {
+            const rotatedLocal = rotateVector(beam.localPos, shipAngle);
+            const angleToTarget = angleTo(shipX + rotatedLocal.x, shipY + rotatedLocal.y, targetPos.x, targetPos.y);
+            // Equipment forward is +Y at angle 0, which is atan2 angle π/2
+            const baseWorldAngle = shipAngle + beam.localAngle + Math.PI / 2;
+            if (Math.abs(normalizeAngle(angleToTarget - baseWorldAngle)) > beam.firingArc / 2) continue;
+        }
+
+        beam.triggered = true;
+    }
+}
+
+/**
+ * Advances charge, heat, and power for a ship's beams. Call once per tick
+ * after the controller has had its chance to hold the trigger.
+ * @param {object} ship - Arena ship
+ * @param {number} deltaTime - Tick length in seconds
+ */
+function updateBeams(ship, deltaTime) {
+    for (const beam of ship.beams) {
+        const held = beam.triggered && !beam.disabled && !beam.overheated;
+        beam.triggered = false;
+        beam.firing = false;
+        beam.tickDamage = 0;
+
+        if (held) {
+            beam.charge = Math.min(beam.chargeTime, beam.charge + deltaTime);
+            if (beam.charge >= beam.chargeTime && drawPower(ship, 'beam', beam.powerDraw * deltaTime)) {
+                beam.firing = true;
+                beam.tickDamage = beam.damagePerSecond * deltaTime;
+                beam.heat += deltaTime;
+                if (beam.heat >= beam.heatCapacity) beam.overheated = true;
+                continue;
+            }
+        } else {
+            beam.charge = 0;
+        }
+
+        // Anything short of firing (idle, charging, stalled) sheds heat
+        beam.heat = Math.max(0, beam.heat - beam.coolRate * deltaTime);
+        if (beam.heat === 0) beam.overheated = false;
+    }
+}
+
+/**
+ * Casts every lit beam and applies its damage for this tick
+ * @param {Array} ships - All arena ships
+ * @returns {Array} Ships whose core was destroyed by a beam this tick
+ */
+function checkBeamHits(ships) {
+    const destroyed = [];
+
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body) continue;
+
+        for (const beam of ship.beams) {
+            if (!beam.firing) {
+                beam.start = null;
+                beam.end = null;
+                continue;
+            }
+
+            const hit = castBeam(ship, beam, ships);
+            beam.start = hit.start;
+            beam.end = hit.end;
+            if (!hit.part) continue;
+
+            const result = applyDamageToPart(hit.ship, hit.part, beam.tickDamage, ship, beam.damageType);
+            if (result.coreDestroyed && !destroyed.includes(hit.ship)) {
+                destroyed.push(hit.ship);
+            }
+        }
+    }
+
+    return destroyed;
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Traces a beam from its mount out to its range, stopping at the arena
+ * boundary, interior walls, blockers, or the first part it can damage
+ * @param {object} ship - Ship firing the beam
+ * @param {object} beam - Beam info from ship.beams
+ * @param {Array} ships - All arena ships
+ * @returns {{start: object, end: object, ship: object|null, part: object|null}}
+ */
+function castBeam(ship, beam, ships) {
+    const scale = getArenaPhysicsScale();
+    const shipAngle = -ship.body.angle;
+    const rotatedLocal = rotateVector(beam.localPos, shipAngle);
+    const start = {
+        x: ship.body.position.x / scale + rotatedLocal.x,
+        y: -ship.body.position.y / scale + rotatedLocal.y
+    };
+    const dir = getEquipmentForward(shipAngle + beam.localAngle + beam.currentAimOffset);
+
+    // Walls cap the reach; blockers and parts cut it shorter
+    const reach = Math.min(beam.range, Math.max(0, raycastArena(getArenaGeometry(), start.x, start.y, dir.x, dir.y)));
+    const endX = start.x + dir.x * reach;
+    const endY = start.y + dir.y * reach;
+    let fraction = getBlockerEntry(start.x, start.y, endX, endY) ?? 1;
+
+    // Part vertices are in physics coordinates; the fraction along the
+    // segment is the same in either space
+    const ax = start.x * scale;
+    const ay = -start.y * scale;
+    const bx = endX * scale;
+    const by = -endY * scale;
+    let hitShip = null;
+    let hitPart = null;
+
+    for (const target of ships) {
+        if (!target || target.destroyed || !target.body) continue;
+        if (!canDamageShip(ship, target)) continue;
+
+        for (const part of target.parts) {
+            if (part.broken) continue;
+            const t = segmentPolygonEntry(ax, ay, bx, by, part.body.vertices);
+            if (t !== null && t < fraction) {
+                fraction = t;
+                hitShip = target;
+                hitPart = part;
+            }
+        }
+    }
+
+    return {
+        start,
+        end: { x: start.x + (endX - start.x) * fraction, y: start.y + (endY - start.y) * fraction },
+        ship: hitShip,
+        part: hitPart
+    };
+}
+
+export { fireAllBeams, updateBeams, checkBeamHits };
@@ -0,0 +1,96 @@
+// Beam visuals - Three.js lines mirroring the beam system's lit beams
+//
+// beamSystem.js leaves each lit beam's start/end on ship.beams after the
+// tick; this module keeps one glowing strip per beam, stretched between
+// those points and hidden while the beam is dark. Beams are drawn where the
+// latest tick cast them (no interpolation), since they only live a tick.
+
+import * as THREE from 'three';
+
+// Beam visual settings
+const BEAM_WIDTH = 0.12;
+const BEAM_Z = 0.25;
+const BEAM_OPACITY = 0.85;
+
+let sceneRef = null;
+let sharedGeometry = null;
+
+// Beam info object -> mesh
+const meshesByBeam = new Map();
+
+/**
+ * Initializes beam visuals for a scene
+ * @param {THREE.Scene} scene - Scene to add beam meshes to
+ */
+function initBeamVisuals(scene) {
+    sceneRef = scene;
+    // Unit-length strip along +X; syncBeamVisuals stretches and turns it
+    sharedGeometry = new THREE.PlaneGeometry(1, BEAM_WIDTH);
+}
+
+/**
+ * Matches beam strips to the ships' current beams
+ * @param {Array} ships - All arena ships
+ */
+function syncBeamVisuals(ships) {
+    if (!sceneRef) return;
+
+    const live = new Set();
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.beams) continue;
+        for (const beam of ship.beams) {
+            live.add(beam);
+            let mesh = meshesByBeam.get(beam);
+            if (!mesh) {
+                mesh = new THREE.Mesh(sharedGeometry, new THREE.MeshBasicMaterial({
+                    color: beam.beamColor,
+                    transparent: true,
+                    opacity: BEAM_OPACITY,
+                    side: THREE.DoubleSide
+                }));
+                sceneRef.add(mesh);
+                meshesByBeam.set(beam, mesh);
+            }
+
+            mesh.visible = beam.firing && !!beam.start;
+            if (!mesh.visible) continue;
+
+            const dx = beam.end.x - beam.start.x;
+            const dy = beam.end.y - beam.start.y;
+            mesh.position.set(beam.start.x + dx / 2, beam.start.y + dy / 2, BEAM_Z);
+            mesh.rotation.z = Math.atan2(dy, dx);
+            mesh.scale.x = Math.max(Math.hypot(dx, dy), 0.001);
+        }
+    }
+
+    for (const [beam, mesh] of meshesByBeam) {
+        if (!live.has(beam)) removeBeamMesh(beam, mesh);
+    }
+}
+
+/**
+ * Removes all beam meshes and releases shared resources
+ */
+function cleanupBeamVisuals() {
+    for (const [beam, mesh] of meshesByBeam) {
+        removeBeamMesh(beam, mesh);
+    }
+    if (sharedGeometry) sharedGeometry.dispose();
+    sharedGeometry = null;
+    sceneRef = null;
+}
+
+/**
+ * Takes one beam's strip out of the scene and frees its material
+ */
+function removeBeamMesh(beam, mesh) {
+    if (sceneRef) sceneRef.remove(mesh);
+    mesh.material.dispose();
+    meshesByBeam.delete(beam);
+}
+
+export {
+    initBeamVisuals,
+    syncBeamVisuals,
+    cleanupBeamVisuals
+};
@@ -0,0 +1,159 @@
+// Blocker system -- static circular and polygonal obstacles
+//
+// Blockers come from the arena type (arenaTypes.js) plus any a level adds.
+// They are static Matter bodies, so ships bounce off them; projectiles are
+// not physics bodies, so checkProjectileCollisions asks isPointInBlocker()
+// and beams ask getBlockerEntry().
+//
+// Blocker definitions (world units, Y up):
+//   circle:  { x, y, radius }
+//   polygon: { x, y, vertices: [{x, y}, ...] }   // convex, relative to (x, y)
+//
+// Live blockers also carry `radius` for polygons (the farthest vertex), which
+// is what sensing and the debug overlay read.
+
+import { createArenaBlockers } from './arenaPhysics.js';
+import { segmentPolygonEntry } from '../math.js';
+
+// ---------------------------------------------------------------------------
+// Module state
+// ---------------------------------------------------------------------------
+const blockers = [];    // { x, y, radius, points: [{x, y}] absolute | null }
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates blockers and their physics bodies. Call after createArenaPhysics().
+ * @param {Array} defs - Blocker definitions
+ */
+function initBlockers(defs) {
+    for (const def of defs) {
+        blockers.push({
+            x: def.x,
+            y: def.y,
+            radius: getBlockerRadius(def),
+            points: def.vertices ? def.vertices.map(v => ({ x: def.x + v.x, y: def.y + v.y })) : null
+        });
+    }
+    createArenaBlockers(defs);
+}
+
+/**
+ * Whether a world point lies inside any blocker
+ * @param {number} x - World X
+ * @param {number} y - World Y
+ * @returns {boolean}
+ */
+function isPointInBlocker(x, y) {
+    return blockers.some(blocker => (blocker.points
+        ? isPointInConvexPolygon(x, y, blocker.points)
+        : Math.hypot(x - blocker.x, y - blocker.y) <= blocker.radius));
+}
+
+/**
+ * Where a segment first enters any blocker (for beams, which stop there)
+ * @param {number} ax - Start X
+ * @param {number} ay - Start Y
+ * @param {number} bx - End X
+ * @param {number} by - End Y
+ * @returns {number|null} Fraction along a->b, or null if no blocker is in the way
+ */
+function getBlockerEntry(ax, ay, bx, by) {
+    let nearest = null;
+    for (const blocker of blockers) {
+        const t = blocker.points
+            ? segmentPolygonEntry(ax, ay, bx, by, blocker.points)
+            : segmentCircleEntry(ax, ay, bx, by, blocker);
+        if (t !== null && (nearest === null || t < nearest)) nearest = t;
+    }
+    return nearest;
+}
+
+/**
+ * Returns the live blockers ({x, y, radius} plus polygon points) for sensing
+ * @returns {Array}
+ */
+function getBlockers() {
+    return blockers;
+}
+
+/**
+ * Clears all blocker state (the physics bodies go with the arena world)
+ */
+function cleanupBlockers() {
+    blockers.length = 0;
+}
+
+// ---------------------------------------------------------------------------
+// Geometry
+// ---------------------------------------------------------------------------
+
+/**
+ * Bounding radius of a blocker definition: its radius, or its farthest vertex
+ * @param {object} def - Blocker definition
+ * @returns {number}
+ */
+function getBlockerRadius(def) {
+    if (!def.vertices) return def.radius;
+    return Math.max(...def.vertices.map(v => Math.hypot(v.x, v.y)));
+}
+
+/**
+ * Whether vertices form a convex polygon with a consistent winding
+ * (Matter can't build concave bodies without poly-decomp)
+ * @param {Array} vertices - [{x, y}, ...]
+ * @returns {boolean}
+ */
+function isConvexPolygon(vertices) {
+    if (vertices.length < 3) return false;
+    let sign = 0;
+    for (let i = 0; i < vertices.length; i++) {
+        const cross = edgeCross(vertices, i);
+        if (cross === 0) continue;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return sign !== 0;
+}
+
+/** Cross product of edge i (v[i] -> v[i+1]) with edge i+1 */
+function edgeCross(vertices, i) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % vertices.length];
+    const c = vertices[(i + 2) % vertices.length];
+    return (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+}
+
+/** Fraction along a->b where the segment enters a circle (0 if a is inside), or null */
+function segmentCircleEntry(ax, ay, bx, by, circle) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const fx = ax - circle.x;
+    const fy = ay - circle.y;
+    const c = fx * fx + fy * fy - circle.radius * circle.radius;
+    if (c <= 0) return 0;
+    const a = dx * dx + dy * dy;
+    const b = fx * dx + fy * dy;
+    const disc = b * b - a * c;
+    if (a === 0 || disc < 0) return null;
+    const t = (-b - Math.sqrt(disc)) / a;
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+/** Point test for a convex polygon of either winding: same side of every edge */
+function isPointInConvexPolygon(x, y, points) {
+    let sign = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+        if (cross === 0) continue;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return true;
+}
+
+export { initBlockers, isPointInBlocker, getBlockerEntry, getBlockers, cleanupBlockers, getBlockerRadius, isConvexPolygon };
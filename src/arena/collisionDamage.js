@@ -0,0 +1,137 @@
+// Collision damage - ramming and wall impacts
+//
+// arenaPhysics.js records every contact that started during the physics step
+// along with how fast the two surfaces were closing. One collision usually
+// touches several parts at once, so the contacts are first grouped into one
+// collision per pair of ships (or per ship against walls and blockers, which
+// count as infinitely heavy). Each collision's impulse is reduced mass ×
+// the fastest closing speed (world units per second, so it doesn't depend on
+// the tick rate). Impulse above IMPACT_THRESHOLD becomes one damage amount,
+// capped at IMPACT_MAX_DAMAGE, that each side splits across its touching
+// parts. The hardest-hitting touching part's ramDamage multiplies what the
+// other side takes; resistances (collision type) cut it.
+
+import { getCollisionImpacts } from './arenaPhysics.js';
+import { applyDamageToPart, canDamageShip } from './weaponSystem.js';
+import { DAMAGE_TYPES } from '../pieces/damageTypes.js';
+
+// Impulses below this are bumps and scrapes (ship mass × world units/second);
+// a mid-size ship under full thrust meets a wall at around 250
+const IMPACT_THRESHOLD = 80;
+// Damage per unit of impulse over the threshold
+const IMPACT_DAMAGE_SCALE = 0.03;
+// Most damage one collision deals each side before ramDamage. Hazard
+// knockback throws ships into walls at impulses past 10000, so without a cap
+// any graze after a push would be lethal; this keeps a wall hit under a
+// core's hp
+const IMPACT_MAX_DAMAGE = 4;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Applies damage for the impacts of the latest physics step
+ * @param {Array} ships - All arena ships
+ * @returns {Array} Ships whose core was destroyed by an impact this tick
+ */
+function checkCollisionDamage(ships) {
+    const destroyed = [];
+    const impacts = getCollisionImpacts();
+    if (impacts.length === 0) return destroyed;
+
+    // Matter part body -> the ship and part it belongs to
+    const partsByBody = new Map();
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body) continue;
+        for (const part of ship.parts) {
+            partsByBody.set(part.body, { ship, part });
+        }
+    }
+
+    for (const collision of groupImpacts(impacts, partsByBody)) {
+        const impulse = getReducedMass(collision.sideA.body, collision.sideB.body) * collision.speed;
+        const baseDamage = Math.min(IMPACT_MAX_DAMAGE, (impulse - IMPACT_THRESHOLD) * IMPACT_DAMAGE_SCALE);
+        if (baseDamage <= 0) continue;
+
+        // Each side splits the damage across its touching parts, scaled by
+        // the other side's ram multiplier
+        for (const [victim, other] of [[collision.sideA, collision.sideB], [collision.sideB, collision.sideA]]) {
+            if (!victim.ship || victim.ship.destroyed) continue;
+            const attacker = other.ship;
+            if (attacker && !canDamageShip(attacker, victim.ship)) continue;
+
+            const parts = victim.parts.filter(part => !part.broken);
+            if (parts.length === 0) continue;
+            const ramDamage = other.parts.reduce((max, part) => Math.max(max, part.ramDamage), 1);
+            const damage = baseDamage * ramDamage / parts.length;
+            for (const part of parts) {
+                const result = applyDamageToPart(victim.ship, part, damage, attacker, DAMAGE_TYPES.COLLISION);
+                if (result.coreDestroyed && !destroyed.includes(victim.ship)) {
+                    destroyed.push(victim.ship);
+                }
+            }
+        }
+    }
+
+    return destroyed;
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Groups the step's contacts into one collision per pair of ships, or per
+ * ship against the static bodies it hit
+ * @param {Array} impacts - Contacts from getCollisionImpacts()
+ * @param {Map} partsByBody - Matter part body -> { ship, part }
+ * @returns {Array} [{ sideA, sideB, speed }], each side { ship, body, parts }
+ *   (ship null and no parts for walls and blockers); speed is the fastest contact
+ */
+function groupImpacts(impacts, partsByBody) {
+    const collisions = [];
+    for (const impact of impacts) {
+        let a = partsByBody.get(impact.bodyA) ?? null;
+        let b = partsByBody.get(impact.bodyB) ?? null;
+        let staticBody = impact.bodyB.parent;
+        if (!a) {
+            [a, b] = [b, a];
+            staticBody = impact.bodyA.parent;
+        }
+        if (!a) continue;
+        const shipB = b ? b.ship : null;
+
+        let collision = collisions.find(c =>
+            (c.sideA.ship === a.ship && c.sideB.ship === shipB) ||
+            (c.sideA.ship === shipB && c.sideB.ship === a.ship));
+        if (!collision) {
+            collision = {
+                sideA: { ship: a.ship, body: a.ship.body, parts: [] },
+                sideB: { ship: shipB, body: shipB ? shipB.body : staticBody, parts: [] },
+                speed: 0
+            };
+            collisions.push(collision);
+        }
+
+        const [sideOfA, sideOfB] = collision.sideA.ship === a.ship
+            ? [collision.sideA, collision.sideB]
+            : [collision.sideB, collision.sideA];
+        if (!sideOfA.parts.includes(a.part)) sideOfA.parts.push(a.part);
+        if (b && !sideOfB.parts.includes(b.part)) sideOfB.parts.push(b.part);
+        collision.speed = Math.max(collision.speed, impact.speed);
+    }
+    return collisions;
+}
+
+/**
+ * Effective mass of a two-body impact; a static body (wall, blocker) leaves
+ * just the moving body's mass
+ */
+function getReducedMass(bodyA, bodyB) {
+    if (bodyA.isStatic) return bodyB.mass;
+    if (bodyB.isStatic) return bodyA.mass;
+    return (bodyA.mass * bodyB.mass) / (bodyA.mass + bodyB.mass);
+}
+
+export { checkCollisionDamage };
@@ -4,7 +4,9 @@
 import { applyDirectionalThrust, applyAngularThrust, applyAngularThrustDirection, applyRotationThrusters } from './thrustSystem.js';
 import { getArenaPhysicsScale } from './arenaPhysics.js';
 import { fireAllCannons } from './weaponSystem.js';
+import { fireAllBeams } from './beamSystem.js';
 import { angleTo, angleDiff } from '../math.js';
+import { RNG_STREAMS, random, randomInt } from '../rng.js';
 
 /**
  * Creates an empty input state object
@@ -20,7 +22,8 @@ function createEmptyInput() {
         turnRight: false,
         turnToward: null,   // {x, y} world position to turn toward, or null
         fastTurn: false,    // If true, use thrusters to assist rotation
-        fire: false,
+        fire: false,        // Fire cannons (one shot per request)
+        fireHeld: false,    // Trigger held: keeps beams lit
         aimTarget: null     // {x, y} world position for aiming, or null
     };
 }
@@ -99,10 +102,14 @@ function applyInputToShip(ship, input) {
         }
     }
     
-    // Handle firing
+    // Handle firing. Beams channel while the trigger is held; controllers
+    // that only set fire hold it on the ticks they fire.
     if (input.fire) {
         fireAllCannons(ship, input.aimTarget);
     }
+    if (input.fire || input.fireHeld) {
+        fireAllBeams(ship, input.aimTarget);
+    }
     
     return activeThrusts;
 }
@@ -139,6 +146,8 @@ function createPlayerController(getInputStateFn) {
                 turnToward: rawState.rightMouseDown ? rawState.mousePosition : null,
                 fastTurn: rawState.shiftHeld,  // Hold shift to enable fast turn
                 fire: rawState.fireRequested,
+                // A click shorter than a tick still holds the trigger for one
+                fireHeld: rawState.fireHeld || rawState.fireRequested,
                 aimTarget: rawState.mousePosition
             };
         },
@@ -191,7 +200,7 @@ function createRandomController(options = {}) {
          */
         getInput(ship, deltaTime) {
             // Randomly change movement direction
-            if (Math.random() < config.moveChangeChance) {
+            if (random(RNG_STREAMS.AI) < config.moveChangeChance) {
                 // Clear current movement
                 state.forward = false;
                 state.back = false;
@@ -199,8 +208,8 @@ function createRandomController(options = {}) {
                 state.right = false;
                 
                 // Maybe pick a new direction
-                if (Math.random() < config.moveBias) {
-                    const dir = Math.floor(Math.random() * 4);
+                if (random(RNG_STREAMS.AI) < config.moveBias) {
+                    const dir = randomInt(RNG_STREAMS.AI, 4);
                     switch (dir) {
                         case 0: state.forward = true; break;
                         case 1: state.back = true; break;
@@ -211,11 +220,11 @@ function createRandomController(options = {}) {
             }
             
             // Randomly change turning
-            if (Math.random() < config.turnChangeChance) {
+            if (random(RNG_STREAMS.AI) < config.turnChangeChance) {
                 state.turnLeft = false;
                 state.turnRight = false;
                 
-                const turnChoice = Math.random();
+                const turnChoice = random(RNG_STREAMS.AI);
                 if (turnChoice < 0.33) {
                     state.turnLeft = true;
                 } else if (turnChoice < 0.66) {
@@ -225,7 +234,7 @@ function createRandomController(options = {}) {
             }
             
             // Randomly fire
-            const shouldFire = Math.random() < config.fireChance;
+            const shouldFire = random(RNG_STREAMS.AI) < config.fireChance;
             
             return {
                 forward: state.forward,
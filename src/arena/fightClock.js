@@ -0,0 +1,170 @@
+// Fight clock - time limit and sudden death for fights nobody finishes
+//
+// Rules are { timeLimit, suddenDeath } in seconds. The fight runs normally
+// for timeLimit seconds, then sudden death starts: a safe zone centered on
+// the arena shrinks from the arena's corners to SAFE_ZONE_MIN_RADIUS over
+// suddenDeath seconds, and every ship part outside it takes damage that grows
+// the longer sudden death lasts. If both cores survive that too, time is up
+// and the fight goes to whoever dealt the most damage (decideOnDamage).
+//
+// Simulation only, like hazards.js: the clock advances inside stepSimulation
+// so the live arena and the headless simulator agree. Without rules (free
+// flight, replays recorded before the clock existed) it never runs.
+
+import { getArenaGeometry } from './arenaGeometry.js';
+import { applyDamageToPart } from './weaponSystem.js';
+import { DAMAGE_TYPES } from '../pieces/damageTypes.js';
+import { findPartsOutsideRadius } from './hazards/hazardHelpers.js';
+
+// Rules for fights that don't set their own
+const DEFAULT_FIGHT_RULES = { timeLimit: 90, suddenDeath: 30 };
+
+const SAFE_ZONE_MIN_RADIUS = 6;
+const ZONE_DAMAGE_INTERVAL = 0.5;   // seconds between zone damage ticks
+const ZONE_BASE_DAMAGE = 1;         // per part outside the zone, per damage tick
+const ZONE_DAMAGE_GROWTH = 0.1;     // extra damage per second of sudden death
+
+// Clock of the current fight, or null when it has no time limit:
+// { timeLimit, suddenDeath, ticks, elapsed, startRadius, safeRadius, nextZoneDamage }
+let clock = null;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Starts the clock for a new fight. Call after setArenaGeometry().
+ * @param {object|null} rules - { timeLimit, suddenDeath } in seconds, or null for no clock
+ */
+function initFightClock(rules) {
+    if (!rules) {
+        clock = null;
+        return;
+    }
+    // Starts out reaching the arena's farthest point
+    const startRadius = Math.max(...getArenaGeometry().vertices.map(v => Math.hypot(v.x, v.y)));
+    clock = {
+        timeLimit: rules.timeLimit,
+        suddenDeath: rules.suddenDeath,
+        ticks: 0,
+        elapsed: 0,
+        startRadius,
+        safeRadius: startRadius,
+        nextZoneDamage: 0           // sudden-death seconds of the next zone damage tick
+    };
+}
+
+/**
+ * Advances the clock one tick and shrinks the safe zone during sudden death
+ * @param {number} dt - Tick length in seconds
+ */
+function updateFightClock(dt) {
+    if (!clock || isFightTimeUp()) return;
+
+    // Counted in ticks so the time limit lands on the same tick every run
+    clock.ticks++;
+    clock.elapsed = clock.ticks * dt;
+
+    const progress = Math.min(1, getSuddenDeathTime() / clock.suddenDeath);
+    clock.safeRadius = clock.startRadius + (SAFE_ZONE_MIN_RADIUS - clock.startRadius) * progress;
+}
+
+/**
+ * Damages ship parts outside the safe zone (sudden death only)
+ * @param {Array} ships - All arena ships
+ * @returns {Array} Ships whose core died this tick
+ */
+function checkSafeZone(ships) {
+    const destroyed = [];
+    if (!clock || getSuddenDeathTime() <= 0) return destroyed;
+
+    const time = getSuddenDeathTime();
+    if (time < clock.nextZoneDamage) return destroyed;
+    clock.nextZoneDamage += ZONE_DAMAGE_INTERVAL;
+
+    const damage = ZONE_BASE_DAMAGE + ZONE_DAMAGE_GROWTH * time;
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body) continue;
+        for (const part of findPartsOutsideRadius(ship, 0, 0, clock.safeRadius)) {
+            const result = applyDamageToPart(ship, part, damage, null, DAMAGE_TYPES.HAZARD);
+            if (result.coreDestroyed && !destroyed.includes(ship)) {
+                destroyed.push(ship);
+            }
+        }
+    }
+    return destroyed;
+}
+
+/**
+ * Whether the fight has run through its time limit and sudden death
+ * @returns {boolean} False when the fight has no clock
+ */
+function isFightTimeUp() {
+    return !!clock && clock.elapsed >= clock.timeLimit + clock.suddenDeath;
+}
+
+/**
+ * Returns the clock for displays (null when the fight has no time limit)
+ * @returns {object|null} { phase: 'regular'|'suddenDeath', remaining, safeRadius }
+ *   remaining counts down to sudden death, then to time up
+ */
+function getFightClockState() {
+    if (!clock) return null;
+    const suddenDeath = getSuddenDeathTime();
+    return suddenDeath > 0
+        ? { phase: 'suddenDeath', remaining: Math.max(0, clock.suddenDeath - suddenDeath), safeRadius: clock.safeRadius }
+        : { phase: 'regular', remaining: clock.timeLimit - clock.elapsed, safeRadius: clock.safeRadius };
+}
+
+/**
+ * Clears the clock
+ */
+function cleanupFightClock() {
+    clock = null;
+}
+
+/**
+ * Decides a fight that ran out of time by total damage dealt per team
+ * (hazard and safe zone damage counts for nobody)
+ * @param {Array} ships - All ships that took part, destroyed ones included
+ * @returns {{ winnerTeam: number|null, damageByTeam: object }} winnerTeam is
+ *   null when the top teams dealt the same damage; damageByTeam is team -> damage
+ */
+function decideOnDamage(ships) {
+    const damageByTeam = {};
+    for (const ship of ships) {
+        damageByTeam[ship.team] = (damageByTeam[ship.team] ?? 0) + ship.stats.damageDealt;
+    }
+
+    let winnerTeam = null;
+    let best = -Infinity;
+    for (const [team, damage] of Object.entries(damageByTeam)) {
+        if (damage > best) {
+            best = damage;
+            winnerTeam = Number(team);
+        } else if (damage === best) {
+            winnerTeam = null;
+        }
+    }
+    return { winnerTeam, damageByTeam };
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/** Seconds since sudden death started (zero or less before it) */
+function getSuddenDeathTime() {
+    return clock.elapsed - clock.timeLimit;
+}
+
+export {
+    DEFAULT_FIGHT_RULES,
+    initFightClock,
+    updateFightClock,
+    checkSafeZone,
+    isFightTimeUp,
+    getFightClockState,
+    cleanupFightClock,
+    decideOnDamage
+};
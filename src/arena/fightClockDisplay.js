@@ -0,0 +1,80 @@
+// Fight clock display - countdown at the top of the screen and the shrinking
+// safe zone ring during sudden death
+//
+// fightClock.js owns the clock; this module only reads getFightClockState()
+// each rendered frame. Fights without a time limit show nothing.
+
+import * as THREE from 'three';
+import { getFightClockState } from './fightClock.js';
+
+const ZONE_COLOR = 0xff4444;
+const ZONE_Z = 0.05;
+const ZONE_SEGMENTS = 96;
+
+let sceneRef = null;
+let zoneRing = null;      // THREE.Line, a unit circle scaled to the safe radius
+let clockEl = null;       // countdown element
+
+/**
+ * Creates the countdown element and safe zone ring. Call after the fight
+ * clock is initialized; does nothing for fights without a time limit.
+ * @param {THREE.Scene} scene
+ */
+function initFightClockDisplay(scene) {
+    cleanupFightClockDisplay();
+    if (!getFightClockState()) return;
+
+    sceneRef = scene;
+    const curve = new THREE.EllipseCurve(0, 0, 1, 1, 0, Math.PI * 2);
+    const points = curve.getPoints(ZONE_SEGMENTS).map(p => new THREE.Vector3(p.x, p.y, ZONE_Z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color: ZONE_COLOR, transparent: true, opacity: 0.8 });
+    zoneRing = new THREE.Line(geometry, material);
+    zoneRing.visible = false;
+    scene.add(zoneRing);
+
+    clockEl = document.createElement('div');
+    clockEl.id = 'fight-clock';
+    document.body.appendChild(clockEl);
+
+    updateFightClockDisplay();
+}
+
+/**
+ * Refreshes the countdown text and the safe zone ring
+ */
+function updateFightClockDisplay() {
+    const state = getFightClockState();
+    if (!state || !clockEl) return;
+
+    const suddenDeath = state.phase === 'suddenDeath';
+    const time = formatClock(state.remaining);
+    clockEl.textContent = suddenDeath ? `SUDDEN DEATH ${time}` : time;
+    clockEl.classList.toggle('sudden-death', suddenDeath);
+
+    zoneRing.visible = suddenDeath;
+    zoneRing.scale.set(state.safeRadius, state.safeRadius, 1);
+}
+
+/**
+ * Removes the countdown and ring
+ */
+function cleanupFightClockDisplay() {
+    if (zoneRing && sceneRef) {
+        sceneRef.remove(zoneRing);
+        zoneRing.geometry.dispose();
+        zoneRing.material.dispose();
+    }
+    if (clockEl) clockEl.remove();
+    zoneRing = null;
+    clockEl = null;
+    sceneRef = null;
+}
+
+/** Seconds as m:ss, rounded up so the clock shows 0:00 only at the end */
+function formatClock(seconds) {
+    const whole = Math.ceil(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+export { initFightClockDisplay, updateFightClockDisplay, cleanupFightClockDisplay };
@@ -0,0 +1,61 @@
+// Fuel display - thruster fuel gauge for the player's ship
+//
+// thrustSystem.js drains and refills ship.fuel; this module only reads it
+// each rendered frame. Hidden while spectating and once the ship is destroyed.
+
+const LOW_FUEL_FRACTION = 0.25;
+
+let gaugeEl = null;       // gauge container
+let fillEl = null;        // bar whose width is the fuel fraction
+let labelEl = null;       // "FUEL 32/40" text
+
+/**
+ * Creates the fuel gauge (hidden until updateFuelDisplay gets a ship)
+ */
+function initFuelDisplay() {
+    cleanupFuelDisplay();
+
+    gaugeEl = document.createElement('div');
+    gaugeEl.id = 'fuel-gauge';
+    gaugeEl.style.display = 'none';
+    const barEl = document.createElement('div');
+    barEl.className = 'fuel-bar';
+    fillEl = document.createElement('div');
+    fillEl.className = 'fuel-fill';
+    barEl.appendChild(fillEl);
+    labelEl = document.createElement('div');
+    labelEl.className = 'fuel-label';
+    gaugeEl.append(labelEl, barEl);
+    document.body.appendChild(gaugeEl);
+}
+
+/**
+ * Refreshes the gauge for a ship
+ * @param {object|null} ship - Ship to show; null or destroyed hides the gauge
+ */
+function updateFuelDisplay(ship) {
+    if (!gaugeEl) return;
+    if (!ship || ship.destroyed) {
+        gaugeEl.style.display = 'none';
+        return;
+    }
+
+    const { amount, capacity } = ship.fuel;
+    const fraction = capacity > 0 ? amount / capacity : 0;
+    gaugeEl.style.display = '';
+    gaugeEl.classList.toggle('low', fraction < LOW_FUEL_FRACTION);
+    fillEl.style.width = `${(fraction * 100).toFixed(1)}%`;
+    labelEl.textContent = `FUEL ${Math.floor(amount)}/${capacity}`;
+}
+
+/**
+ * Removes the gauge
+ */
+function cleanupFuelDisplay() {
+    if (gaugeEl) gaugeEl.remove();
+    gaugeEl = null;
+    fillEl = null;
+    labelEl = null;
+}
+
+export { initFuelDisplay, updateFuelDisplay, cleanupFuelDisplay };
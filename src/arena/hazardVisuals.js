@@ -0,0 +1,241 @@
+// Hazard visuals -- Three.js meshes for every hazard type
+//
+// hazards.js owns hazard state; this module builds the meshes for each live
+// hazard at init and copies positions/visibility across each rendered frame.
+// HAZARD_VISUALS mirrors the hazard type registry: per type, build(state)
+// returns an Object3D and sync(state, object) updates it.
+
+import * as THREE from 'three';
+import { getHazardVisualState } from './hazards.js';
+
+const HAZARD_Z = 0.15;
+const PATH_LINE_Z = -0.05;
+
+let sceneRef = null;
+let hazardGroup = null;            // THREE.Group holding all hazard meshes
+const hazardObjects = new Map();   // hazard state -> its Object3D
+
+/**
+ * Creates meshes for every hazard currently in the simulation.
+ * Call after initHazards().
+ * @param {THREE.Scene} scene
+ */
+function initHazardVisuals(scene) {
+    sceneRef = scene;
+    hazardGroup = new THREE.Group();
+    scene.add(hazardGroup);
+
+    for (const { type, state } of getHazardVisualState()) {
+        const visuals = HAZARD_VISUALS[type];
+        if (!visuals) throw new Error(`No visuals for hazard type "${type}"`);
+        const object = visuals.build(state);
+        hazardGroup.add(object);
+        hazardObjects.set(state, object);
+    }
+
+    syncHazardVisuals();
+}
+
+/**
+ * Copies hazard positions, spin, and visibility onto their meshes
+ */
+function syncHazardVisuals() {
+    for (const { type, state } of getHazardVisualState()) {
+        const object = hazardObjects.get(state);
+        if (object) HAZARD_VISUALS[type].sync(state, object);
+    }
+}
+
+/**
+ * Removes all hazard meshes and disposes their resources
+ */
+function cleanupHazardVisuals() {
+    if (hazardGroup && sceneRef) {
+        hazardGroup.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+        sceneRef.remove(hazardGroup);
+    }
+    hazardGroup = null;
+    sceneRef = null;
+    hazardObjects.clear();
+}
+
+// ===========================================================================
+// Per-type visuals
+// ===========================================================================
+
+const HAZARD_VISUALS = {
+    sawblade: {
+        build: (saw) => createSawMesh(saw.radius),
+        sync: (saw, mesh) => {
+            mesh.position.set(saw.x, saw.y, HAZARD_Z);
+            mesh.rotation.z = saw.spin;
+        }
+    },
+    energyball: {
+        build: (row) => {
+            const group = new THREE.Group();
+            group.add(createPathLine(row.pathY, row.halfWidth));
+            for (const ball of row.balls) group.add(createEnergyBallMesh(ball.radius));
+            return group;
+        },
+        sync: (row, group) => {
+            row.balls.forEach((ball, i) => {
+                const mesh = group.children[i + 1];   // children[0] is the path line
+                mesh.position.set(ball.x, ball.y, HAZARD_Z);
+                mesh.visible = ball.alive;
+            });
+        }
+    },
+    gravitywell: {
+        build: (well) => {
+            const group = new THREE.Group();
+            group.add(createRangeRing(well.radius, 0x9966ff));
+            group.add(createGravityCoreMesh(well.coreRadius));
+            group.position.set(well.x, well.y, 0);
+            return group;
+        },
+        sync: (well, group) => {
+            group.children[1].rotation.z = well.spin;
+        }
+    },
+    mine: {
+        build: (field) => {
+            const group = new THREE.Group();
+            for (const mine of field.mines) {
+                const mesh = createMineMesh(mine.radius);
+                mesh.position.set(mine.x, mine.y, HAZARD_Z);
+                group.add(mesh);
+            }
+            return group;
+        },
+        sync: (field, group) => {
+            field.mines.forEach((mine, i) => {
+                group.children[i].visible = mine.armed;
+            });
+        }
+    },
+    laser: {
+        build: (laser) => {
+            const group = new THREE.Group();
+            group.add(createRangeRing(laser.length, 0xff3355));
+            group.add(createLaserBeamMesh(laser.length));
+            group.position.set(laser.x, laser.y, 0);
+            return group;
+        },
+        sync: (laser, group) => {
+            group.children[1].rotation.z = laser.angle;
+        }
+    }
+};
+
+// ===========================================================================
+// Mesh builders
+// ===========================================================================
+
+/** Creates an 8-pointed star Shape */
+function createStarShape(outerR, innerR, points) {
+    const shape = new THREE.Shape();
+    const step = Math.PI / points;
+    for (let i = 0; i < points * 2; i++) {
+        const r = i % 2 === 0 ? outerR : innerR;
+        const angle = i * step - Math.PI / 2;
+        const x = Math.cos(angle) * r;
+        const y = Math.sin(angle) * r;
+        if (i === 0) shape.moveTo(x, y);
+        else shape.lineTo(x, y);
+    }
+    shape.closePath();
+    return shape;
+}
+
+function createSawMesh(radius) {
+    const starShape = createStarShape(radius, radius * 0.5, 8);
+    const geometry = new THREE.ShapeGeometry(starShape);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xcc5500,
+        emissive: 0x882200,
+        emissiveIntensity: 0.6,
+        metalness: 0.8,
+        roughness: 0.3,
+        side: THREE.DoubleSide
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+function createEnergyBallMesh(radius) {
+    const geometry = new THREE.SphereGeometry(radius, 16, 16);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x00eeff,
+        emissive: 0x00ccff,
+        emissiveIntensity: 0.9,
+        transparent: true,
+        opacity: 0.85
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+function createPathLine(y, hw) {
+    const points = [new THREE.Vector3(-hw, y, PATH_LINE_Z), new THREE.Vector3(hw, y, PATH_LINE_Z)];
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({
+        color: 0x00ccff,
+        transparent: true,
+        opacity: 0.25
+    });
+    return new THREE.Line(geometry, material);
+}
+
+/** Faint floor circle marking a hazard's reach */
+function createRangeRing(radius, color) {
+    const curve = new THREE.EllipseCurve(0, 0, radius, radius, 0, Math.PI * 2);
+    const points = curve.getPoints(48).map(p => new THREE.Vector3(p.x, p.y, PATH_LINE_Z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.25 });
+    return new THREE.Line(geometry, material);
+}
+
+/** Swirl (a 4-pointed star) that spins in the well's core */
+function createGravityCoreMesh(radius) {
+    const geometry = new THREE.ShapeGeometry(createStarShape(radius, radius * 0.3, 4));
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x5522aa,
+        emissive: 0x7744ff,
+        emissiveIntensity: 0.8,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.z = HAZARD_Z;
+    return mesh;
+}
+
+function createMineMesh(radius) {
+    const geometry = new THREE.SphereGeometry(radius * 0.35, 12, 12);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0x661111,
+        emissive: 0xff2222,
+        emissiveIntensity: 0.7,
+        metalness: 0.6,
+        roughness: 0.4
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+/** Beam from the pivot along +X; rotation.z sweeps it */
+function createLaserBeamMesh(length) {
+    const geometry = new THREE.PlaneGeometry(length, 0.3);
+    geometry.translate(length / 2, 0, 0);
+    const material = new THREE.MeshBasicMaterial({
+        color: 0xff3355,
+        transparent: true,
+        opacity: 0.9,
+        side: THREE.DoubleSide
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.z = HAZARD_Z;
+    return mesh;
+}
+
+export { initHazardVisuals, syncHazardVisuals, cleanupHazardVisuals };
@@ -0,0 +1,138 @@
+// Energy ball hazard - a row of balls that cross the arena left to right on a
+// fixed clock, blasting apart whatever they touch
+//
+// Definition: { type: 'energyball', pathY, count, startOffset }
+//   count balls evenly spaced along the row; startOffset shifts them by a
+//   fraction (0-1) of the arena width
+
+import { getArenaDimensions, applyForceAtPosition } from '../arenaPhysics.js';
+import { applyDamageToPart } from '../weaponSystem.js';
+import { DAMAGE_TYPES } from '../../pieces/damageTypes.js';
+import { getShipWorldPosition, findPartInRadius } from './hazardHelpers.js';
+
+const ENERGY_RADIUS = 2;
+const ENERGY_SPEED = 8;            // world units/s (left → right)
+const ENERGY_DAMAGE = 4;
+const ENERGY_DAMAGE_TYPE = DAMAGE_TYPES.ENERGY;
+const ENERGY_PUSH_FORCE = 1200;    // radial impulse magnitude
+// Energy ball schedule: period = full traversal time (width + 2*radius) / speed
+// Computed at init time per ball. No separate respawn delay -- balls run on a clock.
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function validate(def, name, geometries) {
+    const errors = [];
+    if (!Number.isFinite(def.pathY) || geometries.some(g => Math.abs(def.pathY) > g.height / 2)) {
+        errors.push(`${name}.pathY must be inside the arena`);
+    }
+    if (def.count !== undefined && (!Number.isInteger(def.count) || def.count < 1)) {
+        errors.push(`${name}.count must be a positive integer`);
+    }
+    return errors;
+}
+
+/** Builds the row: its floor path (drawn by hazardVisuals) and its balls */
+function init(def) {
+    const { width } = getArenaDimensions();
+    const hw = width / 2;
+    const count = def.count ?? 1;
+    const offset = def.startOffset ?? 0;       // 0–1 fraction of arena width
+    const spacing = width / count;
+
+    const row = { pathY: def.pathY, halfWidth: hw, balls: [] };
+    for (let i = 0; i < count; i++) {
+        const startX = -hw + spacing * (i + 0.5) + offset * width;
+        // Wrap into arena bounds
+        const wrappedX = ((startX + hw) % width + width) % width - hw;
+        row.balls.push(createEnergyBall(wrappedX, def.pathY));
+    }
+    return row;
+}
+
+function update(row, dt) {
+    const spawnX = -row.halfWidth - ENERGY_RADIUS;
+
+    for (const ball of row.balls) {
+        ball.elapsed += dt;
+
+        // Check if the schedule says it's time for a new cycle
+        if (ball.elapsed >= ball.period) {
+            ball.elapsed -= ball.period;
+            ball.alive = true;
+            ball.x = spawnX + ball.elapsed * ENERGY_SPEED;
+            continue;
+        }
+
+        if (!ball.alive) continue;
+
+        ball.x = spawnX + ball.elapsed * ENERGY_SPEED;
+    }
+}
+
+function collide(row, ship, destroyed) {
+    for (const ball of row.balls) {
+        if (!ball.alive) continue;
+
+        const hitPart = findPartInRadius(ship, ball.x, ball.y, ENERGY_RADIUS);
+        if (!hitPart) continue;
+
+        // Apply damage
+        const result = applyDamageToPart(ship, hitPart, ENERGY_DAMAGE, null, ENERGY_DAMAGE_TYPE);
+        if (result.coreDestroyed && !destroyed.includes(ship)) {
+            destroyed.push(ship);
+        }
+
+        // Impulse: away from ball center through ship center of mass
+        const shipPos = getShipWorldPosition(ship);
+        const dx = shipPos.x - ball.x;
+        const dy = shipPos.y - ball.y;
+        const dist = Math.hypot(dx, dy) || 1;
+        const dirX = dx / dist;
+        const dirY = dy / dist;
+
+        applyForceAtPosition(ship.body, shipPos,
+            { x: dirX * ENERGY_PUSH_FORCE, y: dirY * ENERGY_PUSH_FORCE }
+        );
+
+        // Consume the ball (schedule clock keeps ticking -- next ball on time)
+        ball.alive = false;
+    }
+}
+
+/** Only alive (visible) balls are sensed */
+function sense(row) {
+    return row.balls
+        .filter(ball => ball.alive)
+        .map(ball => ({ x: ball.x, y: ball.y, vx: ENERGY_SPEED, vy: 0, radius: ENERGY_RADIUS }));
+}
+
+const ENERGY_BALL_HAZARD = { validate, init, update, collide, sense };
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+function createEnergyBall(x, pathY) {
+    const { width } = getArenaDimensions();
+    const hw = width / 2;
+
+    // Fixed schedule period: time for a ball to cross from left edge to right edge
+    const traversal = (width + ENERGY_RADIUS * 2) / ENERGY_SPEED;
+
+    // How far along the traversal the starting x represents
+    const startElapsed = (x - (-hw - ENERGY_RADIUS)) / ENERGY_SPEED;
+
+    return {
+        x,
+        y: pathY,
+        pathY,
+        radius: ENERGY_RADIUS,
+        alive: true,
+        elapsed: startElapsed,   // time into current cycle
+        period: traversal        // fixed cycle length
+    };
+}
+
+export { ENERGY_BALL_HAZARD };
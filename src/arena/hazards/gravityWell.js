@@ -0,0 +1,94 @@
+// Gravity well hazard - a fixed point that pulls every ship in range toward
+// it, harder the closer it gets, and crushes parts that reach its core
+//
+// Definition: { type: 'gravitywell', x, y, radius, strength }
+//   radius: pull range (world units); strength: pull at the core, in thrust
+//   units (a single starter thruster is ~0.7)
+
+import { applyForceAtPosition } from '../arenaPhysics.js';
+import { isInsideGeometries } from '../arenaGeometry.js';
+import { applyDamageToPart } from '../weaponSystem.js';
+import { DAMAGE_TYPES } from '../../pieces/damageTypes.js';
+import { getShipWorldPosition, findPartInRadius, tickHitCooldowns } from './hazardHelpers.js';
+
+const WELL_DEFAULT_RADIUS = 14;
+const WELL_MAX_RADIUS = 30;
+const WELL_DEFAULT_STRENGTH = 1.0;
+const WELL_CORE_RADIUS = 2.5;
+const WELL_CORE_DAMAGE = 2;
+const WELL_CORE_DAMAGE_TYPE = DAMAGE_TYPES.HAZARD;
+const WELL_HIT_COOLDOWN = 0.5;      // seconds between core hits per ship
+const WELL_SPIN_SPEED = 1.5;        // rad/s, visual only
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function validate(def, name, geometries) {
+    const errors = [];
+    if (!isInsideGeometries(geometries, def.x, def.y)) {
+        errors.push(`${name} must be at an {x, y} point inside the arena`);
+    }
+    if (def.radius !== undefined &&
+        (!Number.isFinite(def.radius) || def.radius <= WELL_CORE_RADIUS || def.radius > WELL_MAX_RADIUS)) {
+        errors.push(`${name}.radius must be between ${WELL_CORE_RADIUS} and ${WELL_MAX_RADIUS}`);
+    }
+    if (def.strength !== undefined && (!Number.isFinite(def.strength) || def.strength <= 0)) {
+        errors.push(`${name}.strength must be a positive number`);
+    }
+    return errors;
+}
+
+function init(def) {
+    return {
+        x: def.x,
+        y: def.y,
+        radius: def.radius ?? WELL_DEFAULT_RADIUS,
+        coreRadius: WELL_CORE_RADIUS,
+        strength: def.strength ?? WELL_DEFAULT_STRENGTH,
+        spin: 0,                  // visual rotation (rad)
+        hitCooldowns: new Map()   // shipId → remaining cooldown
+    };
+}
+
+function update(well, dt) {
+    well.spin += WELL_SPIN_SPEED * dt;
+    tickHitCooldowns(well.hitCooldowns, dt);
+}
+
+/**
+ * Pulls the ship toward the core (linear falloff to zero at the edge of
+ * range), then damages a part sitting in the core
+ */
+function collide(well, ship, destroyed) {
+    const shipPos = getShipWorldPosition(ship);
+    const dx = well.x - shipPos.x;
+    const dy = well.y - shipPos.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= well.radius) return;
+
+    if (dist > 0) {
+        const pull = well.strength * (1 - dist / well.radius);
+        applyForceAtPosition(ship.body, shipPos, { x: dx / dist * pull, y: dy / dist * pull });
+    }
+
+    const shipId = ship.body.id;
+    if (well.hitCooldowns.has(shipId)) return;
+    const hitPart = findPartInRadius(ship, well.x, well.y, well.coreRadius);
+    if (!hitPart) return;
+
+    const result = applyDamageToPart(ship, hitPart, WELL_CORE_DAMAGE, null, WELL_CORE_DAMAGE_TYPE);
+    if (result.coreDestroyed && !destroyed.includes(ship)) {
+        destroyed.push(ship);
+    }
+    well.hitCooldowns.set(shipId, WELL_HIT_COOLDOWN);
+}
+
+/** Sensed as its whole pull range, so ships learn to keep out of it */
+function sense(well) {
+    return [{ x: well.x, y: well.y, vx: 0, vy: 0, radius: well.radius }];
+}
+
+const GRAVITY_WELL_HAZARD = { validate, init, update, collide, sense };
+
+export { GRAVITY_WELL_HAZARD };
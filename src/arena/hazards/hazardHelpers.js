@@ -0,0 +1,101 @@
+// Hazard helpers - ship geometry and hit cooldowns shared by the hazard types
+// (and the sudden-death safe zone in fightClock.js, the objectives in objectives.js,
+// explosive projectiles in weaponSystem.js)
+
+import { getArenaPhysicsScale } from '../arenaPhysics.js';
+
+/**
+ * Gets a ship's center in world coords
+ * @param {object} ship - Arena ship with a body
+ * @returns {{x: number, y: number}}
+ */
+function getShipWorldPosition(ship) {
+    const scale = getArenaPhysicsScale();
+    return { x: ship.body.position.x / scale, y: -ship.body.position.y / scale };
+}
+
+/**
+ * Finds the first ship part whose center is within `radius` of (cx, cy).
+ * Returns the part object or null.
+ */
+function findPartInRadius(ship, cx, cy, radius) {
+    return findPart(ship, (x, y) => {
+        const dx = x - cx;
+        const dy = y - cy;
+        return dx * dx + dy * dy <= radius * radius;
+    });
+}
+
+/**
+ * Finds every ship part whose center is within `radius` of (cx, cy)
+ * @returns {Array} Unbroken parts, in ship part order
+ */
+function findPartsInRadius(ship, cx, cy, radius) {
+    if (!ship.parts) return [];
+    const scale = getArenaPhysicsScale();
+    return ship.parts.filter(part => {
+        if (part.broken) return false;
+        const dx = part.body.position.x / scale - cx;
+        const dy = -part.body.position.y / scale - cy;
+        return dx * dx + dy * dy <= radius * radius;
+    });
+}
+
+/**
+ * Finds the first ship part whose center is within `halfWidth` of the
+ * segment a-b. Returns the part object or null.
+ */
+function findPartNearSegment(ship, a, b, halfWidth) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const lengthSq = abx * abx + aby * aby || 1;
+    return findPart(ship, (x, y) => {
+        const t = Math.max(0, Math.min(1, ((x - a.x) * abx + (y - a.y) * aby) / lengthSq));
+        const dx = x - (a.x + abx * t);
+        const dy = y - (a.y + aby * t);
+        return dx * dx + dy * dy <= halfWidth * halfWidth;
+    });
+}
+
+/**
+ * Finds every ship part whose center is farther than `radius` from (cx, cy)
+ * @returns {Array} Unbroken parts, in ship part order
+ */
+function findPartsOutsideRadius(ship, cx, cy, radius) {
+    if (!ship.parts) return [];
+    const scale = getArenaPhysicsScale();
+    return ship.parts.filter(part => {
+        if (part.broken) return false;
+        const dx = part.body.position.x / scale - cx;
+        const dy = -part.body.position.y / scale - cy;
+        return dx * dx + dy * dy > radius * radius;
+    });
+}
+
+/** First unbroken part whose world-space center passes `test(x, y)` */
+function findPart(ship, test) {
+    if (!ship.parts) return null;
+    const scale = getArenaPhysicsScale();
+    for (const part of ship.parts) {
+        if (part.broken) continue;
+        if (test(part.body.position.x / scale, -part.body.position.y / scale)) {
+            return part;
+        }
+    }
+    return null;
+}
+
+/**
+ * Counts down per-ship hit cooldowns, dropping the expired ones
+ * @param {Map} cooldowns - shipId -> remaining seconds
+ * @param {number} dt - Delta time in seconds
+ */
+function tickHitCooldowns(cooldowns, dt) {
+    for (const [id, remaining] of cooldowns) {
+        const next = remaining - dt;
+        if (next <= 0) cooldowns.delete(id);
+        else cooldowns.set(id, next);
+    }
+}
+
+export { getShipWorldPosition, findPartInRadius, findPartsInRadius, findPartNearSegment, findPartsOutsideRadius, tickHitCooldowns };
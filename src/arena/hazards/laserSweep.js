@@ -0,0 +1,92 @@
+// Laser sweep hazard - a beam that rotates around a fixed pivot like a
+// lighthouse, burning any ship part it passes over
+//
+// Definition: { type: 'laser', x, y, length, speed, startAngle }
+//   length in world units; speed in rad/s (negative sweeps clockwise);
+//   startAngle in radians from +X
+
+import { isInsideGeometries } from '../arenaGeometry.js';
+import { applyDamageToPart } from '../weaponSystem.js';
+import { DAMAGE_TYPES } from '../../pieces/damageTypes.js';
+import { findPartNearSegment, tickHitCooldowns } from './hazardHelpers.js';
+
+const LASER_DEFAULT_LENGTH = 18;
+const LASER_MAX_LENGTH = 50;
+const LASER_DEFAULT_SPEED = 0.6;    // rad/s
+const LASER_HALF_WIDTH = 0.6;       // beam half-thickness for hits
+const LASER_DAMAGE = 2;
+const LASER_DAMAGE_TYPE = DAMAGE_TYPES.ENERGY;
+const LASER_HIT_COOLDOWN = 0.4;     // seconds between hits per ship
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function validate(def, name, geometries) {
+    const errors = [];
+    if (!isInsideGeometries(geometries, def.x, def.y)) {
+        errors.push(`${name} must be at an {x, y} pivot inside the arena`);
+    }
+    if (def.length !== undefined &&
+        (!Number.isFinite(def.length) || def.length <= 0 || def.length > LASER_MAX_LENGTH)) {
+        errors.push(`${name}.length must be between 0 and ${LASER_MAX_LENGTH}`);
+    }
+    for (const field of ['speed', 'startAngle']) {
+        if (def[field] !== undefined && !Number.isFinite(def[field])) {
+            errors.push(`${name}.${field} must be a number`);
+        }
+    }
+    return errors;
+}
+
+function init(def) {
+    const laser = {
+        x: def.x,
+        y: def.y,
+        length: def.length ?? LASER_DEFAULT_LENGTH,
+        speed: def.speed ?? LASER_DEFAULT_SPEED,
+        angle: def.startAngle ?? 0,
+        tip: { x: 0, y: 0 },
+        hitCooldowns: new Map()   // shipId → remaining cooldown
+    };
+    updateTip(laser);
+    return laser;
+}
+
+function update(laser, dt) {
+    laser.angle += laser.speed * dt;
+    updateTip(laser);
+    tickHitCooldowns(laser.hitCooldowns, dt);
+}
+
+function collide(laser, ship, destroyed) {
+    const shipId = ship.body.id;
+    if (laser.hitCooldowns.has(shipId)) return;
+
+    const hitPart = findPartNearSegment(ship, laser, laser.tip, LASER_HALF_WIDTH);
+    if (!hitPart) return;
+
+    const result = applyDamageToPart(ship, hitPart, LASER_DAMAGE, null, LASER_DAMAGE_TYPE);
+    if (result.coreDestroyed && !destroyed.includes(ship)) {
+        destroyed.push(ship);
+    }
+    laser.hitCooldowns.set(shipId, LASER_HIT_COOLDOWN);
+}
+
+/** Sensed as the disc the beam sweeps, centered on the pivot */
+function sense(laser) {
+    return [{ x: laser.x, y: laser.y, vx: 0, vy: 0, radius: laser.length }];
+}
+
+const LASER_SWEEP_HAZARD = { validate, init, update, collide, sense };
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+function updateTip(laser) {
+    laser.tip.x = laser.x + Math.cos(laser.angle) * laser.length;
+    laser.tip.y = laser.y + Math.sin(laser.angle) * laser.length;
+}
+
+export { LASER_SWEEP_HAZARD };
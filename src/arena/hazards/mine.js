@@ -0,0 +1,94 @@
+// Mine hazard - proximity mines that detonate when a ship part comes close,
+// then re-arm in the same spot after a delay
+//
+// Definition: { type: 'mine', positions: [{x, y}, ...], respawnTime }
+//   one mine per position; respawnTime in seconds
+
+import { applyForceAtPosition } from '../arenaPhysics.js';
+import { isInsideGeometries } from '../arenaGeometry.js';
+import { applyDamageToPart } from '../weaponSystem.js';
+import { DAMAGE_TYPES } from '../../pieces/damageTypes.js';
+import { getShipWorldPosition, findPartInRadius } from './hazardHelpers.js';
+
+const MINE_TRIGGER_RADIUS = 2.5;
+const MINE_DAMAGE = 6;
+const MINE_DAMAGE_TYPE = DAMAGE_TYPES.EXPLOSIVE;
+const MINE_PUSH_FORCE = 1500;       // radial impulse magnitude
+const MINE_DEFAULT_RESPAWN = 8;     // seconds until a detonated mine re-arms
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function validate(def, name, geometries) {
+    const errors = [];
+    if (!Array.isArray(def.positions) || def.positions.length === 0) {
+        errors.push(`${name}.positions must list at least one point`);
+    } else {
+        def.positions.forEach((pos, i) => {
+            if (!isInsideGeometries(geometries, pos?.x, pos?.y)) errors.push(`${name}.positions[${i}] must be inside the arena`);
+        });
+    }
+    if (def.respawnTime !== undefined && (!Number.isFinite(def.respawnTime) || def.respawnTime <= 0)) {
+        errors.push(`${name}.respawnTime must be a positive number of seconds`);
+    }
+    return errors;
+}
+
+function init(def) {
+    return {
+        respawnTime: def.respawnTime ?? MINE_DEFAULT_RESPAWN,
+        mines: def.positions.map(pos => ({
+            x: pos.x,
+            y: pos.y,
+            radius: MINE_TRIGGER_RADIUS,
+            armed: true,
+            rearmIn: 0            // seconds until re-armed (while detonated)
+        }))
+    };
+}
+
+function update(field, dt) {
+    for (const mine of field.mines) {
+        if (mine.armed) continue;
+        mine.rearmIn -= dt;
+        if (mine.rearmIn <= 0) mine.armed = true;
+    }
+}
+
+function collide(field, ship, destroyed) {
+    for (const mine of field.mines) {
+        if (!mine.armed) continue;
+
+        const hitPart = findPartInRadius(ship, mine.x, mine.y, MINE_TRIGGER_RADIUS);
+        if (!hitPart) continue;
+
+        const result = applyDamageToPart(ship, hitPart, MINE_DAMAGE, null, MINE_DAMAGE_TYPE);
+        if (result.coreDestroyed && !destroyed.includes(ship)) {
+            destroyed.push(ship);
+        }
+
+        // Blast: away from the mine through the ship's center of mass
+        const shipPos = getShipWorldPosition(ship);
+        const dx = shipPos.x - mine.x;
+        const dy = shipPos.y - mine.y;
+        const dist = Math.hypot(dx, dy) || 1;
+        applyForceAtPosition(ship.body, shipPos,
+            { x: dx / dist * MINE_PUSH_FORCE, y: dy / dist * MINE_PUSH_FORCE }
+        );
+
+        mine.armed = false;
+        mine.rearmIn = field.respawnTime;
+    }
+}
+
+/** Only armed mines are sensed */
+function sense(field) {
+    return field.mines
+        .filter(mine => mine.armed)
+        .map(mine => ({ x: mine.x, y: mine.y, vx: 0, vy: 0, radius: MINE_TRIGGER_RADIUS }));
+}
+
+const MINE_HAZARD = { validate, init, update, collide, sense };
+
+export { MINE_HAZARD };
@@ -0,0 +1,172 @@
+// Saw blade hazard - a spinning blade that loops along the walls of a
+// rectangular arena (or a level's own loop of points), grinding and shoving
+// any ship it touches
+//
+// Definition: { type: 'sawblade', path: 'wallLoop' | points: [{x, y}, ...],
+//               offsetFraction }   // start point as a fraction of the loop
+
+import { getArenaDimensions, applyForceAtPosition, applyTorque } from '../arenaPhysics.js';
+import { isInsideGeometries } from '../arenaGeometry.js';
+import { applyDamageToPart } from '../weaponSystem.js';
+import { DAMAGE_TYPES } from '../../pieces/damageTypes.js';
+import { getShipWorldPosition, findPartInRadius, tickHitCooldowns } from './hazardHelpers.js';
+
+const SAW_RADIUS = 4;
+const SAW_SPIN_SPEED = 6;          // rad/s
+const SAW_MOVE_SPEED = 12;         // world units/s along wall
+const SAW_DAMAGE = 3;
+const SAW_DAMAGE_TYPE = DAMAGE_TYPES.HAZARD;
+const SAW_HIT_COOLDOWN = 0.5;      // seconds between hits per ship
+const SAW_PUSH_FORCE = 800;        // tangential impulse magnitude
+const SAW_TORQUE = 50;             // angular impulse on hit
+const SAW_INSET = 1;               // distance from wall inner edge to saw center
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+function validate(def, name, geometries) {
+    if (def.points === undefined) {
+        if (def.path !== 'wallLoop') return [`${name} needs path "wallLoop" or a points list`];
+        return geometries.every(g => g.shape === 'rect') ? [] : [`${name} path "wallLoop" needs a rectangular arena`];
+    }
+    if (!Array.isArray(def.points) || def.points.length < 2) {
+        return [`${name}.points must list at least two points`];
+    }
+    return def.points
+        .map((point, i) => (isInsideGeometries(geometries, point?.x, point?.y) ? null : `${name}.points[${i}] must be inside the arena`))
+        .filter(Boolean);
+}
+
+function init(def) {
+    // Level saws may follow their own loop of points instead of the walls
+    const waypoints = def.points ? def.points.map(p => ({ x: p.x, y: p.y })) : buildWallLoopPath();
+    const totalLen = wallLoopLength(waypoints);
+    const startDist = (def.offsetFraction ?? 0) * totalLen;
+
+    const saw = {
+        waypoints,
+        totalLen,
+        distance: startDist,
+        x: 0,
+        y: 0,
+        spin: 0,                  // visual rotation (rad)
+        radius: SAW_RADIUS,
+        hitCooldowns: new Map()   // shipId → remaining cooldown
+    };
+
+    // Set initial position
+    const pos = positionOnLoop(waypoints, saw.distance, totalLen);
+    saw.x = pos.x;
+    saw.y = pos.y;
+    return saw;
+}
+
+function update(saw, dt) {
+    // Move along wall loop
+    saw.distance += SAW_MOVE_SPEED * dt;
+    const pos = positionOnLoop(saw.waypoints, saw.distance, saw.totalLen);
+    saw.x = pos.x;
+    saw.y = pos.y;
+
+    // Spin
+    saw.spin += SAW_SPIN_SPEED * dt;
+
+    tickHitCooldowns(saw.hitCooldowns, dt);
+}
+
+function collide(saw, ship, destroyed) {
+    const shipId = ship.body.id;
+    if (saw.hitCooldowns.has(shipId)) return;
+
+    // Find hit part using circle overlap
+    const hitPart = findPartInRadius(ship, saw.x, saw.y, SAW_RADIUS);
+    if (!hitPart) return;
+
+    // Apply damage
+    const result = applyDamageToPart(ship, hitPart, SAW_DAMAGE, null, SAW_DAMAGE_TYPE);
+    if (result.coreDestroyed && !destroyed.includes(ship)) {
+        destroyed.push(ship);
+    }
+
+    // Tangential force: perpendicular to (ship - saw), rotated CCW
+    const shipPos = getShipWorldPosition(ship);
+    const dx = shipPos.x - saw.x;
+    const dy = shipPos.y - saw.y;
+    const dist = Math.hypot(dx, dy) || 1;
+    // CCW tangent of the radial direction
+    const tangentX = -dy / dist;
+    const tangentY = dx / dist;
+
+    applyForceAtPosition(ship.body, shipPos,
+        { x: tangentX * SAW_PUSH_FORCE, y: tangentY * SAW_PUSH_FORCE }
+    );
+    applyTorque(ship.body, SAW_TORQUE);
+
+    saw.hitCooldowns.set(shipId, SAW_HIT_COOLDOWN);
+}
+
+/** Velocity comes from a small lookahead along the loop */
+function sense(saw) {
+    const EPSILON = 0.01;
+    const ahead = positionOnLoop(saw.waypoints, saw.distance + EPSILON, saw.totalLen);
+    const dx = ahead.x - saw.x;
+    const dy = ahead.y - saw.y;
+    const len = Math.hypot(dx, dy) || 1;
+    return [{
+        x: saw.x,
+        y: saw.y,
+        vx: (dx / len) * SAW_MOVE_SPEED,
+        vy: (dy / len) * SAW_MOVE_SPEED,
+        radius: SAW_RADIUS
+    }];
+}
+
+const SAW_BLADE_HAZARD = { validate, init, update, collide, sense };
+
+// ============================================================================
+// Path helpers
+// ============================================================================
+
+/** Builds the wall-loop waypoints (counter-clockwise) */
+function buildWallLoopPath() {
+    const { width, height } = getArenaDimensions();
+    const hw = width / 2 - SAW_INSET;
+    const hh = height / 2 - SAW_INSET;
+    // CCW starting at bottom-right: up right edge → left across top → down left edge → right across bottom
+    return [
+        { x: hw, y: -hh },   // bottom-right
+        { x: hw, y: hh },    // top-right
+        { x: -hw, y: hh },   // top-left
+        { x: -hw, y: -hh }   // bottom-left
+    ];
+}
+
+/** Total perimeter length of the wall loop */
+function wallLoopLength(waypoints) {
+    let total = 0;
+    for (let i = 0; i < waypoints.length; i++) {
+        const a = waypoints[i];
+        const b = waypoints[(i + 1) % waypoints.length];
+        total += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    return total;
+}
+
+/** Position along the wall loop at a given distance from the start */
+function positionOnLoop(waypoints, dist, totalLen) {
+    let d = ((dist % totalLen) + totalLen) % totalLen;
+    for (let i = 0; i < waypoints.length; i++) {
+        const a = waypoints[i];
+        const b = waypoints[(i + 1) % waypoints.length];
+        const segLen = Math.hypot(b.x - a.x, b.y - a.y);
+        if (d <= segLen) {
+            const t = d / segLen;
+            return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        }
+        d -= segLen;
+    }
+    return { ...waypoints[0] };
+}
+
+export { SAW_BLADE_HAZARD };
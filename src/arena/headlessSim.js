@@ -0,0 +1,182 @@
+// Headless fight simulator - runs a complete fight with no scene, DOM, or
+// requestAnimationFrame, as fast as the CPU allows
+//
+// Works in Node or a Web Worker. The host provides the globals the arena
+// already relies on: `Matter` (and `tf` when ML controllers are used). Piece
+// definition modules import 'three' for their mesh builders, so the module
+// must be resolvable, but no Three.js object is created on this path.
+//
+// AIDEV-NOTE: Physics, weapon, hazard, blocker, and fight clock modules keep module-level
+// state, so only one fight (headless or live) can run per JS realm at a time.
+// Use one worker per fight to run batches in parallel.
+
+import { createArenaPhysics, clearArenaPhysics } from './arenaPhysics.js';
+import { setArenaGeometry, resetArenaGeometry } from './arenaGeometry.js';
+import { createArenaShip } from './arenaShip.js';
+import { initWeaponSystem, cleanupWeaponSystem } from './weaponSystem.js';
+import { initHazards, cleanupHazards } from './hazards.js';
+import { initBlockers, cleanupBlockers, getBlockers } from './blockers.js';
+import { DEFAULT_FIGHT_RULES, initFightClock, cleanupFightClock, isFightTimeUp, decideOnDamage } from './fightClock.js';
+import { resolveArenaType } from './arenaTypes.js';
+import { SIM_TICK_RATE, seedFightRng, stepSimulation, updateControllerSensing } from './simulation.js';
+import { createPiecesFromLayout } from '../layout.js';
+import { generateSeed } from '../rng.js';
+
+// Spawn points for side A / side B (same as enterArenaWithController)
+const SPAWN_POINTS = [
+    { x: 0, y: -20 },
+    { x: 0, y: 15 }
+];
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Runs a full 1v1 fight headless and returns the outcome plus stats.
+ * Side A is team 1, side B is team 2.
+ * @param {object} options
+ * @param {Array} options.layouts - [layoutA, layoutB], each [{type, col, row, angle}]
+ * @param {Array} options.controllers - [controllerA, controllerB] (any non-player controller)
+ * @param {string} [options.arenaKey='base'] - Arena type key ('random' picks from the fight seed)
+ * @param {number} [options.seed] - Fight RNG seed (fresh random seed if omitted)
+ * @param {number} [options.tickRate=SIM_TICK_RATE] - Simulation ticks per simulated second
+ * @param {object} [options.rules=DEFAULT_FIGHT_RULES] - Time limit and sudden death { timeLimit, suddenDeath }
+ * @returns {object} { winner: 0|1|null, reason, duration, ticks, seed, arenaKey, ships: [stats A, stats B] }
+ *   reason: 'destroyed' | 'mutual' (both cores died on the same tick) |
+ *   'damage' (time ran out, more damage dealt wins) | 'draw' (time ran out, damage tied)
+ */
+function simulateFight(options) {
+    const { layouts, controllers } = options;
+    if (!layouts || layouts.length !== 2 || !controllers || controllers.length !== 2) {
+        throw new Error('simulateFight needs exactly two layouts and two controllers');
+    }
+
+    const seed = options.seed ?? generateSeed();
+    const tickRate = options.tickRate ?? SIM_TICK_RATE;
+    const rules = options.rules ?? DEFAULT_FIGHT_RULES;
+    // 'random' comes from the seed, not the run's arena stream, so a seed
+    // reproduces the arena too and running a fight never shifts a run's rolls
+    const { key: arenaKey, config } = resolveArenaType(options.arenaKey ?? 'base', seed);
+
+    seedFightRng(seed);
+    setArenaGeometry(config.geometry);
+    createArenaPhysics();
+    initWeaponSystem();
+    initHazards(config);
+    initBlockers(config.blockers);
+    initFightClock(rules);
+
+    try {
+        const ships = layouts.map((layout, i) => createHeadlessShip(layout, controllers[i], i));
+        const result = runFightLoop(ships, 1 / tickRate);
+        return { ...result, seed, arenaKey, ships: ships.map(summarizeShip) };
+    } finally {
+        cleanupFightClock();
+        cleanupHazards();
+        cleanupBlockers();
+        cleanupWeaponSystem();
+        clearArenaPhysics();
+        resetArenaGeometry();
+    }
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Builds a mesh-free arena ship for one side of the fight
+ * @param {Array} layout - Ship layout
+ * @param {object} controller - Controller for the ship
+ * @param {number} side - 0 (team 1) or 1 (team 2)
+ * @returns {object} Arena ship
+ */
+function createHeadlessShip(layout, controller, side) {
+    const pieces = createPiecesFromLayout(layout, { withMeshes: false });
+    if (!pieces.some(p => p.type === 'core')) {
+        throw new Error(`Layout for side ${side} has no core`);
+    }
+
+    const ship = createArenaShip(pieces, {
+        team: side + 1,
+        spawnX: SPAWN_POINTS[side].x,
+        spawnY: SPAWN_POINTS[side].y,
+        controller
+    });
+    if (!ship) throw new Error(`Failed to build ship for side ${side}`);
+    return ship;
+}
+
+/**
+ * Ticks the simulation until a core is destroyed or the fight clock runs out
+ * @param {Array} ships - [shipA, shipB]
+ * @param {number} dt - Tick length in seconds
+ * @returns {{ winner: number|null, reason: string, duration: number, ticks: number }}
+ */
+function runFightLoop(ships, dt) {
+    const blockers = getBlockers();
+    let ticks = 0;
+
+    // Prime ML controllers so they act on the first tick
+    updateControllerSensing(ships, blockers);
+
+    while (!isFightTimeUp()) {
+        const { destroyedShips } = stepSimulation(ships, dt);
+        ticks++;
+
+        if (destroyedShips.length > 0) {
+            for (const ship of destroyedShips) ship.destroyedAt = ticks * dt;
+            return { ...resolveWinner(ships), duration: ticks * dt, ticks };
+        }
+        updateControllerSensing(ships, blockers);
+    }
+
+    return { ...resolveOnDamage(ships), duration: ticks * dt, ticks };
+}
+
+/**
+ * Decides the winner once at least one core is gone
+ * @param {Array} ships - [shipA, shipB]
+ * @returns {{ winner: number|null, reason: string }}
+ */
+function resolveWinner(ships) {
+    const [a, b] = ships;
+    if (a.destroyed && b.destroyed) return { winner: null, reason: 'mutual' };
+    return { winner: a.destroyed ? 1 : 0, reason: 'destroyed' };
+}
+
+/**
+ * Decides the winner when time runs out with both cores alive
+ * @param {Array} ships - [shipA, shipB]
+ * @returns {{ winner: number|null, reason: string }}
+ */
+function resolveOnDamage(ships) {
+    const { winnerTeam } = decideOnDamage(ships);
+    if (winnerTeam === null) return { winner: null, reason: 'draw' };
+    return { winner: ships.findIndex(ship => ship.team === winnerTeam), reason: 'damage' };
+}
+
+/**
+ * Extracts the end-of-fight stats for one ship
+ * @param {object} ship - Arena ship
+ * @returns {object} Stats summary
+ */
+function summarizeShip(ship) {
+    let hp = 0;
+    let maxHp = 0;
+    for (const part of ship.parts) {
+        hp += part.hp;
+        maxHp += part.maxHp;
+    }
+    return {
+        team: ship.team,
+        destroyed: ship.destroyed,
+        destroyedAt: ship.destroyedAt ?? null,
+        hpFraction: maxHp > 0 ? hp / maxHp : 0,
+        partsLost: ship.parts.filter(p => p.broken).length,
+        ...ship.stats
+    };
+}
+
+export { simulateFight };
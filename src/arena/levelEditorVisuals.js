@@ -0,0 +1,142 @@
+// Level editor visuals -- markers for a level being edited over the arena backdrop
+//
+// Stateless about the level itself: levelEditor.js calls drawEditorLevel()
+// after every edit and the whole marker group is rebuilt. Levels are small,
+// so rebuilding is simpler than tracking individual markers.
+
+import * as THREE from 'three';
+
+const MARKER_Z = 0.2;
+const LINE_Z = 0.1;
+const SPAWN_MARKER_RADIUS = 1.5;
+const POINT_MARKER_RADIUS = 0.5;
+
+const PLAYER_COLOR = 0x4488ff;
+const ENEMY_COLOR = 0xff4444;
+const WAVE_ENEMY_COLOR = 0xff9933;
+const BLOCKER_OUTLINE_COLOR = 0xa0aec0;
+const SAW_PATH_COLOR = 0xcc5500;
+const ENERGY_PATH_COLOR = 0x00ccff;
+const POINT_HAZARD_COLOR = 0xcc66ff;
+const DRAFT_PATH_COLOR = 0xffcc00;
+const OBJECTIVE_COLOR = 0x48bb78;
+const BEACON_MARKER_RADIUS = 1;
+
+let sceneRef = null;
+let markerGroup = null;    // THREE.Group holding all markers, rebuilt on draw
+
+/**
+ * Sets up the marker group
+ * @param {THREE.Scene} scene
+ */
+function initEditorVisuals(scene) {
+    sceneRef = scene;
+    markerGroup = new THREE.Group();
+    scene.add(markerGroup);
+}
+
+/**
+ * Rebuilds every marker for a level
+ * @param {object} level - Level definition being edited
+ * @param {Array} draftPath - Saw path points placed so far ({x, y}), drawn open
+ * @param {number} arenaWidth - Arena width, for full-width energy rows
+ */
+function drawEditorLevel(level, draftPath, arenaWidth) {
+    if (!markerGroup) return;
+    clearMarkers();
+
+    addRing(level.playerSpawn.x, level.playerSpawn.y, SPAWN_MARKER_RADIUS, PLAYER_COLOR);
+    for (const enemy of level.enemies) {
+        addRing(enemy.spawnX, enemy.spawnY, SPAWN_MARKER_RADIUS, ENEMY_COLOR);
+    }
+    for (const wave of level.waves ?? []) {
+        for (const enemy of wave.enemies) {
+            addRing(enemy.spawnX, enemy.spawnY, SPAWN_MARKER_RADIUS, WAVE_ENEMY_COLOR);
+        }
+    }
+    for (const blocker of level.blockers ?? []) {
+        if (blocker.vertices) {
+            addPath(blocker.vertices.map(v => ({ x: blocker.x + v.x, y: blocker.y + v.y })), BLOCKER_OUTLINE_COLOR, true);
+        } else {
+            addRing(blocker.x, blocker.y, blocker.radius, BLOCKER_OUTLINE_COLOR);
+        }
+    }
+    for (const hazard of level.hazards ?? []) {
+        if (hazard.type === 'sawblade' && hazard.points) {
+            addPath(hazard.points, SAW_PATH_COLOR, true);
+        } else if (hazard.type === 'energyball') {
+            const hw = arenaWidth / 2;
+            addPath([{ x: -hw, y: hazard.pathY }, { x: hw, y: hazard.pathY }], ENERGY_PATH_COLOR, false);
+        } else {
+            // Point hazards (gravity wells, laser pivots, mines) only get a marker
+            for (const point of getHazardPoints(hazard)) {
+                addRing(point.x, point.y, SPAWN_MARKER_RADIUS, POINT_HAZARD_COLOR);
+            }
+        }
+    }
+
+    if (level.win.zone) {
+        addRing(level.win.zone.x, level.win.zone.y, level.win.zone.radius, OBJECTIVE_COLOR);
+    } else if (level.win.beacon) {
+        addRing(level.win.beacon.x, level.win.beacon.y, BEACON_MARKER_RADIUS, OBJECTIVE_COLOR);
+    }
+
+    if (draftPath.length > 0) {
+        for (const point of draftPath) addRing(point.x, point.y, POINT_MARKER_RADIUS, DRAFT_PATH_COLOR);
+        addPath(draftPath, DRAFT_PATH_COLOR, false);
+    }
+}
+
+/**
+ * Removes all markers and disposes their resources
+ */
+function cleanupEditorVisuals() {
+    if (markerGroup && sceneRef) {
+        clearMarkers();
+        sceneRef.remove(markerGroup);
+    }
+    markerGroup = null;
+    sceneRef = null;
+}
+
+/**
+ * Points a hazard definition is placed by: its points or positions list, or
+ * its own x/y
+ * @param {object} hazard - Hazard definition
+ * @returns {Array} [{x, y}]
+ */
+function getHazardPoints(hazard) {
+    return hazard.points ?? hazard.positions ?? (hazard.x !== undefined ? [{ x: hazard.x, y: hazard.y }] : []);
+}
+
+// ===========================================================================
+// Marker builders
+// ===========================================================================
+
+function clearMarkers() {
+    for (const child of [...markerGroup.children]) {
+        child.geometry.dispose();
+        child.material.dispose();
+        markerGroup.remove(child);
+    }
+}
+
+/** Adds a circle outline centered on (x, y) */
+function addRing(x, y, radius, color) {
+    const curve = new THREE.EllipseCurve(0, 0, radius, radius, 0, Math.PI * 2);
+    const points = curve.getPoints(32).map(p => new THREE.Vector3(p.x, p.y, 0));
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const ring = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color }));
+    ring.position.set(x, y, MARKER_Z);
+    markerGroup.add(ring);
+}
+
+/** Adds a polyline through points, closed back to the start when `closed` */
+function addPath(points, color, closed) {
+    const vertices = points.map(p => new THREE.Vector3(p.x, p.y, LINE_Z));
+    const geometry = new THREE.BufferGeometry().setFromPoints(vertices);
+    const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.7 });
+    markerGroup.add(closed ? new THREE.LineLoop(geometry, material) : new THREE.Line(geometry, material));
+}
+
+export { initEditorVisuals, drawEditorLevel, cleanupEditorVisuals, getHazardPoints };
@@ -1,71 +1,353 @@
-// Level definitions - enemy configurations for each level
-// Player always spawns at bottom of arena, enemies spawn toward top
-
-// Arena is 80x60 units, centered at origin
-// Y ranges from -30 (bottom) to +30 (top)
-// X ranges from -40 (left) to +40 (right)
-
-const LEVELS = {
-    1: {
-        name: "Level 1: Speeder",
-        description: "A fast enemy with random movements",
-        enemies: [
-            {
-                preset: "speeder",
-                controller: "random",
-                spawnX: 0,
-                spawnY: 15
-            }
-        ],
-        playerSpawn: { x: 0, y: -20 }
-    },
-    2: {
-        name: "Level 2: Tank",
-        description: "A heavy armored enemy - slow but tough",
-        enemies: [
-            {
-                preset: "tank",
-                controller: "random",
-                spawnX: 0,
-                spawnY: 15
-            }
-        ],
-        playerSpawn: { x: 0, y: -20 }
-    }
-    // AIDEV-TODO: Add more levels as needed
-};
+// Level definitions - loaded from JSON files in levels/ and validated at startup
+//
+// levels/index.json lists the level files in display order. Levels saved from
+// the in-game editor (levelPersistence.js) are registered after the files and
+// replace a file level with the same id.
+//
+// Level format:
+//   {
+//     id: 'pack',                        // lowercase letters, digits, dashes
+//     name, description,
+//     arena: any ARENA_TYPES key | 'random',
+//     playerSpawn: { x, y },
+//     enemies: [{ preset, controller: 'random', spawnX, spawnY }],
+//     waves: [{ at, enemies: [...] }],   // optional reinforcements
+//     hazards: [...],                    // optional, added to the arena type's
+//     blockers: [...],                   // optional, added to the arena type's
+//     win: { type: 'destroyAll' } | { type: 'survive', seconds }
+//        | { type: 'capture', zone: { x, y, radius }, points }
+//        | { type: 'beacon', beacon: { x, y }, points },
+//     timeLimit: seconds                 // optional, not for survive levels
+//   }
+//
+// `enemies` all spawn when the fight starts. Each wave arrives `at` seconds
+// into the fight, or as soon as every enemy on the field is destroyed,
+// whichever comes first. Waves arrive in order. The level is won once every
+// wave has arrived and been destroyed, or (survive) when the player is still
+// alive after `seconds`. Capture and beacon levels are won by the first side
+// to score `points` on the objective (objectives.js), or by destroying every
+// enemy as usual.
+//
+// Every level but survive has a fight clock (fightClock.js): after
+// `timeLimit` seconds (default DEFAULT_FIGHT_RULES.timeLimit) sudden death
+// starts, and if the player and enemies are both still alive when it ends,
+// the fight goes to the side with more objective points, then to the side
+// that dealt more damage. Survive levels end on their own timer.
+//
+// Hazards use the arena type format: { type, ...options } for any type in
+// the hazard registry (hazards.js), e.g. { type: 'sawblade', points: [{x, y},
+// ...] } for a saw that loops through its own points. Each type's module in
+// hazards/ documents its options.
+// Blockers are { x, y, radius } circles or { x, y, vertices } convex polygons
+// with vertices relative to (x, y); see blockers.js.
+//
+// Every point must lie inside the level's arena (see the arena type's
+// geometry in arenaTypes.js); a level on a 'random' arena must fit every arena
+// type. Arenas are centered at origin, Y up. The default is 80x60 units:
+// X from -40 (left) to +40 (right), Y from -30 (bottom) to +30 (top).
+
+import { ARENA_TYPES } from './arenaTypes.js';
+import { resolveArenaGeometry, isInsideGeometries } from './arenaGeometry.js';
+import { getBlockerRadius, isConvexPolygon } from './blockers.js';
+import { validateHazard } from './hazards.js';
+import { DEFAULT_FIGHT_RULES } from './fightClock.js';
+import { OBJECTIVE_TYPES, validateObjective } from './objectives.js';
+
+// Level files, relative to this module
+const LEVELS_URL = new URL('../../levels/', import.meta.url);
+
+// Controllers a level enemy may use
+const ENEMY_CONTROLLERS = ['random'];
+
+// Win condition types
+const WIN_TYPES = ['destroyAll', 'survive', ...OBJECTIVE_TYPES];
+
+// Longest time limit a level may set (seconds)
+const MAX_TIME_LIMIT = 600;
+
+// Largest blocker radius a level may use (world units, matches sensing's normalization)
+const MAX_BLOCKER_RADIUS = 10;
+
+// Level ids become file names, so keep them plain
+const LEVEL_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Registered levels by id, in display order
+const LEVELS = new Map();
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Loads and validates the level files listed in levels/index.json, then
+ * registers any levels saved from the editor. Invalid levels are skipped
+ * with a warning naming every problem.
+ * @param {string[]} presetNames - Ship presets an enemy may use
+ * @param {Array} [savedLevels=[]] - Levels saved from the editor
+ * @returns {Promise<number>} How many levels were registered
+ */
+async function loadLevels(presetNames, savedLevels = []) {
+    LEVELS.clear();
+
+    const index = await fetchJson(new URL('index.json', LEVELS_URL));
+    for (const file of index.levels) {
+        let level;
+        try {
+            level = await fetchJson(new URL(file, LEVELS_URL));
+        } catch (err) {
+            console.warn(`Skipping level file ${file}: ${err.message}`);
+            continue;
+        }
+        registerLevel(level, presetNames, file);
+    }
+    for (const level of savedLevels) {
+        registerLevel(level, presetNames, `saved level "${level.id}"`);
+    }
+
+    console.log(`Loaded ${LEVELS.size} levels`);
+    return LEVELS.size;
+}
+
+/**
+ * Validates a level and adds it to the registry (replacing one with the same id)
+ * @param {object} level - Level definition
+ * @param {string[]} presetNames - Ship presets an enemy may use
+ * @param {string} source - Where the level came from (for warnings)
+ * @returns {boolean} Whether the level was registered
+ */
+function registerLevel(level, presetNames, source) {
+    const errors = validateLevel(level, presetNames);
+    if (errors.length > 0) {
+        console.warn(`Skipping ${source}:\n  ${errors.join('\n  ')}`);
+        return false;
+    }
+    LEVELS.set(level.id, level);
+    return true;
+}
+
+/** Fetches and parses a JSON file, failing on HTTP errors */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} returned HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Checks a level definition against the level format.
+ * @param {object} level - Level definition
+ * @param {string[]} presetNames - Ship presets an enemy may use
+ * @returns {string[]} Problems found (empty when the level is valid)
+ */
+function validateLevel(level, presetNames) {
+    const errors = [];
+    if (!level || typeof level !== 'object') return ['Level is not an object'];
+
+    if (typeof level.id !== 'string' || !LEVEL_ID_PATTERN.test(level.id)) {
+        errors.push(`id "${level.id}" must be lowercase letters, digits, and dashes`);
+    }
+    if (typeof level.name !== 'string' || level.name.trim() === '') {
+        errors.push('name is required');
+    }
+    if (level.description !== undefined && typeof level.description !== 'string') {
+        errors.push('description must be a string');
+    }
+    if (level.arena !== 'random' && !ARENA_TYPES[level.arena]) {
+        errors.push(`arena "${level.arena}" is not an arena type`);
+    }
+    const geometries = getLevelGeometries(level.arena);
+    checkPoint(errors, 'playerSpawn', level.playerSpawn, geometries);
+    checkEnemies(errors, 'enemies', level.enemies, presetNames, geometries);
+    checkOptionalArray(errors, 'waves', level.waves, checkWaves, presetNames, geometries);
+    checkOptionalArray(errors, 'hazards', level.hazards, checkHazards, geometries);
+    checkOptionalArray(errors, 'blockers', level.blockers, checkBlockers, geometries);
+    checkWin(errors, level.win, geometries);
+    checkTimeLimit(errors, level);
+    return errors;
+}
+
+/**
+ * Geometries a level's points must fit inside: its arena type's, or every
+ * arena type's when the arena is picked at random
+ */
+function getLevelGeometries(arena) {
+    const types = arena === 'random' ? Object.values(ARENA_TYPES) : [ARENA_TYPES[arena] ?? ARENA_TYPES.base];
+    return types.map(type => resolveArenaGeometry(type.geometry));
+}
+
+/** Runs `check` on an optional array field */
+function checkOptionalArray(errors, field, value, check, ...args) {
+    if (value === undefined) return;
+    if (!Array.isArray(value)) {
+        errors.push(`${field} must be an array`);
+        return;
+    }
+    check(errors, field, value, ...args);
+}
+
+/** Checks that a field is an {x, y} point inside the arena */
+function checkPoint(errors, field, point, geometries) {
+    if (!point || !isInsideGeometries(geometries, point.x, point.y)) {
+        errors.push(`${field} must be an {x, y} point inside the arena`);
+    }
+}
+
+function checkEnemies(errors, field, enemies, presetNames, geometries) {
+    if (!Array.isArray(enemies) || enemies.length === 0) {
+        errors.push(`${field} must list at least one enemy`);
+        return;
+    }
+    enemies.forEach((enemy, i) => {
+        const name = `${field}[${i}]`;
+        if (!presetNames.includes(enemy?.preset)) {
+            errors.push(`${name}.preset "${enemy?.preset}" is not a ship preset`);
+        }
+        if (!ENEMY_CONTROLLERS.includes(enemy?.controller)) {
+            errors.push(`${name}.controller must be one of ${ENEMY_CONTROLLERS.join(', ')}`);
+        }
+        if (!isInsideGeometries(geometries, enemy?.spawnX, enemy?.spawnY)) {
+            errors.push(`${name} spawn must be inside the arena`);
+        }
+    });
+}
+
+function checkWaves(errors, field, waves, presetNames, geometries) {
+    let lastAt = 0;
+    waves.forEach((wave, i) => {
+        const name = `${field}[${i}]`;
+        if (!isFiniteNumber(wave?.at) || wave.at <= 0) {
+            errors.push(`${name}.at must be a positive number of seconds`);
+        } else if (wave.at < lastAt) {
+            errors.push(`${name}.at must not be earlier than the wave before it`);
+        } else {
+            lastAt = wave.at;
+        }
+        checkEnemies(errors, `${name}.enemies`, wave?.enemies, presetNames, geometries);
+    });
+}
+
+function checkHazards(errors, field, hazards, geometries) {
+    hazards.forEach((hazard, i) => errors.push(...validateHazard(hazard, `${field}[${i}]`, geometries)));
+}
+
+function checkBlockers(errors, field, blockers, geometries) {
+    blockers.forEach((blocker, i) => {
+        const name = `${field}[${i}]`;
+        checkPoint(errors, name, blocker, geometries);
+        if (blocker?.vertices !== undefined) {
+            checkPolygonBlocker(errors, name, blocker.vertices);
+        } else if (!isFiniteNumber(blocker?.radius) || blocker.radius <= 0 || blocker.radius > MAX_BLOCKER_RADIUS) {
+            errors.push(`${name}.radius must be between 0 and ${MAX_BLOCKER_RADIUS}`);
+        }
+    });
+}
+
+function checkPolygonBlocker(errors, name, vertices) {
+    if (!Array.isArray(vertices) || !vertices.every(v => isFiniteNumber(v?.x) && isFiniteNumber(v?.y))) {
+        errors.push(`${name}.vertices must be a list of {x, y} points`);
+    } else if (!isConvexPolygon(vertices)) {
+        errors.push(`${name}.vertices must form a convex polygon`);
+    } else if (getBlockerRadius({ vertices }) > MAX_BLOCKER_RADIUS) {
+        errors.push(`${name}.vertices must lie within ${MAX_BLOCKER_RADIUS} of its center`);
+    }
+}
+
+function checkWin(errors, win, geometries) {
+    if (!win || !WIN_TYPES.includes(win.type)) {
+        errors.push(`win.type must be one of ${WIN_TYPES.join(', ')}`);
+        return;
+    }
+    if (win.type === 'survive' && (!isFiniteNumber(win.seconds) || win.seconds <= 0)) {
+        errors.push('win.seconds must be a positive number for survive levels');
+    }
+    if (OBJECTIVE_TYPES.includes(win.type)) {
+        errors.push(...validateObjective(win, geometries));
+    }
+}
+
+function checkTimeLimit(errors, level) {
+    if (level.timeLimit === undefined) return;
+    if (level.win?.type === 'survive') {
+        errors.push('timeLimit does not apply to survive levels');
+    } else if (!isFiniteNumber(level.timeLimit) || level.timeLimit <= 0 || level.timeLimit > MAX_TIME_LIMIT) {
+        errors.push(`timeLimit must be between 0 and ${MAX_TIME_LIMIT} seconds`);
+    }
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// ============================================================================
+// Queries
+// ============================================================================
 
 /**
  * Gets a level definition by ID
- * @param {number} levelId - Level ID
+ * @param {string} levelId - Level ID
  * @returns {object|null} Level definition or null if not found
  */
 function getLevel(levelId) {
-    return LEVELS[levelId] ?? null;
+    return LEVELS.get(levelId) ?? null;
 }
 
 /**
  * Gets all available level IDs
- * @returns {number[]} Array of level IDs
+ * @returns {string[]} Array of level IDs
  */
 function getLevelIds() {
-    return Object.keys(LEVELS).map(Number);
+    return [...LEVELS.keys()];
+}
+
+/**
+ * Gets the reinforcement waves of a level (empty for single-wave levels)
+ * @param {object} level - Level definition
+ * @returns {Array} Waves [{ at, enemies }] in arrival order
+ */
+function getLevelWaves(level) {
+    return level.waves ?? [];
+}
+
+/**
+ * Gets the fight clock rules of a level
+ * @param {object} level - Level definition
+ * @returns {object|null} { timeLimit, suddenDeath }, or null for survive levels
+ */
+function getLevelRules(level) {
+    if (level.win.type === 'survive') return null;
+    return { ...DEFAULT_FIGHT_RULES, timeLimit: level.timeLimit ?? DEFAULT_FIGHT_RULES.timeLimit };
 }
 
 /**
  * Gets level info for UI display
- * @returns {Array} Array of {id, name} objects
+ * @returns {Array} Array of {id, name, description, waveCount} objects
  */
 function getLevelList() {
-    return Object.entries(LEVELS).map(([id, level]) => ({
-        id: Number(id),
-        name: level.name
+    return [...LEVELS.values()].map(level => ({
+        id: level.id,
+        name: level.name,
+        description: level.description ?? '',
+        waveCount: 1 + getLevelWaves(level).length
     }));
 }
 
 export {
     LEVELS,
+    ENEMY_CONTROLLERS,
+    WIN_TYPES,
+    MAX_BLOCKER_RADIUS,
+    MAX_TIME_LIMIT,
+    loadLevels,
+    registerLevel,
+    validateLevel,
     getLevel,
     getLevelIds,
+    getLevelWaves,
+    getLevelRules,
     getLevelList
 };
@@ -0,0 +1,97 @@
+// Objective display - capture zone / beacon marker and the points score
+//
+// objectives.js owns the objective; this module only reads
+// getObjectiveState() each rendered frame. The marker takes the color of the
+// team scoring on it (grey while nobody is). Fights without an objective
+// show nothing.
+
+import * as THREE from 'three';
+import { getObjectiveState } from './objectives.js';
+import { TEAM_COLORS } from './shipVisuals.js';
+
+const NEUTRAL_COLOR = 0xa0aec0;
+const MARKER_Z = 0.03;
+const ZONE_FILL_OPACITY = 0.12;
+const ZONE_SEGMENTS = 64;
+const BEACON_CORE_RADIUS = 0.6;
+
+let sceneRef = null;
+let marker = null;        // THREE.Group: translucent fill + outline ring (+ beacon core)
+let scoreEl = null;       // points element under the fight clock
+
+/**
+ * Creates the objective marker and score element. Call after the objective
+ * is initialized; does nothing for fights without one.
+ * @param {THREE.Scene} scene
+ */
+function initObjectiveDisplay(scene) {
+    cleanupObjectiveDisplay();
+    const state = getObjectiveState();
+    if (!state) return;
+
+    sceneRef = scene;
+    marker = new THREE.Group();
+    marker.add(new THREE.Mesh(
+        new THREE.CircleGeometry(state.radius, ZONE_SEGMENTS),
+        new THREE.MeshBasicMaterial({ color: NEUTRAL_COLOR, transparent: true, opacity: ZONE_FILL_OPACITY })
+    ));
+    const curve = new THREE.EllipseCurve(0, 0, state.radius, state.radius, 0, Math.PI * 2);
+    const points = curve.getPoints(ZONE_SEGMENTS).map(p => new THREE.Vector3(p.x, p.y, 0));
+    marker.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: NEUTRAL_COLOR, transparent: true, opacity: 0.8 })
+    ));
+    if (state.mode === 'beacon') {
+        marker.add(new THREE.Mesh(
+            new THREE.CircleGeometry(BEACON_CORE_RADIUS, 16),
+            new THREE.MeshBasicMaterial({ color: NEUTRAL_COLOR })
+        ));
+    }
+    marker.position.z = MARKER_Z;
+    scene.add(marker);
+
+    scoreEl = document.createElement('div');
+    scoreEl.id = 'objective-score';
+    document.body.appendChild(scoreEl);
+
+    updateObjectiveDisplay();
+}
+
+/**
+ * Moves and tints the marker and refreshes the score
+ */
+function updateObjectiveDisplay() {
+    const state = getObjectiveState();
+    if (!state || !marker) return;
+
+    marker.position.x = state.x;
+    marker.position.y = state.y;
+    const color = TEAM_COLORS[state.holderTeam] ?? NEUTRAL_COLOR;
+    for (const child of marker.children) {
+        child.material.color.setHex(color);
+    }
+
+    const label = state.mode === 'capture' ? 'ZONE' : 'BEACON';
+    const points = (team) => Math.floor(state.pointsByTeam[team] ?? 0);
+    scoreEl.innerHTML = `<span class="team-1">${points(1)}</span> ${label} ` +
+        `<span class="team-2">${points(2)}</span> <span class="target">/ ${state.target}</span>`;
+}
+
+/**
+ * Removes the marker and score
+ */
+function cleanupObjectiveDisplay() {
+    if (marker && sceneRef) {
+        sceneRef.remove(marker);
+        for (const child of marker.children) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    }
+    if (scoreEl) scoreEl.remove();
+    marker = null;
+    scoreEl = null;
+    sceneRef = null;
+}
+
+export { initObjectiveDisplay, updateObjectiveDisplay, cleanupObjectiveDisplay };
@@ -0,0 +1,216 @@
+// Objectives - capture zone and beacon win conditions for level fights
+//
+// A level's win condition picks the mode (levels.js validates it here):
+//   { type: 'capture', zone: { x, y, radius }, points }
+//       King of the hill: while ships of only one team are inside the zone
+//       (ship center within radius), that team scores a point per second.
+//   { type: 'beacon', beacon: { x, y }, points }
+//       A ship that flies over the beacon picks it up, and its team scores a
+//       point per second while it carries it. The carrier drops the beacon
+//       where it is after taking BEACON_DROP_DAMAGE, or when destroyed.
+// The first team to `points` wins. Destroying cores still ends the fight.
+//
+// Simulation only, like hazards.js: scoring runs inside stepSimulation and
+// objectiveDisplay.js draws the zone/beacon and the score.
+
+import { isInsideGeometries } from './arenaGeometry.js';
+import { getShipWorldPosition, tickHitCooldowns } from './hazards/hazardHelpers.js';
+
+// Win condition types that are objectives
+const OBJECTIVE_TYPES = ['capture', 'beacon'];
+
+const ZONE_MIN_RADIUS = 3;
+const ZONE_MAX_RADIUS = 20;
+const BEACON_PICKUP_RADIUS = 2.5;
+const BEACON_DROP_DAMAGE = 3;       // damage the carrier takes before dropping it
+const BEACON_PICKUP_COOLDOWN = 2;   // seconds before the last carrier can pick it up again
+
+// Objective of the current fight, or null:
+// { mode, target, x, y, radius, pointsByTeam, holderTeam,
+//   carrier, carrierDamage, cooldowns }  (the last three for beacons)
+let objective = null;
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+/**
+ * Checks an objective win condition
+ * @param {object} win - Level win condition with an OBJECTIVE_TYPES type
+ * @param {Array} geometries - Resolved geometries of every arena it may appear in
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateObjective(win, geometries) {
+    const errors = [];
+    if (!Number.isFinite(win.points) || win.points <= 0) {
+        errors.push(`win.points must be a positive number for ${win.type} levels`);
+    }
+    if (win.type === 'capture') {
+        const zone = win.zone;
+        if (!zone || !isInsideGeometries(geometries, zone.x, zone.y)) {
+            errors.push('win.zone must be an {x, y, radius} circle centered inside the arena');
+        } else if (!Number.isFinite(zone.radius) || zone.radius < ZONE_MIN_RADIUS || zone.radius > ZONE_MAX_RADIUS) {
+            errors.push(`win.zone.radius must be between ${ZONE_MIN_RADIUS} and ${ZONE_MAX_RADIUS}`);
+        }
+    } else if (!win.beacon || !isInsideGeometries(geometries, win.beacon.x, win.beacon.y)) {
+        errors.push('win.beacon must be an {x, y} point inside the arena');
+    }
+    return errors;
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Sets up the fight's objective
+ * @param {object|null} win - Level win condition; anything but an objective type means none
+ */
+function initObjective(win) {
+    if (!win || !OBJECTIVE_TYPES.includes(win.type)) {
+        objective = null;
+        return;
+    }
+    const spot = win.type === 'capture' ? win.zone : win.beacon;
+    objective = {
+        mode: win.type,
+        target: win.points,
+        x: spot.x,
+        y: spot.y,
+        radius: win.type === 'capture' ? win.zone.radius : BEACON_PICKUP_RADIUS,
+        pointsByTeam: {},
+        holderTeam: null,           // team scoring right now (null when empty or contested)
+        carrier: null,              // ship carrying the beacon
+        carrierDamage: 0,           // carrier's damageTaken when it picked the beacon up
+        cooldowns: new Map()        // shipId -> seconds until it may pick the beacon up again
+    };
+}
+
+/**
+ * Scores the objective for one tick
+ * @param {Array} ships - All arena ships
+ * @param {number} dt - Tick length in seconds
+ */
+function updateObjective(ships, dt) {
+    if (!objective) return;
+
+    if (objective.mode === 'capture') {
+        updateCaptureZone(ships);
+    } else {
+        updateBeacon(ships, dt);
+    }
+
+    const team = objective.holderTeam;
+    if (team !== null) {
+        objective.pointsByTeam[team] = (objective.pointsByTeam[team] ?? 0) + dt;
+    }
+}
+
+/**
+ * The team that has reached the points target, if any
+ * @returns {number|null}
+ */
+function getObjectiveWinner() {
+    if (!objective) return null;
+    const winner = Object.entries(objective.pointsByTeam).find(([, points]) => points >= objective.target);
+    return winner ? Number(winner[0]) : null;
+}
+
+/**
+ * The team with the most points (for fights that run out of time)
+ * @returns {number|null} Null without an objective, or when the top teams are tied
+ */
+function getObjectiveLeader() {
+    if (!objective) return null;
+    let leader = null;
+    let best = 0;
+    for (const [team, points] of Object.entries(objective.pointsByTeam)) {
+        if (points > best) {
+            best = points;
+            leader = Number(team);
+        } else if (points === best) {
+            leader = null;
+        }
+    }
+    return leader;
+}
+
+/**
+ * Returns the objective for sensing and displays (read-only use)
+ * @returns {object|null} { mode, target, x, y, radius, pointsByTeam, holderTeam, carrier }
+ */
+function getObjectiveState() {
+    return objective;
+}
+
+/**
+ * Clears the objective
+ */
+function cleanupObjective() {
+    objective = null;
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/** King of the hill: the zone scores only for a team that has it to itself */
+function updateCaptureZone(ships) {
+    const teamsInside = new Set();
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body) continue;
+        const pos = getShipWorldPosition(ship);
+        const dx = pos.x - objective.x;
+        const dy = pos.y - objective.y;
+        if (dx * dx + dy * dy <= objective.radius * objective.radius) {
+            teamsInside.add(ship.team);
+        }
+    }
+    objective.holderTeam = teamsInside.size === 1 ? [...teamsInside][0] : null;
+}
+
+/** Picks up, carries, and drops the beacon */
+function updateBeacon(ships, dt) {
+    tickHitCooldowns(objective.cooldowns, dt);
+
+    const carrier = objective.carrier;
+    if (carrier) {
+        const hit = carrier.stats.damageTaken - objective.carrierDamage >= BEACON_DROP_DAMAGE;
+        if (!carrier.destroyed && carrier.body && !hit) {
+            const pos = getShipWorldPosition(carrier);
+            objective.x = pos.x;
+            objective.y = pos.y;
+            return;
+        }
+        // Dropped where the carrier was last tick
+        if (carrier.body) objective.cooldowns.set(carrier.body.id, BEACON_PICKUP_COOLDOWN);
+        objective.carrier = null;
+        objective.holderTeam = null;
+    }
+
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body || objective.cooldowns.has(ship.body.id)) continue;
+        const pos = getShipWorldPosition(ship);
+        const dx = pos.x - objective.x;
+        const dy = pos.y - objective.y;
+        if (dx * dx + dy * dy <= BEACON_PICKUP_RADIUS * BEACON_PICKUP_RADIUS) {
+            objective.carrier = ship;
+            objective.carrierDamage = ship.stats.damageTaken;
+            objective.holderTeam = ship.team;
+            objective.x = pos.x;
+            objective.y = pos.y;
+            return;
+        }
+    }
+}
+
+export {
+    OBJECTIVE_TYPES,
+    validateObjective,
+    initObjective,
+    updateObjective,
+    getObjectiveWinner,
+    getObjectiveLeader,
+    getObjectiveState,
+    cleanupObjective
+};
@@ -0,0 +1,143 @@
+// Point-defense system - auto-turrets that shoot down incoming projectiles
+//
+// Point-defense turrets take no input. Each tick every working turret picks
+// the nearest hostile projectile that is inside its range and aiming arc,
+// still closing on the ship, and can be shot down at all (railgun slugs
+// can't). It swings toward where that projectile will be and fires an
+// interceptor once it's on target and reloaded. weaponSystem.js resolves
+// interceptor hits in checkProjectileCollisions.
+
+import { getArenaPhysicsScale } from './arenaPhysics.js';
+import { drawPower } from './powerSystem.js';
+import { getProjectiles, spawnInterceptor, isHostileProjectile } from './weaponSystem.js';
+import { normalizeAngle, rotateVector } from '../math.js';
+import { RNG_STREAMS, randomSigned } from '../rng.js';
+
+// A turret fires once its aim is within this angle of the lead (radians)
+const FIRE_TOLERANCE = 0.1;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Aims and fires a ship's point-defense turrets for one tick
+ * @param {object} ship - Arena ship
+ * @param {number} deltaTime - Tick length in seconds
+ */
+function updatePointDefense(ship, deltaTime) {
+    if (!ship || !ship.pointDefenses || ship.pointDefenses.length === 0) return;
+
+    const scale = getArenaPhysicsScale();
+    const shipX = ship.body.position.x / scale;
+    const shipY = -ship.body.position.y / scale;
+    const shipAngle = -ship.body.angle;
+    const projectiles = getProjectiles();
+
+    for (const pd of ship.pointDefenses) {
+        if (pd.reloadTimer > 0) pd.reloadTimer -= deltaTime;
+        pd.target = null;
+        if (pd.disabled) continue;
+
+        const rotatedLocal = rotateVector(pd.localPos, shipAngle);
+        const mountX = shipX + rotatedLocal.x;
+        const mountY = shipY + rotatedLocal.y;
+        // Equipment forward is +Y at angle 0, which is atan2 angle π/2
+        const baseWorldAngle = shipAngle + pd.localAngle + Math.PI / 2;
+
+        const lead = findTarget(pd, ship, { x: mountX, y: mountY }, baseWorldAngle, projectiles);
+        if (!lead) continue;
+        pd.target = lead.proj;
+
+        // Swing toward the lead at aiming speed
+        const offsetDiff = lead.offset - pd.currentAimOffset;
+        const maxRotation = pd.aimingSpeed * deltaTime;
+        if (Math.abs(offsetDiff) <= maxRotation) {
+            pd.currentAimOffset = lead.offset;
+        } else {
+            pd.currentAimOffset += Math.sign(offsetDiff) * maxRotation;
+        }
+
+        if (Math.abs(lead.offset - pd.currentAimOffset) > FIRE_TOLERANCE) continue;
+        if (pd.reloadTimer > 0) continue;
+        if (!drawPower(ship, 'pointdefense', pd.energyPerShot)) continue;
+
+        const firingAngle = shipAngle + pd.localAngle + pd.currentAimOffset;
+        const spreadAngle = firingAngle + randomSigned(RNG_STREAMS.COMBAT) * pd.spread;
+        spawnInterceptor(mountX, mountY, spreadAngle, pd.interceptorSpeed, pd.interceptorLifetime, ship, pd.interceptorDamage);
+        pd.reloadTimer = pd.reloadTime;
+    }
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Picks the nearest projectile a turret should engage
+ * @param {object} pd - Point-defense info from ship.pointDefenses
+ * @param {object} ship - Ship the turret defends
+ * @param {{x: number, y: number}} mount - Turret world position
+ * @param {number} baseWorldAngle - Turret's unrotated heading (atan2 convention)
+ * @param {Array} projectiles - Live projectiles
+ * @returns {{proj: object, offset: number}|null} Target and the aim offset that leads it
+ */
+function findTarget(pd, ship, mount, baseWorldAngle, projectiles) {
+    const scale = getArenaPhysicsScale();
+    const shipX = ship.body.position.x / scale;
+    const shipY = -ship.body.position.y / scale;
+    let best = null;
+    let bestDist = pd.range;
+
+    for (const proj of projectiles) {
+        if (!isHostileProjectile(proj, ship)) continue;
+        // Unstoppable shots aren't worth the ammo; spent ones are already gone
+        if (!Number.isFinite(proj.hp) || proj.detonating) continue;
+
+        const dist = Math.hypot(proj.x - mount.x, proj.y - mount.y);
+        if (dist > bestDist) continue;
+
+        // Only shots still closing on the ship
+        if (proj.vx * (shipX - proj.x) + proj.vy * (shipY - proj.y) <= 0) continue;
+
+        const offset = normalizeAngle(getLeadAngle(mount, proj, pd.interceptorSpeed) - baseWorldAngle);
+        if (Math.abs(offset) > pd.aimingArc / 2) continue;
+
+        best = { proj, offset };
+        bestDist = dist;
+    }
+    return best;
+}
+
+/**
+ * Direction to fire so an interceptor at `speed` meets a projectile flying
+ * straight at its current velocity (falls back to aiming straight at it when
+ * the interceptor can't catch it)
+ * @returns {number} World angle (atan2 convention)
+ */
+function getLeadAngle(mount, proj, speed) {
+    const dx = proj.x - mount.x;
+    const dy = proj.y - mount.y;
+
+    // |d + v*t| = speed * t  ->  a*t^2 + b*t + c = 0
+    const a = proj.vx * proj.vx + proj.vy * proj.vy - speed * speed;
+    const b = 2 * (dx * proj.vx + dy * proj.vy);
+    const c = dx * dx + dy * dy;
+    let t = 0;
+    if (Math.abs(a) < 1e-6) {
+        if (b < 0) t = -c / b;
+    } else {
+        const disc = b * b - 4 * a * c;
+        if (disc >= 0) {
+            const root = Math.sqrt(disc);
+            const t1 = (-b - root) / (2 * a);
+            const t2 = (-b + root) / (2 * a);
+            const earliest = Math.min(t1, t2);
+            t = earliest > 0 ? earliest : Math.max(t1, t2, 0);
+        }
+    }
+
+    return Math.atan2(dy + proj.vy * t, dx + proj.vx * t);
+}
+
+export { updatePointDefense };
@@ -0,0 +1,107 @@
+// Power system - reactor energy for cannons and powered thrusters
+//
+// Every ship has a power bank (ship.power, built by arenaShip.js) that the
+// core's generator and any reactors charge each tick. Point-defense turrets
+// and cannons spend their energyPerShot on every shot (each burst round
+// pays); beams spend their powerDraw per second while lit, and thrusters
+// with a powerDraw spend it per second of full throttle.
+//
+// When the bank can't cover everything, equipment stalls by POWER_PRIORITY:
+// a consumer may only spend down to the energy reserved for the kinds ahead
+// of it, so point defense always gets its next interceptor, the guns keep
+// enough for their next shot, and powered thrusters cut out first. A stalled
+// cannon holds its shot until the bank refills; a stalled beam or thruster
+// doesn't fire that tick.
+
+// Consumer kinds, highest priority first
+const POWER_PRIORITY = ['pointdefense', 'cannon', 'beam', 'thruster'];
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Charges the bank for one tick and works out the priority reserves. Call
+ * once per ship per tick, before any equipment draws power.
+ * @param {object} ship - Arena ship
+ * @param {number} dt - Tick length in seconds
+ */
+function beginPowerTick(ship, dt) {
+    const power = ship.power;
+
+    // Broken reactors stop generating and take their stored share with them
+    power.generation = ship.core ? ship.core.powerGeneration : 0;
+    power.capacity = ship.core ? ship.core.powerCapacity : 0;
+    for (const reactor of ship.reactors) {
+        if (reactor.disabled) continue;
+        power.generation += reactor.powerGeneration;
+        power.capacity += reactor.powerCapacity;
+    }
+
+    power.stored = Math.min(power.capacity, power.stored + power.generation * dt);
+    power.tickLength = dt;
+
+    let reserve = 0;
+    for (const kind of POWER_PRIORITY) {
+        power.reserve[kind] = reserve;
+        reserve += getPeakDemand(ship, kind);
+    }
+}
+
+/**
+ * Spends energy if the bank can cover it without cutting into the reserve
+ * held for higher-priority equipment
+ * @param {object} ship - Arena ship
+ * @param {string} kind - Consumer kind from POWER_PRIORITY
+ * @param {number} amount - Energy to spend
+ * @returns {boolean} False when the consumer stalls (nothing is spent)
+ */
+function drawPower(ship, kind, amount) {
+    if (amount <= 0) return true;
+    const power = ship.power;
+    if (power.stored - amount < (power.reserve[kind] ?? 0)) return false;
+    power.stored -= amount;
+    return true;
+}
+
+/**
+ * Spends a thruster's power for this tick at the given throttle. Thrusters
+ * without a powerDraw always pass.
+ * @param {object} ship - Arena ship
+ * @param {object} thruster - Thruster info from ship.thrusters
+ * @param {number} throttle - Throttle value 0-1
+ * @returns {boolean} False when the thruster stalls
+ */
+function drawThrusterPower(ship, thruster, throttle) {
+    return drawPower(ship, 'thruster', thruster.powerDraw * throttle * ship.power.tickLength);
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Energy a kind may need in one go: the priciest shot among working
+ * point-defense turrets or cannons (ones whose shot fits the bank at all), or
+ * one tick of every working beam or powered thruster at full output
+ */
+function getPeakDemand(ship, kind) {
+    const power = ship.power;
+    if (kind === 'pointdefense' || kind === 'cannon') {
+        const mounts = kind === 'cannon' ? ship.cannons : ship.pointDefenses;
+        let peak = 0;
+        for (const mount of mounts) {
+            if (mount.disabled || mount.energyPerShot > power.capacity) continue;
+            peak = Math.max(peak, mount.energyPerShot);
+        }
+        return peak;
+    }
+    const consumers = kind === 'beam' ? ship.beams : ship.thrusters;
+    let draw = 0;
+    for (const consumer of consumers) {
+        if (!consumer.disabled) draw += consumer.powerDraw;
+    }
+    return draw * power.tickLength;
+}
+
+export { POWER_PRIORITY, beginPowerTick, drawPower, drawThrusterPower };
@@ -0,0 +1,210 @@
+// Projectile visuals - Three.js meshes mirroring the weapon system's projectiles
+//
+// weaponSystem.js owns projectile data; this module keeps one mesh per live
+// projectile, creating meshes for new shots and disposing meshes whose
+// projectile has been removed. Positions are interpolated between the
+// previous and current simulation tick. Homing missiles get a pointed mesh
+// that turns with their heading, point-defense interceptors a small tracer.
+// Explosive shots leave a short-lived flash
+// that grows to the blast radius and fades.
+
+import * as THREE from 'three';
+
+// Projectile visual settings
+const PROJECTILE_RADIUS = 0.15;
+const PROJECTILE_COLOR = 0xff6600;
+const PROJECTILE_Z = 0.2;
+const MISSILE_RADIUS = 0.14;
+const MISSILE_LENGTH = 0.6;
+const MISSILE_COLOR = 0xdddddd;
+const MISSILE_GLOW = 0xff3322;
+const INTERCEPTOR_RADIUS = 0.07;
+const INTERCEPTOR_COLOR = 0xffffaa;
+const EXPLOSION_COLOR = 0xffaa33;
+const EXPLOSION_DURATION = 0.35;    // seconds
+const EXPLOSION_OPACITY = 0.7;
+
+let sceneRef = null;
+let sharedGeometry = null;
+let sharedMaterial = null;
+let missileGeometry = null;
+let missileMaterial = null;
+let interceptorGeometry = null;
+let interceptorMaterial = null;
+let explosionGeometry = null;
+
+// Live explosion flashes: {mesh, radius, age}
+const explosionFlashes = [];
+
+// Projectile object -> mesh
+const meshesByProjectile = new Map();
+
+// Projectile object -> {x, y} before the latest tick
+const previousPositions = new Map();
+
+/**
+ * Initializes projectile visuals for a scene
+ * @param {THREE.Scene} scene - Scene to add projectile meshes to
+ */
+function initProjectileVisuals(scene) {
+    sceneRef = scene;
+    sharedGeometry = new THREE.SphereGeometry(PROJECTILE_RADIUS, 8, 8);
+    sharedMaterial = new THREE.MeshStandardMaterial({
+        color: PROJECTILE_COLOR,
+        emissive: PROJECTILE_COLOR,
+        emissiveIntensity: 0.5
+    });
+    // Cone points along +Y; syncProjectileVisuals turns it to the heading
+    missileGeometry = new THREE.ConeGeometry(MISSILE_RADIUS, MISSILE_LENGTH, 8);
+    missileMaterial = new THREE.MeshStandardMaterial({
+        color: MISSILE_COLOR,
+        emissive: MISSILE_GLOW,
+        emissiveIntensity: 0.4
+    });
+    interceptorGeometry = new THREE.SphereGeometry(INTERCEPTOR_RADIUS, 6, 6);
+    interceptorMaterial = new THREE.MeshBasicMaterial({ color: INTERCEPTOR_COLOR });
+    // Unit circle, scaled up to the blast radius as the flash grows
+    explosionGeometry = new THREE.CircleGeometry(1, 24);
+}
+
+/**
+ * Records projectile positions before a simulation tick, so the next render
+ * can interpolate from them. Call once per tick, before stepping.
+ * @param {Array} projectiles - Live projectiles from getProjectiles()
+ */
+function captureProjectilePositions(projectiles) {
+    previousPositions.clear();
+    for (const proj of projectiles) {
+        previousPositions.set(proj, { x: proj.x, y: proj.y });
+    }
+}
+
+/**
+ * Matches meshes to the current projectile list
+ * @param {Array} projectiles - Live projectiles from getProjectiles()
+ * @param {number} [alpha=1] - Fraction of the way from the previous tick to
+ *   the current one (0..1). Shots fired this tick have no previous position
+ *   and are drawn where they are.
+ */
+function syncProjectileVisuals(projectiles, alpha = 1) {
+    if (!sceneRef) return;
+
+    const live = new Set(projectiles);
+    for (const [proj, mesh] of meshesByProjectile) {
+        if (!live.has(proj)) {
+            sceneRef.remove(mesh);
+            meshesByProjectile.delete(proj);
+        }
+    }
+
+    for (const proj of projectiles) {
+        let mesh = meshesByProjectile.get(proj);
+        if (!mesh) {
+            if (proj.guidance) {
+                mesh = new THREE.Mesh(missileGeometry, missileMaterial);
+            } else if (proj.interceptor) {
+                mesh = new THREE.Mesh(interceptorGeometry, interceptorMaterial);
+            } else {
+                mesh = new THREE.Mesh(sharedGeometry, sharedMaterial);
+            }
+            sceneRef.add(mesh);
+            meshesByProjectile.set(proj, mesh);
+        }
+        const prev = previousPositions.get(proj) ?? proj;
+        mesh.position.set(
+            prev.x + (proj.x - prev.x) * alpha,
+            prev.y + (proj.y - prev.y) * alpha,
+            PROJECTILE_Z
+        );
+        if (proj.guidance) {
+            mesh.rotation.z = Math.atan2(proj.vy, proj.vx) - Math.PI / 2;
+        }
+    }
+}
+
+/**
+ * Starts a flash for each blast the weapon system set off. Call once per
+ * tick, after stepping.
+ * @param {Array} explosions - Blasts from getExplosions()
+ */
+function spawnExplosionVisuals(explosions) {
+    if (!sceneRef) return;
+    for (const blast of explosions) {
+        const mesh = new THREE.Mesh(explosionGeometry, new THREE.MeshBasicMaterial({
+            color: EXPLOSION_COLOR,
+            transparent: true,
+            opacity: EXPLOSION_OPACITY
+        }));
+        mesh.position.set(blast.x, blast.y, PROJECTILE_Z);
+        sceneRef.add(mesh);
+        explosionFlashes.push({ mesh, radius: blast.radius, age: 0 });
+    }
+}
+
+/**
+ * Grows and fades explosion flashes, removing finished ones
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+function updateExplosionVisuals(deltaTime) {
+    for (let i = explosionFlashes.length - 1; i >= 0; i--) {
+        const flash = explosionFlashes[i];
+        flash.age += deltaTime;
+        const t = flash.age / EXPLOSION_DURATION;
+        if (t >= 1) {
+            removeExplosionFlash(i);
+            continue;
+        }
+        // Snap most of the way out, then ease to the full radius
+        const size = flash.radius * (1 - (1 - t) * (1 - t) * 0.7);
+        flash.mesh.scale.set(size, size, 1);
+        flash.mesh.material.opacity = EXPLOSION_OPACITY * (1 - t);
+    }
+}
+
+/** Takes one explosion flash out of the scene and frees its material */
+function removeExplosionFlash(index) {
+    const flash = explosionFlashes[index];
+    if (sceneRef) sceneRef.remove(flash.mesh);
+    flash.mesh.material.dispose();
+    explosionFlashes.splice(index, 1);
+}
+
+/**
+ * Removes all projectile meshes and releases shared resources
+ */
+function cleanupProjectileVisuals() {
+    if (sceneRef) {
+        for (const mesh of meshesByProjectile.values()) {
+            sceneRef.remove(mesh);
+        }
+    }
+    for (let i = explosionFlashes.length - 1; i >= 0; i--) {
+        removeExplosionFlash(i);
+    }
+    meshesByProjectile.clear();
+    previousPositions.clear();
+    if (sharedGeometry) sharedGeometry.dispose();
+    if (sharedMaterial) sharedMaterial.dispose();
+    if (missileGeometry) missileGeometry.dispose();
+    if (missileMaterial) missileMaterial.dispose();
+    if (interceptorGeometry) interceptorGeometry.dispose();
+    if (interceptorMaterial) interceptorMaterial.dispose();
+    if (explosionGeometry) explosionGeometry.dispose();
+    sharedGeometry = null;
+    sharedMaterial = null;
+    missileGeometry = null;
+    missileMaterial = null;
+    interceptorGeometry = null;
+    interceptorMaterial = null;
+    explosionGeometry = null;
+    sceneRef = null;
+}
+
+export {
+    initProjectileVisuals,
+    captureProjectilePositions,
+    syncProjectileVisuals,
+    spawnExplosionVisuals,
+    updateExplosionVisuals,
+    cleanupProjectileVisuals
+};
@@ -0,0 +1,276 @@
+// Replay module - records a fight as per-tick controller inputs and plays it back
+//
+// A replay is the fight seed, arena type (plus any hazards, blockers, and
+// capture zone / beacon objective a level added to it), the fight clock
+// rules (time limit and sudden death; missing in replays recorded before the
+// clock, which had none), whether friendly fire was on (missing = off), each
+// ship's layout/team/spawn (plus the topology hash of any ML model that drove
+// it, and the tick it spawned on for reinforcements), and one input track per
+// ship. Re-running the fixed-tick simulation from the same seed with the
+// recorded inputs reproduces the fight, so no positions are stored.
+//
+// Track entries are only written when a ship's input changes:
+//   [tick, buttonMask, aimX, aimY, towardX, towardY, turretX, turretY]
+// aim = input.aimTarget (where shots go), toward = input.turnToward,
+// turret = the aim target the weapon system tracked that tick. Missing
+// positions are stored as null. Coordinates are exact (not quantized) because
+// rounding them would change the simulation.
+//
+// AIDEV-NOTE: Playback relies on the simulation being deterministic for a
+// given seed + inputs + tick rate. Anything that reads wall-clock time or
+// Math.random() inside a tick will desync replays, and so will any change
+// to the simulation rules that doesn't bump REPLAY_VERSION.
+
+import { SIM_TICK_RATE } from './simulation.js';
+import { SCHEMA_VERSION } from '../ml/schema.js';
+
+// Bit per boolean input in the button mask
+const INPUT_BITS = {
+    forward: 1,
+    back: 2,
+    left: 4,
+    right: 8,
+    turnLeft: 16,
+    turnRight: 32,
+    fastTurn: 64,
+    fire: 128,
+    fireHeld: 256
+};
+
+// Replay object version. Bump when the recorded fields change meaning AND
+// whenever the simulation rules change (physics, damage, weapons, hazards,
+// spawns...): old inputs replayed under new rules play out a different
+// fight, so replays from another version are refused on watch and import.
+// v2: multi-enemy sensing, fuel, power, shields, damage types, missiles,
+// beams, splash, point defense, ramming, and recoil.
+const REPLAY_VERSION = 2;
+
+// Recording in progress, or null
+let activeRecording = null;
+
+// Most recently finished replay (kept in memory for the outcome screens)
+let lastReplay = null;
+
+// ============================================================================
+// Recording
+// ============================================================================
+
+/**
+ * Starts recording a new fight. Any unfinished recording is discarded.
+ * @param {object} setup
+ * @param {number} setup.seed - Fight RNG seed
+ * @param {string} setup.arenaKey - Resolved arena type key
+ * @param {object|null} [setup.environment] - Level additions { hazards, blockers, objective }
+ * @param {object|null} [setup.rules] - Fight clock rules { timeLimit, suddenDeath }, null for no clock
+ * @param {boolean} [setup.friendlyFire=false] - Whether shots hit allies
+ * @param {Array} setup.ships - [{ team, layout, spawnX, spawnY, label, modelHash, spawnTick }] in spawn order
+ */
+function startReplayRecording({ seed, arenaKey, environment = null, rules = null, friendlyFire = false, ships }) {
+    activeRecording = {
+        version: REPLAY_VERSION,
+        schemaVersion: SCHEMA_VERSION,
+        createdAt: Date.now(),
+        seed,
+        arenaKey,
+        environment: environment && structuredClone(environment),
+        rules: rules && { ...rules },
+        friendlyFire,
+        tickRate: SIM_TICK_RATE,
+        ships: ships.map(createShipEntry),
+        tracks: ships.map(() => []),
+        ticks: 0,
+        outcome: null
+    };
+}
+
+/**
+ * Adds a ship that spawned mid-fight (a reinforcement wave) to the recording
+ * @param {object} ship - { team, layout, spawnX, spawnY, label, modelHash, spawnTick }
+ */
+function addReplayShip(ship) {
+    if (!activeRecording) return;
+    activeRecording.ships.push(createShipEntry(ship));
+    activeRecording.tracks.push([]);
+}
+
+/**
+ * Records the topology hash of a model that took over a ship mid-fight
+ * (e.g. the player handing control to their trained AI).
+ * @param {number} shipIndex - Index in the recording's ships
+ * @param {string} modelHash - From hashModelTopology
+ */
+function setReplayShipModel(shipIndex, modelHash) {
+    if (!activeRecording) return;
+    const ship = activeRecording.ships[shipIndex];
+    if (ship) ship.modelHash = modelHash;
+}
+
+/**
+ * Appends one tick of inputs. Call once per simulation tick, after stepping.
+ * @param {Array} ships - Arena ships in the same order as the recording's ships
+ * @param {Map} inputs - Ship -> input applied this tick (from stepSimulation)
+ * @param {Map} turretAims - Ship -> aim target the weapon system tracked this tick
+ */
+function recordReplayTick(ships, inputs, turretAims) {
+    if (!activeRecording) return;
+
+    const tick = activeRecording.ticks;
+    ships.forEach((ship, i) => {
+        const input = inputs.get(ship);
+        if (!input) return;
+
+        const entry = encodeInput(tick, input, turretAims.get(ship) ?? null);
+        const track = activeRecording.tracks[i];
+        const prev = track[track.length - 1];
+        if (!prev || !sameInput(prev, entry)) track.push(entry);
+    });
+    activeRecording.ticks++;
+}
+
+/**
+ * Ends the recording and returns the finished replay.
+ * @param {object} outcome - { winnerTeam: number|null, result: 'won'|'lost'|null,
+ *   decidedBy: 'cores'|'survival'|'damage'|null }
+ * @returns {object|null} The replay, or null if nothing was recorded
+ */
+function finishReplayRecording(outcome) {
+    const replay = activeRecording;
+    activeRecording = null;
+    if (!replay || replay.ticks === 0) return null;
+
+    replay.outcome = outcome;
+    replay.duration = replay.ticks / replay.tickRate;
+    lastReplay = replay;
+    return replay;
+}
+
+/**
+ * Returns the most recently finished replay (this session only)
+ * @returns {object|null}
+ */
+function getLastReplay() {
+    return lastReplay;
+}
+
+// ============================================================================
+// Playback
+// ============================================================================
+
+/**
+ * Creates a controller that plays back one ship's recorded track.
+ * Matches the controller interface ({ type, getInput, postUpdate, getLastAimTarget }).
+ * @param {Array} track - Recorded entries for this ship
+ * @param {function} getTick - Returns the index of the tick being simulated
+ * @returns {object} Controller instance
+ */
+function createReplayController(track, getTick) {
+    let cursor = 0;
+    let current = null;
+
+    return {
+        type: 'replay',
+
+        /**
+         * Returns the recorded input for the current tick
+         * @returns {object} Input state
+         */
+        getInput() {
+            const tick = getTick();
+            while (cursor < track.length && track[cursor][0] <= tick) {
+                current = track[cursor];
+                cursor++;
+            }
+            return decodeInput(current);
+        },
+
+        postUpdate() {
+            // Nothing to clear for replay controller
+        },
+
+        /** Returns the recorded weapon aim target for the current tick */
+        getLastAimTarget() {
+            return current ? readPoint(current, 6) : null;
+        }
+    };
+}
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Copies a ship spawn record into a replay ship entry
+ * @param {object} s - Spawn record
+ * @returns {object} Replay ship entry
+ */
+function createShipEntry(s) {
+    return {
+        team: s.team,
+        label: s.label ?? `Team ${s.team}`,
+        spawnX: s.spawnX,
+        spawnY: s.spawnY,
+        spawnTick: s.spawnTick ?? 0,
+        modelHash: s.modelHash ?? null,
+        layout: s.layout.map(item => ({ ...item }))
+    };
+}
+
+/**
+ * Packs an input state into a track entry
+ * @param {number} tick - Tick index
+ * @param {object} input - Input state
+ * @param {object|null} turretAim - Weapon aim target
+ * @returns {Array} Track entry
+ */
+function encodeInput(tick, input, turretAim) {
+    let mask = 0;
+    for (const [key, bit] of Object.entries(INPUT_BITS)) {
+        if (input[key]) mask |= bit;
+    }
+    return [
+        tick, mask,
+        input.aimTarget?.x ?? null, input.aimTarget?.y ?? null,
+        input.turnToward?.x ?? null, input.turnToward?.y ?? null,
+        turretAim?.x ?? null, turretAim?.y ?? null
+    ];
+}
+
+/**
+ * Unpacks a track entry into an input state (all-off when entry is null)
+ * @param {Array|null} entry - Track entry
+ * @returns {object} Input state
+ */
+function decodeInput(entry) {
+    const mask = entry ? entry[1] : 0;
+    const input = {};
+    for (const [key, bit] of Object.entries(INPUT_BITS)) {
+        input[key] = (mask & bit) !== 0;
+    }
+    input.aimTarget = entry ? readPoint(entry, 2) : null;
+    input.turnToward = entry ? readPoint(entry, 4) : null;
+    return input;
+}
+
+/** Reads an {x, y} pair from a track entry, or null if it wasn't recorded */
+function readPoint(entry, index) {
+    return entry[index] === null ? null : { x: entry[index], y: entry[index + 1] };
+}
+
+/** True when two entries differ only in their tick */
+function sameInput(a, b) {
+    for (let i = 1; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+export {
+    REPLAY_VERSION,
+    startReplayRecording,
+    addReplayShip,
+    setReplayShipModel,
+    recordReplayTick,
+    finishReplayRecording,
+    getLastReplay,
+    createReplayController
+};
@@ -31,21 +31,26 @@
 // =============================================================================
 
 import { normalizeAngle, rotateVector, length, normalize, dot } from '../math.js';
-import { getArenaPhysicsScale, getArenaDimensions } from './arenaPhysics.js';
+import { getArenaPhysicsScale } from './arenaPhysics.js';
+import { getArenaGeometry, raycastArena } from './arenaGeometry.js';
+import { getObjectiveState } from './objectives.js';
+import { canDamageShip } from './weaponSystem.js';
 
 // Configuration constants
-const MAX_ENEMIES = 1;  // Single engaged enemy slot (v7)
+const MAX_ENEMIES = 3;  // Engaged enemy + nearest others (v10)
+const MAX_ALLIES = 2;   // Wingmen in up to 3v3 team fights (v12)
 const MAX_HAZARDS = 4;
 const MAX_BLOCKERS = 4;
-const ARENA_DIAGONAL = Math.sqrt(80 * 80 + 60 * 60);  // ~100 units
+const ARENA_DIAGONAL = Math.sqrt(80 * 80 + 60 * 60);  // ~100 units, fixed across arena shapes
 const MAX_VELOCITY = 20;  // Tune based on actual gameplay
 const MAX_BLOCKER_RADIUS = 10;  // Largest expected blocker size
 const SECTOR_COUNT = 8;  // Threat radar sectors
 const HAZARD_AWARENESS_RANGE = 10;  // units beyond damage edge where proximity = 0
 const WALL_AWARENESS_RANGE = 15;    // units from wall where proximity = 0
+const MISSILE_URGENCY_TIME = 4;     // seconds out at which a missile locked on us starts to register
 
-// Total size of flattened sensing state (v8: single enemy slot + 3 mouse features)
-const SENSING_STATE_SIZE = 62;
+// Total size of flattened sensing state (v14: shield)
+const SENSING_STATE_SIZE = 98;
 
 // ============================================================================
 // Main Sensing Function
@@ -59,7 +64,7 @@ const SENSING_STATE_SIZE = 62;
  * @param {Array} blockers - Array of blocker objects {x, y, radius}
  * @param {Array} projectiles - Array of active projectiles
  * @param {object|null} engagementTarget - World-space point (e.g. mousePos) for
- *   selecting the engaged enemy. If null, nearest enemy is used.
+ *   selecting the engaged enemy (slot 0). If null, nearest enemy is used.
  * @param {object|null} aimPosition - World-space aim position {x, y} for mouse
  *   sensing features. Uses previous frame's mouse/aim position so the NN input
  *   reflects the state before the movement the output describes. Null = zeros.
@@ -67,7 +72,7 @@ const SENSING_STATE_SIZE = 62;
  */
 function computeSensingState(ship, allShips, hazards, blockers, projectiles, engagementTarget, aimPosition) {
     const scale = getArenaPhysicsScale();
-    const dimensions = getArenaDimensions();
+    const geometry = getArenaGeometry();
     
     // Get ship world position and facing
     const shipPos = {
@@ -87,15 +92,18 @@ function computeSensingState(ship, allShips, hazards, blockers, projectiles, eng
     const shipForward = shipAngle + Math.PI / 2;
     
     // Compute each section
-    const self = computeSelfState(ship, shipPos, shipVel, shipAngle, dimensions);
-    const walls = computeWallDistances(shipPos, shipAngle, dimensions);
+    const self = computeSelfState(ship, shipPos, shipVel, shipAngle, geometry);
+    const walls = computeWallDistances(shipPos, shipAngle, geometry);
     const threats = computeThreatRadar(ship, shipPos, shipAngle, shipForward, projectiles);
     
-    // Compute enemy sensing (single engaged enemy slot)
+    // Compute enemy sensing (engaged enemy first, then nearest others)
     const enemyResult = computeEnemiesSensing(
         ship, shipPos, shipVel, shipAngle, shipForward, allShips, engagementTarget
     );
     
+    // Compute ally sensing (team fights; empty slots otherwise)
+    const allies = computeAlliesSensing(ship, shipPos, shipVel, shipAngle, shipForward, allShips);
+    
     // Compute hazard sensing (future - empty for now)
     const hazardSensing = computeHazardsSensing(shipPos, shipVel, shipAngle, shipForward, hazards || []);
     
@@ -105,14 +113,19 @@ function computeSensingState(ship, allShips, hazards, blockers, projectiles, eng
     // Compute mouse/aim sensing (dot-product encoding relative to ship)
     const mouse = computeMouseSensing(shipPos, shipForward, aimPosition);
     
+    // Compute capture zone / beacon sensing (zeros in plain fights)
+    const objective = computeObjectiveSensing(ship, shipPos, shipForward, getObjectiveState());
+    
     return {
         self,
         walls,
         threats,
         enemies: enemyResult.sensing,
+        allies,
         hazards: hazardSensing,
         blockers: blockerSensing,
         mouse,
+        objective,
         // AIDEV-NOTE: enemyWorldData is a side-channel of raw world-space enemy
         // data (pos, vel, facing) used by recording and ML inference for aim
         // reconstruction. NOT included in the flattened NN input.
@@ -127,7 +140,7 @@ function computeSensingState(ship, allShips, hazards, blockers, projectiles, eng
 /**
  * Computes self state (velocity, position, etc.)
  */
-function computeSelfState(ship, shipPos, shipVel, shipAngle, dimensions) {
+function computeSelfState(ship, shipPos, shipVel, shipAngle, geometry) {
     // Rotate velocity into ship's frame (use -shipAngle to go from world to local)
     const localVel = rotateVector(shipVel, -shipAngle);
     
@@ -142,39 +155,61 @@ function computeSelfState(ship, shipPos, shipVel, shipAngle, dimensions) {
     // Health (future - use 1.0 for now)
     const health = 1.0;
     
-    // Position normalized to arena bounds
-    const halfWidth = dimensions.width / 2;
-    const halfHeight = dimensions.height / 2;
+    // Position normalized to the arena's bounding box
+    const halfWidth = geometry.width / 2;
+    const halfHeight = geometry.height / 2;
     const posX = clamp(shipPos.x / halfWidth, -1, 1);
     const posY = clamp(shipPos.y / halfHeight, -1, 1);
     
+    // Thruster fuel left, as a fraction of what the ship can hold right now
+    const fuel = ship.fuel.capacity > 0 ? ship.fuel.amount / ship.fuel.capacity : 0;
+    
+    // Shield HP left across working shield generators (0 without any)
+    const shield = computeShieldFraction(ship);
+    
     return {
         velocityForward,
         velocityRight,
         angularVelocity,
         health,
         posX,
-        posY
+        posY,
+        fuel,
+        shield
     };
 }
 
+/**
+ * Fraction of total shield HP remaining across a ship's working shield
+ * generators. Broken generators don't count toward either side.
+ */
+function computeShieldFraction(ship) {
+    let hp = 0;
+    let maxHp = 0;
+    for (const s of ship.shields) {
+        if (s.disabled) continue;
+        hp += s.hp;
+        maxHp += s.maxHp;
+    }
+    return maxHp > 0 ? hp / maxHp : 0;
+}
+
 // ============================================================================
 // Wall Distances
 // ============================================================================
 
 /**
- * Computes perpendicular proximity to each arena wall (world-relative).
+ * Computes proximity to the nearest boundary or interior wall along each world
+ * axis (+Y top, -Y bottom, -X left, +X right), by raycasting from the ship
+ * (v15).
+ * On a rectangular arena this is the perpendicular distance to each wall.
  * 1.0 = touching wall, 0.0 = WALL_AWARENESS_RANGE units away, clamped at 0.
  */
-function computeWallDistances(shipPos, shipAngle, dimensions) {
-    const hw = dimensions.width / 2;
-    const hh = dimensions.height / 2;
-    
-    // Perpendicular distance from ship to each wall
-    const distTop    = hh - shipPos.y;   // +Y wall
-    const distBottom = shipPos.y + hh;   // -Y wall
-    const distLeft   = shipPos.x + hw;   // -X wall
-    const distRight  = hw - shipPos.x;   // +X wall
+function computeWallDistances(shipPos, shipAngle, geometry) {
+    const distTop    = raycastArena(geometry, shipPos.x, shipPos.y, 0, 1);
+    const distBottom = raycastArena(geometry, shipPos.x, shipPos.y, 0, -1);
+    const distLeft   = raycastArena(geometry, shipPos.x, shipPos.y, -1, 0);
+    const distRight  = raycastArena(geometry, shipPos.x, shipPos.y, 1, 0);
     
     // Convert to proximity: 1.0 = touching, 0.0 = WALL_AWARENESS_RANGE away
     return {
@@ -190,7 +225,8 @@ function computeWallDistances(shipPos, shipAngle, dimensions) {
 // ============================================================================
 
 /**
- * Computes 8-sector threat radar from incoming projectiles
+ * Computes 8-sector threat radar from incoming projectiles, plus any missile
+ * locked on the ship wherever it's heading (v16)
  */
 function computeThreatRadar(ship, shipPos, shipAngle, shipForward, projectiles) {
     const sectorThreats = new Array(SECTOR_COUNT).fill(0);
@@ -201,20 +237,29 @@ function computeThreatRadar(ship, shipPos, shipAngle, shipForward, projectiles)
     
     // Filter and score projectiles
     for (const proj of projectiles) {
-        // Skip own projectiles
-        if (proj.shooter === ship) continue;
+        // Skip own projectiles (and allies' when they can't hurt us)
+        if (!canDamageShip(proj.shooter, ship)) continue;
+        // Point-defense interceptors never hit ships
+        if (proj.interceptor) continue;
+        
+        // A missile locked on this ship will turn to meet it, so its current
+        // heading says little: score it by closing time and place it by bearing
+        const homing = proj.target === ship;
         
         // Check if approaching
         const toShip = { x: shipPos.x - proj.x, y: shipPos.y - proj.y };
         const approaching = proj.vx * toShip.x + proj.vy * toShip.y;
-        if (approaching <= 0) continue;
+        if (!homing && approaching <= 0) continue;
         
         // Compute threat score
-        const threat = computeThreatScore(proj, shipPos);
+        const threat = homing ? computeMissileThreatScore(proj, shipPos) : computeThreatScore(proj, shipPos);
         if (threat <= 0) continue;
         
-        // Direction projectile is coming FROM (opposite of its velocity)
-        const fromAngle = Math.atan2(-proj.vy, -proj.vx);
+        // Direction projectile is coming FROM (opposite of its velocity, or
+        // straight from the missile for a homing one)
+        const fromAngle = homing
+            ? Math.atan2(-toShip.y, -toShip.x)
+            : Math.atan2(-proj.vy, -proj.vx);
         // Convert to ship-relative using shipForward (the atan2 direction of ship's front)
         const relAngle = normalizeAngle(fromAngle - shipForward);
         // Map to sector (0 = front, going clockwise: 1=frontRight, 2=right, etc.)
@@ -263,6 +308,16 @@ function computeThreatScore(proj, shipPos) {
     return proximityFactor * urgencyFactor;
 }
 
+/**
+ * Computes threat score for a missile locked on the ship: it counts as a
+ * direct hit, more urgent the sooner it can close the distance at top speed
+ */
+function computeMissileThreatScore(proj, shipPos) {
+    const dist = Math.hypot(shipPos.x - proj.x, shipPos.y - proj.y);
+    const timeToImpact = dist / proj.guidance.maxSpeed;
+    return Math.max(0, 1 - timeToImpact / MISSILE_URGENCY_TIME);
+}
+
 /**
  * Converts threat array to named object
  */
@@ -284,13 +339,14 @@ function arrayToThreatObject(arr) {
 // ============================================================================
 
 /**
- * Computes sensing data for the single engaged enemy.
- * Selects one enemy using engagementTarget (mouse aim) if provided,
- * otherwise falls back to nearest enemy.
+ * Computes sensing data for up to MAX_ENEMIES enemies.
+ * Slot 0 is the engaged enemy, picked using engagementTarget (mouse aim) if
+ * provided, otherwise the nearest enemy. The remaining slots hold the other
+ * enemies nearest-first; unused slots are empty (present = 0).
  *
  * @param {object|null} engagementTarget - World-space point for picking the
  *   engaged enemy (angular proximity). Null = use nearest.
- * @returns {{ sensing: Array, worldData: Array }} Single-element arrays
+ * @returns {{ sensing: Array, worldData: Array }} MAX_ENEMIES-element arrays
  */
 function computeEnemiesSensing(ship, shipPos, shipVel, shipAngle, shipForward, allShips, engagementTarget) {
     const scale = getArenaPhysicsScale();
@@ -330,25 +386,27 @@ function computeEnemiesSensing(ship, shipPos, shipVel, shipAngle, shipForward, a
         return { sensing, world };
     });
     
-    // Pick the single engaged enemy
+    // Engaged enemy first, then the rest nearest-first
     const picked = selectEngagedEnemy(shipPos, engagementTarget, entries);
-    
-    if (picked) {
-        return {
-            sensing: [picked.sensing],
-            worldData: [picked.world]
-        };
+    const others = entries
+        .filter(entry => entry !== picked)
+        .sort((a, b) => a.sensing.distance - b.sensing.distance);
+    const ordered = picked ? [picked, ...others].slice(0, MAX_ENEMIES) : [];
+    
+    const sensing = ordered.map(entry => entry.sensing);
+    const worldData = ordered.map(entry => entry.world);
+    
+    // Pad to MAX_ENEMIES
+    while (sensing.length < MAX_ENEMIES) {
+        sensing.push(createEmptyEnemySlot());
+        worldData.push(createEmptyEnemyWorldSlot());
     }
     
-    // No enemies present - return empty slot
-    return {
-        sensing: [createEmptyEnemySlot()],
-        worldData: [createEmptyEnemyWorldSlot()]
-    };
+    return { sensing, worldData };
 }
 
 /**
- * Selects the single engaged enemy from all candidates.
+ * Selects the engaged enemy (slot 0) from all candidates.
  * If engagementTarget is provided, picks the enemy whose angle from ship is
  * closest to the target's angle (mouse aim). Otherwise picks nearest.
  *
@@ -511,6 +569,46 @@ function computeFacingLead(shipPos, shipForward, dist, entityPos, entityVel, ent
     return { leadVelocity, leadFacing };
 }
 
+// ============================================================================
+// Ally Sensing
+// ============================================================================
+
+/**
+ * Computes sensing data for up to MAX_ALLIES living teammates, nearest first
+ * @returns {Array} MAX_ALLIES slots { present, distance, angleFromForward,
+ *   relVelocityToward, relVelocityCross }
+ */
+function computeAlliesSensing(ship, shipPos, shipVel, shipAngle, shipForward, allShips) {
+    const scale = getArenaPhysicsScale();
+    
+    const allyData = allShips
+        .filter(s => s !== ship && s.team === ship.team && !s.destroyed && s.body)
+        .map(ally => {
+            const allyPos = { x: ally.body.position.x / scale, y: -ally.body.position.y / scale };
+            const allyVel = { x: ally.body.velocity.x / scale, y: -ally.body.velocity.y / scale };
+            const entity = computeEntitySensing(
+                shipPos, shipVel, shipAngle, shipForward,
+                allyPos, allyVel, -ally.body.angle + Math.PI / 2,
+                false
+            );
+            return {
+                present: 1,
+                distance: entity.distance,
+                angleFromForward: entity.angleFromForward,
+                relVelocityToward: entity.relVelocityToward,
+                relVelocityCross: entity.relVelocityCross
+            };
+        });
+    
+    allyData.sort((a, b) => a.distance - b.distance);
+    
+    while (allyData.length < MAX_ALLIES) {
+        allyData.push(createEmptyAllySlot());
+    }
+    
+    return allyData.slice(0, MAX_ALLIES);
+}
+
 // ============================================================================
 // Hazard Sensing
 // ============================================================================
@@ -560,7 +658,8 @@ function computeHazardsSensing(shipPos, shipVel, shipAngle, shipForward, hazards
 // ============================================================================
 
 /**
- * Computes sensing data for blockers (static circular obstacles)
+ * Computes sensing data for blockers (static obstacles; polygons report
+ * their bounding radius)
  */
 function computeBlockersSensing(shipPos, shipAngle, shipForward, blockers) {
     const blockerData = blockers.map(blocker => {
@@ -624,6 +723,16 @@ function createEmptyEnemyWorldSlot() {
     };
 }
 
+function createEmptyAllySlot() {
+    return {
+        present: 0,
+        distance: 0,
+        angleFromForward: 0,
+        relVelocityToward: 0,
+        relVelocityCross: 0
+    };
+}
+
 function createEmptyHazardSlot() {
     return {
         present: 0,
@@ -684,6 +793,42 @@ function computeMouseSensing(shipPos, shipForward, aimPosition) {
     return { dotForward, dotRight, distance };
 }
 
+// ============================================================================
+// Objective Sensing
+// ============================================================================
+
+/**
+ * Computes sensing for the fight's capture zone or beacon
+ * @param {object} ship - The sensing ship (its team decides whose points are whose)
+ * @param {object} shipPos - Ship world position {x, y}
+ * @param {number} shipForward - Ship forward direction as atan2 angle
+ * @param {object|null} objective - getObjectiveState() result, null = zeros
+ * @returns {{ present, distance, angleFromForward, holding, progress, enemyProgress }}
+ *   holding is 1 while our team scores, -1 while another team does, else 0
+ */
+function computeObjectiveSensing(ship, shipPos, shipForward, objective) {
+    if (!objective) {
+        return { present: 0, distance: 0, angleFromForward: 0, holding: 0, progress: 0, enemyProgress: 0 };
+    }
+
+    const dx = objective.x - shipPos.x;
+    const dy = objective.y - shipPos.y;
+    const distance = clamp(Math.sqrt(dx * dx + dy * dy) / ARENA_DIAGONAL, 0, 1);
+    const angleFromForward = normalizeAngle(Math.atan2(dy, dx) - shipForward) / Math.PI;
+
+    const holder = objective.holderTeam;
+    const holding = holder === null ? 0 : holder === ship.team ? 1 : -1;
+
+    let enemyPoints = 0;
+    for (const [team, points] of Object.entries(objective.pointsByTeam)) {
+        if (Number(team) !== ship.team) enemyPoints = Math.max(enemyPoints, points);
+    }
+    const progress = clamp((objective.pointsByTeam[ship.team] ?? 0) / objective.target, 0, 1);
+    const enemyProgress = clamp(enemyPoints / objective.target, 0, 1);
+
+    return { present: 1, distance, angleFromForward, holding, progress, enemyProgress };
+}
+
 // ============================================================================
 // Flatten for Neural Network
 // ============================================================================
@@ -694,13 +839,15 @@ function computeMouseSensing(shipPos, shipForward, aimPosition) {
 function flattenSensingState(state) {
     const values = [];
     
-    // Self (6 values)
+    // Self (8 values)
     values.push(state.self.velocityForward);
     values.push(state.self.velocityRight);
     values.push(state.self.angularVelocity);
     values.push(state.self.health);
     values.push(state.self.posX);
     values.push(state.self.posY);
+    values.push(state.self.fuel);
+    values.push(state.self.shield);
     
     // Walls (4 values -- world-relative perpendicular proximity)
     values.push(state.walls.top);
@@ -718,7 +865,7 @@ function flattenSensingState(state) {
     values.push(state.threats.left);
     values.push(state.threats.frontLeft);
     
-    // Enemy (1 * 9 = 9 values -- single engaged enemy)
+    // Enemies (3 * 9 = 27 values -- engaged enemy, then nearest others)
     for (const enemy of state.enemies) {
         values.push(enemy.present);
         values.push(enemy.distance);
@@ -752,6 +899,23 @@ function flattenSensingState(state) {
     values.push(state.mouse.dotRight);
     values.push(state.mouse.distance);
     
+    // Allies (2 * 5 = 10 values -- teammates nearest-first, zeros outside team fights)
+    for (const ally of state.allies) {
+        values.push(ally.present);
+        values.push(ally.distance);
+        values.push(ally.angleFromForward);
+        values.push(ally.relVelocityToward);
+        values.push(ally.relVelocityCross);
+    }
+    
+    // Objective (6 values -- capture zone or beacon, zeros without one)
+    values.push(state.objective.present);
+    values.push(state.objective.distance);
+    values.push(state.objective.angleFromForward);
+    values.push(state.objective.holding);
+    values.push(state.objective.progress);
+    values.push(state.objective.enemyProgress);
+    
     return new Float32Array(values);
 }
 
@@ -772,6 +936,7 @@ export {
     flattenSensingState,
     SENSING_STATE_SIZE,
     MAX_ENEMIES,
+    MAX_ALLIES,
     MAX_HAZARDS,
     MAX_BLOCKERS,
     ARENA_DIAGONAL
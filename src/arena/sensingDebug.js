@@ -2,7 +2,7 @@
 // Toggle with V key
 
 import * as THREE from 'three';
-import { getArenaPhysicsScale, getArenaDimensions } from './arenaPhysics.js';
+import { getArenaPhysicsScale } from './arenaPhysics.js';
 import { ARENA_DIAGONAL } from './sensing.js';
 
 // Debug state
@@ -355,7 +355,7 @@ function updateSensingDebug(sensingState, ship, mousePosition, allShips) {
     updateThreatRadar(sensingState.threats);
     
     // Update wall bars (perpendicular lines from ship to each wall)
-    updateWallBars(sensingState.walls, shipX, shipY, shipAngle);
+    updateWallBars(sensingState.walls, shipAngle);
     
     // Update mouse aim and lead indicator (in world space)
     updateMouseAim(shipX, shipY, shipAngle, mousePosition, sensingState.enemies, ship, allShips);
@@ -401,29 +401,32 @@ function updateThreatRadar(threats) {
 }
 
 /**
- * Updates wall proximity bars -- lines drawn FROM each wall inward toward the ship.
- * Length is proportional to proximity (longer = closer to wall = more danger).
+ * Updates wall proximity bars -- lines drawn FROM the nearest wall along each
+ * world axis inward toward the ship. Length is proportional to proximity
+ * (longer = closer to wall = more danger). The wall distance is recovered from
+ * the proximity, so the bars follow any arena shape or interior wall.
  * Lines are in world space (counter-rotated since debugGroup rotates with ship).
  */
-function updateWallBars(walls, shipX, shipY, shipAngle) {
+function updateWallBars(walls, shipAngle) {
     if (!wallBars) return;
     
-    const { width, height } = getArenaDimensions();
-    const hw = width / 2;
-    const hh = height / 2;
-    
     // Counter-rotate to cancel debugGroup's ship rotation (world-space lines)
     const cos = Math.cos(-shipAngle);
     const sin = Math.sin(-shipAngle);
     
     // Top wall (+Y): from wall down toward ship
-    updateWallLine(wallBars.top, cos, sin, 0, hh - shipY, 0, -1, walls.top);
+    updateWallLine(wallBars.top, cos, sin, 0, wallDistance(walls.top), 0, -1, walls.top);
     // Bottom wall (-Y): from wall up toward ship
-    updateWallLine(wallBars.bottom, cos, sin, 0, -hh - shipY, 0, 1, walls.bottom);
+    updateWallLine(wallBars.bottom, cos, sin, 0, -wallDistance(walls.bottom), 0, 1, walls.bottom);
     // Left wall (-X): from wall right toward ship
-    updateWallLine(wallBars.left, cos, sin, -hw - shipX, 0, 1, 0, walls.left);
+    updateWallLine(wallBars.left, cos, sin, -wallDistance(walls.left), 0, 1, 0, walls.left);
     // Right wall (+X): from wall left toward ship
-    updateWallLine(wallBars.right, cos, sin, hw - shipX, 0, -1, 0, walls.right);
+    updateWallLine(wallBars.right, cos, sin, wallDistance(walls.right), 0, -1, 0, walls.right);
+}
+
+/** Distance to a wall from its sensed proximity (inverse of computeWallDistances) */
+function wallDistance(proximity) {
+    return (1 - proximity) * WALL_VIS_LENGTH;
 }
 
 const WALL_VIS_LENGTH = 15;  // Max visual length of wall proximity line (matches awareness range)
@@ -737,7 +740,9 @@ function updateDebugPanel(state) {
     // Self
     text += `Self: vel(${fmtShort(state.self.velocityForward)}, ${fmtShort(state.self.velocityRight)}) `;
     text += `ang(${fmtShort(state.self.angularVelocity)}) `;
-    text += `pos(${fmtShort(state.self.posX)}, ${fmtShort(state.self.posY)})\n`;
+    text += `pos(${fmtShort(state.self.posX)}, ${fmtShort(state.self.posY)}) `;
+    text += `fuel(${fmtShort(state.self.fuel)}) `;
+    text += `shield(${fmtShort(state.self.shield)})\n`;
     
     // Walls (world-relative proximity)
     text += `Walls: T(${fmtShort(state.walls.top)}) B(${fmtShort(state.walls.bottom)}) `;
@@ -762,6 +767,15 @@ function updateDebugPanel(state) {
         text += `fLeadVel(${fmtShort(e.facingLeadVelocity)}) fLeadFace(${fmtShort(e.facingLeadFacing)})\n`;
     }
     
+    // Allies (only present ones)
+    for (let i = 0; i < state.allies.length; i++) {
+        const a = state.allies[i];
+        if (a.present !== 1) continue;
+        text += `Ally ${i}: dist(${fmtShort(a.distance)}) `;
+        text += `angle(${fmtShort(a.angleFromForward)}) `;
+        text += `velTwd(${fmtShort(a.relVelocityToward)})\n`;
+    }
+    
     // Blockers (only present ones)
     for (let i = 0; i < state.blockers.length; i++) {
         const b = state.blockers[i];
@@ -780,6 +794,13 @@ function updateDebugPanel(state) {
         text += `velTwd(${fmtShort(h.relVelocityToward)})\n`;
     }
     
+    // Objective (capture zone / beacon fights only)
+    const o = state.objective;
+    if (o.present === 1) {
+        text += `Objective: dist(${fmtShort(o.distance)}) angle(${fmtShort(o.angleFromForward)}) `;
+        text += `hold(${o.holding}) prog(${fmtShort(o.progress)}) enemy(${fmtShort(o.enemyProgress)})\n`;
+    }
+    
     debugPanel.textContent = text;
 }
 
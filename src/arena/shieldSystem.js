@@ -0,0 +1,91 @@
+// Shield system - shield generators that soak projectiles in a coverage arc
+//
+// Each shield generator projects a bubble sector of shieldRadius around its
+// emitter, coverageArc wide and centered on the emitter's forward. Enemy
+// projectiles heading into the sector lose damage to the shield's HP before
+// weaponSystem.js checks them against the hull; whatever the shield can't
+// soak carries on through. A shield regenerates once regenDelay seconds pass
+// without a hit. shipVisuals.js reads sinceHit for the hit flicker.
+
+import { getArenaPhysicsScale } from './arenaPhysics.js';
+import { rotateVector, getEquipmentForward, normalizeAngle } from '../math.js';
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Regenerates shields that have gone long enough without a hit
+ * @param {object} ship - Arena ship
+ * @param {number} dt - Tick length in seconds
+ */
+function updateShields(ship, dt) {
+    for (const shield of ship.shields) {
+        if (shield.disabled) continue;
+        shield.sinceHit += dt;
+        if (shield.sinceHit < shield.regenDelay) continue;
+        shield.hp = Math.min(shield.maxHp, shield.hp + shield.regenRate * dt);
+    }
+}
+
+/**
+ * Lets a ship's shields soak a projectile. Reduces proj.damage by whatever
+ * the covering shields absorb.
+ * @param {object} ship - Arena ship that may be shielding
+ * @param {object} proj - Projectile from weaponSystem.js
+ * @returns {number} Damage absorbed (0 when no shield covers the shot)
+ */
+function absorbProjectile(ship, proj) {
+    let absorbed = 0;
+    for (const shield of ship.shields) {
+        if (proj.damage <= 0) break;
+        if (shield.disabled || shield.hp <= 0) continue;
+        if (!isInShield(ship, shield, proj)) continue;
+
+        const amount = Math.min(shield.hp, proj.damage);
+        shield.hp -= amount;
+        shield.sinceHit = 0;
+        proj.damage -= amount;
+        absorbed += amount;
+    }
+    return absorbed;
+}
+
+/**
+ * Gets the emitter's world position for a shield
+ * @param {object} ship - Arena ship
+ * @param {object} shield - Shield info from ship.shields
+ * @returns {{x: number, y: number}}
+ */
+function getShieldWorldPosition(ship, shield) {
+    const scale = getArenaPhysicsScale();
+    const rotated = rotateVector(shield.localPos, -ship.body.angle);
+    return {
+        x: ship.body.position.x / scale + rotated.x,
+        y: -ship.body.position.y / scale + rotated.y
+    };
+}
+
+// ============================================================================
+// Internals
+// ============================================================================
+
+/**
+ * Whether a projectile is inside a shield's sector and still closing on the
+ * emitter (shots already past it, or leaving, aren't stopped)
+ */
+function isInShield(ship, shield, proj) {
+    const emitter = getShieldWorldPosition(ship, shield);
+    const dx = proj.x - emitter.x;
+    const dy = proj.y - emitter.y;
+    if (dx * dx + dy * dy > shield.radius * shield.radius) return false;
+    if (proj.vx * dx + proj.vy * dy >= 0) return false;
+
+    // Full-circle shields cover every bearing
+    if (shield.arc >= Math.PI * 2) return true;
+    const forward = getEquipmentForward(-ship.body.angle + shield.localAngle);
+    const offset = normalizeAngle(Math.atan2(dy, dx) - Math.atan2(forward.y, forward.x));
+    return Math.abs(offset) <= shield.arc / 2;
+}
+
+export { updateShields, absorbProjectile, getShieldWorldPosition };
@@ -0,0 +1,316 @@
+// Ship visuals - Three.js meshes for arena ships
+//
+// The simulation (arenaShip.js, weaponSystem.js) only touches physics and
+// HP state. This module builds the mesh group for a ship and reconciles it
+// with that state each rendered frame (position, turret aim, broken tint,
+// shield bubbles).
+// The simulation runs at a fixed tick, so mesh transforms are interpolated
+// between the previous and current tick.
+
+import * as THREE from 'three';
+import { getArenaPhysicsScale } from './arenaPhysics.js';
+import { isWeaponType } from '../pieces/equipment.js';
+
+// Team colors for ship tinting
+const TEAM_COLORS = {
+    1: 0x4488ff,  // Team 1 (player) - blue
+    2: 0xff4444   // Team 2 (enemy) - red
+};
+
+// How much of the team color is blended into each piece's color
+const TEAM_TINT_AMOUNT = 0.3;
+
+// Color multiplier for broken parts
+const BROKEN_DARK_MULTIPLIER = 0.2;
+
+// Shield bubble look: opacity scales with the shield's HP, and the bubble
+// flickers between bright and dim for a moment after each absorbed hit
+const SHIELD_COLOR = 0x66ccff;
+const SHIELD_Z = 0.4;
+const SHIELD_SEGMENTS = 32;
+const SHIELD_MIN_OPACITY = 0.06;
+const SHIELD_MAX_OPACITY = 0.2;
+const SHIELD_FLICKER_TIME = 0.3;      // Seconds of flicker after a hit
+const SHIELD_FLICKER_PERIOD = 0.05;   // Seconds per bright/dim phase
+const SHIELD_FLICKER_OPACITY = 0.5;
+
+// Ship -> body transform ({x, y, angle} in physics units) before the latest tick
+const previousTransforms = new WeakMap();
+
+// ============================================================================
+// Creation / disposal
+// ============================================================================
+
+/**
+ * Builds the mesh group for an arena ship from the pieces it was created from.
+ * Links part meshes (for damage visuals) and turret meshes (for aim visuals).
+ * @param {object} ship - Arena ship from createArenaShip
+ * @param {Array} gridPieces - The same pieces passed to createArenaShip
+ * @returns {THREE.Group} The ship mesh group (also stored on ship.mesh)
+ */
+function attachShipMesh(ship, gridPieces) {
+    const group = new THREE.Group();
+    const com = ship.centerOfMass;
+    const shipScale = ship.scale;
+
+    // Beams and point defense carry the same aim offset as cannons, so they share the lookup
+    const cannonsByPieceId = new Map(ship.cannons.concat(ship.beams, ship.pointDefenses).map(c => [c.piece.id, c]));
+    const partsByPieceId = new Map(ship.parts.map(p => [p.piece.id, p]));
+
+    for (const piece of gridPieces) {
+        if (!piece.mesh) continue;
+
+        // Clone the mesh, positioned relative to center of mass
+        const clonedMesh = piece.mesh.clone();
+        clonedMesh.position.set((piece.x - com.x) * shipScale, (piece.y - com.y) * shipScale, 0);
+        clonedMesh.rotation.z = piece.angle;
+        clonedMesh.scale.setScalar(shipScale);
+        group.add(clonedMesh);
+
+        const partData = partsByPieceId.get(piece.id);
+        if (partData) partData.mesh = clonedMesh;
+
+        if (isWeaponType(piece.type)) {
+            const cannonData = cannonsByPieceId.get(piece.id);
+            const turret = clonedMesh.getObjectByName('turret');
+            if (cannonData && turret) cannonData.turretMesh = turret;
+        }
+    }
+
+    applyTeamColor(group, ship.team);
+
+    // Shield bubbles go on after the team tint so they keep their own color
+    for (const shield of ship.shields) {
+        shield.bubbleMesh = createShieldBubble(shield);
+        group.add(shield.bubbleMesh);
+    }
+
+    ship.mesh = group;
+    return group;
+}
+
+/**
+ * Creates the translucent bubble sector for a shield generator, centered on
+ * the emitter and opening around its forward (+Y)
+ * @param {object} shield - Shield info from ship.shields
+ * @returns {THREE.Mesh}
+ */
+function createShieldBubble(shield) {
+    const arc = Math.min(shield.arc, Math.PI * 2);
+    const geometry = new THREE.CircleGeometry(shield.radius, SHIELD_SEGMENTS, Math.PI / 2 - arc / 2, arc);
+    const material = new THREE.MeshBasicMaterial({
+        color: SHIELD_COLOR,
+        transparent: true,
+        opacity: SHIELD_MAX_OPACITY,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    });
+    const bubble = new THREE.Mesh(geometry, material);
+    bubble.position.set(shield.localPos.x, shield.localPos.y, SHIELD_Z);
+    bubble.rotation.z = shield.localAngle;
+    return bubble;
+}
+
+/**
+ * Removes a ship's mesh from the scene and disposes its resources
+ * @param {object} ship - Arena ship
+ * @param {THREE.Scene} scene - Scene the mesh was added to
+ */
+function disposeShipMesh(ship, scene) {
+    if (!ship || !ship.mesh || !scene) return;
+
+    scene.remove(ship.mesh);
+    ship.mesh.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (Array.isArray(child.material)) {
+                child.material.forEach(m => m.dispose());
+            } else {
+                child.material.dispose();
+            }
+        }
+    });
+    ship.mesh = null;
+}
+
+/**
+ * Applies team color tint to a ship mesh
+ * @param {THREE.Group} meshGroup - Ship mesh group
+ * @param {number} team - Team number
+ */
+function applyTeamColor(meshGroup, team) {
+    const teamColor = TEAM_COLORS[team] ?? TEAM_COLORS[1];
+    const tintColor = new THREE.Color(teamColor);
+
+    meshGroup.traverse((child) => {
+        if (child.isMesh && child.material) {
+            // Clone material to avoid affecting original pieces
+            if (Array.isArray(child.material)) {
+                child.material = child.material.map(m => {
+                    const cloned = m.clone();
+                    // Blend team color with original color
+                    if (cloned.color) {
+                        cloned.color.lerp(tintColor, TEAM_TINT_AMOUNT);
+                    }
+                    return cloned;
+                });
+            } else {
+                child.material = child.material.clone();
+                if (child.material.color) {
+                    child.material.color.lerp(tintColor, TEAM_TINT_AMOUNT);
+                }
+            }
+        }
+    });
+}
+
+// ============================================================================
+// Per-frame sync
+// ============================================================================
+
+/**
+ * Records a ship's body transform before a simulation tick, so the next
+ * render can interpolate from it. Call once per tick, before stepping.
+ * @param {object} ship - Arena ship
+ */
+function captureShipTransform(ship) {
+    if (!ship || !ship.body) return;
+    const { position, angle } = ship.body;
+    previousTransforms.set(ship, { x: position.x, y: position.y, angle });
+}
+
+/**
+ * Brings a ship's mesh in line with its simulation state:
+ * transform from the physics body, turret rotations, broken-part tint, and
+ * shield bubbles.
+ * Hides the mesh once the ship is destroyed.
+ * @param {object} ship - Arena ship
+ * @param {number} [alpha=1] - Fraction of the way from the previous tick to
+ *   the current one (0..1)
+ */
+function syncShipVisuals(ship, alpha = 1) {
+    if (!ship || !ship.mesh) return;
+
+    if (ship.destroyed || !ship.body) {
+        ship.mesh.visible = false;
+        return;
+    }
+
+    syncShipMeshToBody(ship, alpha);
+    updateTurretVisuals(ship);
+    syncBrokenParts(ship);
+    syncShieldBubbles(ship);
+}
+
+/**
+ * Updates ship mesh position from physics body, interpolating from the
+ * transform captured before the latest tick
+ * @param {object} ship - Arena ship object
+ * @param {number} alpha - Interpolation factor (0 = previous tick, 1 = current)
+ */
+function syncShipMeshToBody(ship, alpha) {
+    const scale = getArenaPhysicsScale();
+    const body = ship.body;
+    const prev = previousTransforms.get(ship) ?? { x: body.position.x, y: body.position.y, angle: body.angle };
+
+    const x = prev.x + (body.position.x - prev.x) * alpha;
+    const y = prev.y + (body.position.y - prev.y) * alpha;
+    const angle = prev.angle + (body.angle - prev.angle) * alpha;
+
+    // Convert physics position to world position
+    ship.mesh.position.x = x / scale;
+    ship.mesh.position.y = -y / scale;
+    ship.mesh.rotation.z = -angle;
+}
+
+/**
+ * Updates turret mesh rotations to match current aim offsets
+ * @param {object} ship - Arena ship with cannons, beams and pointDefenses arrays
+ */
+function updateTurretVisuals(ship) {
+    for (const cannon of ship.cannons.concat(ship.beams, ship.pointDefenses)) {
+        if (cannon.turretMesh) {
+            // Rotate turret around Z axis by the aim offset
+            cannon.turretMesh.rotation.z = cannon.currentAimOffset;
+        }
+    }
+}
+
+/**
+ * Darkens the mesh of any part that broke since the last sync
+ * @param {object} ship - Arena ship
+ */
+function syncBrokenParts(ship) {
+    for (const part of ship.parts) {
+        if (part.broken && part.mesh && !part.tinted) {
+            applyBrokenTint(part.mesh);
+            part.tinted = true;
+        }
+    }
+}
+
+/**
+ * Fades shield bubbles with their HP, flickers them after a hit, and hides
+ * them while down or broken
+ * @param {object} ship - Arena ship
+ */
+function syncShieldBubbles(ship) {
+    for (const shield of ship.shields) {
+        const bubble = shield.bubbleMesh;
+        if (!bubble) continue;
+
+        bubble.visible = !shield.disabled && shield.hp > 0;
+        if (!bubble.visible) continue;
+
+        const fraction = shield.hp / shield.maxHp;
+        let opacity = SHIELD_MIN_OPACITY + (SHIELD_MAX_OPACITY - SHIELD_MIN_OPACITY) * fraction;
+        if (shield.sinceHit < SHIELD_FLICKER_TIME) {
+            const bright = Math.floor(shield.sinceHit / SHIELD_FLICKER_PERIOD) % 2 === 0;
+            if (bright) opacity = SHIELD_FLICKER_OPACITY;
+        }
+        bubble.material.opacity = opacity;
+    }
+}
+
+/**
+ * Applies a very dark tint to a mesh to indicate it's broken
+ * @param {THREE.Object3D} mesh - The mesh to tint
+ */
+function applyBrokenTint(mesh) {
+    mesh.traverse((child) => {
+        if (child.isMesh && child.material) {
+            // Handle array of materials or single material
+            const materials = Array.isArray(child.material)
+                ? child.material
+                : [child.material];
+
+            for (const mat of materials) {
+                // Darken the color
+                if (mat.color) {
+                    mat.color.multiplyScalar(BROKEN_DARK_MULTIPLIER);
+                }
+                // Remove emissive glow
+                if (mat.emissive) {
+                    mat.emissive.setHex(0x000000);
+                }
+                if (mat.emissiveIntensity !== undefined) {
+                    mat.emissiveIntensity = 0;
+                }
+            }
+        }
+
+        // Also darken line materials (edges)
+        if (child.isLineSegments && child.material) {
+            child.material.color.multiplyScalar(BROKEN_DARK_MULTIPLIER);
+            child.material.opacity *= BROKEN_DARK_MULTIPLIER;
+        }
+    });
+}
+
+export {
+    TEAM_COLORS,
+    attachShipMesh,
+    disposeShipMesh,
+    captureShipTransform,
+    syncShipVisuals
+};
@@ -0,0 +1,159 @@
+// Arena simulation - one tick of fight logic, shared by the live arena and
+// the headless simulator
+//
+// Per tick: power -> controllers -> thrust -> shields -> weapons -> point defense -> beams (per ship), physics step, hazards,
+// fight clock, then beam hits, ramming/wall impacts, projectile + hazard collisions and the sudden-death zone. Nothing here touches Three.js, the DOM,
+// or player input, so the same code runs in the browser and headless.
+
+import { stepArenaPhysics } from './arenaPhysics.js';
+import { updateThrusterState } from './thrustSystem.js';
+import { beginPowerTick } from './powerSystem.js';
+import { updateShields } from './shieldSystem.js';
+import { updateWeaponSystem, updateProjectiles, checkProjectileCollisions, getProjectiles } from './weaponSystem.js';
+import { updatePointDefense } from './pointDefenseSystem.js';
+import { updateBeams, checkBeamHits } from './beamSystem.js';
+import { checkCollisionDamage } from './collisionDamage.js';
+import { applyInputToShip } from './controllers.js';
+import { updateHazards, checkHazardCollisions, getHazardSensingData } from './hazards.js';
+import { updateFightClock, checkSafeZone } from './fightClock.js';
+import { updateObjective } from './objectives.js';
+import { computeSensingState } from './sensing.js';
+import { RNG_STREAMS, seedStream } from '../rng.js';
+
+// Fixed simulation rate. The live arena and the headless simulator both tick
+// at this rate so fights (and recorded ML frames) don't depend on display Hz.
+const SIM_TICK_RATE = 60;
+const SIM_DT = 1 / SIM_TICK_RATE;
+
+// Streams reseeded from the fight seed at the start of every fight
+const FIGHT_RNG_STREAMS = [RNG_STREAMS.COMBAT, RNG_STREAMS.AI];
+
+// ============================================================================
+// Tick
+// ============================================================================
+
+/**
+ * Seeds every per-fight RNG stream from one fight seed
+ * @param {number} seed - Fight seed
+ */
+function seedFightRng(seed) {
+    for (const name of FIGHT_RNG_STREAMS) {
+        seedStream(name, seed);
+    }
+}
+
+/**
+ * Advances the fight by one tick.
+ * @param {Array} ships - All arena ships
+ * @param {number} deltaTime - Tick length in seconds
+ * @param {function} [getAimTarget] - (ship) => {x, y}|null for cannon aiming.
+ *   Defaults to the controller's last aim target.
+ * @returns {{ inputs: Map, activeThrusts: Array, thrustsByShip: Map, destroyedShips: Array }}
+ *   Inputs applied per ship, thrusts and recoil kicks for debug drawing (all ships and per ship),
+ *   ships whose core died this tick
+ */
+function stepSimulation(ships, deltaTime, getAimTarget = getControllerAimTarget) {
+    const inputs = new Map();
+    const activeThrusts = [];
+    const thrustsByShip = new Map();
+
+    for (const ship of ships) {
+        if (!ship || !ship.body || ship.destroyed) continue;
+
+        beginPowerTick(ship, deltaTime);
+
+        if (ship.controller) {
+            const input = ship.controller.getInput(ship, deltaTime);
+            inputs.set(ship, input);
+            const thrusts = applyInputToShip(ship, input);
+            thrustsByShip.set(ship, thrusts);
+            activeThrusts.push(...thrusts);
+            // Post-update for controller (clear one-shot inputs)
+            ship.controller.postUpdate();
+        }
+
+        // Ramp-up timers, overheat tracking
+        updateThrusterState(ship, deltaTime);
+        updateShields(ship, deltaTime);
+        const recoil = updateWeaponSystem(ship, deltaTime, getAimTarget(ship));
+        if (recoil.length > 0) {
+            thrustsByShip.set(ship, [...(thrustsByShip.get(ship) ?? []), ...recoil]);
+            activeThrusts.push(...recoil);
+        }
+        updatePointDefense(ship, deltaTime);
+        updateBeams(ship, deltaTime);
+    }
+
+    // Shared by every ship, so moved once per tick (missiles steer here too)
+    updateProjectiles(deltaTime, ships);
+    stepArenaPhysics(deltaTime);
+    updateHazards(deltaTime);
+    updateFightClock(deltaTime);
+    updateObjective(ships, deltaTime);
+
+    return { inputs, activeThrusts, thrustsByShip, destroyedShips: collectDestroyedShips(ships) };
+}
+
+/**
+ * Runs beam hits, impact damage, projectile and hazard collisions and the
+ * sudden-death zone, merging the ships destroyed by each
+ * @param {Array} ships - All arena ships
+ * @returns {Array} Ships destroyed this tick (no duplicates)
+ */
+function collectDestroyedShips(ships) {
+    const destroyedShips = checkBeamHits(ships);
+    const others = [
+        ...checkCollisionDamage(ships),
+        ...checkProjectileCollisions(ships),
+        ...checkHazardCollisions(ships),
+        ...checkSafeZone(ships)
+    ];
+    for (const ship of others) {
+        if (!destroyedShips.includes(ship)) destroyedShips.push(ship);
+    }
+    return destroyedShips;
+}
+
+/**
+ * Default aim resolver: the controller's last aim target, if it has one
+ * @param {object} ship - Arena ship
+ * @returns {object|null} Aim target in world coords
+ */
+function getControllerAimTarget(ship) {
+    return ship.controller && ship.controller.getLastAimTarget
+        ? ship.controller.getLastAimTarget()
+        : null;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Feeds fresh sensing to every ML-controlled ship for its next inference.
+ * @param {Array} ships - All arena ships
+ * @param {Array} blockers - Blocker sensing data
+ * @param {object} [skipShip] - Ship to leave alone (e.g. the player, whose
+ *   sensing includes mouse data and is computed by the arena)
+ */
+function updateControllerSensing(ships, blockers, skipShip = null) {
+    const hazards = getHazardSensingData();
+    const projectiles = getProjectiles();
+
+    for (const ship of ships) {
+        if (!ship || ship === skipShip || ship.destroyed) continue;
+        if (ship.controller && ship.controller.type === 'ml' && ship.controller.setSensingState) {
+            const sensing = computeSensingState(ship, ships, hazards, blockers, projectiles);
+            ship.controller.setSensingState(sensing);
+        }
+    }
+}
+
+export {
+    SIM_TICK_RATE,
+    SIM_DT,
+    seedFightRng,
+    stepSimulation,
+    getControllerAimTarget,
+    updateControllerSensing
+};
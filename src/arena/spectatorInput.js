@@ -0,0 +1,121 @@
+// Spectator input - free camera (drag to pan, wheel to zoom) and debug keys
+// for watching AI-vs-AI fights. No input reaches the ships.
+
+import { panSpectatorCamera, setSpectatorCamera, getSpectatorState, toggleSpectatorDebug } from './arena.js';
+
+// Zoom multiplier per mouse wheel notch
+const WHEEL_ZOOM_STEP = 1.1;
+
+// References
+let screenToWorldFn = null;
+let canvasRef = null;
+let dragLast = null;    // Last pointer position while dragging, or null
+
+/**
+ * Sets up spectator camera input handlers
+ * @param {function} screenToWorld - Function to convert screen to world coords
+ * @param {HTMLCanvasElement} canvas - The canvas element
+ */
+function setupSpectatorInput(screenToWorld, canvas) {
+    screenToWorldFn = screenToWorld;
+    canvasRef = canvas;
+
+    window.addEventListener('keydown', onKeyDown);
+    canvas.addEventListener('mousedown', onMouseDown);
+    window.addEventListener('mouseup', onMouseUp);
+    window.addEventListener('mousemove', onMouseMove);
+    canvas.addEventListener('wheel', onWheel, { passive: false });
+}
+
+/**
+ * Removes spectator input handlers
+ */
+function removeSpectatorInput() {
+    window.removeEventListener('keydown', onKeyDown);
+    window.removeEventListener('mouseup', onMouseUp);
+    window.removeEventListener('mousemove', onMouseMove);
+    if (canvasRef) {
+        canvasRef.removeEventListener('mousedown', onMouseDown);
+        canvasRef.removeEventListener('wheel', onWheel);
+    }
+
+    screenToWorldFn = null;
+    canvasRef = null;
+    dragLast = null;
+}
+
+/**
+ * 1-9 follow a ship, 0 frees the camera, G/V toggle thrust/sensing debug
+ * for the followed ship
+ */
+function onKeyDown(event) {
+    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA') return;
+
+    const state = getSpectatorState();
+    if (!state) return;
+
+    if (event.code.startsWith('Digit')) {
+        const digit = Number(event.code.slice('Digit'.length));
+        if (digit === 0) {
+            setSpectatorCamera({ follow: null });
+        } else if (digit <= state.ships.length) {
+            setSpectatorCamera({ follow: digit - 1 });
+        }
+        return;
+    }
+
+    if (state.follow === null) return;
+    switch (event.code) {
+        case 'KeyG':
+            toggleSpectatorDebug(state.follow, 'thrust');
+            break;
+        case 'KeyV':
+            toggleSpectatorDebug(state.follow, 'sensing');
+            break;
+    }
+}
+
+/**
+ * Starts a camera drag (left or middle button)
+ */
+function onMouseDown(event) {
+    if (event.button !== 0 && event.button !== 1) return;
+    dragLast = { x: event.clientX, y: event.clientY };
+    event.preventDefault();
+}
+
+/**
+ * Ends a camera drag
+ */
+function onMouseUp() {
+    dragLast = null;
+}
+
+/**
+ * Pans the camera by the world distance the pointer moved
+ */
+function onMouseMove(event) {
+    if (!dragLast || !screenToWorldFn) return;
+
+    const from = screenToWorldFn(dragLast.x, dragLast.y);
+    const to = screenToWorldFn(event.clientX, event.clientY);
+    dragLast = { x: event.clientX, y: event.clientY };
+    panSpectatorCamera(from.x - to.x, from.y - to.y);
+}
+
+/**
+ * Zooms in (wheel up) or out (wheel down)
+ */
+function onWheel(event) {
+    const state = getSpectatorState();
+    if (!state) return;
+    event.preventDefault();
+
+    const factor = event.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP;
+    setSpectatorCamera({ zoom: state.zoom * factor });
+}
+
+export {
+    setupSpectatorInput,
+    removeSpectatorInput
+};
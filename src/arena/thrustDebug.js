@@ -1,4 +1,5 @@
 // Thrust debug visualization - draws arrows showing active thrust forces
+// (and cannon recoil kicks, which push the ship the same way)
 
 import * as THREE from 'three';
 
@@ -11,6 +12,7 @@ let thrustArrows = []; // Pool of arrow meshes
 let arrowGeometry = null;
 let thrusterMaterial = null;
 let omniMaterial = null;
+let recoilMaterial = null;
 
 // Configuration
 const ARROW_SCALE = 0.3;       // Base arrow size
@@ -54,6 +56,13 @@ function initThrustDebug(scene) {
         side: THREE.DoubleSide
     });
     
+    recoilMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff6600, // Orange for cannon recoil
+        transparent: true,
+        opacity: 0.8,
+        side: THREE.DoubleSide
+    });
+    
     // Pre-create arrow pool
     for (let i = 0; i < MAX_ARROWS; i++) {
         const arrow = new THREE.Mesh(arrowGeometry, thrusterMaterial);
@@ -115,7 +124,13 @@ function updateThrustDebug(activeThrusts) {
         arrow.scale.set(length, ARROW_SCALE, 1);
         
         // Set material based on type
-        arrow.material = thrust.type === 'omni' ? omniMaterial : thrusterMaterial;
+        if (thrust.type === 'omni') {
+            arrow.material = omniMaterial;
+        } else if (thrust.type === 'recoil') {
+            arrow.material = recoilMaterial;
+        } else {
+            arrow.material = thrusterMaterial;
+        }
         
         arrow.visible = true;
     }
@@ -143,7 +158,11 @@ function cleanupThrustDebug(scene) {
         omniMaterial.dispose();
         omniMaterial = null;
     }
-    
+    if (recoilMaterial) {
+        recoilMaterial.dispose();
+        recoilMaterial = null;
+    }
+
     thrustArrows = [];
     debugGroup = null;
 }
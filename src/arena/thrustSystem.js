@@ -2,6 +2,7 @@
 
 import { applyForceAtPosition, applyTorque, getArenaPhysicsScale } from './arenaPhysics.js';
 import { rotateVector, angleDiff, dot, length, normalize } from '../math.js';
+import { drawThrusterPower } from './powerSystem.js';
 
 // Matter.js is loaded globally
 const Body = Matter.Body;
@@ -15,6 +16,16 @@ function isThrusterInactive(thruster) {
     return thruster.disabled || thruster.overheated;
 }
 
+/**
+ * Checks if a ship has fuel left for its thrusters. A dry ship still has
+ * the core's omni and angular thrust, which burn nothing.
+ * @param {object} ship - Arena ship object
+ * @returns {boolean}
+ */
+function hasFuel(ship) {
+    return ship.fuel.amount > 0;
+}
+
 /**
  * Calculates the ramp-up multiplier for a thruster based on its active time
  * @param {object} thruster - Thruster info from ship.thrusters
@@ -38,14 +49,19 @@ function getRampUpMultiplier(thruster) {
  * @param {object} ship - Arena ship object
  * @param {object} thruster - Thruster info from ship.thrusters
  * @param {number} throttle - Throttle value 0-1
+ * @returns {boolean} Whether the thruster fired (false when inactive, dry, or stalled for power)
  */
 function applyThrusterForce(ship, thruster, throttle) {
-    if (!ship || !ship.body || !thruster || throttle <= 0) return;
-    if (isThrusterInactive(thruster)) return;
+    if (!ship || !ship.body || !thruster || throttle <= 0) return false;
+    if (isThrusterInactive(thruster) || !hasFuel(ship)) return false;
+    if (thruster.powerDraw > 0 && !drawThrusterPower(ship, thruster, throttle)) return false;
     
     // Mark as fired this frame (for ramp-up and overheat tracking)
     thruster.firedThisFrame = true;
     
+    // Burn is drained once per tick in updateFuel()
+    ship.fuel.burn += thruster.fuelBurn * throttle;
+    
     // Get world position of thruster (local pos rotated by ship angle + ship position)
     const worldPos = getWorldPositionFromLocal(ship, thruster.localPos);
     
@@ -67,10 +83,12 @@ function applyThrusterForce(ship, thruster, throttle) {
     };
     
     applyForceAtPosition(ship.body, worldPos, force);
+    return true;
 }
 
 /**
- * Updates per-thruster runtime state: ramp-up timers, overheat tracking, cooldowns.
+ * Updates per-thruster runtime state: ramp-up timers, overheat tracking,
+ * cooldowns, and the ship's fuel.
  * Should be called once per frame AFTER all thrust application is done.
  * @param {object} ship - Arena ship object
  * @param {number} dt - Delta time in seconds
@@ -78,7 +96,10 @@ function applyThrusterForce(ship, thruster, throttle) {
 function updateThrusterState(ship, dt) {
     if (!ship || !ship.thrusters) return;
     
-    const now = performance.now() / 1000; // Current time in seconds
+    // Overheat windows run on simulated time so they behave the same at any
+    // frame rate and in headless runs faster than real time
+    ship.simTime += dt;
+    const now = ship.simTime;
     
     for (const thruster of ship.thrusters) {
         // --- Ramp-up tracking ---
@@ -143,6 +164,26 @@ function updateThrusterState(ship, dt) {
         // Reset firedThisFrame for next frame
         thruster.firedThisFrame = false;
     }
+    
+    updateFuel(ship, dt);
+}
+
+/**
+ * Drains this tick's thruster burn, regenerates from the core, and drops
+ * capacity held by broken fuel tanks (spilling whatever no longer fits)
+ * @param {object} ship - Arena ship object
+ * @param {number} dt - Delta time in seconds
+ */
+function updateFuel(ship, dt) {
+    const fuel = ship.fuel;
+    fuel.capacity = 0;
+    for (const part of ship.parts) {
+        if (!part.broken) fuel.capacity += part.fuelCapacity;
+    }
+    
+    const amount = fuel.amount + (fuel.regen - fuel.burn) * dt;
+    fuel.amount = Math.max(0, Math.min(fuel.capacity, amount));
+    fuel.burn = 0;
 }
 
 /**
@@ -236,7 +277,7 @@ function applyAngularThrust(ship, targetAngle, throttle) {
  * @returns {Array} Thrusters that can help with this direction
  */
 function getThrustersForDirection(ship, moveDir) {
-    if (!ship || !ship.thrusters) return [];
+    if (!ship || !ship.thrusters || !hasFuel(ship)) return [];
     
     const shipAngle = -ship.body.angle;
     const result = [];
@@ -272,7 +313,7 @@ function getThrustersForDirection(ship, moveDir) {
  * @returns {Array} Thrusters that can help with this rotation direction
  */
 function getThrustersForRotation(ship, rotationDirection) {
-    if (!ship || !ship.thrusters) return [];
+    if (!ship || !ship.thrusters || !hasFuel(ship)) return [];
     
     const result = [];
     
@@ -327,7 +368,7 @@ function applyRotationThrusters(ship, rotationDirection, throttle) {
     for (const { thruster, effectiveness } of helpfulThrusters) {
         // Scale throttle by effectiveness (more torque = more useful)
         const thrusterThrottle = throttle * Math.min(effectiveness, 1.0);
-        applyThrusterForce(ship, thruster, thrusterThrottle);
+        if (!applyThrusterForce(ship, thruster, thrusterThrottle)) continue;
         
         // Track for debug visualization (show push direction, opposite to exhaust)
         const worldPos = getWorldPositionFromLocal(ship, thruster.localPos);
@@ -388,7 +429,8 @@ function applyDirectionalThrust(ship, direction, throttle) {
     let thrusterContribution = 0;
     for (const { thruster, effectiveness } of helpfulThrusters) {
         const thrusterThrottle = throttle * effectiveness;
-        applyThrusterForce(ship, thruster, thrusterThrottle);
+        // Stalled thrusters leave their share to the core's omni-thrust
+        if (!applyThrusterForce(ship, thruster, thrusterThrottle)) continue;
         thrusterContribution += effectiveness;
         
         // Track for debug (show push direction, opposite to exhaust)
@@ -1,51 +1,94 @@
 // Weapon system - handles cannon firing, projectiles, aiming, and damage
+//
+// Missile launchers share the cannon pipeline (ship.cannons); their
+// projectiles carry guidance and steer toward a locked target each tick.
+// Explosive shots detonate on impact, at a blocker or wall, or when their
+// lifetime runs out, damaging every part in the blast on every ship.
+// Point-defense interceptors (pointDefenseSystem.js) are projectiles too:
+// they ignore ships and knock HP off hostile projectiles they meet.
+// Every shot kicks its cannon's recoil impulse back into the ship at the
+// mount, so off-center heavy guns also twist the hull.
+//
+// Simulation only: projectiles are plain data. projectileVisuals.js and
+// shipVisuals.js render them (and turret aim / broken parts) when a scene exists.
 
-import * as THREE from 'three';
-import { getArenaPhysicsScale } from './arenaPhysics.js';
-import { applyBrokenTint } from './arenaShip.js';
-import { EQUIPMENT_DEFINITIONS, isThrusterType, isCannonType } from '../pieces/equipment.js';
+import { getArenaPhysicsScale, applyForceAtPosition, applyImpulseAtPosition } from './arenaPhysics.js';
+import { EQUIPMENT_DEFINITIONS, isThrusterType, isWeaponType, isReactorType, isShieldType, isBeamType, isPointDefenseType } from '../pieces/equipment.js';
 import { normalizeAngle, rotateVector, angleTo, getEquipmentForward } from '../math.js';
+import { RNG_STREAMS, randomSigned } from '../rng.js';
+import { isPointInBlocker } from './blockers.js';
+import { getArenaGeometry, crossesInteriorWall } from './arenaGeometry.js';
+import { drawPower } from './powerSystem.js';
+import { DAMAGE_TYPES, getDamageMultiplier } from '../pieces/damageTypes.js';
+import { absorbProjectile } from './shieldSystem.js';
+import { findPartsInRadius } from './hazards/hazardHelpers.js';
 
 // Default cannon damage (used if not specified)
 const DEFAULT_CANNON_DAMAGE = EQUIPMENT_DEFINITIONS.cannon_thumper.damage;
 
+// Interceptor hits a projectile takes unless its cannon says otherwise
+const DEFAULT_PROJECTILE_HP = 1;
+
+// How close an interceptor has to pass to a projectile to hit it
+const INTERCEPT_RADIUS = 0.35;
+
 // Active projectiles in the arena
 const projectiles = [];
 
-// Scene reference for adding/removing projectile meshes
-let sceneRef = null;
+// Blasts set off during the latest collision pass ({x, y, radius}), for visuals
+const explosions = [];
 
-// Projectile visual settings
-const PROJECTILE_RADIUS = 0.15;
-const PROJECTILE_COLOR = 0xff6600;
+// Whether projectiles hit ships on the shooter's own team (team fights)
+let friendlyFire = false;
 
 /**
  * Initializes the weapon system
- * @param {THREE.Scene} scene - The scene for projectile visuals
+ * @param {object} [options]
+ * @param {boolean} [options.friendlyFire=false] - Whether shots hit allies
  */
-function initWeaponSystem(scene) {
-    sceneRef = scene;
+function initWeaponSystem({ friendlyFire: allowFriendlyFire = false } = {}) {
     projectiles.length = 0;
+    explosions.length = 0;
+    friendlyFire = allowFriendlyFire;
 }
 
 /**
  * Cleans up the weapon system
  */
 function cleanupWeaponSystem() {
-    // Remove all projectile meshes
-    for (const proj of projectiles) {
-        if (proj.mesh && sceneRef) {
-            sceneRef.remove(proj.mesh);
-            proj.mesh.geometry.dispose();
-            proj.mesh.material.dispose();
-        }
-    }
     projectiles.length = 0;
-    sceneRef = null;
+    explosions.length = 0;
+    friendlyFire = false;
+}
+
+/**
+ * Whether an attacker's shots can damage a ship: never its own hull, and
+ * allies only with friendly fire on
+ * @param {object|null} attacker - Shooting ship (null for hazards)
+ * @param {object} ship - Ship that would be hit
+ * @returns {boolean}
+ */
+function canDamageShip(attacker, ship) {
+    if (!attacker) return true;
+    if (ship === attacker) return false;
+    return friendlyFire || ship.team !== attacker.team;
 }
 
 /**
- * Updates reload timers and burst firing for all cannons on a ship
+ * Whether a projectile is a hostile shot a ship should defend against:
+ * fired by an enemy (not itself or an ally), and not an interceptor
+ * @param {object} proj - Projectile
+ * @param {object} ship - Defending ship
+ * @returns {boolean}
+ */
+function isHostileProjectile(proj, ship) {
+    if (proj.interceptor || proj.shooter === ship) return false;
+    return !proj.shooter || proj.shooter.team !== ship.team;
+}
+
+/**
+ * Updates reload timers and burst firing for all cannons on a ship.
+ * A burst round that the power bank can't pay for waits for the next tick.
  * @param {object} ship - Arena ship with cannons array
  * @param {number} deltaTime - Time since last frame in seconds
  */
@@ -63,7 +106,7 @@ function updateCannonReloads(ship, deltaTime) {
         // Handle burst firing -- fire remaining burst shots on a timer
         if (cannon.burstRemaining > 0) {
             cannon.burstTimer -= deltaTime;
-            if (cannon.burstTimer <= 0 && !cannon.disabled) {
+            if (cannon.burstTimer <= 0 && !cannon.disabled && drawPower(ship, 'cannon', cannon.energyPerShot)) {
                 // Compute current world position for this burst shot
                 const rotatedLocal = rotateVector(cannon.localPos, shipAngle);
                 const worldX = shipX + rotatedLocal.x;
@@ -71,7 +114,7 @@ function updateCannonReloads(ship, deltaTime) {
                 
                 // Fire with current aim offset + spread
                 const firingAngle = shipAngle + cannon.localAngle + cannon.currentAimOffset;
-                const spreadAngle = firingAngle + (Math.random() * 2 - 1) * (cannon.spread || 0);
+                const spreadAngle = firingAngle + randomSigned(RNG_STREAMS.COMBAT) * (cannon.spread || 0);
                 
                 spawnProjectile(
                     worldX, worldY, spreadAngle,
@@ -79,8 +122,13 @@ function updateCannonReloads(ship, deltaTime) {
                     shipVelX, shipVelY,
                     ship,
                     cannon.damage ?? DEFAULT_CANNON_DAMAGE,
-                    cannon.penetrating || false
+                    cannon.penetrating || false,
+                    cannon.damageType,
+                    cannon.guidance,
+                    cannon.explosive,
+                    cannon.projectileHp ?? DEFAULT_PROJECTILE_HP
                 );
+                queueRecoil(ship, cannon, worldX, worldY, spreadAngle);
                 
                 cannon.burstRemaining--;
                 if (cannon.burstRemaining > 0) {
@@ -101,19 +149,16 @@ function updateCannonReloads(ship, deltaTime) {
 
 
 /**
- * Updates cannon aiming toward a target position
- * @param {object} ship - Arena ship with cannons array
+ * Updates cannon (and beam turret) aiming toward a target position
+ * @param {object} ship - Arena ship with cannons and beams arrays
  * @param {object} targetPos - Target world position {x, y}
  * @param {number} deltaTime - Time since last frame in seconds
  */
 function updateCannonAiming(ship, targetPos, deltaTime) {
     if (!ship || !ship.cannons) return;
     
-    // If no target, just update turret visuals with current aim offset
-    if (!targetPos) {
-        updateTurretVisuals(ship);
-        return;
-    }
+    // No target -- turrets hold their current aim offset
+    if (!targetPos) return;
     
     const scale = getArenaPhysicsScale();
     
@@ -122,7 +167,8 @@ function updateCannonAiming(ship, targetPos, deltaTime) {
     const shipY = -ship.body.position.y / scale;
     const shipAngle = -ship.body.angle;
     
-    for (const cannon of ship.cannons) {
+    // Beam turrets share the cannons' mount fields and aim the same way
+    for (const cannon of ship.cannons.concat(ship.beams)) {
         // Calculate cannon world position
         const rotatedLocal = rotateVector(cannon.localPos, shipAngle);
         const cannonWorldX = shipX + rotatedLocal.x;
@@ -154,28 +200,11 @@ function updateCannonAiming(ship, targetPos, deltaTime) {
             cannon.currentAimOffset += Math.sign(offsetDiff) * maxRotation;
         }
     }
-    
-    // Update turret mesh rotations to match aim offsets
-    updateTurretVisuals(ship);
 }
 
 /**
- * Updates turret mesh rotations to match current aim offsets
- * @param {object} ship - Arena ship with cannons array
- */
-function updateTurretVisuals(ship) {
-    if (!ship || !ship.cannons) return;
-    
-    for (const cannon of ship.cannons) {
-        if (cannon.turretMesh) {
-            // Rotate turret around Z axis by the aim offset
-            cannon.turretMesh.rotation.z = cannon.currentAimOffset;
-        }
-    }
-}
-
-/**
- * Attempts to fire all ready cannons on a ship
+ * Attempts to fire all ready cannons on a ship. Cannons the power bank can't
+ * pay for stay loaded and try again next tick.
  * @param {object} ship - Arena ship with cannons array
  * @param {object} targetPos - Target position to check firing arc against (optional)
  * @returns {number} Number of cannons that fired
@@ -225,11 +254,14 @@ function fireAllCannons(ship, targetPos) {
             if (Math.abs(angleOffset) > halfFiringArc) continue;
         }
         
+        // Stall without the energy for the shot
+        if (!drawPower(ship, 'cannon', cannon.energyPerShot)) continue;
+        
         // Calculate firing direction (cannon local angle + ship angle + aim offset)
         const firingAngle = shipAngle + cannon.localAngle + cannon.currentAimOffset;
         
         // Apply spread -- random deviation within [-spread, +spread]
-        const spreadAngle = firingAngle + (Math.random() * 2 - 1) * (cannon.spread || 0);
+        const spreadAngle = firingAngle + randomSigned(RNG_STREAMS.COMBAT) * (cannon.spread || 0);
         
         // Spawn projectile with ship velocity for inheritance, shooter reference, and damage
         spawnProjectile(
@@ -238,8 +270,13 @@ function fireAllCannons(ship, targetPos) {
             shipVelX, shipVelY,
             ship,  // shooter reference
             cannon.damage ?? DEFAULT_CANNON_DAMAGE,
-            cannon.penetrating || false
+            cannon.penetrating || false,
+            cannon.damageType,
+            cannon.guidance,
+            cannon.explosive,
+            cannon.projectileHp ?? DEFAULT_PROJECTILE_HP
         );
+        queueRecoil(ship, cannon, worldX, worldY, spreadAngle);
         
         // Handle burst -- if burstCount > 1, queue remaining shots
         const burstCount = cannon.burstCount || 1;
@@ -257,6 +294,54 @@ function fireAllCannons(ship, targetPos) {
     return firedCount;
 }
 
+/**
+ * Queues a shot's recoil on the ship: the cannon's impulse at the mount,
+ * opposite the shot. applyRecoil kicks the ship with it after the weapons
+ * update.
+ * @param {object} ship - Arena ship that fired
+ * @param {object} cannon - Cannon info from ship.cannons
+ * @param {number} worldX - Mount world X
+ * @param {number} worldY - Mount world Y
+ * @param {number} angle - Shot direction (equipment convention: 0 = +Y)
+ */
+function queueRecoil(ship, cannon, worldX, worldY, angle) {
+    if (!cannon.recoil) return;
+    const forward = getEquipmentForward(angle);
+    ship.pendingRecoil.push({
+        position: { x: worldX, y: worldY },
+        direction: { x: -forward.x, y: -forward.y },
+        impulse: cannon.recoil
+    });
+}
+
+/**
+ * Kicks the ship with the recoil queued this tick. Each impulse changes the
+ * ship's velocity directly, so the kick is the same at any tick rate.
+ * @param {object} ship - Arena ship
+ * @param {number} deltaTime - Tick length in seconds
+ * @returns {Array} Recoil kicks as thrust info for debug visualization
+ *   (magnitude is the force that would deliver the impulse over the tick)
+ */
+function applyRecoil(ship, deltaTime) {
+    if (ship.pendingRecoil.length === 0) return [];
+    
+    const kicks = [];
+    for (const recoil of ship.pendingRecoil) {
+        applyImpulseAtPosition(ship.body, recoil.position, {
+            x: recoil.direction.x * recoil.impulse,
+            y: recoil.direction.y * recoil.impulse
+        });
+        kicks.push({
+            type: 'recoil',
+            position: recoil.position,
+            direction: recoil.direction,
+            magnitude: recoil.impulse / deltaTime
+        });
+    }
+    ship.pendingRecoil.length = 0;
+    return kicks;
+}
+
 /**
  * Spawns a projectile with optional velocity inheritance from shooter
  * @param {number} x - World X position
@@ -269,22 +354,13 @@ function fireAllCannons(ship, targetPos) {
  * @param {object} shooter - The ship that fired this projectile (to avoid self-hits)
  * @param {number} damage - Damage this projectile deals on hit
  * @param {boolean} penetrating - If true, projectile continues through parts until damage is depleted
+ * @param {string} damageType - Damage type from DAMAGE_TYPES (checked against block resistances)
+ * @param {object|null} guidance - Launcher guidance stats; makes the projectile a homing missile
+ * @param {object|null} explosive - Blast stats {radius, falloff, force}; the projectile detonates instead of hitting one part
+ * @param {number} hp - Interceptor damage it takes to shoot the projectile down (Infinity = unstoppable)
+ * @param {boolean} interceptor - If true, this is a point-defense round that only hits projectiles
  */
-function spawnProjectile(x, y, angle, speed, lifetime, shipVelX = 0, shipVelY = 0, shooter = null, damage = DEFAULT_CANNON_DAMAGE, penetrating = false) {
-    // Create mesh
-    const geometry = new THREE.SphereGeometry(PROJECTILE_RADIUS, 8, 8);
-    const material = new THREE.MeshStandardMaterial({
-        color: PROJECTILE_COLOR,
-        emissive: PROJECTILE_COLOR,
-        emissiveIntensity: 0.5
-    });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.set(x, y, 0.2);
-    
-    if (sceneRef) {
-        sceneRef.add(mesh);
-    }
-    
+function spawnProjectile(x, y, angle, speed, lifetime, shipVelX = 0, shipVelY = 0, shooter = null, damage = DEFAULT_CANNON_DAMAGE, penetrating = false, damageType = DAMAGE_TYPES.KINETIC, guidance = null, explosive = null, hp = DEFAULT_PROJECTILE_HP, interceptor = false) {
     // Calculate firing direction using equipment forward convention
     // Forward = +Y at angle 0, so: x = -sin(angle), y = cos(angle)
     const firingDir = getEquipmentForward(angle);
@@ -308,7 +384,6 @@ function spawnProjectile(x, y, angle, speed, lifetime, shipVelX = 0, shipVelY =
     const vy = firingDirY * effectiveSpeed;
     
     const projectile = {
-        mesh: mesh,
         x: x,
         y: y,
         vx: vx,
@@ -317,46 +392,186 @@ function spawnProjectile(x, y, angle, speed, lifetime, shipVelX = 0, shipVelY =
         lifetime: lifetime,
         shooter: shooter,      // Track shooter to avoid self-hits
         damage: damage,        // Damage dealt on hit (decremented for penetrating projectiles)
-        penetrating: penetrating  // If true, continues through parts until damage depleted
+        penetrating: penetrating, // If true, continues through parts until damage depleted
+        damageType: damageType,
+        guidance: guidance,    // Non-null for homing missiles
+        explosive: explosive,  // Non-null for shots that detonate
+        detonating: false,     // Set when an explosive shot expires or hits a wall
+        hp: hp,                // Interceptor damage left before it's shot down
+        interceptor: interceptor, // Point-defense round (hits projectiles, not ships)
+        lastX: x,              // Position at the end of the previous collision pass
+        lastY: y,              //   (for swept interceptor checks)
+        target: null,          // Ship the missile's seeker has locked
+        lockLost: false,       // Set once the target escapes the seeker (no relock)
+        hasHit: false          // Set on first hit (for shotsHit stats)
     };
     
     projectiles.push(projectile);
+    // Interceptors don't count toward accuracy stats
+    if (shooter && !interceptor) shooter.stats.shotsFired++;
+}
+
+/**
+ * Spawns a point-defense interceptor. Interceptors fly at a fixed speed
+ * (no velocity inheritance) so the turret's lead stays accurate.
+ * @param {number} x - World X position
+ * @param {number} y - World Y position
+ * @param {number} angle - Direction angle in radians (equipment convention: 0 = +Y)
+ * @param {number} speed - Interceptor speed
+ * @param {number} lifetime - Time in seconds before despawn
+ * @param {object} shooter - Ship the point-defense turret is on
+ * @param {number} damage - Projectile HP knocked off per hit
+ */
+function spawnInterceptor(x, y, angle, speed, lifetime, shooter, damage) {
+    spawnProjectile(x, y, angle, speed, lifetime, 0, 0, shooter, damage,
+        false, DAMAGE_TYPES.KINETIC, null, null, DEFAULT_PROJECTILE_HP, true);
 }
 
 /**
- * Updates all active projectiles
+ * Moves and steers all active projectiles. Call once per tick.
  * @param {number} deltaTime - Time since last frame in seconds
+ * @param {Array} [ships] - All arena ships (targets for missile seekers)
  */
-function updateProjectiles(deltaTime) {
+function updateProjectiles(deltaTime, ships = []) {
     for (let i = projectiles.length - 1; i >= 0; i--) {
         const proj = projectiles[i];
         
+        // Spent explosive shots wait for the collision pass to set them off
+        if (proj.detonating) continue;
+        
+        // Missiles steer before they move; shells fly straight
+        if (proj.guidance) steerMissile(proj, ships, deltaTime);
+        
         // Move projectile
+        const fromX = proj.x;
+        const fromY = proj.y;
         proj.x += proj.vx * deltaTime;
         proj.y += proj.vy * deltaTime;
         proj.timeAlive += deltaTime;
         
-        // Update mesh position
-        proj.mesh.position.set(proj.x, proj.y, 0.2);
+        // Interior walls stop projectiles (checked along the move, since a
+        // fast shot can cross a thin wall within one tick)
+        if (crossesInteriorWall(getArenaGeometry(), fromX, fromY, proj.x, proj.y)) {
+            // Explosive shots go off on the near side of the wall
+            proj.x = fromX;
+            proj.y = fromY;
+            expireProjectile(i);
+            continue;
+        }
         
         // Check if exceeded lifetime
         if (proj.timeAlive >= proj.lifetime) {
-            removeProjectile(i);
+            expireProjectile(i);
         }
     }
 }
 
 /**
- * Removes a projectile by index
+ * Ends a projectile's flight: explosive shots are flagged to detonate in the
+ * next collision pass (which reports the ships they destroy), others vanish
  * @param {number} index - Projectile index
  */
-function removeProjectile(index) {
+function expireProjectile(index) {
     const proj = projectiles[index];
-    if (proj.mesh && sceneRef) {
-        sceneRef.remove(proj.mesh);
-        proj.mesh.geometry.dispose();
-        proj.mesh.material.dispose();
+    if (proj.explosive) {
+        proj.detonating = true;
+    } else {
+        removeProjectile(index);
     }
+}
+
+/**
+ * Steers a homing missile for one tick. While its motor burns (fuelTime) the
+ * missile accelerates toward maxSpeed and turns toward its target at no more
+ * than turnRate; afterwards it coasts straight. The seeker locks the nearest
+ * enemy in its cone and range, and loses the lock for good once the target
+ * slips outside the cone -- a hard enough dodge outturns the missile.
+ * @param {object} proj - Projectile with guidance
+ * @param {Array} ships - All arena ships
+ * @param {number} deltaTime - Tick length in seconds
+ */
+function steerMissile(proj, ships, deltaTime) {
+    const guidance = proj.guidance;
+    if (proj.timeAlive >= guidance.fuelTime) return;
+    
+    let heading = Math.atan2(proj.vy, proj.vx);
+    
+    if (!proj.target && !proj.lockLost) {
+        proj.target = findMissileTarget(proj, ships, heading);
+    }
+    
+    if (proj.target) {
+        const offset = getSeekerOffset(proj, proj.target, heading);
+        if (offset === null || Math.abs(offset) > guidance.seekerCone / 2) {
+            proj.target = null;
+            proj.lockLost = true;
+        } else {
+            const maxTurn = guidance.turnRate * deltaTime;
+            heading += Math.max(-maxTurn, Math.min(maxTurn, offset));
+        }
+    }
+    
+    const speed = Math.min(guidance.maxSpeed, Math.hypot(proj.vx, proj.vy) + guidance.acceleration * deltaTime);
+    proj.vx = Math.cos(heading) * speed;
+    proj.vy = Math.sin(heading) * speed;
+}
+
+/**
+ * Finds the nearest enemy ship inside a missile's seeker cone and lock range
+ * @param {object} proj - Missile projectile
+ * @param {Array} ships - All arena ships
+ * @param {number} heading - Missile heading (atan2 convention)
+ * @returns {object|null} Ship to lock, or null when nothing is in view
+ */
+function findMissileTarget(proj, ships, heading) {
+    const guidance = proj.guidance;
+    let best = null;
+    let bestDist = guidance.lockRange;
+    
+    for (const ship of ships) {
+        if (!ship || ship.destroyed || !ship.body) continue;
+        // Missiles only hunt enemies, even with friendly fire on
+        if (ship === proj.shooter || (proj.shooter && ship.team === proj.shooter.team)) continue;
+        
+        const pos = getShipPosition(ship);
+        const dist = Math.hypot(pos.x - proj.x, pos.y - proj.y);
+        if (dist > bestDist) continue;
+        if (Math.abs(getSeekerOffset(proj, ship, heading)) > guidance.seekerCone / 2) continue;
+        
+        best = ship;
+        bestDist = dist;
+    }
+    return best;
+}
+
+/**
+ * Angle from a missile's heading to a ship
+ * @param {object} proj - Missile projectile
+ * @param {object} ship - Arena ship
+ * @param {number} heading - Missile heading (atan2 convention)
+ * @returns {number|null} Signed offset in radians, or null once the ship is gone
+ */
+function getSeekerOffset(proj, ship, heading) {
+    if (ship.destroyed || !ship.body) return null;
+    const pos = getShipPosition(ship);
+    return normalizeAngle(angleTo(proj.x, proj.y, pos.x, pos.y) - heading);
+}
+
+/**
+ * Gets a ship's world position from its physics body
+ * @param {object} ship - Arena ship
+ * @returns {{x: number, y: number}}
+ */
+function getShipPosition(ship) {
+    const scale = getArenaPhysicsScale();
+    return { x: ship.body.position.x / scale, y: -ship.body.position.y / scale };
+}
+
+/**
+ * Removes a projectile by index
+ * @param {number} index - Projectile index
+ */
+function removeProjectile(index) {
     projectiles.splice(index, 1);
 }
 
@@ -406,10 +621,18 @@ function findHitPart(ship, x, y) {
  * @param {object} ship - Arena ship
  * @param {object} part - The part to damage
  * @param {number} damage - Amount of damage to apply
+ * @param {object} [attacker] - Ship credited with the damage (null for hazards)
+ * @param {string} [damageType] - Damage type from DAMAGE_TYPES; the part's resistance to it
+ *   scales the damage down
  * @returns {object} Result with {partBroken, coreDestroyed}
  */
-function applyDamageToPart(ship, part, damage) {
+function applyDamageToPart(ship, part, damage, attacker = null, damageType = DAMAGE_TYPES.KINETIC) {
+    damage *= getDamageMultiplier(part.resistances, damageType);
+    const dealt = Math.min(part.hp, damage);
     part.hp -= damage;
+    ship.stats.damageTaken += dealt;
+    // Friendly fire hurts but doesn't count as damage dealt
+    if (attacker && attacker.team !== ship.team) attacker.stats.damageDealt += dealt;
     
     const result = { partBroken: false, coreDestroyed: false };
     
@@ -418,11 +641,6 @@ function applyDamageToPart(ship, part, damage) {
         part.broken = true;
         result.partBroken = true;
         
-        // Apply dark tint to the broken part's mesh
-        if (part.mesh) {
-            applyBrokenTint(part.mesh);
-        }
-        
         // Check if this was the core
         if (part.isCore) {
             result.coreDestroyed = true;
@@ -437,17 +655,16 @@ function applyDamageToPart(ship, part, damage) {
 }
 
 /**
- * Disables equipment (cannons/thrusters) that were on a broken piece
+ * Disables equipment (cannons/beams/point defense/thrusters/reactors/shields) that were on a broken piece
  * @param {object} ship - Arena ship
  * @param {object} piece - The broken piece
  */
 function disableEquipmentOnPiece(ship, piece) {
     // Check if this piece IS equipment (cannon or thruster)
-    if (isCannonType(piece.type)) {
+    if (isWeaponType(piece.type)) {
         for (const cannon of ship.cannons) {
             if (cannon.piece.id === piece.id) {
                 cannon.disabled = true;
-                // Apply broken tint to cannon mesh if not already done
                 break;
             }
         }
@@ -462,6 +679,26 @@ function disableEquipmentOnPiece(ship, piece) {
         }
     }
     
+    if (isReactorType(piece.type)) {
+        const reactor = ship.reactors.find(r => r.piece.id === piece.id);
+        if (reactor) reactor.disabled = true;
+    }
+    
+    if (isShieldType(piece.type)) {
+        const shield = ship.shields.find(s => s.piece.id === piece.id);
+        if (shield) shield.disabled = true;
+    }
+    
+    if (isBeamType(piece.type)) {
+        const beam = ship.beams.find(b => b.piece.id === piece.id);
+        if (beam) beam.disabled = true;
+    }
+    
+    if (isPointDefenseType(piece.type)) {
+        const pd = ship.pointDefenses.find(p => p.piece.id === piece.id);
+        if (pd) pd.disabled = true;
+    }
+    
     // AIDEV-NOTE: Equipment mounted ON blocks are separate pieces with their own parts.
     // When a block breaks, equipment on it should also break. 
     // However, in the current design, equipment occupies the same grid cells as blocks
@@ -481,12 +718,9 @@ function disableEquipmentOnPiece(ship, piece) {
             if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
                              cp.gridCol, cp.gridRow, cp.width, cp.height)) {
                 cannon.disabled = true;
-                // Find and tint the cannon's part mesh
+                // Break the cannon's own part too (shipVisuals tints it)
                 const cannonPart = ship.parts.find(p => p.piece.id === cp.id);
-                if (cannonPart && cannonPart.mesh && !cannonPart.broken) {
-                    cannonPart.broken = true;
-                    applyBrokenTint(cannonPart.mesh);
-                }
+                if (cannonPart) cannonPart.broken = true;
             }
         }
         
@@ -497,12 +731,57 @@ function disableEquipmentOnPiece(ship, piece) {
             if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
                              tp.gridCol, tp.gridRow, tp.width, tp.height)) {
                 thruster.disabled = true;
-                // Find and tint the thruster's part mesh
+                // Break the thruster's own part too (shipVisuals tints it)
                 const thrusterPart = ship.parts.find(p => p.piece.id === tp.id);
-                if (thrusterPart && thrusterPart.mesh && !thrusterPart.broken) {
-                    thrusterPart.broken = true;
-                    applyBrokenTint(thrusterPart.mesh);
-                }
+                if (thrusterPart) thrusterPart.broken = true;
+            }
+        }
+
+        // Check reactors
+        for (const reactor of ship.reactors) {
+            if (reactor.disabled) continue;
+            const rp = reactor.piece;
+            if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
+                             rp.gridCol, rp.gridRow, rp.width, rp.height)) {
+                reactor.disabled = true;
+                const reactorPart = ship.parts.find(p => p.piece.id === rp.id);
+                if (reactorPart) reactorPart.broken = true;
+            }
+        }
+
+        // Check shield generators
+        for (const shield of ship.shields) {
+            if (shield.disabled) continue;
+            const sp = shield.piece;
+            if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
+                             sp.gridCol, sp.gridRow, sp.width, sp.height)) {
+                shield.disabled = true;
+                const shieldPart = ship.parts.find(p => p.piece.id === sp.id);
+                if (shieldPart) shieldPart.broken = true;
+            }
+        }
+
+        // Check beams
+        for (const beam of ship.beams) {
+            if (beam.disabled) continue;
+            const bp = beam.piece;
+            if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
+                             bp.gridCol, bp.gridRow, bp.width, bp.height)) {
+                beam.disabled = true;
+                const beamPart = ship.parts.find(p => p.piece.id === bp.id);
+                if (beamPart) beamPart.broken = true;
+            }
+        }
+
+        // Check point-defense turrets
+        for (const pd of ship.pointDefenses) {
+            if (pd.disabled) continue;
+            const pp = pd.piece;
+            if (piecesOverlap(blockCol, blockRow, blockWidth, blockHeight,
+                             pp.gridCol, pp.gridRow, pp.width, pp.height)) {
+                pd.disabled = true;
+                const pdPart = ship.parts.find(p => p.piece.id === pp.id);
+                if (pdPart) pdPart.broken = true;
             }
         }
     }
@@ -517,8 +796,10 @@ function piecesOverlap(col1, row1, w1, h1, col2, row2, w2, h2) {
 }
 
 /**
- * Checks all projectiles for collisions with ships and applies damage
+ * Checks all projectiles for collisions with blockers and ships, applying damage to ships
+ * Shields soak what they can before the hull is checked.
  * Penetrating projectiles continue through parts until their damage is depleted.
+ * Explosive projectiles detonate on any hit (or when flagged by updateProjectiles).
  * @param {Array} ships - Array of arena ships
  * @returns {Array} Array of ships that were destroyed this frame
  */
@@ -526,36 +807,74 @@ function checkProjectileCollisions(ships) {
     if (!ships || ships.length === 0) return [];
     
     const destroyedShips = [];
+    explosions.length = 0;
+    
+    // Point defense first: shots knocked down here never reach a hull
+    interceptProjectiles();
     
     // Check each projectile (iterate backwards for safe removal)
     for (let i = projectiles.length - 1; i >= 0; i--) {
         const proj = projectiles[i];
         let shouldRemove = false;
         
+        // Explosive shots that ran out of flight or hit a wall
+        if (proj.detonating) {
+            detonateProjectile(proj, ships, destroyedShips);
+            removeProjectile(i);
+            continue;
+        }
+        
+        // Blockers stop every projectile, penetrating or not
+        if (isPointInBlocker(proj.x, proj.y)) {
+            if (proj.explosive) detonateProjectile(proj, ships, destroyedShips);
+            removeProjectile(i);
+            continue;
+        }
+        
+        // Interceptors only hit projectiles (handled above)
+        if (proj.interceptor) continue;
+        
         // Check against each ship
         for (const ship of ships) {
             // Skip destroyed ships
             if (ship.destroyed) continue;
             
-            // Skip the shooter's own ship
-            if (ship === proj.shooter) continue;
+            // Skip the shooter's own ship (and allies, without friendly fire)
+            if (!canDamageShip(proj.shooter, ship)) continue;
+            
+            // Shields in the way soak damage first; a fully soaked shot is spent
+            if (absorbProjectile(ship, proj) > 0) {
+                recordProjectileHit(proj);
+                if (proj.damage <= 0) {
+                    shouldRemove = true;
+                    break;
+                }
+            }
             
             // Find if projectile hit any part of this ship
             const hitPart = findHitPart(ship, proj.x, proj.y);
             
             if (hitPart) {
-                if (proj.penetrating) {
+                recordProjectileHit(proj);
+                if (proj.explosive) {
+                    // Explosive projectile: blast everything nearby, hit part included
+                    detonateProjectile(proj, ships, destroyedShips, hitPart);
+                    shouldRemove = true;
+                    break;
+                } else if (proj.penetrating) {
                     // Penetrating projectile: reduce damage by HP absorbed
                     const hpBefore = hitPart.hp;
-                    const result = applyDamageToPart(ship, hitPart, proj.damage);
+                    const multiplier = getDamageMultiplier(hitPart.resistances, proj.damageType);
+                    const result = applyDamageToPart(ship, hitPart, proj.damage, proj.shooter, proj.damageType);
                     
                     if (result.coreDestroyed) {
                         destroyedShips.push(ship);
                     }
                     
-                    // Subtract the HP the part actually absorbed
-                    const hpAbsorbed = Math.min(hpBefore, proj.damage);
-                    proj.damage -= hpAbsorbed;
+                    // Subtract the HP the part actually absorbed, in unresisted
+                    // damage (a resistant part soaks up more of the shot)
+                    const hpAbsorbed = Math.min(hpBefore, proj.damage * multiplier);
+                    proj.damage -= hpAbsorbed / multiplier;
                     
                     // If no damage left, mark for removal
                     if (proj.damage <= 0) {
@@ -565,7 +884,7 @@ function checkProjectileCollisions(ships) {
                     // Otherwise continue checking other parts/ships
                 } else {
                     // Normal projectile: apply damage and remove
-                    const result = applyDamageToPart(ship, hitPart, proj.damage);
+                    const result = applyDamageToPart(ship, hitPart, proj.damage, proj.shooter, proj.damageType);
                     
                     if (result.coreDestroyed) {
                         destroyedShips.push(ship);
@@ -583,19 +902,134 @@ function checkProjectileCollisions(ships) {
         }
     }
     
+    // Survivors sweep from here next pass
+    for (const proj of projectiles) {
+        proj.lastX = proj.x;
+        proj.lastY = proj.y;
+    }
+    
     return destroyedShips;
 }
 
 /**
- * Updates the entire weapon system
+ * Resolves interceptor hits. Each interceptor stops at the first hostile
+ * projectile it passed within INTERCEPT_RADIUS of since the last pass,
+ * knocking its damage off that projectile's HP; projectiles at 0 HP are
+ * destroyed without detonating.
+ */
+function interceptProjectiles() {
+    const spent = new Set();
+    
+    for (const interceptor of projectiles) {
+        if (!interceptor.interceptor) continue;
+        
+        for (const proj of projectiles) {
+            if (spent.has(proj) || !isHostileProjectile(proj, interceptor.shooter)) continue;
+            if (!projectilesMet(interceptor, proj)) continue;
+            
+            proj.hp -= interceptor.damage;
+            spent.add(interceptor);
+            if (proj.hp <= 0) spent.add(proj);
+            break;
+        }
+    }
+    
+    if (spent.size === 0) return;
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+        if (spent.has(projectiles[i])) removeProjectile(i);
+    }
+}
+
+/**
+ * Whether two projectiles came within INTERCEPT_RADIUS of each other while
+ * moving from their last-pass positions to where they are now (a swept
+ * test, since both can cover more than the radius in one tick)
+ */
+function projectilesMet(a, b) {
+    // Relative position at the start of the sweep and its change over it
+    const rx = a.lastX - b.lastX;
+    const ry = a.lastY - b.lastY;
+    const dx = (a.x - a.lastX) - (b.x - b.lastX);
+    const dy = (a.y - a.lastY) - (b.y - b.lastY);
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(rx * dx + ry * dy) / lengthSq)) : 0;
+    const cx = rx + dx * t;
+    const cy = ry + dy * t;
+    return cx * cx + cy * cy <= INTERCEPT_RADIUS * INTERCEPT_RADIUS;
+}
+
+/**
+ * Sets off an explosive projectile where it is. Every part within the blast
+ * radius on every ship the shooter can damage takes the projectile's damage,
+ * falling off toward the edge, and is pushed away from the blast.
+ * @param {object} proj - Projectile with explosive stats
+ * @param {Array} ships - All arena ships
+ * @param {Array} destroyedShips - Ships destroyed this pass (appended to)
+ * @param {object|null} [hitPart] - Part the shot struck, always caught in the blast
+ */
+function detonateProjectile(proj, ships, destroyedShips, hitPart = null) {
+    const blast = proj.explosive;
+    const scale = getArenaPhysicsScale();
+    explosions.push({ x: proj.x, y: proj.y, radius: blast.radius });
+    
+    for (const ship of ships) {
+        if (ship.destroyed || !ship.body) continue;
+        if (!canDamageShip(proj.shooter, ship)) continue;
+        
+        const caught = findPartsInRadius(ship, proj.x, proj.y, blast.radius);
+        if (hitPart && ship.parts.includes(hitPart) && !caught.includes(hitPart)) {
+            caught.push(hitPart);
+        }
+        if (caught.length === 0) continue;
+        recordProjectileHit(proj);
+        
+        for (const part of caught) {
+            // Earlier damage in this blast may have knocked equipment off its block
+            if (part.broken) continue;
+            
+            const partPos = { x: part.body.position.x / scale, y: -part.body.position.y / scale };
+            const dx = partPos.x - proj.x;
+            const dy = partPos.y - proj.y;
+            const dist = Math.hypot(dx, dy);
+            const strength = 1 - blast.falloff * Math.min(1, dist / blast.radius);
+            
+            const result = applyDamageToPart(ship, part, proj.damage * strength, proj.shooter, proj.damageType);
+            if (result.coreDestroyed && !destroyedShips.includes(ship)) {
+                destroyedShips.push(ship);
+            }
+            
+            // Push the part away from the blast (off-center hits spin the ship)
+            if (dist > 0) {
+                const push = blast.force * strength / dist;
+                applyForceAtPosition(ship.body, partPos, { x: dx * push, y: dy * push });
+            }
+        }
+    }
+}
+
+/**
+ * Counts a projectile's first hit toward its shooter's accuracy stats
+ * @param {object} proj - Projectile that hit a part
+ */
+function recordProjectileHit(proj) {
+    if (proj.hasHit) return;
+    proj.hasHit = true;
+    if (proj.shooter) proj.shooter.stats.shotsHit++;
+}
+
+/**
+ * Updates a ship's cannons (reloads, aiming) and applies its recoil.
+ * Projectiles are shared by every ship, so they're moved separately, once
+ * per tick, by updateProjectiles.
  * @param {object} ship - Arena ship
  * @param {number} deltaTime - Time since last frame
  * @param {object} targetPos - Target position for cannon aiming (optional)
+ * @returns {Array} Recoil kicks from this tick's shots, for debug visualization
  */
 function updateWeaponSystem(ship, deltaTime, targetPos) {
     updateCannonReloads(ship, deltaTime);
     updateCannonAiming(ship, targetPos, deltaTime);
-    updateProjectiles(deltaTime);
+    return applyRecoil(ship, deltaTime);
 }
 
 /**
@@ -606,6 +1040,14 @@ function getProjectileCount() {
     return projectiles.length;
 }
 
+/**
+ * Gets the blasts set off during the latest collision pass (for explosion visuals)
+ * @returns {Array} Array of {x, y, radius} in world units
+ */
+function getExplosions() {
+    return explosions;
+}
+
 /**
  * Gets the array of active projectiles (for sensing system)
  * @returns {Array} Array of projectile objects with {x, y, vx, vy, shooter, damage}
@@ -618,10 +1060,15 @@ export {
     initWeaponSystem,
     cleanupWeaponSystem,
     updateWeaponSystem,
+    updateProjectiles,
     fireAllCannons,
+    spawnInterceptor,
+    isHostileProjectile,
     getProjectileCount,
     getProjectiles,
+    getExplosions,
     checkProjectileCollisions,
+    canDamageShip,
     applyDamageToPart,
     findHitPart
 };
@@ -1,7 +1,8 @@
 // Fight outcome overlay - shows VICTORY/DEFEATED banners with action buttons
 //
 // Flow: fight ends -> show "Training AI..." spinner -> training results (click)
-//       -> VICTORY / DEFEATED (click).
+//       -> VICTORY / DEFEATED (click), with a line saying how the fight was
+//       decided (cores, survival, or damage dealt when time ran out).
 // Callbacks are set by the caller (main.js) to wire up stage progression.
 
 // ============================================================================
@@ -310,44 +311,52 @@ function drawLossCurve(trainLoss, valLoss) {
 /**
  * Shows the victory overlay with action buttons.
  * @param {number} stage - The stage that was beaten
- * @param {object} callbacks - { onNextStage, onBackToDesigner }
+ * @param {object} callbacks - { onNextStage, onBackToDesigner, onWatchReplay? }
+ *   (the Watch Replay button only appears when onWatchReplay is given)
+ * @param {object} [decision] - How the fight was decided (from the arena's outcome callback)
  */
-function showVictory(stage, callbacks) {
+function showVictory(stage, callbacks, decision) {
     ensureOverlay();
     overlayEl.innerHTML = `
         <div class="fo-box">
             <div class="fo-title fo-victory">VICTORY</div>
-            <div class="fo-subtitle">Stage ${stage} cleared!</div>
+            <div class="fo-subtitle">Stage ${stage} cleared!${decisionHtml(decision, true)}</div>
             <div class="fo-buttons">
                 <button class="fo-btn fo-btn-primary" id="fo-next-stage">Next Stage</button>
+                ${replayButtonHtml(callbacks)}
                 <button class="fo-btn" id="fo-back-designer">Back to Designer</button>
             </div>
         </div>
     `;
     overlayEl.classList.remove('hidden');
     wireButton('fo-next-stage', callbacks.onNextStage);
+    wireButton('fo-watch-replay', callbacks.onWatchReplay);
     wireButton('fo-back-designer', callbacks.onBackToDesigner);
 }
 
 /**
  * Shows the defeat overlay with action buttons.
  * @param {number} stage - The stage that was attempted
- * @param {object} callbacks - { onRetry, onBackToDesigner }
+ * @param {object} callbacks - { onRetry, onBackToDesigner, onWatchReplay? }
+ *   (the Watch Replay button only appears when onWatchReplay is given)
+ * @param {object} [decision] - How the fight was decided (from the arena's outcome callback)
  */
-function showDefeat(stage, callbacks) {
+function showDefeat(stage, callbacks, decision) {
     ensureOverlay();
     overlayEl.innerHTML = `
         <div class="fo-box">
             <div class="fo-title fo-defeat">DEFEATED</div>
-            <div class="fo-subtitle">Stage ${stage}</div>
+            <div class="fo-subtitle">Stage ${stage}${decisionHtml(decision, false)}</div>
             <div class="fo-buttons">
                 <button class="fo-btn fo-btn-primary" id="fo-retry">Retry</button>
+                ${replayButtonHtml(callbacks)}
                 <button class="fo-btn" id="fo-back-designer">Back to Designer</button>
             </div>
         </div>
     `;
     overlayEl.classList.remove('hidden');
     wireButton('fo-retry', callbacks.onRetry);
+    wireButton('fo-watch-replay', callbacks.onWatchReplay);
     wireButton('fo-back-designer', callbacks.onBackToDesigner);
 }
 
@@ -372,6 +381,43 @@ function ensureOverlay() {
     }
 }
 
+/**
+ * One line saying how the fight was decided (empty without a decision)
+ * @param {object} [decision] - { by: 'cores' | 'survival' | 'damage' | 'objective' | 'points', ... }
+ *   (see resolveFightOutcome)
+ * @param {boolean} won - Whether the player won
+ */
+function decisionHtml(decision, won) {
+    if (!decision) return '';
+    let text;
+    if (decision.by === 'survival') {
+        text = `Survived ${decision.seconds}s`;
+    } else if (decision.by === 'damage') {
+        const score = `${Math.round(decision.playerDamage)} to ${Math.round(decision.enemyDamage)}`;
+        text = decision.tied
+            ? `Time up \u2014 damage dealt tied ${score}`
+            : `Time up \u2014 ${won ? 'won' : 'lost'} on damage dealt ${score}`;
+    } else if (decision.by === 'objective') {
+        const objective = decision.mode === 'capture' ? 'zone' : 'beacon';
+        text = won ? `Your team held the ${objective}` : `The enemy held the ${objective}`;
+    } else if (decision.by === 'points') {
+        text = `Time up \u2014 ${won ? 'won' : 'lost'} on points`;
+    } else {
+        text = won ? 'Enemy cores destroyed' : 'Your core was destroyed';
+    }
+    if (decision.points) {
+        const { player, enemy, target } = decision.points;
+        text += ` \u2014 points ${Math.floor(player)} to ${Math.floor(enemy)} (of ${target})`;
+    }
+    return `<div class="fo-decision">${text}</div>`;
+}
+
+function replayButtonHtml(callbacks) {
+    return callbacks.onWatchReplay
+        ? '<button class="fo-btn" id="fo-watch-replay">Watch Replay</button>'
+        : '';
+}
+
 function wireButton(id, callback) {
     const btn = document.getElementById(id);
     if (btn && callback) {
@@ -421,6 +467,11 @@ function injectStyles() {
             color: #a0aec0;
             margin-bottom: 32px;
         }
+        .fo-decision {
+            font-size: 13px;
+            color: #718096;
+            margin-top: 6px;
+        }
         .fo-buttons {
             display: flex;
             justify-content: center;
@@ -81,9 +81,10 @@ function renderGridFromLayout(gameState) {
  * @param {number} layoutIndex - Index in the layout array
  * @param {object} config - Grid config
  * @param {boolean} addToScene - Whether to add mesh to scene
+ * @param {boolean} [withMesh=true] - False to skip mesh creation (headless simulation)
  * @returns {object} Piece instance
  */
-function createPieceFromLayoutItem(item, layoutIndex, config, addToScene) {
+function createPieceFromLayoutItem(item, layoutIndex, config, addToScene, withMesh = true) {
     const definition = getPieceDefinition(item.type);
     if (!definition) {
         console.error(`Unknown piece type: ${item.type}`);
@@ -122,6 +123,8 @@ function createPieceFromLayoutItem(item, layoutIndex, config, addToScene) {
         definition: definition
     };
     
+    if (!withMesh) return piece;
+    
     // Create visual mesh (use original dimensions for mesh)
     piece.mesh = createMeshForPiece(item.type, definition);
     piece.mesh.position.set(worldX, worldY, getGridZ(definition.category));
@@ -289,15 +292,18 @@ function getLayoutItemAt(col, row) {
  * Creates pieces from a layout for arena use (not added to scene)
  * This is the SINGLE PATH for creating arena ships from any layout
  * @param {Array} layout - Layout array
+ * @param {object} [options]
+ * @param {boolean} [options.withMeshes=true] - False for mesh-free pieces (headless simulation)
  * @returns {Array} Array of piece objects ready for createArenaShip
  */
-function createPiecesFromLayout(layout) {
+function createPiecesFromLayout(layout, options = {}) {
+    const withMeshes = options.withMeshes ?? true;
     const config = getGridConfig();
     const pieces = [];
     
     for (let i = 0; i < layout.length; i++) {
         const item = layout[i];
-        const piece = createPieceFromLayoutItem(item, i, config, false);
+        const piece = createPieceFromLayoutItem(item, i, config, false, withMeshes);
         if (piece) {
             pieces.push(piece);
         }
@@ -306,6 +312,21 @@ function createPiecesFromLayout(layout) {
     return pieces;
 }
 
+/**
+ * Rebuilds a layout from pieces created by createPiecesFromLayout (or grid
+ * pieces). Inverse of createPiecesFromLayout, preserving piece order.
+ * @param {Array} pieces - Pieces with gridCol/gridRow
+ * @returns {Array} Layout array
+ */
+function layoutFromPieces(pieces) {
+    return pieces.map(piece => {
+        if (piece.gridCol === undefined || piece.gridRow === undefined) {
+            throw new Error(`Piece ${piece.id} (${piece.type}) has no grid position`);
+        }
+        return { type: piece.type, col: piece.gridCol, row: piece.gridRow, angle: piece.angle };
+    });
+}
+
 /**
  * Finds a piece's layout index by the piece itself
  * @param {object} piece - The piece to find
@@ -409,6 +430,7 @@ export {
     removeFromLayout,
     getLayoutItemAt,
     createPiecesFromLayout,
+    layoutFromPieces,
     findLayoutIndexForPiece,
     layoutHasCore,
     getLayoutItemCount,
@@ -0,0 +1,682 @@
+// Level editor - side panel for building levels by clicking in the arena
+//
+// Pure UI over the level format in arena/levels.js: the caller (main.js) puts
+// the arena backdrop up with enterArenaEditor() before showing the panel.
+// Clicks on the canvas apply the selected tool to the level being edited;
+// Save validates and stores the level (and registers it so it shows up in
+// Custom Fight right away), Export downloads it as a levels/ file.
+
+import { ARENA_TYPES } from './arena/arenaTypes.js';
+import { getArenaDimensions } from './arena/arenaPhysics.js';
+import { getArenaGeometry, isInsideGeometry } from './arena/arenaGeometry.js';
+import { setEditorArenaType } from './arena/arena.js';
+import { validateLevel, registerLevel, getLevel, getLevelList, WIN_TYPES, MAX_BLOCKER_RADIUS, MAX_TIME_LIMIT } from './arena/levels.js';
+import { getBlockerRadius } from './arena/blockers.js';
+import { initEditorVisuals, drawEditorLevel, cleanupEditorVisuals, getHazardPoints } from './arena/levelEditorVisuals.js';
+import { saveLevel, downloadLevelAsJson } from './levelPersistence.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let panelEl = null;
+let stylesInjected = false;
+let editorCallbacks = null;
+let presetNamesRef = [];
+let screenToWorldFn = null;
+let canvasRef = null;
+
+let level = null;         // Level being edited
+let tool = 'player';      // Selected tool (see TOOLS)
+let groupIndex = 0;       // 0 = opening enemies, n = waves[n - 1]
+let draftPath = [];       // Saw path points placed so far
+
+// Tools offered in the panel, in display order
+const TOOLS = [
+    { key: 'player', label: 'Player' },
+    { key: 'enemy', label: 'Enemy' },
+    { key: 'blocker', label: 'Blocker' },
+    { key: 'saw', label: 'Saw path' },
+    { key: 'energy', label: 'Energy row' },
+    { key: 'objective', label: 'Objective' },
+    { key: 'erase', label: 'Erase' }
+];
+
+// Clicks snap to this grid (world units) so level files stay readable
+const SNAP = 0.5;
+
+// How close (world units) an erase click must be to remove something
+const ERASE_RADIUS = 3;
+
+const DEFAULT_BLOCKER_RADIUS = 3;
+const DEFAULT_SURVIVE_SECONDS = 60;
+const DEFAULT_OBJECTIVE_POINTS = 30;
+const DEFAULT_ZONE_RADIUS = 8;
+
+// Win dropdown labels by win type
+const WIN_LABELS = {
+    destroyAll: 'Destroy all',
+    survive: 'Survive',
+    capture: 'Capture zone',
+    beacon: 'Beacon'
+};
+
+// Seconds between a new wave and the one before it
+const DEFAULT_WAVE_GAP = 20;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Shows the level editor panel and starts handling canvas clicks.
+ * Call after enterArenaEditor().
+ * @param {object} options - { presetNames, screenToWorld, canvas, scene, onClose() }
+ */
+function showLevelEditor({ presetNames, screenToWorld, canvas, scene, onClose }) {
+    ensureStyles();
+    editorCallbacks = { onClose };
+    presetNamesRef = presetNames;
+    screenToWorldFn = screenToWorld;
+    canvasRef = canvas;
+
+    if (!panelEl) {
+        panelEl = document.createElement('div');
+        panelEl.id = 'level-editor';
+        document.body.appendChild(panelEl);
+    }
+    renderPanel();
+    panelEl.classList.remove('hidden');
+
+    initEditorVisuals(scene);
+    canvas.addEventListener('mousedown', onCanvasMouseDown);
+    loadIntoEditor(createBlankLevel());
+}
+
+/**
+ * Hides the panel and removes the editor markers and click handler
+ */
+function hideLevelEditor() {
+    if (!editorCallbacks) return;
+    if (panelEl) panelEl.classList.add('hidden');
+    if (canvasRef) canvasRef.removeEventListener('mousedown', onCanvasMouseDown);
+    cleanupEditorVisuals();
+
+    editorCallbacks = null;
+    screenToWorldFn = null;
+    canvasRef = null;
+    level = null;
+    draftPath = [];
+}
+
+// ============================================================================
+// Editing
+// ============================================================================
+
+/** A minimal valid level to start from */
+function createBlankLevel() {
+    return {
+        id: 'new-level',
+        name: 'New Level',
+        description: '',
+        arena: 'base',
+        playerSpawn: { x: 0, y: -20 },
+        enemies: [{ preset: presetNamesRef[0], controller: 'random', spawnX: 0, spawnY: 15 }],
+        win: { type: 'destroyAll' }
+    };
+}
+
+/**
+ * Replaces the level being edited and syncs the panel and backdrop to it
+ * @param {object} newLevel - Level definition (owned by the editor from now on)
+ */
+function loadIntoEditor(newLevel) {
+    level = newLevel;
+    level.waves = level.waves ?? [];
+    level.hazards = level.hazards ?? [];
+    level.blockers = level.blockers ?? [];
+    groupIndex = 0;
+    draftPath = [];
+
+    setValue('le-id', level.id);
+    setValue('le-name', level.name);
+    setValue('le-description', level.description ?? '');
+    setValue('le-arena', level.arena);
+    setValue('le-win', level.win.type);
+    setValue('le-seconds', level.win.seconds ?? DEFAULT_SURVIVE_SECONDS);
+    setValue('le-points', level.win.points ?? DEFAULT_OBJECTIVE_POINTS);
+    setValue('le-zone-radius', level.win.zone?.radius ?? DEFAULT_ZONE_RADIUS);
+    setValue('le-time-limit', level.timeLimit ?? '');
+    setEditorArenaType(level.arena);
+    renderGroups();
+    refresh();
+}
+
+/** Enemy list the enemy tool adds to (opening enemies or the selected wave) */
+function getGroupEnemies() {
+    return groupIndex === 0 ? level.enemies : level.waves[groupIndex - 1].enemies;
+}
+
+/**
+ * Applies the selected tool at a world position
+ * @param {number} x - World X (snapped)
+ * @param {number} y - World Y (snapped)
+ */
+function applyTool(x, y) {
+    switch (tool) {
+        case 'player':
+            level.playerSpawn = { x, y };
+            break;
+        case 'enemy':
+            getGroupEnemies().push({ preset: getValue('le-preset'), controller: 'random', spawnX: x, spawnY: y });
+            break;
+        case 'blocker':
+            level.blockers.push({ x, y, radius: Number(getValue('le-radius')) });
+            break;
+        case 'saw':
+            draftPath.push({ x, y });
+            break;
+        case 'energy':
+            level.hazards.push({ type: 'energyball', pathY: y, count: 1 });
+            break;
+        case 'objective':
+            if (level.win.type === 'capture') {
+                level.win.zone = { ...level.win.zone, x, y };
+            } else if (level.win.type === 'beacon') {
+                level.win.beacon = { x, y };
+            } else {
+                setStatus('Pick a capture zone or beacon win first', true);
+                return;
+            }
+            break;
+        case 'erase':
+            eraseNear(x, y);
+            break;
+        default:
+            throw new Error(`Unknown editor tool: ${tool}`);
+    }
+    refresh();
+}
+
+/** Turns the placed saw points into a looping saw hazard */
+function finishSawPath() {
+    if (draftPath.length < 2) {
+        setStatus('Place at least two saw path points first', true);
+        return;
+    }
+    level.hazards.push({ type: 'sawblade', points: draftPath });
+    draftPath = [];
+    refresh();
+}
+
+/**
+ * Removes the closest enemy, blocker, or hazard within ERASE_RADIUS
+ * (the player spawn can only be moved)
+ */
+function eraseNear(x, y) {
+    const candidates = [];
+    const addCandidates = (list, distanceOf) => {
+        list.forEach((item, i) => candidates.push({ list, i, dist: distanceOf(item) }));
+    };
+    addCandidates(level.enemies, e => Math.hypot(e.spawnX - x, e.spawnY - y));
+    for (const wave of level.waves) {
+        addCandidates(wave.enemies, e => Math.hypot(e.spawnX - x, e.spawnY - y));
+    }
+    addCandidates(level.blockers, b => Math.max(0, Math.hypot(b.x - x, b.y - y) - getBlockerRadius(b)));
+    addCandidates(level.hazards, hazardDistanceFrom(x, y));
+
+    const nearest = candidates
+        .filter(c => c.dist <= ERASE_RADIUS)
+        .sort((a, b) => a.dist - b.dist)[0];
+    if (nearest) nearest.list.splice(nearest.i, 1);
+}
+
+/** Distance from (x, y) to an energy row or a hazard's nearest point (wall-loop saws have none to click) */
+function hazardDistanceFrom(x, y) {
+    return (hazard) => {
+        if (hazard.type === 'energyball') return Math.abs(hazard.pathY - y);
+        return Math.min(...getHazardPoints(hazard).map(p => Math.hypot(p.x - x, p.y - y)));
+    };
+}
+
+function addWave() {
+    const lastAt = level.waves.length > 0 ? level.waves[level.waves.length - 1].at : 0;
+    level.waves.push({ at: lastAt + DEFAULT_WAVE_GAP, enemies: [] });
+    groupIndex = level.waves.length;
+    renderGroups();
+    refresh();
+}
+
+function removeWave() {
+    if (groupIndex === 0) return;
+    level.waves.splice(groupIndex - 1, 1);
+    groupIndex = 0;
+    renderGroups();
+    refresh();
+}
+
+// ============================================================================
+// Save / Export
+// ============================================================================
+
+/**
+ * Copies the level in the file format: empty optional lists are left out,
+ * survive seconds only appear on survive levels, and a time limit only on
+ * the others
+ * @returns {object} Level definition
+ */
+function buildOutputLevel() {
+    const output = structuredClone(level);
+    for (const field of ['waves', 'hazards', 'blockers']) {
+        if (output[field].length === 0) delete output[field];
+    }
+    if (!output.description) delete output.description;
+    if (output.win.type === 'survive') delete output.timeLimit;
+    return output;
+}
+
+/**
+ * Validates the level, reporting problems in the status line
+ * @returns {object|null} The output level, or null if it's invalid
+ */
+function getValidatedLevel() {
+    const output = buildOutputLevel();
+    const errors = validateLevel(output, presetNamesRef);
+    if (errors.length > 0) {
+        setStatus(errors.join('\n'), true);
+        return null;
+    }
+    return output;
+}
+
+async function onSave() {
+    const output = getValidatedLevel();
+    if (!output) return;
+    try {
+        await saveLevel(output);
+    } catch (err) {
+        console.error('Failed to save level:', err.message);
+        setStatus(`Save failed: ${err.message}`, true);
+        return;
+    }
+    registerLevel(output, presetNamesRef, `editor level "${output.id}"`);
+    renderLoadOptions();
+    setStatus(`Saved "${output.name}"`);
+}
+
+function onExport() {
+    const output = getValidatedLevel();
+    if (!output) return;
+    downloadLevelAsJson(output);
+    setStatus(`Exported ${output.id}.json`);
+}
+
+// ============================================================================
+// Input
+// ============================================================================
+
+/**
+ * Left click inside the arena applies the selected tool
+ */
+function onCanvasMouseDown(event) {
+    if (event.button !== 0 || !level) return;
+
+    const world = screenToWorldFn(event.clientX, event.clientY);
+    const x = snap(world.x);
+    const y = snap(world.y);
+    if (!isInsideGeometry(getArenaGeometry(), x, y)) return;
+
+    applyTool(x, y);
+}
+
+function snap(value) {
+    return Math.round(value / SNAP) * SNAP;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Builds the panel and wires its controls
+ */
+function renderPanel() {
+    const arenaOptions = [['random', 'Random'], ...Object.entries(ARENA_TYPES).map(([key, type]) => [key, type.name])]
+        .map(([key, name]) => `<option value="${key}">${escapeHtml(name)}</option>`)
+        .join('');
+    const presetOptions = presetNamesRef
+        .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+        .join('');
+    const winOptions = WIN_TYPES
+        .map(type => `<option value="${type}">${WIN_LABELS[type]}</option>`)
+        .join('');
+    const toolButtons = TOOLS
+        .map(t => `<button class="le-btn le-tool" data-tool="${t.key}">${t.label}</button>`)
+        .join('');
+
+    panelEl.innerHTML = `
+        <div class="le-title">LEVEL EDITOR</div>
+        <div class="le-row">
+            <select id="le-load"></select>
+            <button class="le-btn" id="le-new">New</button>
+        </div>
+        <label class="le-field">Id <input type="text" id="le-id"></label>
+        <label class="le-field">Name <input type="text" id="le-name"></label>
+        <label class="le-field">Description <input type="text" id="le-description"></label>
+        <label class="le-field">Arena <select id="le-arena">${arenaOptions}</select></label>
+        <div class="le-row">
+            <label class="le-field">Win <select id="le-win">${winOptions}</select></label>
+            <label class="le-field" id="le-seconds-field">Seconds
+                <input type="number" id="le-seconds" min="1" step="1">
+            </label>
+            <label class="le-field" id="le-points-field" title="Points to win (a point per second held)">Points
+                <input type="number" id="le-points" min="1" step="1">
+            </label>
+            <label class="le-field" id="le-zone-radius-field">Zone radius
+                <input type="number" id="le-zone-radius" min="3" max="20" step="0.5">
+            </label>
+            <label class="le-field" id="le-time-limit-field" title="Seconds before sudden death (blank for the default)">Time limit
+                <input type="number" id="le-time-limit" min="1" max="${MAX_TIME_LIMIT}" step="1" placeholder="default">
+            </label>
+        </div>
+
+        <div class="le-section-label">Enemy group</div>
+        <div class="le-row">
+            <select id="le-group"></select>
+            <button class="le-btn" id="le-add-wave" title="Add a reinforcement wave">+ Wave</button>
+            <button class="le-btn" id="le-remove-wave" title="Remove the selected wave">&minus;</button>
+        </div>
+        <label class="le-field" id="le-at-field">Arrives at (s)
+            <input type="number" id="le-at" min="1" step="1">
+        </label>
+
+        <div class="le-section-label">Tool (click in the arena)</div>
+        <div class="le-tools">${toolButtons}</div>
+        <label class="le-field le-tool-option" data-for="enemy">Preset <select id="le-preset">${presetOptions}</select></label>
+        <label class="le-field le-tool-option" data-for="blocker">Radius
+            <input type="number" id="le-radius" min="0.5" max="${MAX_BLOCKER_RADIUS}" step="0.5"
+                value="${DEFAULT_BLOCKER_RADIUS}">
+        </label>
+        <div class="le-row le-tool-option" data-for="saw">
+            <button class="le-btn" id="le-finish-path">Finish path</button>
+            <button class="le-btn" id="le-clear-path">Clear</button>
+        </div>
+
+        <div class="le-summary" id="le-summary"></div>
+        <div class="le-status" id="le-status"></div>
+        <div class="le-buttons">
+            <button class="le-btn le-btn-primary" id="le-save">Save</button>
+            <button class="le-btn" id="le-export">Export</button>
+            <button class="le-btn" id="le-close">Close</button>
+        </div>
+    `;
+
+    renderLoadOptions();
+    selectTool(tool);
+    wirePanel();
+}
+
+/** Hooks the panel's inputs and buttons up to the level being edited */
+function wirePanel() {
+    const on = (id, event, handler) => document.getElementById(id).addEventListener(event, handler);
+
+    on('le-id', 'input', () => { level.id = getValue('le-id').trim(); });
+    on('le-name', 'input', () => { level.name = getValue('le-name'); });
+    on('le-description', 'input', () => { level.description = getValue('le-description'); });
+    on('le-arena', 'change', () => {
+        level.arena = getValue('le-arena');
+        setEditorArenaType(level.arena);
+    });
+    on('le-win', 'change', () => {
+        level.win = readWin();
+        refresh();
+    });
+    on('le-seconds', 'input', () => { level.win = readWin(); });
+    on('le-points', 'input', () => { level.win = readWin(); });
+    on('le-zone-radius', 'input', () => {
+        level.win = readWin();
+        refresh();
+    });
+    on('le-time-limit', 'input', () => {
+        const value = getValue('le-time-limit');
+        if (value === '') delete level.timeLimit;
+        else level.timeLimit = Number(value);
+    });
+    on('le-group', 'change', () => {
+        groupIndex = Number(getValue('le-group'));
+        renderGroups();
+    });
+    on('le-at', 'input', () => { level.waves[groupIndex - 1].at = Number(getValue('le-at')); });
+    on('le-add-wave', 'click', addWave);
+    on('le-remove-wave', 'click', removeWave);
+    on('le-finish-path', 'click', finishSawPath);
+    on('le-clear-path', 'click', () => {
+        draftPath = [];
+        refresh();
+    });
+    on('le-load', 'change', () => {
+        const id = getValue('le-load');
+        if (id) loadIntoEditor(structuredClone(getLevel(id)));
+        setValue('le-load', '');
+    });
+    on('le-new', 'click', () => loadIntoEditor(createBlankLevel()));
+    on('le-save', 'click', onSave);
+    on('le-export', 'click', onExport);
+    on('le-close', 'click', () => editorCallbacks.onClose());
+
+    for (const btn of panelEl.querySelectorAll('.le-tool')) {
+        btn.addEventListener('click', () => selectTool(btn.dataset.tool));
+    }
+}
+
+/** Builds the win condition from the panel, keeping an objective's placed position */
+function readWin() {
+    const type = getValue('le-win');
+    const points = Number(getValue('le-points'));
+    const spot = level.win.zone ?? level.win.beacon ?? { x: 0, y: 0 };
+    switch (type) {
+        case 'survive':
+            return { type, seconds: Number(getValue('le-seconds')) };
+        case 'capture':
+            return { type, zone: { x: spot.x, y: spot.y, radius: Number(getValue('le-zone-radius')) }, points };
+        case 'beacon':
+            return { type, beacon: { x: spot.x, y: spot.y }, points };
+        default:
+            return { type };
+    }
+}
+
+/** Highlights a tool and shows only its options */
+function selectTool(key) {
+    tool = key;
+    for (const btn of panelEl.querySelectorAll('.le-tool')) {
+        btn.classList.toggle('active', btn.dataset.tool === key);
+    }
+    for (const el of panelEl.querySelectorAll('.le-tool-option')) {
+        el.classList.toggle('hidden', el.dataset.for !== key);
+    }
+}
+
+/** Fills the Load dropdown with every registered level */
+function renderLoadOptions() {
+    const options = getLevelList()
+        .map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}</option>`)
+        .join('');
+    document.getElementById('le-load').innerHTML = `<option value="">Load level...</option>${options}`;
+}
+
+/** Fills the enemy group dropdown and the selected wave's arrival time */
+function renderGroups() {
+    const options = ['<option value="0">Opening</option>',
+        ...level.waves.map((wave, i) => `<option value="${i + 1}">Wave ${i + 2}</option>`)];
+    document.getElementById('le-group').innerHTML = options.join('');
+    setValue('le-group', String(groupIndex));
+
+    const isWave = groupIndex > 0;
+    document.getElementById('le-at-field').classList.toggle('hidden', !isWave);
+    document.getElementById('le-remove-wave').disabled = !isWave;
+    if (isWave) setValue('le-at', level.waves[groupIndex - 1].at);
+}
+
+/** Redraws the markers and the summary line after an edit */
+function refresh() {
+    drawEditorLevel(level, draftPath, getArenaDimensions().width);
+    document.getElementById('le-seconds-field').classList.toggle('hidden', level.win.type !== 'survive');
+    document.getElementById('le-points-field').classList.toggle('hidden', level.win.points === undefined);
+    document.getElementById('le-zone-radius-field').classList.toggle('hidden', level.win.type !== 'capture');
+    document.getElementById('le-time-limit-field').classList.toggle('hidden', level.win.type === 'survive');
+
+    const waveEnemies = level.waves.reduce((sum, wave) => sum + wave.enemies.length, 0);
+    document.getElementById('le-summary').textContent =
+        `${level.enemies.length} opening enemies, ${level.waves.length} waves (${waveEnemies} enemies), ` +
+        `${level.blockers.length} blockers, ${level.hazards.length} hazards`;
+    setStatus(draftPath.length > 0 ? `Saw path: ${draftPath.length} points` : '');
+}
+
+/**
+ * Shows a status line above the buttons
+ * @param {string} text - Message
+ * @param {boolean} [isError=false] - Show in the error colour
+ */
+function setStatus(text, isError = false) {
+    const el = document.getElementById('le-status');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('le-status-error', isError);
+}
+
+// ============================================================================
+// Internal helpers
+// ============================================================================
+
+function getValue(id) {
+    return document.getElementById(id).value;
+}
+
+function setValue(id, value) {
+    document.getElementById(id).value = value;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function ensureStyles() {
+    if (stylesInjected || document.getElementById('le-styles')) return;
+    stylesInjected = true;
+    const style = document.createElement('style');
+    style.id = 'le-styles';
+    style.textContent = `
+        #level-editor {
+            position: fixed;
+            top: 16px;
+            right: 16px;
+            width: 280px;
+            max-height: calc(100vh - 32px);
+            overflow-y: auto;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            padding: 12px 14px;
+            background: rgba(26, 26, 46, 0.94);
+            border: 1px solid #2d3748;
+            border-radius: 8px;
+            z-index: 2500;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 12px;
+            color: #e2e8f0;
+        }
+        #level-editor.hidden,
+        #level-editor .hidden {
+            display: none;
+        }
+        .le-title {
+            font-size: 16px;
+            font-weight: 700;
+            letter-spacing: 3px;
+            color: #ffcc00;
+            text-align: center;
+        }
+        .le-section-label {
+            margin-top: 6px;
+            color: #a0aec0;
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+        }
+        .le-row {
+            display: flex;
+            align-items: center;
+            gap: 6px;
+        }
+        .le-field {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 8px;
+            color: #a0aec0;
+        }
+        #level-editor input,
+        #level-editor select {
+            padding: 3px 6px;
+            background: #1a202c;
+            border: 1px solid #4a5568;
+            border-radius: 4px;
+            color: #e2e8f0;
+            font-size: 12px;
+        }
+        .le-field input[type="text"] { width: 170px; }
+        .le-field input[type="number"] { width: 60px; }
+        .le-row select { flex: 1; }
+        .le-tools {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+        }
+        .le-btn {
+            padding: 5px 10px;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 12px;
+            font-weight: 600;
+            background: #4a5568;
+            color: #e2e8f0;
+        }
+        .le-btn:hover { background: #5a6578; }
+        .le-btn.active { background: #2b6cb0; }
+        .le-btn:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        .le-btn-primary {
+            background: linear-gradient(135deg, #ffcc00, #ff9900);
+            color: #1a1a2e;
+        }
+        .le-summary {
+            margin-top: 6px;
+            color: #718096;
+            font-size: 11px;
+        }
+        .le-status {
+            min-height: 16px;
+            white-space: pre-line;
+            color: #a0aec0;
+        }
+        .le-status.le-status-error { color: #fc8181; }
+        .le-buttons {
+            display: flex;
+            justify-content: center;
+            gap: 8px;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+export {
+    showLevelEditor,
+    hideLevelEditor
+};
@@ -0,0 +1,100 @@
+// Level persistence - IndexedDB storage and JSON export for editor levels
+//
+// Levels saved from the editor live in their own database, keyed by level id,
+// and are registered after the shipped files in levels/ (see arena/levels.js).
+// Exported files use the same format as the shipped files, so a designer can
+// drop one into levels/ and list it in levels/index.json.
+
+const DB_NAME = 'MachineArenaLevels';
+const DB_VERSION = 1;
+const STORE_NAME = 'levels';
+
+// ============================================================================
+// Database connection
+// ============================================================================
+
+function openLevelDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(new Error(`Level DB open failed: ${request.error}`));
+    });
+}
+
+// ============================================================================
+// Save / Load
+// ============================================================================
+
+/**
+ * Saves a level, replacing any saved level with the same id
+ * @param {object} level - Validated level definition
+ */
+async function saveLevel(level) {
+    const db = await openLevelDatabase();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).put(structuredClone(level));
+    await txComplete(tx);
+    db.close();
+    console.log(`Saved level "${level.id}"`);
+}
+
+/**
+ * Loads every saved level
+ * @returns {Promise<Array>} Level definitions
+ */
+async function listSavedLevels() {
+    const db = await openLevelDatabase();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const records = await getAllRecords(tx.objectStore(STORE_NAME));
+    db.close();
+    return records;
+}
+
+// ============================================================================
+// Level files (download)
+// ============================================================================
+
+/**
+ * Downloads a level as `<id>.json` in the levels/ file format
+ * @param {object} level - Level definition
+ */
+function downloadLevelAsJson(level) {
+    const blob = new Blob([JSON.stringify(level, null, 4)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${level.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function txComplete(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function getAllRecords(store) {
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export {
+    saveLevel,
+    listSavedLevels,
+    downloadLevelAsJson
+};
@@ -7,12 +7,19 @@ import { createBin, syncBinPiecesToPhysics, getBinGroup, getRandomBinPosition }
 import { setupInput } from './input.js';
 import { spawnInitialParts, removePiece, createPiece } from './pieces/piece.js';
 import { initDebug, updateDebug } from './debug.js';
-import { enterArena, enterArenaWithOpponent, enterArenaWithController, exitArena, pauseArena, updateArena, isArenaActive, resizeArena, setOutcomeCallbacks, switchToAiControl } from './arena/arena.js';
+import {
+    enterArena, enterArenaLevel, enterArenaWithOpponent, enterArenaWithController, enterArenaTeamFight, exitArena, pauseArena, updateArena, isArenaActive, resizeArena, setOutcomeCallbacks, switchToAiControl,
+    enterArenaReplay, seekReplay, setReplayPlaying, setReplaySpeed, setReplayCamera, getReplayPlayback, isReplayActive,
+    enterArenaSpectate, setSpectatorCamera, toggleSpectatorDebug, getSpectatorState, isSpectating,
+    enterArenaEditor
+} from './arena/arena.js';
+import { getLastReplay } from './arena/replay.js';
+import { getLevelList, loadLevels } from './arena/levels.js';
 import { createRandomController } from './arena/controllers.js';
 import { initStatsPanel, hideStats } from './statsPanel.js';
 import { setShipLayout, getShipLayout, clearGridPieces, createPiecesFromLayout } from './layout.js';
 import { generateName, setPlayerName, getPlayerName, setShipName } from './naming.js';
-import { hasValidRun, getCurrentRun, startNewRun, getRunShipName, getRunMoney, addMoney, saveInventory, getRunInventory } from './run.js';
+import { hasValidRun, getCurrentRun, startNewRun, getRunShipName, getRunMoney, addMoney, saveInventory, getRunInventory, restoreRunRng } from './run.js';
 import { saveShip, listSavedShips, loadSavedShip, deleteSavedShip } from './shipPersistence.js';
 import {
     importModelFromJson, exportModelAsJson, saveModelWeights, loadModelWeights, getModelStats,
@@ -24,8 +31,16 @@ import { initTracker, getTrackingSummary, disposeTracker } from './ml/prediction
 import { saveRuns, loadRuns, clearSavedRuns } from './ml/persistence.js';
 import { initFirebase, isOnline, uploadFighter, fetchFighters, fetchFighter, fetchFighterForStage, fetchFighterCountsByStage } from './firebase.js';
 import { getCurrentStage, advanceStage, retreatStage } from './stages.js';
+import { generateSeed, deriveSeed } from './rng.js';
 import { showTrainingSpinner, updateTrainingProgress, showTrainingResults, showVictory, showDefeat, hideFightOutcome } from './fightOutcome.js';
 import { initShop, showShop, hideShop, rollShop } from './shop.js';
+import { loadReplay } from './replayPersistence.js';
+import { showReplayList, showReplayControls, hideReplayControls, updateReplayControls } from './replayViewer.js';
+import { showTournament } from './tournamentView.js';
+import { showSpectatorControls, hideSpectatorControls, updateSpectatorControls } from './spectatorView.js';
+import { showLevelEditor, hideLevelEditor } from './levelEditor.js';
+import { listSavedLevels } from './levelPersistence.js';
+import { createMlController } from './ml/mlController.js';
 
 // Game state
 const gameState = {
@@ -409,6 +424,9 @@ async function init() {
         initFirebase();
     });
     
+    updateLoading(92, 'Loading levels...');
+    await loadAllLevels();
+    
     await step(95, 'Finishing up...', () => {
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -426,6 +444,10 @@ async function init() {
         setupShipSelector();
         setupSaveShipButton();
         setupMyShipsDropdown();
+        setupReplaysButton();
+        setupTournamentButton();
+        setupSpectateButton();
+        setupLevelEditorButton();
         setupTipsDismiss();
         updateStageIndicator();
 
@@ -437,6 +459,10 @@ async function init() {
     updateLoading(100, 'Ready!');
     await showLandingScreen();
 
+    // Run is known now: resume its shop/arena RNG streams and roll the shop
+    restoreRunRng();
+    rollShop();
+
     // ---- Restore or save inventory ----
     // If continuing a run that has saved inventory, replace the default ship
     // with the saved pieces. Otherwise (new run / legacy run), persist the
@@ -608,18 +634,45 @@ async function showCustomFightSetup() {
     // --- Build Enemy column ---
     enemyList.innerHTML = '';
 
+    await addOpponentOptions(enemyList, 'enemy', hasModel, framesHint);
+
+    // Levels (preset enemies, possibly several at once and in waves)
+    const levelHeader = document.createElement('div');
+    levelHeader.className = 'fight-section-header';
+    levelHeader.textContent = 'Levels';
+    enemyList.appendChild(levelHeader);
+    for (const level of getLevelList()) {
+        const hint = level.waveCount > 1 ? `${level.waveCount} waves` : level.description;
+        addFightOption(enemyList, 'enemy', `level:${level.id}`, level.name, hint);
+    }
+
+    const message = document.getElementById('custom-fight-message');
+    if (message) message.classList.add('hidden');
+
+    dialog.classList.remove('hidden');
+}
+
+/**
+ * Adds the non-player ship choices to an option list: random preset,
+ * each preset, the player's own AI (if trained), and saved ships with weights.
+ * @param {HTMLElement} container - Option list element
+ * @param {string} group - Option group name
+ * @param {boolean} hasModel - Whether a trained model exists
+ * @param {string} framesHint - Hint text for the "My AI" option
+ */
+async function addOpponentOptions(container, group, hasModel, framesHint) {
     // Random preset
-    addFightOption(enemyList, 'enemy', 'random', 'Random', 'Random preset ship', true);
+    addFightOption(container, group, 'random', 'Random', 'Random preset ship', true);
 
     // Specific presets
     const presetHeader = document.createElement('div');
     presetHeader.className = 'fight-section-header';
     presetHeader.textContent = 'Presets';
-    enemyList.appendChild(presetHeader);
+    container.appendChild(presetHeader);
 
     for (const presetName of Object.keys(SHIP_PRESETS)) {
         const label = presetName.charAt(0).toUpperCase() + presetName.slice(1);
-        addFightOption(enemyList, 'enemy', `preset:${presetName}`, label, 'Random controller');
+        addFightOption(container, group, `preset:${presetName}`, label, 'Random controller');
     }
 
     // My AI
@@ -627,8 +680,8 @@ async function showCustomFightSetup() {
         const aiHeader = document.createElement('div');
         aiHeader.className = 'fight-section-header';
         aiHeader.textContent = 'Your AI';
-        enemyList.appendChild(aiHeader);
-        addFightOption(enemyList, 'enemy', 'my-ai', 'My AI', framesHint);
+        container.appendChild(aiHeader);
+        addFightOption(container, group, 'my-ai', 'My AI', framesHint);
     }
 
     // Saved ships with weights
@@ -638,14 +691,12 @@ async function showCustomFightSetup() {
         const savedHeader = document.createElement('div');
         savedHeader.className = 'fight-section-header';
         savedHeader.textContent = 'Saved Ships';
-        enemyList.appendChild(savedHeader);
+        container.appendChild(savedHeader);
 
         for (const ship of shipsWithWeights) {
-            addFightOption(enemyList, 'enemy', `saved:${ship.id}`, ship.shipName, 'Trained AI');
+            addFightOption(container, group, `saved:${ship.id}`, ship.shipName, 'Trained AI');
         }
     }
-
-    dialog.classList.remove('hidden');
 }
 
 /**
@@ -679,6 +730,21 @@ function hideCustomFightDialog() {
     if (dialog) dialog.classList.add('hidden');
 }
 
+/**
+ * Reopens the Custom Fight dialog (selections intact) with a message
+ * explaining why the fight couldn't start
+ * @param {string} text - Message to show
+ */
+function showCustomFightMessage(text) {
+    const message = document.getElementById('custom-fight-message');
+    if (message) {
+        message.textContent = text;
+        message.classList.remove('hidden');
+    }
+    const dialog = document.getElementById('custom-fight-dialog');
+    if (dialog) dialog.classList.remove('hidden');
+}
+
 /**
  * Reads selections from the Custom Fight dialog and launches the fight.
  */
@@ -694,10 +760,16 @@ async function launchCustomFight() {
     const pilot = pilotEl.dataset.value;
     const enemy = enemyEl.dataset.value;
     const arenaType = getSelectedArenaType();
+    const teamSizeEl = document.getElementById('fight-team-size');
+    const friendlyFireEl = document.getElementById('fight-friendly-fire');
+    const teams = {
+        teamSize: teamSizeEl ? Number(teamSizeEl.value) : 1,
+        friendlyFire: !!friendlyFireEl?.checked
+    };
 
     hideCustomFightDialog();
 
-    await enterCustomFight(pilot, enemy, arenaType);
+    await enterCustomFight(pilot, enemy, arenaType, teams);
 }
 
 // Whether the current custom fight uses manual (player) piloting
@@ -707,16 +779,22 @@ let customFightManualPilot = false;
 /**
  * Enters a custom fight based on pilot and enemy selections.
  * @param {string} pilot - 'manual' or 'my-ai'
- * @param {string} enemy - 'random', 'preset:name', 'my-ai', 'saved:id'
+ * @param {string} enemy - 'random', 'preset:name', 'my-ai', 'saved:id', 'level:id'
  * @param {string} arenaType - Arena type key
+ * @param {object} [teams] - { teamSize, friendlyFire }; levels always use their own enemies
  */
-async function enterCustomFight(pilot, enemy, arenaType) {
+async function enterCustomFight(pilot, enemy, arenaType, { teamSize = 1, friendlyFire = false } = {}) {
     const playerPieces = createPiecesFromLayout(getShipLayout());
     if (playerPieces.length === 0) {
         console.log('Place some pieces on the grid first');
         return;
     }
 
+    if (teamSize > 1 && !enemy.startsWith('level:')) {
+        await enterCustomTeamFight(pilot, enemy, arenaType, playerPieces, teamSize, friendlyFire);
+        return;
+    }
+
     // Resolve enemy pieces and controller
     let opponentPieces;
     let opponentController;
@@ -747,17 +825,7 @@ async function enterCustomFight(pilot, enemy, arenaType) {
             arenaType
         );
         if (success) {
-            isCustomFight = true;
-            customFightManualPilot = (pilot === 'manual');
-            wireCustomFightOutcome(pilot);
-            if (pilot === 'manual') {
-                await startRecordingWithTracker();
-            } else {
-                // AI pilot — switch to AI control
-                await switchPlayerToAi();
-            }
-            showDesignMode(false);
-            updateFightButtonText();
+            await beginCustomFight(pilot);
         } else {
             loaded.model.dispose();
         }
@@ -790,20 +858,22 @@ async function enterCustomFight(pilot, enemy, arenaType) {
             arenaType
         );
         if (success) {
-            isCustomFight = true;
-            customFightManualPilot = (pilot === 'manual');
-            wireCustomFightOutcome(pilot);
-            if (pilot === 'manual') {
-                await startRecordingWithTracker();
-            } else {
-                await switchPlayerToAi();
-            }
-            showDesignMode(false);
-            updateFightButtonText();
+            await beginCustomFight(pilot);
         } else {
             opponentModel.dispose();
         }
         return;
+    } else if (enemy.startsWith('level:')) {
+        const levelId = enemy.slice('level:'.length);
+        const success = enterArenaLevel(
+            levelId, playerPieces,
+            getScene(), getCamera(), getRenderer(), screenToWorld,
+            getPresetPieces
+        );
+        if (success) {
+            await beginCustomFight(pilot);
+        }
+        return;
     } else {
         console.error('Unknown enemy selection:', enemy);
         return;
@@ -822,19 +892,86 @@ async function enterCustomFight(pilot, enemy, arenaType) {
     );
 
     if (success) {
-        isCustomFight = true;
-        customFightManualPilot = (pilot === 'manual');
-        wireCustomFightOutcome(pilot);
-        if (pilot === 'manual') {
-            await startRecordingWithTracker();
-        } else {
-            await switchPlayerToAi();
+        await beginCustomFight(pilot);
+    }
+}
+
+/**
+ * Enters a 2v2 or 3v3 custom fight: the player plus wingmen flown by saved
+ * ships with trained weights, against teamSize ships built from the enemy
+ * selection ('random' picks a preset per ship).
+ * @param {string} pilot - 'manual' or 'my-ai'
+ * @param {string} enemy - 'random', 'preset:name', 'my-ai', or 'saved:id'
+ * @param {string} arenaType - Arena type key
+ * @param {Array} playerPieces - Player's ship pieces
+ * @param {number} teamSize - Ships per side (2 or 3)
+ * @param {boolean} friendlyFire - Whether shots hit allies
+ */
+async function enterCustomTeamFight(pilot, enemy, arenaType, playerPieces, teamSize, friendlyFire) {
+    const savedShips = (await listSavedShips()).filter(s => s.hasWeights);
+    if (savedShips.length === 0) {
+        showCustomFightMessage('Team fights need a saved ship with trained weights to fly as a wingman');
+        return;
+    }
+
+    // Wingmen cycle through the saved ships from a start picked by the fight seed
+    const seed = generateSeed();
+    const start = deriveSeed(seed, 'wingmen') % savedShips.length;
+    const wingmen = [];
+    const opponents = [];
+    const disposeModels = () => {
+        for (const side of [...wingmen, ...opponents]) side.model?.dispose();
+    };
+    for (let i = 0; i < teamSize - 1; i++) {
+        const side = await resolveFightSide(`saved:${savedShips[(start + i) % savedShips.length].id}`);
+        if (!side) {
+            disposeModels();
+            return;
         }
-        showDesignMode(false);
-        updateFightButtonText();
+        wingmen.push(side);
+    }
+    for (let i = 0; i < teamSize; i++) {
+        const side = await resolveFightSide(enemy);
+        if (!side) {
+            disposeModels();
+            return;
+        }
+        opponents.push(side);
+    }
+    console.log(`Custom fight: ${teamSize}v${teamSize} with ${wingmen.map(w => w.label).join(', ')}, ` +
+        `friendly fire ${friendlyFire ? 'on' : 'off'}`);
+
+    const success = enterArenaTeamFight(
+        playerPieces, { wingmen, opponents, friendlyFire },
+        getScene(), getCamera(), getRenderer(), screenToWorld,
+        arenaType, seed
+    );
+    if (success) {
+        await beginCustomFight(pilot);
+    } else {
+        disposeModels();
     }
 }
 
+/**
+ * Starts the custom fight session once the arena is up: outcome callbacks,
+ * then recording (manual pilot) or AI control of the player ship.
+ * @param {string} pilot - 'manual' or 'my-ai'
+ */
+async function beginCustomFight(pilot) {
+    isCustomFight = true;
+    customFightManualPilot = (pilot === 'manual');
+    wireCustomFightOutcome(pilot);
+    if (pilot === 'manual') {
+        await startRecordingWithTracker();
+    } else {
+        // AI pilot — switch to AI control
+        await switchPlayerToAi();
+    }
+    showDesignMode(false);
+    updateFightButtonText();
+}
+
 /**
  * Switches the player ship to AI control using the model from IndexedDB.
  */
@@ -855,8 +992,8 @@ async function switchPlayerToAi() {
  */
 function wireCustomFightOutcome(pilot) {
     setOutcomeCallbacks(
-        () => handleCustomFightEnd('won', pilot),
-        () => handleCustomFightEnd('lost', pilot)
+        (decision) => handleCustomFightEnd('won', pilot, decision),
+        (decision) => handleCustomFightEnd('lost', pilot, decision)
     );
 }
 
@@ -864,8 +1001,9 @@ function wireCustomFightOutcome(pilot) {
  * Handles end of a custom fight.
  * @param {'won'|'lost'} outcome
  * @param {string} pilot - 'manual' or 'my-ai'
+ * @param {object} decision - How the fight was decided (see resolveFightOutcome)
  */
-async function handleCustomFightEnd(outcome, pilot) {
+async function handleCustomFightEnd(outcome, pilot, decision) {
     // Stop recording
     if (isRecording()) stopRecording();
 
@@ -897,7 +1035,7 @@ async function handleCustomFightEnd(outcome, pilot) {
     isCustomFight = false;
     customFightManualPilot = false;
 
-    console.log(`Custom fight ${outcome}`);
+    console.log(`Custom fight ${outcome} (decided by ${decision.by})`);
 }
 
 /**
@@ -1680,6 +1818,9 @@ function exitArenaMode() {
     customFightManualPilot = false;
     currentFightStage = 0;
     hideFightOutcome();
+    hideReplayControls();
+    hideSpectatorControls();
+    hideLevelEditor();
     exitArena();
     showDesignMode(true);
     updateFightButtonText();
@@ -1819,8 +1960,8 @@ function startStageFightWithPreset() {
  */
 function wireStageOutcomeCallbacks() {
     setOutcomeCallbacks(
-        () => handleStageFightEnd('won'),
-        () => handleStageFightEnd('lost')
+        (decision) => handleStageFightEnd('won', decision),
+        (decision) => handleStageFightEnd('lost', decision)
     );
 }
 
@@ -1828,8 +1969,9 @@ function wireStageOutcomeCallbacks() {
  * Handles the end of a stage fight (win or lose).
  * Stops recording, auto-trains, shows training results, then shows outcome overlay.
  * @param {'won'|'lost'} outcome
+ * @param {object} decision - How the fight was decided (see resolveFightOutcome)
  */
-async function handleStageFightEnd(outcome) {
+async function handleStageFightEnd(outcome, decision) {
     const stage = currentFightStage;
 
     // Stop recording player actions
@@ -1860,8 +2002,10 @@ async function handleStageFightEnd(outcome) {
         await showTrainingResults(trained);
     }
 
-    // Exit the arena (clears physics, ships, etc.)
+    // Exit the arena (clears physics, ships, etc.) -- this also finishes the replay
     exitArena();
+    const replay = getLastReplay();
+    const onWatchReplay = replay ? () => watchReplay(replay) : null;
 
     if (outcome === 'won') {
         // Upload fighter for this stage
@@ -1885,8 +2029,9 @@ async function handleStageFightEnd(outcome) {
             onBackToDesigner: () => {
                 showDesignMode(true);
                 updateFightButtonText();
-            }
-        });
+            },
+            onWatchReplay
+        }, decision);
     } else {
         // Still dispose trained model on loss
         if (trained) trained.model.dispose();
@@ -1901,17 +2046,300 @@ async function handleStageFightEnd(outcome) {
             onBackToDesigner: () => {
                 showDesignMode(true);
                 updateFightButtonText();
-            }
-        });
+            },
+            onWatchReplay
+        }, decision);
     }
 
     isStageFight = false;
     currentFightStage = 0;
 }
 
+// ============================================================================
+// Replays
+// ============================================================================
+
+/**
+ * Sets up the Replays button in the dev toolbar (opens the replay list)
+ */
+function setupReplaysButton() {
+    const btn = document.getElementById('replays-btn');
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+        if (isArenaActive()) return;
+        showReplayList({ onWatch: (id) => watchSavedReplay(id) });
+    });
+}
+
+/**
+ * Loads a saved replay by ID and starts watching it
+ * @param {number} id - Replay record ID
+ */
+async function watchSavedReplay(id) {
+    const replay = await loadReplay(id);
+    if (!replay) {
+        console.error(`Replay ${id} not found`);
+        return;
+    }
+    watchReplay(replay);
+}
+
+/**
+ * Enters replay playback and shows the playback controls.
+ * Closing the replay returns to the designer.
+ * @param {object} replay - Replay object
+ */
+function watchReplay(replay) {
+    if (isArenaActive()) return;
+
+    hideFightOutcome();
+    const success = enterArenaReplay(replay, getScene(), getCamera(), getRenderer());
+    if (!success) {
+        showDesignMode(true);
+        return;
+    }
+
+    showDesignMode(false);
+    updateFightButtonText();
+    showReplayControls({
+        onPlayPause: () => setReplayPlaying(!getReplayPlayback().playing),
+        onSeek: (tick) => seekReplay(tick),
+        onSpeed: (speed) => setReplaySpeed(speed),
+        onFollow: (index) => setReplayCamera({ follow: index }),
+        onZoom: (zoom) => setReplayCamera({ zoom }),
+        onClose: () => exitArenaMode()
+    });
+}
+
+// ============================================================================
+// Spectate (AI vs AI)
+// ============================================================================
+
+/**
+ * Sets up the Spectate button in the dev toolbar and its setup dialog
+ */
+function setupSpectateButton() {
+    const btn = document.getElementById('spectate-btn');
+    if (btn) btn.addEventListener('click', () => showSpectateSetup());
+
+    const cancelBtn = document.getElementById('spectate-cancel');
+    if (cancelBtn) cancelBtn.addEventListener('click', hideSpectateDialog);
+
+    const goBtn = document.getElementById('spectate-go');
+    if (goBtn) goBtn.addEventListener('click', () => launchSpectate());
+
+    const dialog = document.getElementById('spectate-dialog');
+    if (dialog) {
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') hideSpectateDialog();
+        });
+    }
+}
+
+/**
+ * Shows the Spectate setup dialog with the same ship choices for both sides
+ */
+async function showSpectateSetup() {
+    if (isArenaActive()) return;
+
+    const dialog = document.getElementById('spectate-dialog');
+    const listA = document.getElementById('spectate-a-list');
+    const listB = document.getElementById('spectate-b-list');
+    if (!dialog || !listA || !listB) return;
+
+    const stats = await getModelStats();
+    const hasModel = !!stats;
+    const framesHint = stats && stats.totalFramesTrained > 0
+        ? `${stats.totalFramesTrained} frames`
+        : (hasModel ? 'Trained' : 'Not trained');
+
+    listA.innerHTML = '';
+    listB.innerHTML = '';
+    await addOpponentOptions(listA, 'side-a', hasModel, framesHint);
+    await addOpponentOptions(listB, 'side-b', hasModel, framesHint);
+
+    dialog.classList.remove('hidden');
+}
+
+function hideSpectateDialog() {
+    const dialog = document.getElementById('spectate-dialog');
+    if (dialog) dialog.classList.add('hidden');
+}
+
+/**
+ * Reads the Spectate dialog selections, builds both sides, and starts watching.
+ */
+async function launchSpectate() {
+    const aEl = document.querySelector('#spectate-a-list .fight-option.selected');
+    const bEl = document.querySelector('#spectate-b-list .fight-option.selected');
+    if (!aEl || !bEl) {
+        console.log('Select a ship for both sides');
+        return;
+    }
+    const arenaSelect = document.getElementById('spectate-arena-select');
+    const arenaType = arenaSelect ? arenaSelect.value : 'random';
+
+    hideSpectateDialog();
+
+    const sides = [];
+    for (const selection of [aEl.dataset.value, bEl.dataset.value]) {
+        const side = await resolveFightSide(selection);
+        if (!side) {
+            for (const s of sides) s.model?.dispose();
+            return;
+        }
+        sides.push(side);
+    }
+
+    const success = enterArenaSpectate(
+        sides, getScene(), getCamera(), getRenderer(), screenToWorld, arenaType
+    );
+    if (!success) {
+        for (const side of sides) side.model?.dispose();
+        return;
+    }
+
+    showDesignMode(false);
+    updateFightButtonText();
+    showSpectatorControls({
+        onFollow: (index) => setSpectatorCamera({ follow: index }),
+        onZoom: (zoom) => setSpectatorCamera({ zoom }),
+        onToggleDebug: (index, overlay) => toggleSpectatorDebug(index, overlay),
+        onClose: () => exitArenaMode()
+    });
+}
+
+/**
+ * Builds one AI-flown ship (a spectated side, team fight opponent, or
+ * wingman) from a dialog selection.
+ * @param {string} selection - 'random', 'preset:name', 'my-ai', or 'saved:id'
+ * @returns {Promise<object|null>} { pieces, controller, label, model? } or null on failure
+ */
+async function resolveFightSide(selection) {
+    if (selection === 'random') {
+        const presetNames = Object.keys(SHIP_PRESETS);
+        const pick = presetNames[Math.floor(Math.random() * presetNames.length)];
+        return {
+            pieces: createPiecesFromLayout(SHIP_PRESETS[pick]),
+            controller: createRandomController(),
+            label: pick.charAt(0).toUpperCase() + pick.slice(1)
+        };
+    }
+    if (selection.startsWith('preset:')) {
+        const presetName = selection.slice('preset:'.length);
+        return {
+            pieces: createPiecesFromLayout(SHIP_PRESETS[presetName]),
+            controller: createRandomController(),
+            label: presetName.charAt(0).toUpperCase() + presetName.slice(1)
+        };
+    }
+    if (selection === 'my-ai') {
+        const pieces = createPiecesFromLayout(getShipLayout());
+        if (pieces.length === 0) {
+            console.log('Place some pieces on the grid first');
+            return null;
+        }
+        const loaded = await loadModelWeights();
+        if (!loaded) {
+            console.error('No trained model found for My AI');
+            return null;
+        }
+        return { pieces, controller: createMlController(loaded.model), label: 'My AI', model: loaded.model };
+    }
+    if (selection.startsWith('saved:')) {
+        const shipId = parseInt(selection.slice('saved:'.length), 10);
+        const record = await loadSavedShip(shipId);
+        if (!record || !record.weightsBase64 || !record.topology) {
+            console.error('Saved ship has no trained weights');
+            return null;
+        }
+        try {
+            const { model } = await importModelFromJson({
+                topology: record.topology,
+                weightSpecs: record.weightSpecs,
+                weightsBase64: record.weightsBase64,
+                config: record.modelConfig,
+                schemaVersion: record.schemaVersion
+            });
+            return {
+                pieces: createPiecesFromLayout(record.layout),
+                controller: createMlController(model),
+                label: record.shipName,
+                model
+            };
+        } catch (err) {
+            console.error('Failed to load saved ship model:', err.message);
+            return null;
+        }
+    }
+    console.error('Unknown ship selection:', selection);
+    return null;
+}
+
+// ============================================================================
+// Levels
+// ============================================================================
+
+/**
+ * Loads the level files and the levels saved from the editor. A broken level
+ * setup only costs the Levels section of the fight menu, so failures warn.
+ */
+async function loadAllLevels() {
+    let savedLevels = [];
+    try {
+        savedLevels = await listSavedLevels();
+    } catch (err) {
+        console.warn('Failed to load saved levels:', err.message);
+    }
+    try {
+        await loadLevels(Object.keys(SHIP_PRESETS), savedLevels);
+    } catch (err) {
+        console.warn('Failed to load levels:', err.message);
+    }
+}
+
+/**
+ * Sets up the Level Editor button in the dev toolbar. The editor draws over
+ * an empty arena; closing it returns to the designer.
+ */
+function setupLevelEditorButton() {
+    const btn = document.getElementById('level-editor-btn');
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+        if (isArenaActive()) return;
+        if (!enterArenaEditor('base', getScene(), getCamera(), getRenderer())) return;
+
+        showDesignMode(false);
+        updateFightButtonText();
+        showLevelEditor({
+            presetNames: Object.keys(SHIP_PRESETS),
+            screenToWorld,
+            canvas: document.getElementById('game-canvas'),
+            scene: getScene(),
+            onClose: () => exitArenaMode()
+        });
+    });
+}
+
+// ============================================================================
+// Tournament
+// ============================================================================
+
+/**
+ * Sets up the Tournament button in the dev toolbar (round-robin between saved ships)
+ */
+function setupTournamentButton() {
+    const btn = document.getElementById('tournament-btn');
+    if (!btn) return;
+    btn.addEventListener('click', () => {
+        if (isArenaActive()) return;
+        showTournament();
+    });
+}
+
 /**
  * Reads the selected arena type from the fight dialog or falls back to default
- * @returns {string} Arena type key ('random', 'base', 'saw', 'energy')
+ * @returns {string} Arena type key ('random', 'base', 'saw', 'energy', 'pillars', 'ring', 'bastion')
  */
 function getSelectedArenaType() {
     const el = document.getElementById('fight-arena-select');
@@ -2020,8 +2448,11 @@ function gameLoop(currentTime) {
     lastTime = currentTime;
     
     if (isArenaActive()) {
-        // Arena mode update
+        // Arena mode update (runs fixed simulation ticks internally, so the
+        // fight plays out the same at any refresh rate)
         updateArena(deltaTime);
+        if (isReplayActive()) updateReplayControls(getReplayPlayback());
+        if (isSpectating()) updateSpectatorControls(getSpectatorState());
     } else {
         // Design mode update
         // Step physics for bin pieces
@@ -88,3 +88,45 @@ export function normalize(vec) {
 export function getEquipmentForward(angle) {
     return { x: -Math.sin(angle), y: Math.cos(angle) };
 }
+
+/**
+ * Finds where a segment first enters a polygon (a proper segment-vs-polygon
+ * test: edge crossings plus a start point already inside)
+ * @param {number} ax - Segment start X
+ * @param {number} ay - Segment start Y
+ * @param {number} bx - Segment end X
+ * @param {number} by - Segment end Y
+ * @param {Array} points - Polygon vertices [{x, y}, ...] in order (either winding)
+ * @returns {number|null} Fraction along a->b (0 when a is inside), or null if it misses
+ */
+export function segmentPolygonEntry(ax, ay, bx, by, points) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    let inside = false;
+    let entry = null;
+    
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const p = points[j];
+        const q = points[i];
+        
+        // Crossing-number test for the start point
+        if ((q.y > ay) !== (p.y > ay) && ax < (p.x - q.x) * (ay - q.y) / (p.y - q.y) + q.x) {
+            inside = !inside;
+        }
+        
+        // Segment vs edge p-q
+        const ex = q.x - p.x;
+        const ey = q.y - p.y;
+        const denom = dx * ey - dy * ex;
+        if (denom === 0) continue;   // parallel
+        const wx = p.x - ax;
+        const wy = p.y - ay;
+        const t = (wx * ey - wy * ex) / denom;
+        const u = (wx * dy - wy * dx) / denom;
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1 && (entry === null || t < entry)) {
+            entry = t;
+        }
+    }
+    
+    return inside ? 0 : entry;
+}
@@ -3,7 +3,7 @@
 // Follows the same controller interface as PlayerController and RandomController:
 //   { type, getInput(ship, deltaTime), postUpdate() }
 //
-// The model receives flattened sensing (62 floats) and outputs action (12 floats).
+// The model receives flattened sensing (98 floats) and outputs action (12 floats).
 // Discrete outputs are thresholded at 0.5. Aim is predicted as an absolute
 // position in dot-product form relative to the ship (no accumulator, no drift).
 
@@ -53,6 +53,11 @@ function createMlController(model) {
             // Nothing to clear for ML controller
         },
 
+        /** Returns the model driving this controller */
+        getModel() {
+            return model;
+        },
+
         /** Updates the sensing state used for next inference */
         setSensingState(state) {
             sensingState = state;
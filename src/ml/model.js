@@ -16,6 +16,10 @@ import { saveMetadata, loadMetadata } from './persistence.js';
 const MODEL_IDB_KEY = 'indexeddb://machine-arena-model';
 const CONFIG_META_KEY = 'modelConfig';
 
+// FNV-1a 32-bit constants (topology hashing)
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
 // ============================================================================
 // Default config
 // ============================================================================
@@ -490,6 +494,35 @@ async function exportModelAsJson(model, config) {
     };
 }
 
+/**
+ * Hashes a model's layer topology (FNV-1a over the topology JSON).
+ * Layer names are left out because TF.js auto-numbers them per session, so
+ * the same architecture always gives the same hash. Weights are not included.
+ * @param {tf.LayersModel} model - Model to hash
+ * @returns {string} 8-digit hex hash
+ */
+function hashModelTopology(model) {
+    const topology = stripLayerNames(JSON.parse(model.toJSON()));
+    const text = JSON.stringify(topology);
+    let hash = FNV_OFFSET;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, FNV_PRIME) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+/** Deep-copies a topology object without its 'name' fields */
+function stripLayerNames(value) {
+    if (Array.isArray(value)) return value.map(stripLayerNames);
+    if (!value || typeof value !== 'object') return value;
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (key !== 'name') out[key] = stripLayerNames(child);
+    }
+    return out;
+}
+
 /**
  * Reconstructs a TF.js model from a portable JSON export.
  * @param {object} exported - Object from exportModelAsJson
@@ -592,6 +625,7 @@ export {
     getSessionHistory,
     exportModelAsJson,
     importModelFromJson,
+    hashModelTopology,
     clearModelWeights,
     disposeTrainingData
 };
@@ -1,6 +1,6 @@
 // Recording module - captures (sensing, action) pairs during gameplay
 //
-// Each frame of recording stores a flattened sensing state (62 floats)
+// Each frame of recording stores a flattened sensing state (98 floats)
 // and a flattened action vector (12 floats). Frames are grouped into
 // runs (one run per recording session).
 //
@@ -3,11 +3,20 @@
 // Schema version tracks the format of sensing + action data so that
 // saved datasets and models can detect incompatibility when the layout changes.
 
-const SCHEMA_VERSION = 9;
+const SCHEMA_VERSION = 16;
 
 // Sensing input size (from sensing.js flattenSensingState)
 // v8: added 3 mouse sensing features (dotForward, dotRight, distance)
-const SENSING_SIZE = 62;
+// v10: 3 enemy slots (engaged enemy + 2 nearest) instead of 1
+// v11: 6 objective features (capture zone / beacon)
+// v12: 2 ally slots for team fights (before the objective features)
+// v13: self.fuel (thruster fuel fraction) after self.posY
+// v14: self.shield (shield HP fraction) after self.fuel
+// v15: wall distances raycast to the nearest boundary or interior wall
+//      (same size, was the distance to the rectangular arena's edges)
+// v16: threat radar scores a missile locked on the ship by closing time and
+//      places it by bearing, approaching or not (same size)
+const SENSING_SIZE = 98;
 
 // Action output: 9 discrete + 3 continuous = 12 dimensions
 // v9: absolute aim position as dot products relative to ship (no delta/accumulator)
@@ -38,24 +47,26 @@ const ACTION_NAMES = [
     'aimDotForward', 'aimDotRight', 'aimDist'
 ];
 
-// Human-readable names for all 62 sensing features (matches flattenSensingState order)
+// Human-readable names for all SENSING_SIZE sensing features (matches flattenSensingState order)
 const SENSING_FEATURE_NAMES = buildSensingFeatureNames();
 
 function buildSensingFeatureNames() {
     const names = [];
-    // Self (6)
+    // Self (8)
     names.push('self.velForward', 'self.velRight', 'self.angVel',
-        'self.health', 'self.posX', 'self.posY');
+        'self.health', 'self.posX', 'self.posY', 'self.fuel', 'self.shield');
     // Walls (4 -- world-relative perpendicular proximity)
     names.push('walls.top', 'walls.bottom', 'walls.left', 'walls.right');
     // Threats (8)
     names.push('threat.front', 'threat.fRight', 'threat.right', 'threat.bRight',
         'threat.back', 'threat.bLeft', 'threat.left', 'threat.fLeft');
-    // Enemy (1 * 9 = 9) - single engaged enemy
-    const p = 'enemy';
-    names.push(`${p}.present`, `${p}.dist`, `${p}.angle`,
-        `${p}.velToward`, `${p}.velCross`, `${p}.facing`,
-        `${p}.facingOffset`, `${p}.facingLeadVel`, `${p}.facingLeadFace`);
+    // Enemies (3 * 9 = 27) - engaged enemy first, then nearest others
+    for (let i = 0; i < 3; i++) {
+        const p = `enemy${i}`;
+        names.push(`${p}.present`, `${p}.dist`, `${p}.angle`,
+            `${p}.velToward`, `${p}.velCross`, `${p}.facing`,
+            `${p}.facingOffset`, `${p}.facingLeadVel`, `${p}.facingLeadFace`);
+    }
     // Hazards (4 * 4 = 16)
     for (let i = 0; i < 4; i++) {
         const h = `hazard${i}`;
@@ -69,6 +80,14 @@ function buildSensingFeatureNames() {
     }
     // Mouse (3) - dot-product encoding of aim position relative to ship
     names.push('mouse.dotForward', 'mouse.dotRight', 'mouse.distance');
+    // Allies (2 * 5 = 10) - teammates nearest-first
+    for (let i = 0; i < 2; i++) {
+        const a = `ally${i}`;
+        names.push(`${a}.present`, `${a}.dist`, `${a}.angle`, `${a}.velToward`, `${a}.velCross`);
+    }
+    // Objective (6) - capture zone or beacon, zeros without one
+    names.push('objective.present', 'objective.dist', 'objective.angle',
+        'objective.holding', 'objective.progress', 'objective.enemyProgress');
     return names;
 }
 
@@ -0,0 +1,107 @@
+// Rare tier beam weapon definitions
+// Short-range arc weapons that melt anything that gets close
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const RARE_BEAM_DEFINITIONS = {
+    beam_tesla_arc: {
+        name: 'Tesla Arc Projector',
+        equipmentType: 'beam',
+        tier: 'rare',
+        cost: 22,
+        width: 1,
+        height: 1,
+        mass: 1.4,
+        color: 0x3A5BA0,       // Coil blue
+        beamColor: 0x99ccff,
+        // Weapon aiming
+        firingArc: Math.PI / 2,         // 90 degrees
+        aimingArc: Math.PI / 3,         // 60 degrees
+        aimingSpeed: 2.0,
+        // Beam
+        range: 9,
+        damagePerSecond: 10,
+        damageType: 'energy',
+        chargeTime: 0.6,                // Seconds the trigger is held before the arc strikes
+        heatCapacity: 1.5,              // Seconds of continuous fire before it overheats
+        coolRate: 0.8,                  // Heat shed per second while not firing
+        // Power
+        powerDraw: 5.0,                 // Energy per second while the arc is on
+        description: 'Tesla coil that throws a crackling arc at point-blank range. Brutal damage, brutal power bill, and it needs a moment to spin up.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Tesla Arc Projector
+ * Stacked coil rings around a glowing electrode
+ * @returns {THREE.Group}
+ */
+function createTeslaArcMesh() {
+    const def = RARE_BEAM_DEFINITIONS.beam_tesla_arc;
+    const group = new THREE.Group();
+
+    // Base plate (static)
+    const plateGeometry = new THREE.BoxGeometry(0.88, 0.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a2f44,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.1;
+
+    // Coil rings
+    const ringMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    for (let i = 0; i < 3; i++) {
+        const ringGeometry = new THREE.TorusGeometry(0.32 - i * 0.07, 0.04, 6, 16);
+        const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+        ring.position.z = i * 0.08;
+        turret.add(ring);
+    }
+
+    // Electrode pointing forward (+Y)
+    const electrodeGeometry = new THREE.ConeGeometry(0.08, 0.4, 8);
+    const electrodeMaterial = new THREE.MeshStandardMaterial({
+        color: def.beamColor,
+        emissive: def.beamColor,
+        emissiveIntensity: 0.7
+    });
+    const electrode = new THREE.Mesh(electrodeGeometry, electrodeMaterial);
+    electrode.position.set(0, 0.25, 0.12);
+    turret.add(electrode);
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for a rare-tier beam weapon
+ * @param {string} type - The beam type key
+ * @returns {THREE.Group|null}
+ */
+function createRareBeamMesh(type) {
+    switch (type) {
+        case 'beam_tesla_arc': return createTeslaArcMesh();
+        default: return null;
+    }
+}
+
+export { RARE_BEAM_DEFINITIONS, createRareBeamMesh };
@@ -0,0 +1,116 @@
+// Uncommon tier beam weapon definitions
+// Continuous lasers that trade burst damage for sustained pressure
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const UNCOMMON_BEAM_DEFINITIONS = {
+    beam_lancet_lx4: {
+        name: 'Lancet LX-4',
+        equipmentType: 'beam',
+        tier: 'uncommon',
+        cost: 13,
+        width: 1,
+        height: 2,
+        mass: 0.9,
+        color: 0x2E8B57,       // Emitter green
+        beamColor: 0x66ff99,
+        // Weapon aiming
+        firingArc: Math.PI / 3,         // 60 degrees
+        aimingArc: Math.PI / 6,         // 30 degrees
+        aimingSpeed: 1.2,
+        // Beam
+        range: 18,
+        damagePerSecond: 5,
+        damageType: 'energy',
+        chargeTime: 0.3,                // Seconds the trigger is held before the beam lights
+        heatCapacity: 2.5,              // Seconds of continuous fire before it overheats
+        coolRate: 1.0,                  // Heat shed per second while not firing
+        // Power
+        powerDraw: 3.0,                 // Energy per second while the beam is on
+        description: 'Focused laser that burns whatever it touches for as long as you hold the trigger. Overheats if you never let go.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Lancet LX-4
+ * 1x2 mount with a long focusing tube on a turret
+ * @returns {THREE.Group}
+ */
+function createLancetMesh() {
+    const def = UNCOMMON_BEAM_DEFINITIONS.beam_lancet_lx4;
+    const group = new THREE.Group();
+
+    // --- Mounting plate spanning 1x2 footprint (static) ---
+    const plateGeometry = new THREE.BoxGeometry(0.88, 1.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x2a3a33,
+        roughness: 0.45,
+        metalness: 0.5
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.15;
+
+    // Capacitor housing
+    const housingGeometry = new THREE.CylinderGeometry(0.3, 0.32, 0.16, 10);
+    const housingMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+    const housing = new THREE.Mesh(housingGeometry, housingMaterial);
+    housing.rotation.x = Math.PI / 2;
+    turret.add(housing);
+
+    // Focusing tube
+    const tubeGeometry = new THREE.CylinderGeometry(0.07, 0.1, 0.9, 8);
+    const tubeMaterial = new THREE.MeshStandardMaterial({
+        color: 0x444444,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const tube = new THREE.Mesh(tubeGeometry, tubeMaterial);
+    tube.position.set(0, 0.5, 0);
+    turret.add(tube);
+
+    // Lens at the muzzle
+    const lensGeometry = new THREE.SphereGeometry(0.08, 10, 8);
+    const lensMaterial = new THREE.MeshStandardMaterial({
+        color: def.beamColor,
+        emissive: def.beamColor,
+        emissiveIntensity: 0.6
+    });
+    const lens = new THREE.Mesh(lensGeometry, lensMaterial);
+    lens.position.set(0, 0.95, 0);
+    turret.add(lens);
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for an uncommon-tier beam weapon
+ * @param {string} type - The beam type key
+ * @returns {THREE.Group|null}
+ */
+function createUncommonBeamMesh(type) {
+    switch (type) {
+        case 'beam_lancet_lx4': return createLancetMesh();
+        default: return null;
+    }
+}
+
+export { UNCOMMON_BEAM_DEFINITIONS, createUncommonBeamMesh };
@@ -2,7 +2,10 @@
 
 import * as THREE from 'three';
 
-// Block definitions with mass, size, and tier
+// Block definitions with mass, size, and tier. Optional resistances map a
+// damage type (see damageTypes.js) to the fraction of that damage ignored;
+// optional ramDamage multiplies the impact damage the block deals when it
+// rams something (see collisionDamage.js).
 const BLOCK_DEFINITIONS = {
     // ---- Starter tier ----
     // Salvaged junk. Fragile, heavy for what they are. Cheap filler.
@@ -74,6 +77,98 @@ const BLOCK_DEFINITIONS = {
         hp: 12,         // area (1) × 12 — double the durability of common
         color: 0x556677, // Steel blue-grey
         description: 'Reinforced armor plating. Takes a beating, but weighs you down.'
+    },
+    block_reactive_armor_1x1: {
+        name: 'Reactive Armor',
+        tier: 'uncommon',
+        cost: 4,
+        width: 1,
+        height: 1,
+        mass: 1.5,
+        hp: 8,
+        resistances: {
+            kinetic: 0.5,       // Half damage from slugs and shells
+            explosive: 0.25
+        },
+        color: 0x6b6f4e, // Olive drab
+        description: 'Explosive-lined plating that blows incoming rounds apart. Laughs at slugs, does nothing against energy weapons.'
+    },
+    block_ablative_1x1: {
+        name: 'Ablative Plate',
+        tier: 'uncommon',
+        cost: 4,
+        width: 1,
+        height: 1,
+        mass: 1.2,
+        hp: 8,
+        resistances: {
+            energy: 0.5         // Half damage from energy bolts and lasers
+        },
+        color: 0xb8b0a0, // Ceramic white
+        description: 'Ceramic layers that boil away under energy fire instead of the hull. Light, but shells punch straight through.'
+    },
+
+    // ---- Ram plates ----
+    // Dense wedge plating for the front of a ship. Deals extra impact
+    // damage and shrugs off most of the impact it takes.
+    block_ram_plate_1x1: {
+        name: 'Ram Plate',
+        tier: 'uncommon',
+        cost: 4,
+        width: 1,
+        height: 1,
+        mass: 2.2,
+        hp: 10,
+        ramDamage: 2.5,         // Impact damage dealt ×2.5
+        resistances: {
+            collision: 0.6      // 40% damage from impacts
+        },
+        color: 0x8a4b3a, // Rust red
+        description: 'A slab of hardened steel meant to be driven into things. Hits harder the heavier and faster your ship is, and barely dents doing it.'
+    },
+    block_ram_prow_2x1: {
+        name: 'Ram Prow',
+        tier: 'uncommon',
+        cost: 7,
+        width: 2,
+        height: 1,
+        mass: 4.6,
+        hp: 20,
+        ramDamage: 3,           // Impact damage dealt ×3
+        resistances: {
+            collision: 0.7,     // 30% damage from impacts
+            kinetic: 0.15
+        },
+        color: 0x7a3f30, // Dark rust red
+        description: 'A full-width breaching prow. Turns a heavy ship into a battering ram, at a weight your thrusters will feel.'
+    },
+
+    // ---- Fuel tanks ----
+    // Buildable space that also stores thruster fuel. Fragile: a broken
+    // tank takes its share of the fuel with it.
+    block_fuel_tank_1x1: {
+        name: 'Fuel Cell',
+        tier: 'common',
+        cost: 2,
+        width: 1,
+        height: 1,
+        mass: 1.3,
+        hp: 4,
+        fuelCapacity: 25,
+        color: 0xc0602a, // Hazard orange
+        description: 'A small pressurized fuel cell. More burn time for your thrusters, less armor for your hull.'
+    },
+    block_fuel_tank_2x1: {
+        name: 'Fuel Tank',
+        tier: 'uncommon',
+        cost: 4,
+        width: 2,
+        height: 1,
+        mass: 2.8,
+        hp: 8,
+        fuelCapacity: 60,
+        color: 0xa84d22, // Deep hazard orange
+        description: 'Long-range tank for thirsty engines. Keep it away from the front line.'
     }
 };
 
@@ -131,6 +226,26 @@ function createBlockMesh(type, width, height) {
     const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
     mesh.add(edges);
     
+    // Fuel tanks get a filler cap so they read as tanks, not plating
+    if (definition?.fuelCapacity) {
+        const capGeometry = new THREE.CylinderGeometry(0.15, 0.15, 0.08, 12);
+        const capMaterial = new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.3, metalness: 0.8 });
+        const cap = new THREE.Mesh(capGeometry, capMaterial);
+        cap.rotation.x = Math.PI / 2;
+        cap.position.z = depth / 2 + 0.04;
+        mesh.add(cap);
+    }
+
+    // Ram plates get a raised striking edge along their front (+Y) side
+    if (definition?.ramDamage) {
+        const edgeWidth = width - inset * 2;
+        const ridgeGeometry = new THREE.BoxGeometry(edgeWidth, 0.12, 0.1);
+        const ridgeMaterial = new THREE.MeshStandardMaterial({ color: 0xb0b0b0, roughness: 0.3, metalness: 0.9 });
+        const ridge = new THREE.Mesh(ridgeGeometry, ridgeMaterial);
+        ridge.position.set(0, height / 2 - inset - 0.06, depth / 2 + 0.05);
+        mesh.add(ridge);
+    }
+
     return mesh;
 }
 
@@ -25,10 +25,15 @@ const COMMON_CANNON_DEFINITIONS = {
         projectileSpeed: 24,
         projectileLifetime: 0.9,
         damage: 3,
+        damageType: 'kinetic',
         // Reload
         reloadTime: 2.0,
+        // Power
+        energyPerShot: 1.5,
         // Spread
         spread: 0.05,
+        // Recoil
+        recoil: 0.035,
         description: 'Reliable mid-range workhorse. Every pilot\'s first real gun.'
     },
     cannon_volk_42: {
@@ -48,10 +53,15 @@ const COMMON_CANNON_DEFINITIONS = {
         projectileSpeed: 22,
         projectileLifetime: 0.8,
         damage: 2,
+        damageType: 'kinetic',
         // Reload
         reloadTime: 2.5,
+        // Power
+        energyPerShot: 1.0,    // Per round of the burst
         // Spread
         spread: 0.08,
+        // Recoil
+        recoil: 0.05,                   // Per round -- adds up over a burst
         // Burst
         burstCount: 2,
         burstDelay: 0.1,
@@ -25,12 +25,18 @@ const RARE_CANNON_DEFINITIONS = {
         projectileSpeed: 60,
         projectileLifetime: 1.5,
         damage: 18,
+        damageType: 'kinetic',
         // Reload
         reloadTime: 4.5,
+        // Power
+        energyPerShot: 10.0,   // A full core bank -- most ships want a reactor
         // Spread
         spread: 0,
+        // Recoil
+        recoil: 0.3,                    // Slams the hull back every shot
         // Penetration
         penetrating: true,
+        projectileHp: Infinity,         // Slug can't be shot down by point defense
         description: 'Railgun. Devastating penetrating shot with extreme velocity, pinpoint accuracy, and a punishing reload. Worth building a ship around.'
     }
 };
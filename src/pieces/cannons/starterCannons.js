@@ -25,10 +25,15 @@ const STARTER_CANNON_DEFINITIONS = {
         projectileSpeed: 16,
         projectileLifetime: 0.5,
         damage: 1,
+        damageType: 'kinetic',
         // Reload
         reloadTime: 1.0,
+        // Power
+        energyPerShot: 0.5,
         // Spread
         spread: 0.15,
+        // Recoil
+        recoil: 0.012,                  // Barely a twitch
         description: 'The cheapest gun in the game. Rapid-fire peashooter with pathetic damage, short range, and high spread. Takes up 2 cells for underwhelming output.'
     },
     cannon_ferros_sp1: {
@@ -48,10 +53,15 @@ const STARTER_CANNON_DEFINITIONS = {
         projectileSpeed: 18,
         projectileLifetime: 0.7,
         damage: 3,
+        damageType: 'kinetic',
         // Reload
         reloadTime: 2.8,
+        // Power
+        energyPerShot: 1.5,
         // Spread
         spread: 0.18,
+        // Recoil
+        recoil: 0.06,                   // Shoves the hull
         description: 'Budget single-shot from a no-name manufacturer. Heavy, slow to reload, decent punch but sloppy accuracy. Wide footprint for a mediocre gun.'
     }
 };
@@ -25,14 +25,25 @@ const UNCOMMON_CANNON_DEFINITIONS = {
         projectileSpeed: 20,
         projectileLifetime: 0.7,
         damage: 3,
+        damageType: 'explosive',
+        // Airburst: shells go off on impact or at the end of their flight
+        explosive: {
+            radius: 1.5,                // Blast radius in world units
+            falloff: 0.7,               // Damage lost by the blast's edge (0-1)
+            force: 350                  // Push on each part caught in the blast
+        },
         // Reload
         reloadTime: 2.0,
+        // Power
+        energyPerShot: 1.2,    // Per round of the burst
         // Spread
         spread: 0.12,
+        // Recoil
+        recoil: 0.045,                  // Per round
         // Burst
         burstCount: 3,
         burstDelay: 0.08,
-        description: '3-round burst suppression cannon. Wide arc, high burst damage, keeps targets pinned. Bulkier frame to handle the recoil.'
+        description: '3-round burst suppression cannon. Wide arc, high burst damage, keeps targets pinned. Airburst shells catch near misses. Bulkier frame to handle the recoil.'
     },
     cannon_drake_lp30: {
         name: 'Drake LP-30',
@@ -51,10 +62,15 @@ const UNCOMMON_CANNON_DEFINITIONS = {
         projectileSpeed: 34,
         projectileLifetime: 1.2,
         damage: 6,
+        damageType: 'energy',
         // Reload
         reloadTime: 2.5,
+        // Power
+        energyPerShot: 3.0,
         // Spread
         spread: 0.02,
+        // Recoil
+        recoil: 0.015,                  // Energy shot, almost no kick
         description: 'Precision long-range cannon. Extended barrel for accuracy. Narrow firing arc, high projectile speed, extremely tight spread. A sniper\'s tool.'
     }
 };
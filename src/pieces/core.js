@@ -12,7 +12,11 @@ const CORE_DEFINITION = {
     color: 0xffcc00,
     // Core-specific capabilities
     omniThrustForce: 1.0,    // Force for omni-directional movement
-    angularThrustForce: 2.5  // Torque for rotation
+    angularThrustForce: 2.5, // Torque for rotation
+    fuelCapacity: 40,        // Thruster fuel the ship starts with (tanks add more)
+    fuelRegen: 1.5,          // Fuel regenerated per second
+    powerGeneration: 2.5,    // Energy per second from the built-in generator (reactors add more)
+    powerCapacity: 10        // Energy the core's power bank holds
 };
 
 /**
@@ -0,0 +1,44 @@
+// Damage types - what kind of hit a cannon, hazard, or ram deals
+//
+// Every damage source has a type. Block definitions may list resistances:
+// the fraction of a type's damage the block shrugs off (0.5 = half damage).
+// Resistances stay below 1 so every hit still chips something off.
+
+// Damage type keys (use these instead of string literals)
+const DAMAGE_TYPES = {
+    KINETIC: 'kinetic',
+    ENERGY: 'energy',
+    EXPLOSIVE: 'explosive',
+    HAZARD: 'hazard',
+    COLLISION: 'collision'
+};
+
+// Display names for tooltips and stat panels
+const DAMAGE_TYPE_LABELS = {
+    kinetic: 'Kinetic',
+    energy: 'Energy',
+    explosive: 'Explosive',
+    hazard: 'Hazard',
+    collision: 'Impact'
+};
+
+/**
+ * Gets the fraction of a hit that gets through a set of resistances
+ * @param {object|null} resistances - Damage type -> resistance (0-1), or null
+ * @param {string} damageType - Key from DAMAGE_TYPES
+ * @returns {number} Damage multiplier (1 = no resistance)
+ */
+function getDamageMultiplier(resistances, damageType) {
+    return 1 - (resistances?.[damageType] ?? 0);
+}
+
+/**
+ * Gets the display name for a damage type
+ * @param {string} damageType - Key from DAMAGE_TYPES
+ * @returns {string}
+ */
+function getDamageTypeLabel(damageType) {
+    return DAMAGE_TYPE_LABELS[damageType] ?? damageType;
+}
+
+export { DAMAGE_TYPES, DAMAGE_TYPE_LABELS, getDamageMultiplier, getDamageTypeLabel };
@@ -3,6 +3,11 @@
 // Central registry that aggregates all equipment from sub-files.
 // Thruster variants live in src/pieces/thrusters/ (one file per tier).
 // Cannon variants live in src/pieces/cannons/ (one file per tier).
+// Reactor variants live in src/pieces/reactors/ (one file per tier).
+// Shield variants live in src/pieces/shields/ (one file per tier).
+// Missile launcher variants live in src/pieces/launchers/ (one file per tier).
+// Beam weapon variants live in src/pieces/beams/ (one file per tier).
+// Point-defense variants live in src/pieces/pointdefense/ (one file per tier).
 
 import * as THREE from 'three';
 import { STARTER_THRUSTER_DEFINITIONS, createStarterThrusterMesh } from './thrusters/starterThrusters.js';
@@ -13,6 +18,17 @@ import { STARTER_CANNON_DEFINITIONS, createStarterCannonMesh } from './cannons/s
 import { COMMON_CANNON_DEFINITIONS, createCommonCannonMesh } from './cannons/commonCannons.js';
 import { UNCOMMON_CANNON_DEFINITIONS, createUncommonCannonMesh } from './cannons/uncommonCannons.js';
 import { RARE_CANNON_DEFINITIONS, createRareCannonMesh } from './cannons/rareCannons.js';
+import { COMMON_REACTOR_DEFINITIONS, createCommonReactorMesh } from './reactors/commonReactors.js';
+import { UNCOMMON_REACTOR_DEFINITIONS, createUncommonReactorMesh } from './reactors/uncommonReactors.js';
+import { COMMON_SHIELD_DEFINITIONS, createCommonShieldMesh } from './shields/commonShields.js';
+import { UNCOMMON_SHIELD_DEFINITIONS, createUncommonShieldMesh } from './shields/uncommonShields.js';
+import { RARE_SHIELD_DEFINITIONS, createRareShieldMesh } from './shields/rareShields.js';
+import { UNCOMMON_LAUNCHER_DEFINITIONS, createUncommonLauncherMesh } from './launchers/uncommonLaunchers.js';
+import { RARE_LAUNCHER_DEFINITIONS, createRareLauncherMesh } from './launchers/rareLaunchers.js';
+import { UNCOMMON_BEAM_DEFINITIONS, createUncommonBeamMesh } from './beams/uncommonBeams.js';
+import { RARE_BEAM_DEFINITIONS, createRareBeamMesh } from './beams/rareBeams.js';
+import { UNCOMMON_POINT_DEFENSE_DEFINITIONS, createUncommonPointDefenseMesh } from './pointdefense/uncommonPointDefense.js';
+import { RARE_POINT_DEFENSE_DEFINITIONS, createRarePointDefenseMesh } from './pointdefense/rarePointDefense.js';
 
 // Equipment definitions -- merged from all sub-files
 const EQUIPMENT_DEFINITIONS = {
@@ -26,7 +42,28 @@ const EQUIPMENT_DEFINITIONS = {
     ...STARTER_THRUSTER_DEFINITIONS,
     ...COMMON_THRUSTER_DEFINITIONS,
     ...UNCOMMON_THRUSTER_DEFINITIONS,
-    ...RARE_THRUSTER_DEFINITIONS
+    ...RARE_THRUSTER_DEFINITIONS,
+
+    // Reactor variants (from tier files)
+    ...COMMON_REACTOR_DEFINITIONS,
+    ...UNCOMMON_REACTOR_DEFINITIONS,
+
+    // Shield variants (from tier files)
+    ...COMMON_SHIELD_DEFINITIONS,
+    ...UNCOMMON_SHIELD_DEFINITIONS,
+    ...RARE_SHIELD_DEFINITIONS,
+
+    // Missile launcher variants (from tier files)
+    ...UNCOMMON_LAUNCHER_DEFINITIONS,
+    ...RARE_LAUNCHER_DEFINITIONS,
+
+    // Beam weapon variants (from tier files)
+    ...UNCOMMON_BEAM_DEFINITIONS,
+    ...RARE_BEAM_DEFINITIONS,
+
+    // Point-defense variants (from tier files)
+    ...UNCOMMON_POINT_DEFENSE_DEFINITIONS,
+    ...RARE_POINT_DEFENSE_DEFINITIONS
 };
 
 // ============================================================================
@@ -73,6 +110,66 @@ function isCannonType(type) {
     return def ? def.equipmentType === 'cannon' : false;
 }
 
+/**
+ * Checks if an equipment type key is a reactor variant
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isReactorType(type) {
+    const def = EQUIPMENT_DEFINITIONS[type];
+    return def ? def.equipmentType === 'reactor' : false;
+}
+
+/**
+ * Checks if an equipment type key is a shield generator variant
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isShieldType(type) {
+    const def = EQUIPMENT_DEFINITIONS[type];
+    return def ? def.equipmentType === 'shield' : false;
+}
+
+/**
+ * Checks if an equipment type key is a missile launcher variant
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isLauncherType(type) {
+    const def = EQUIPMENT_DEFINITIONS[type];
+    return def ? def.equipmentType === 'launcher' : false;
+}
+
+/**
+ * Checks if an equipment type key is a beam weapon variant
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isBeamType(type) {
+    const def = EQUIPMENT_DEFINITIONS[type];
+    return def ? def.equipmentType === 'beam' : false;
+}
+
+/**
+ * Checks if an equipment type key is a point-defense turret variant
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isPointDefenseType(type) {
+    const def = EQUIPMENT_DEFINITIONS[type];
+    return def ? def.equipmentType === 'pointdefense' : false;
+}
+
+/**
+ * Checks if an equipment type key fires projectiles (cannons and missile
+ * launchers share the weapon system)
+ * @param {string} type - The equipment type key
+ * @returns {boolean}
+ */
+function isWeaponType(type) {
+    return isCannonType(type) || isLauncherType(type);
+}
+
 /**
  * Gets the equipmentType for a given type key
  * @param {string} type - The equipment type key
@@ -126,6 +223,42 @@ function createEquipmentMesh(type) {
         return createFallbackCannonMesh(definition);
     }
 
+    // Route to sub-file mesh builders for reactors
+    if (definition.equipmentType === 'reactor') {
+        const mesh = createCommonReactorMesh(type)
+            || createUncommonReactorMesh(type);
+        if (mesh) return mesh;
+    }
+
+    // Route to sub-file mesh builders for shield generators
+    if (definition.equipmentType === 'shield') {
+        const mesh = createCommonShieldMesh(type)
+            || createUncommonShieldMesh(type)
+            || createRareShieldMesh(type);
+        if (mesh) return mesh;
+    }
+
+    // Route to sub-file mesh builders for missile launchers
+    if (definition.equipmentType === 'launcher') {
+        const mesh = createUncommonLauncherMesh(type)
+            || createRareLauncherMesh(type);
+        if (mesh) return mesh;
+    }
+
+    // Route to sub-file mesh builders for beam weapons
+    if (definition.equipmentType === 'beam') {
+        const mesh = createUncommonBeamMesh(type)
+            || createRareBeamMesh(type);
+        if (mesh) return mesh;
+    }
+
+    // Route to sub-file mesh builders for point-defense turrets
+    if (definition.equipmentType === 'pointdefense') {
+        const mesh = createUncommonPointDefenseMesh(type)
+            || createRarePointDefenseMesh(type);
+        if (mesh) return mesh;
+    }
+
     // Unknown equipment
     console.warn(`No mesh builder for equipment: ${type}`);
     return new THREE.Group();
@@ -249,4 +382,4 @@ function createFallbackThrusterMesh(definition) {
     return group;
 }
 
-export { EQUIPMENT_DEFINITIONS, createEquipmentMesh, isThrusterType, isCannonType, getEquipmentType, resolveLegacyType };
+export { EQUIPMENT_DEFINITIONS, createEquipmentMesh, isThrusterType, isCannonType, isReactorType, isShieldType, isLauncherType, isBeamType, isPointDefenseType, isWeaponType, getEquipmentType, resolveLegacyType };
@@ -0,0 +1,127 @@
+// Rare tier missile launcher definitions
+// Swarm pods that saturate a target with homing missiles
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const RARE_LAUNCHER_DEFINITIONS = {
+    launcher_harpy_swarm: {
+        name: 'Harpy Swarm Pod',
+        equipmentType: 'launcher',
+        tier: 'rare',
+        cost: 24,
+        width: 2,
+        height: 2,
+        mass: 1.8,
+        color: 0x9B2D30,       // Oxblood
+        // Weapon aiming
+        firingArc: Math.PI * 2 / 3,     // 120 degrees
+        aimingArc: Math.PI / 4,         // 45 degrees
+        aimingSpeed: 0.8,
+        // Projectile properties
+        projectileSpeed: 6,             // Launch speed -- the motor does the rest
+        projectileLifetime: 3.0,
+        damage: 3,
+        damageType: 'explosive',
+        // Warhead
+        explosive: {
+            radius: 1.2,                // Blast radius in world units
+            falloff: 0.6,               // Damage lost by the blast's edge (0-1)
+            force: 250                  // Push on each part caught in the blast
+        },
+        // Guidance
+        maxSpeed: 20,
+        acceleration: 28,               // Units/s^2 while the motor burns
+        turnRate: 3.5,                  // rad/s -- nimble, short-lived
+        fuelTime: 1.6,                  // Seconds of thrust and steering, then it coasts
+        seekerCone: Math.PI * 2 / 3,    // Lock breaks if the target leaves this cone
+        lockRange: 26,
+        // Reload
+        reloadTime: 5.0,
+        // Power
+        energyPerShot: 1.5,    // Per missile of the salvo
+        // Spread
+        spread: 0.3,
+        // Burst
+        burstCount: 4,
+        burstDelay: 0.12,
+        description: 'Four-cell pod that ripples out a salvo of agile micro-missiles. Hard to dodge all of them, and each one still hurts.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Harpy Swarm Pod
+ * 2x2 armored box with a 2x2 grid of missile cells
+ * @returns {THREE.Group}
+ */
+function createHarpyMesh() {
+    const def = RARE_LAUNCHER_DEFINITIONS.launcher_harpy_swarm;
+    const group = new THREE.Group();
+
+    // --- Mounting platform spanning 2x2 footprint (static) ---
+    const plateGeometry = new THREE.BoxGeometry(1.88, 1.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x443333,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.12;
+
+    // Pod housing
+    const podGeometry = new THREE.BoxGeometry(1.2, 1.2, 0.3);
+    const podMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.45,
+        metalness: 0.5
+    });
+    const pod = new THREE.Mesh(podGeometry, podMaterial);
+    pod.position.z = 0.1;
+    turret.add(pod);
+
+    // Missile cells -- warheads facing forward (+Y)
+    const cellGeometry = new THREE.ConeGeometry(0.13, 0.3, 8);
+    const cellMaterial = new THREE.MeshStandardMaterial({
+        color: 0xeeeeee,
+        emissive: 0xff5522,
+        emissiveIntensity: 0.2,
+        roughness: 0.4
+    });
+    for (const x of [-0.3, 0.3]) {
+        for (const z of [0.02, 0.2]) {
+            const cell = new THREE.Mesh(cellGeometry, cellMaterial);
+            cell.position.set(x, 0.72, z);
+            turret.add(cell);
+        }
+    }
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for a rare-tier launcher
+ * @param {string} type - The launcher type key
+ * @returns {THREE.Group|null}
+ */
+function createRareLauncherMesh(type) {
+    switch (type) {
+        case 'launcher_harpy_swarm': return createHarpyMesh();
+        default: return null;
+    }
+}
+
+export { RARE_LAUNCHER_DEFINITIONS, createRareLauncherMesh };
@@ -0,0 +1,132 @@
+// Uncommon tier missile launcher definitions
+// Entry-level guided missiles
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const UNCOMMON_LAUNCHER_DEFINITIONS = {
+    launcher_wasp_ml2: {
+        name: 'Wasp ML-2',
+        equipmentType: 'launcher',
+        tier: 'uncommon',
+        cost: 12,
+        width: 1,
+        height: 2,
+        mass: 1.0,
+        color: 0xC9A227,       // Warning yellow
+        // Weapon aiming
+        firingArc: Math.PI / 2,         // 90 degrees
+        aimingArc: Math.PI / 6,         // 30 degrees
+        aimingSpeed: 1.0,
+        // Projectile properties
+        projectileSpeed: 8,             // Launch speed -- the motor does the rest
+        projectileLifetime: 3.5,
+        damage: 5,
+        damageType: 'explosive',
+        // Warhead
+        explosive: {
+            radius: 2.0,                // Blast radius in world units
+            falloff: 0.5,               // Damage lost by the blast's edge (0-1)
+            force: 600                  // Push on each part caught in the blast
+        },
+        projectileHp: 2,                // Armored warhead takes two interceptor hits
+        // Guidance
+        maxSpeed: 22,
+        acceleration: 30,               // Units/s^2 while the motor burns
+        turnRate: 2.5,                  // rad/s
+        fuelTime: 2.0,                  // Seconds of thrust and steering, then it coasts
+        seekerCone: Math.PI / 2,        // Lock breaks if the target leaves this cone
+        lockRange: 30,
+        // Reload
+        reloadTime: 3.0,
+        // Power
+        energyPerShot: 2.0,
+        // Spread
+        spread: 0.05,
+        description: 'Single-tube homing missile. Slow off the rail but hunts down anything that flies straight. A hard turn at the right moment shakes it.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Wasp ML-2
+ * 1x2 rail with a single missile tube on a turret
+ * @returns {THREE.Group}
+ */
+function createWaspMesh() {
+    const def = UNCOMMON_LAUNCHER_DEFINITIONS.launcher_wasp_ml2;
+    const group = new THREE.Group();
+
+    // --- Launch rail spanning 1x2 footprint (static) ---
+    const plateGeometry = new THREE.BoxGeometry(0.88, 1.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x555544,
+        roughness: 0.5,
+        metalness: 0.4
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Hazard stripes across the rail
+    const stripeGeometry = new THREE.BoxGeometry(0.8, 0.08, 0.02);
+    const stripeMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.6
+    });
+    for (const y of [-0.7, -0.5]) {
+        const stripe = new THREE.Mesh(stripeGeometry, stripeMaterial);
+        stripe.position.set(0, y, 0.06);
+        group.add(stripe);
+    }
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.12;
+
+    // Launch tube
+    const tubeGeometry = new THREE.BoxGeometry(0.36, 1.1, 0.22);
+    const tubeMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.5,
+        metalness: 0.4
+    });
+    const tube = new THREE.Mesh(tubeGeometry, tubeMaterial);
+    tube.position.set(0, 0.2, 0.08);
+    turret.add(tube);
+
+    // Missile nose peeking out of the tube
+    const noseGeometry = new THREE.ConeGeometry(0.11, 0.25, 8);
+    const noseMaterial = new THREE.MeshStandardMaterial({
+        color: 0xdd3322,
+        roughness: 0.4,
+        metalness: 0.3
+    });
+    const nose = new THREE.Mesh(noseGeometry, noseMaterial);
+    nose.position.set(0, 0.87, 0.08);
+    turret.add(nose);
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for an uncommon-tier launcher
+ * @param {string} type - The launcher type key
+ * @returns {THREE.Group|null}
+ */
+function createUncommonLauncherMesh(type) {
+    switch (type) {
+        case 'launcher_wasp_ml2': return createWaspMesh();
+        default: return null;
+    }
+}
+
+export { UNCOMMON_LAUNCHER_DEFINITIONS, createUncommonLauncherMesh };
@@ -0,0 +1,109 @@
+// Rare tier point-defense definitions
+// Rapid-fire close-in weapon systems
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const RARE_POINT_DEFENSE_DEFINITIONS = {
+    pointdefense_warden_ciws: {
+        name: 'Warden CIWS',
+        equipmentType: 'pointdefense',
+        tier: 'rare',
+        cost: 18,
+        width: 1,
+        height: 2,
+        mass: 1.1,
+        color: 0xD8D8D0,       // Radome white
+        // Turret (aims itself -- no player input)
+        aimingArc: Math.PI * 3 / 2,     // 270 degrees
+        aimingSpeed: 8.0,
+        // Targeting
+        range: 9,                       // Engages hostile shots this close
+        // Interceptors
+        interceptorSpeed: 40,
+        interceptorLifetime: 0.3,
+        interceptorDamage: 1,           // Projectile HP knocked off per hit
+        spread: 0.06,
+        // Reload
+        reloadTime: 0.12,
+        // Power
+        energyPerShot: 0.2,
+        description: 'Radar-guided gatling that fills the air with lead. Shreds a Hailfire burst or a missile swarm, but drinks power while it works.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Warden CIWS
+ * 1x2 mount with a radome over a rotary barrel cluster
+ * @returns {THREE.Group}
+ */
+function createWardenMesh() {
+    const def = RARE_POINT_DEFENSE_DEFINITIONS.pointdefense_warden_ciws;
+    const group = new THREE.Group();
+
+    // --- Mounting plate spanning 1x2 footprint (static) ---
+    const plateGeometry = new THREE.BoxGeometry(0.88, 1.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x3a3d40,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.15;
+
+    // Radome at the back of the mount
+    const radomeGeometry = new THREE.CylinderGeometry(0.3, 0.3, 0.5, 12);
+    const radomeMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.6,
+        metalness: 0.2
+    });
+    const radome = new THREE.Mesh(radomeGeometry, radomeMaterial);
+    radome.position.set(0, -0.25, 0.1);
+    radome.rotation.x = Math.PI / 2;
+    turret.add(radome);
+
+    // Rotary barrel cluster
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+        color: 0x555555,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    for (let i = 0; i < 3; i++) {
+        const angle = (i / 3) * Math.PI * 2;
+        const barrelGeometry = new THREE.CylinderGeometry(0.035, 0.035, 0.8, 6);
+        const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+        barrel.position.set(Math.cos(angle) * 0.07, 0.45, Math.sin(angle) * 0.07);
+        turret.add(barrel);
+    }
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for a rare-tier point-defense turret
+ * @param {string} type - The point-defense type key
+ * @returns {THREE.Group|null}
+ */
+function createRarePointDefenseMesh(type) {
+    switch (type) {
+        case 'pointdefense_warden_ciws': return createWardenMesh();
+        default: return null;
+    }
+}
+
+export { RARE_POINT_DEFENSE_DEFINITIONS, createRarePointDefenseMesh };
@@ -0,0 +1,105 @@
+// Uncommon tier point-defense definitions
+// Compact auto-turrets that swat incoming shots out of the air
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const UNCOMMON_POINT_DEFENSE_DEFINITIONS = {
+    pointdefense_picket_pd1: {
+        name: 'Picket PD-1',
+        equipmentType: 'pointdefense',
+        tier: 'uncommon',
+        cost: 10,
+        width: 1,
+        height: 1,
+        mass: 0.6,
+        color: 0x5A6E7F,       // Naval grey-blue
+        // Turret (aims itself -- no player input)
+        aimingArc: Math.PI,             // 180 degrees
+        aimingSpeed: 6.0,
+        // Targeting
+        range: 7,                       // Engages hostile shots this close
+        // Interceptors
+        interceptorSpeed: 35,
+        interceptorLifetime: 0.3,
+        interceptorDamage: 1,           // Projectile HP knocked off per hit
+        spread: 0.04,
+        // Reload
+        reloadTime: 0.35,
+        // Power
+        energyPerShot: 0.3,
+        description: 'Automatic flak turret. Picks off shells and missiles headed your way before they land. Can\'t do anything about a railgun slug.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Picket PD-1
+ * Squat dome on a 1x1 plate with a single short barrel
+ * @returns {THREE.Group}
+ */
+function createPicketMesh() {
+    const def = UNCOMMON_POINT_DEFENSE_DEFINITIONS.pointdefense_picket_pd1;
+    const group = new THREE.Group();
+
+    // --- Mounting plate (static) ---
+    const plateGeometry = new THREE.BoxGeometry(0.88, 0.88, 0.05);
+    const plateMaterial = new THREE.MeshStandardMaterial({
+        color: 0x33393f,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const plate = new THREE.Mesh(plateGeometry, plateMaterial);
+    plate.position.z = 0.025;
+    group.add(plate);
+
+    // Turret group (rotating part)
+    const turret = new THREE.Group();
+    turret.name = 'turret';
+    turret.position.z = 0.12;
+
+    // Dome
+    const domeGeometry = new THREE.SphereGeometry(0.3, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+    const domeMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+    const dome = new THREE.Mesh(domeGeometry, domeMaterial);
+    dome.rotation.x = Math.PI / 2;
+    turret.add(dome);
+
+    // Barrel
+    const barrelGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.45, 8);
+    const barrelMaterial = new THREE.MeshStandardMaterial({
+        color: 0x444444,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const barrel = new THREE.Mesh(barrelGeometry, barrelMaterial);
+    barrel.position.set(0, 0.35, 0.05);
+    turret.add(barrel);
+
+    group.add(turret);
+    return group;
+}
+
+/**
+ * Creates a mesh for an uncommon-tier point-defense turret
+ * @param {string} type - The point-defense type key
+ * @returns {THREE.Group|null}
+ */
+function createUncommonPointDefenseMesh(type) {
+    switch (type) {
+        case 'pointdefense_picket_pd1': return createPicketMesh();
+        default: return null;
+    }
+}
+
+export { UNCOMMON_POINT_DEFENSE_DEFINITIONS, createUncommonPointDefenseMesh };
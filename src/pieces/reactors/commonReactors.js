@@ -0,0 +1,77 @@
+// Common tier reactor definitions
+// Modest power plants for ships that outgrow the core's own generator
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const COMMON_REACTOR_DEFINITIONS = {
+    reactor_cinder: {
+        name: 'Cinder Cell',
+        equipmentType: 'reactor',
+        tier: 'common',
+        cost: 3,
+        width: 1,
+        height: 1,
+        mass: 0.8,
+        color: 0xB8862E,    // Dull brass
+        powerGeneration: 1.5,   // Energy per second
+        powerCapacity: 5,       // Energy it adds to the ship's power bank
+        description: 'A sealed thermal cell. Enough extra juice for a second gun, as long as you don\'t mind the weight.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Cinder Cell
+ * Squat canister with a glowing band
+ * @returns {THREE.Group}
+ */
+function createCinderMesh() {
+    const def = COMMON_REACTOR_DEFINITIONS.reactor_cinder;
+    const group = new THREE.Group();
+
+    // Canister body
+    const bodyGeometry = new THREE.CylinderGeometry(0.32, 0.32, 0.3, 10);
+    const bodyMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.6,
+        metalness: 0.5
+    });
+    const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+    body.rotation.x = Math.PI / 2;
+    body.position.z = 0.15;
+    group.add(body);
+
+    // Glowing band
+    const bandGeometry = new THREE.TorusGeometry(0.33, 0.04, 8, 16);
+    const bandMaterial = new THREE.MeshStandardMaterial({
+        color: 0xffaa33,
+        emissive: 0xff7700,
+        emissiveIntensity: 0.5
+    });
+    const band = new THREE.Mesh(bandGeometry, bandMaterial);
+    band.position.z = 0.15;
+    group.add(band);
+
+    return group;
+}
+
+/**
+ * Creates a mesh for a common-tier reactor
+ * @param {string} type - The reactor type key
+ * @returns {THREE.Group|null}
+ */
+function createCommonReactorMesh(type) {
+    switch (type) {
+        case 'reactor_cinder': return createCinderMesh();
+        default: return null;
+    }
+}
+
+export { COMMON_REACTOR_DEFINITIONS, createCommonReactorMesh };
@@ -0,0 +1,88 @@
+// Uncommon tier reactor definitions
+// Dedicated power plants for energy-hungry loadouts
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const UNCOMMON_REACTOR_DEFINITIONS = {
+    reactor_helion: {
+        name: 'Helion Core-3',
+        equipmentType: 'reactor',
+        tier: 'uncommon',
+        cost: 8,
+        width: 1,
+        height: 1,
+        mass: 1.1,
+        color: 0x4A6FA5,    // Cold steel blue
+        powerGeneration: 3.0,   // Energy per second
+        powerCapacity: 10,      // Energy it adds to the ship's power bank
+        description: 'Compact fusion bottle. Doubles what most ships can feed their guns. Railgun owners don\'t leave port without one.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Helion Core-3
+ * Housing plate with a bright containment sphere
+ * @returns {THREE.Group}
+ */
+function createHelionMesh() {
+    const def = UNCOMMON_REACTOR_DEFINITIONS.reactor_helion;
+    const group = new THREE.Group();
+
+    // Housing plate
+    const housingGeometry = new THREE.BoxGeometry(0.7, 0.7, 0.16);
+    const housingMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.4,
+        metalness: 0.6
+    });
+    const housing = new THREE.Mesh(housingGeometry, housingMaterial);
+    housing.position.z = 0.08;
+    group.add(housing);
+
+    // Containment ring
+    const ringGeometry = new THREE.TorusGeometry(0.24, 0.04, 8, 20);
+    const ringMaterial = new THREE.MeshStandardMaterial({
+        color: 0x888899,
+        roughness: 0.3,
+        metalness: 0.8
+    });
+    const ring = new THREE.Mesh(ringGeometry, ringMaterial);
+    ring.position.z = 0.2;
+    group.add(ring);
+
+    // Plasma sphere
+    const plasmaGeometry = new THREE.SphereGeometry(0.16, 16, 16);
+    const plasmaMaterial = new THREE.MeshStandardMaterial({
+        color: 0xccf2ff,
+        emissive: 0x44bbff,
+        emissiveIntensity: 0.9,
+        roughness: 0.1
+    });
+    const plasma = new THREE.Mesh(plasmaGeometry, plasmaMaterial);
+    plasma.position.z = 0.22;
+    group.add(plasma);
+
+    return group;
+}
+
+/**
+ * Creates a mesh for an uncommon-tier reactor
+ * @param {string} type - The reactor type key
+ * @returns {THREE.Group|null}
+ */
+function createUncommonReactorMesh(type) {
+    switch (type) {
+        case 'reactor_helion': return createHelionMesh();
+        default: return null;
+    }
+}
+
+export { UNCOMMON_REACTOR_DEFINITIONS, createUncommonReactorMesh };
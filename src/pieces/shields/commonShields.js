@@ -0,0 +1,82 @@
+// Common tier shield definitions
+// Entry-level deflectors that cover one flank
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const COMMON_SHIELD_DEFINITIONS = {
+    shield_bastion: {
+        name: 'Bastion Deflector',
+        equipmentType: 'shield',
+        tier: 'common',
+        cost: 5,
+        width: 1,
+        height: 1,
+        mass: 0.6,
+        color: 0x3A8FB7,    // Deflector blue
+        // Shield
+        shieldHp: 6,               // Damage absorbed before the shield drops
+        regenDelay: 3.0,          // Seconds after the last hit before it regenerates
+        regenRate: 1.5,           // HP per second while regenerating
+        coverageArc: Math.PI / 2,   // 90 degrees, centered on the emitter's forward
+        shieldRadius: 2.2,        // Bubble radius in arena units
+        description: 'A single-panel deflector. Soaks a couple of hits from the front, then needs a breather.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Bastion Deflector
+ * Emitter base with a glowing projector dish
+ * @returns {THREE.Group}
+ */
+function createBastionMesh() {
+    const def = COMMON_SHIELD_DEFINITIONS.shield_bastion;
+    const group = new THREE.Group();
+
+    // Emitter base
+    const baseGeometry = new THREE.CylinderGeometry(0.3, 0.34, 0.14, 8);
+    const baseMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const base = new THREE.Mesh(baseGeometry, baseMaterial);
+    base.rotation.x = Math.PI / 2;
+    base.position.z = 0.07;
+    group.add(base);
+
+    // Projector dish -- faces forward (+Y)
+    const dishGeometry = new THREE.SphereGeometry(0.3, 16, 8, 0, Math.PI * 2, 0, Math.PI / 3);
+    const dishMaterial = new THREE.MeshStandardMaterial({
+        color: 0x88ddff,
+        emissive: 0x2299dd,
+        emissiveIntensity: 0.5,
+        side: THREE.DoubleSide
+    });
+    const dish = new THREE.Mesh(dishGeometry, dishMaterial);
+    dish.position.set(0, -0.12, 0.18);
+    group.add(dish);
+
+    return group;
+}
+
+/**
+ * Creates a mesh for a common-tier shield
+ * @param {string} type - The shield type key
+ * @returns {THREE.Group|null}
+ */
+function createCommonShieldMesh(type) {
+    switch (type) {
+        case 'shield_bastion': return createBastionMesh();
+        default: return null;
+    }
+}
+
+export { COMMON_SHIELD_DEFINITIONS, createCommonShieldMesh };
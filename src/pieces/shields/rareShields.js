@@ -0,0 +1,82 @@
+// Rare tier shield definitions
+// Full-coverage shields for ships built to tank
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const RARE_SHIELD_DEFINITIONS = {
+    shield_aegis: {
+        name: 'Aegis Sphere',
+        equipmentType: 'shield',
+        tier: 'rare',
+        cost: 20,
+        width: 1,
+        height: 1,
+        mass: 1.2,
+        color: 0x8E7CC3,    // Aegis violet
+        // Shield
+        shieldHp: 16,               // Damage absorbed before the shield drops
+        regenDelay: 2.0,          // Seconds after the last hit before it regenerates
+        regenRate: 4.0,           // HP per second while regenerating
+        coverageArc: Math.PI * 2,   // Full circle, centered on the emitter's forward
+        shieldRadius: 3.0,        // Bubble radius in arena units
+        description: 'Military-grade bubble that wraps the whole hull. Hits from any side land on the shield first.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Aegis Sphere
+ * Emitter base with a glowing projector dish
+ * @returns {THREE.Group}
+ */
+function createAegisMesh() {
+    const def = RARE_SHIELD_DEFINITIONS.shield_aegis;
+    const group = new THREE.Group();
+
+    // Emitter base
+    const baseGeometry = new THREE.CylinderGeometry(0.3, 0.34, 0.14, 8);
+    const baseMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const base = new THREE.Mesh(baseGeometry, baseMaterial);
+    base.rotation.x = Math.PI / 2;
+    base.position.z = 0.07;
+    group.add(base);
+
+    // Projector dish -- faces forward (+Y)
+    const dishGeometry = new THREE.SphereGeometry(0.36, 16, 8, 0, Math.PI * 2, 0, Math.PI / 3);
+    const dishMaterial = new THREE.MeshStandardMaterial({
+        color: 0xddccff,
+        emissive: 0x8866ff,
+        emissiveIntensity: 0.5,
+        side: THREE.DoubleSide
+    });
+    const dish = new THREE.Mesh(dishGeometry, dishMaterial);
+    dish.position.set(0, -0.12, 0.18);
+    group.add(dish);
+
+    return group;
+}
+
+/**
+ * Creates a mesh for a rare-tier shield
+ * @param {string} type - The shield type key
+ * @returns {THREE.Group|null}
+ */
+function createRareShieldMesh(type) {
+    switch (type) {
+        case 'shield_aegis': return createAegisMesh();
+        default: return null;
+    }
+}
+
+export { RARE_SHIELD_DEFINITIONS, createRareShieldMesh };
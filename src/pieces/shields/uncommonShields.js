@@ -0,0 +1,82 @@
+// Uncommon tier shield definitions
+// Wider, faster-recovering shields
+
+import * as THREE from 'three';
+
+// ============================================================================
+// Definitions
+// ============================================================================
+
+const UNCOMMON_SHIELD_DEFINITIONS = {
+    shield_halo: {
+        name: 'Halo Screen',
+        equipmentType: 'shield',
+        tier: 'uncommon',
+        cost: 9,
+        width: 1,
+        height: 1,
+        mass: 0.8,
+        color: 0x4FA3A5,    // Sea-glass teal
+        // Shield
+        shieldHp: 10,               // Damage absorbed before the shield drops
+        regenDelay: 2.5,          // Seconds after the last hit before it regenerates
+        regenRate: 2.5,           // HP per second while regenerating
+        coverageArc: Math.PI * 2 / 3,   // 120 degrees, centered on the emitter's forward
+        shieldRadius: 2.6,        // Bubble radius in arena units
+        description: 'Twin-emitter screen with a wide arc. Keeps a brawler\'s nose clean through a whole exchange.'
+    }
+};
+
+// ============================================================================
+// Mesh creation
+// ============================================================================
+
+/**
+ * Creates mesh for the Halo Screen
+ * Emitter base with a glowing projector dish
+ * @returns {THREE.Group}
+ */
+function createHaloMesh() {
+    const def = UNCOMMON_SHIELD_DEFINITIONS.shield_halo;
+    const group = new THREE.Group();
+
+    // Emitter base
+    const baseGeometry = new THREE.CylinderGeometry(0.3, 0.34, 0.14, 8);
+    const baseMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.5,
+        metalness: 0.5
+    });
+    const base = new THREE.Mesh(baseGeometry, baseMaterial);
+    base.rotation.x = Math.PI / 2;
+    base.position.z = 0.07;
+    group.add(base);
+
+    // Projector dish -- faces forward (+Y)
+    const dishGeometry = new THREE.SphereGeometry(0.34, 16, 8, 0, Math.PI * 2, 0, Math.PI / 3);
+    const dishMaterial = new THREE.MeshStandardMaterial({
+        color: 0x99ffee,
+        emissive: 0x22bbaa,
+        emissiveIntensity: 0.5,
+        side: THREE.DoubleSide
+    });
+    const dish = new THREE.Mesh(dishGeometry, dishMaterial);
+    dish.position.set(0, -0.12, 0.18);
+    group.add(dish);
+
+    return group;
+}
+
+/**
+ * Creates a mesh for a uncommon-tier shield
+ * @param {string} type - The shield type key
+ * @returns {THREE.Group|null}
+ */
+function createUncommonShieldMesh(type) {
+    switch (type) {
+        case 'shield_halo': return createHaloMesh();
+        default: return null;
+    }
+}
+
+export { UNCOMMON_SHIELD_DEFINITIONS, createUncommonShieldMesh };
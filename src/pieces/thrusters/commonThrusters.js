@@ -18,6 +18,7 @@ const COMMON_THRUSTER_DEFINITIONS = {
         mass: 0.4,
         color: 0xDD3311,    // Hot red
         thrustForce: 1.8,
+        fuelBurn: 1.4,      // Fuel per second at full throttle
         // Overheat behavior
         overheat: {
             threshold: 0.6,      // Overheats if used more than 60% of the last 10 seconds
@@ -36,6 +37,7 @@ const COMMON_THRUSTER_DEFINITIONS = {
         mass: 0.5,
         color: 0x44AA88,    // Teal-green
         thrustForce: 1.0,
+        fuelBurn: 1.0,      // Fuel per second at full throttle
         // Side thrust -- secondary nozzle fires perpendicular (90 CW from main)
         sideThrust: {
             force: 1.0,
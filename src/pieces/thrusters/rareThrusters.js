@@ -18,6 +18,7 @@ const RARE_THRUSTER_DEFINITIONS = {
         mass: 0.3,
         color: 0x44cccc,    // Original thruster color -- Axiom cyan
         thrustForce: 2.0,
+        fuelBurn: 1.0,      // Fuel per second at full throttle
         // No drawbacks -- the gold standard
         description: 'Axiom\'s flagship. Industry-leading thrust-to-weight ratio, zero compromises. Overpriced, overengineered, and worth every credit.'
     }
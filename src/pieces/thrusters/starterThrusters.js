@@ -18,6 +18,7 @@ const STARTER_THRUSTER_DEFINITIONS = {
         mass: 0.7,          // Large Size -- heavy and bulky
         color: 0x8B6914,    // Rusty brown-gold
         thrustForce: 0.7,
+        fuelBurn: 0.8,      // Fuel per second at full throttle
         // No special behaviors, just weak and heavy
         description: 'Salvaged junkyard thruster. Cheap, heavy, underpowered. Gets the job done... barely.'
     },
@@ -31,6 +32,7 @@ const STARTER_THRUSTER_DEFINITIONS = {
         mass: 0.35,
         color: 0xCC7722,    // Warm orange
         thrustForce: 1.4,   // At full ramp
+        fuelBurn: 1.0,      // Fuel per second at full throttle
         // Ramp up behavior
         rampUp: {
             startPercent: 0.2,   // Starts at 20% thrust
@@ -18,6 +18,7 @@ const UNCOMMON_THRUSTER_DEFINITIONS = {
         mass: 0.45,
         color: 0x3366AA,    // Navy blue
         thrustForce: 1.4,
+        fuelBurn: 1.2,      // Fuel per second at full throttle
         // Back thrust -- secondary retro-nozzle fires in reverse direction
         backThrust: {
             force: 1.4,
@@ -35,14 +36,27 @@ const UNCOMMON_THRUSTER_DEFINITIONS = {
         mass: 0.5,
         color: 0x667744,    // Industrial grey-green
         thrustForce: 1.9,
+        fuelBurn: 3.0,      // Fuel hungry -- triple a typical thruster's burn
         // Short ramp up
         rampUp: {
             startPercent: 0.4,   // Starts at 40% thrust
             rampTime: 0.5        // Reaches full power in 0.5s
         },
-        // Fuel hungry (future disadvantage when fuel system exists)
-        fuelHungry: true,
         description: 'Industrial-grade brute-force engine. Nearly matches rare-tier output, but heavier and needs a moment to spool. Guzzles fuel like nothing else.'
+    },
+    thruster_halcyon_ion: {
+        name: 'Halcyon Ion Drive',
+        equipmentType: 'thruster',
+        tier: 'uncommon',
+        cost: 6,
+        width: 1,
+        height: 1,
+        mass: 0.4,
+        color: 0x5577CC,    // Ion blue
+        thrustForce: 1.5,
+        fuelBurn: 0,        // Burns no fuel...
+        powerDraw: 1.5,     // ...but draws energy per second at full throttle
+        description: 'Electric drive that never runs dry, as long as the reactor keeps up. Stalls first when the guns need the power.'
     }
 };
 
@@ -158,6 +172,43 @@ function createVolkovMesh() {
     return group;
 }
 
+/**
+ * Creates mesh for the Halcyon Ion Drive
+ * Slim emitter grid instead of a nozzle
+ * @returns {THREE.Group}
+ */
+function createHalcyonIonMesh() {
+    const def = UNCOMMON_THRUSTER_DEFINITIONS.thruster_halcyon_ion;
+    const group = new THREE.Group();
+
+    // Tapered housing
+    const coneGeometry = new THREE.ConeGeometry(0.28, 0.45, 12);
+    const coneMaterial = new THREE.MeshStandardMaterial({
+        color: def.color,
+        roughness: 0.3,
+        metalness: 0.6
+    });
+    const cone = new THREE.Mesh(coneGeometry, coneMaterial);
+    cone.rotation.x = Math.PI;
+    cone.position.set(0, 0.1, 0.15);
+    group.add(cone);
+
+    // Emitter grid -- flat glowing disc at the exhaust
+    const gridGeometry = new THREE.CircleGeometry(0.22, 16);
+    const gridMaterial = new THREE.MeshStandardMaterial({
+        color: 0x99ccff,
+        emissive: 0x3388ff,
+        emissiveIntensity: 0.6,
+        side: THREE.DoubleSide
+    });
+    const grid = new THREE.Mesh(gridGeometry, gridMaterial);
+    grid.rotation.x = Math.PI / 2;
+    grid.position.set(0, 0.33, 0.15);
+    group.add(grid);
+
+    return group;
+}
+
 /**
  * Creates a mesh for an uncommon-tier thruster
  * @param {string} type - The thruster type key
@@ -167,6 +218,7 @@ function createUncommonThrusterMesh(type) {
     switch (type) {
         case 'thruster_torrent': return createTorrentMesh();
         case 'thruster_volkov': return createVolkovMesh();
+        case 'thruster_halcyon_ion': return createHalcyonIonMesh();
         default: return null;
     }
 }
@@ -0,0 +1,253 @@
+// Replay persistence - IndexedDB storage and portable files for fight replays
+//
+// Separate database from ships and ML data. Only the most recent replays are
+// kept; older ones are pruned on save so storage doesn't grow without bound.
+//
+// Replay file format (.json, REPLAY_FILE_VERSION 1):
+//   {
+//     format: 'machine-arena-replay',
+//     fileVersion: 1,            // envelope version (this layout)
+//     replayVersion,             // REPLAY_VERSION of the payload (track encoding + sim rules)
+//     schemaVersion,             // ML SCHEMA_VERSION the fight was recorded under
+//     arenaKey,                  // resolved arena type key
+//     replay: {
+//       createdAt, seed, arenaKey, tickRate, ticks, duration,
+//       environment: { hazards, blockers } | null,   // level additions to the arena
+//       outcome: { result, winnerTeam },
+//       ships: [{ team, label, spawnX, spawnY, spawnTick, modelHash, layout: [{ type, col, row, angle }] }],
+//       tracks: [[[tick, buttonMask, aimX, aimY, towardX, towardY, turretX, turretY], ...], ...]
+//     }
+//   }
+// modelHash is hashModelTopology() of the ML model that drove the ship (null for
+// players and scripted controllers). See arena/replay.js for the track encoding.
+// A file plays back identically anywhere with the same replayVersion and tick
+// rate; models are not needed because every input is in the tracks.
+
+import { REPLAY_VERSION } from './arena/replay.js';
+import { SIM_TICK_RATE } from './arena/simulation.js';
+import { SCHEMA_VERSION } from './ml/schema.js';
+
+const DB_NAME = 'MachineArenaReplays';
+const DB_VERSION = 1;
+const STORE_NAME = 'replays';
+
+// Oldest replays beyond this count are deleted on save
+const MAX_SAVED_REPLAYS = 30;
+
+// Replay file envelope identifier and version
+const REPLAY_FILE_FORMAT = 'machine-arena-replay';
+const REPLAY_FILE_VERSION = 1;
+
+// ============================================================================
+// Database connection
+// ============================================================================
+
+function openReplayDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(STORE_NAME)) {
+                db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(new Error(`Replay DB open failed: ${request.error}`));
+    });
+}
+
+// ============================================================================
+// Save / Load / Delete
+// ============================================================================
+
+/**
+ * Saves a replay and prunes the oldest ones past MAX_SAVED_REPLAYS.
+ * Sets replay.id to the stored record ID.
+ * @param {object} replay - Finished replay from finishReplayRecording
+ * @returns {Promise<number>} The saved record ID
+ */
+async function saveReplay(replay) {
+    const db = await openReplayDatabase();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+
+    const record = { ...replay };
+    delete record.id;
+    const id = await new Promise((resolve, reject) => {
+        const req = store.add(record);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+
+    // Keys are auto-increment, so the lowest keys are the oldest replays
+    const keys = await getAllKeys(store);
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_SAVED_REPLAYS))) {
+        store.delete(key);
+    }
+
+    await txComplete(tx);
+    db.close();
+    replay.id = id;
+    console.log(`Saved replay (id: ${id}, ${replay.ticks} ticks)`);
+    return id;
+}
+
+/**
+ * Lists saved replays, newest first (summaries only, no input tracks).
+ * @returns {Promise<Array>} [{ id, createdAt, arenaKey, duration, outcome, ships: [{team, label}] }]
+ */
+async function listReplays() {
+    const db = await openReplayDatabase();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const records = await getAllRecords(tx.objectStore(STORE_NAME));
+    db.close();
+
+    return records.reverse().map(r => ({
+        id: r.id,
+        version: r.version,
+        createdAt: r.createdAt,
+        arenaKey: r.arenaKey,
+        duration: r.duration,
+        outcome: r.outcome,
+        ships: r.ships.map(s => ({ team: s.team, label: s.label }))
+    }));
+}
+
+/**
+ * Loads a full replay by ID.
+ * @param {number} id - Record ID
+ * @returns {Promise<object|null>} Replay or null
+ */
+async function loadReplay(id) {
+    const db = await openReplayDatabase();
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const record = await getRecord(tx.objectStore(STORE_NAME), id);
+    db.close();
+    return record ?? null;
+}
+
+/**
+ * Deletes a saved replay by ID.
+ * @param {number} id - Record ID
+ */
+async function deleteReplay(id) {
+    const db = await openReplayDatabase();
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    tx.objectStore(STORE_NAME).delete(id);
+    await txComplete(tx);
+    db.close();
+    console.log(`Deleted replay (id: ${id})`);
+}
+
+// ============================================================================
+// Replay files (download / upload)
+// ============================================================================
+
+/**
+ * Downloads a replay as a portable JSON file (see format at top of file)
+ * @param {object} replay - Replay from finishReplayRecording / loadReplay
+ */
+function downloadReplayAsJson(replay) {
+    const payload = { ...replay };
+    delete payload.id;
+    delete payload.version;
+    delete payload.schemaVersion;
+
+    const data = {
+        format: REPLAY_FILE_FORMAT,
+        fileVersion: REPLAY_FILE_VERSION,
+        replayVersion: replay.version,
+        schemaVersion: replay.schemaVersion ?? null,
+        arenaKey: replay.arenaKey,
+        replay: payload
+    };
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `replay-${replay.arenaKey}-${replay.createdAt}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parses an uploaded replay file and returns the replay (ready to watch or save)
+ * @param {string} jsonString - JSON content from uploaded file
+ * @returns {object} Replay object
+ */
+function parseReplayFromJson(jsonString) {
+    const data = JSON.parse(jsonString);
+    if (data.format !== REPLAY_FILE_FORMAT) {
+        throw new Error('Not a replay file');
+    }
+    if (data.fileVersion !== REPLAY_FILE_VERSION) {
+        throw new Error(`Replay file version mismatch: file v${data.fileVersion}, current v${REPLAY_FILE_VERSION}`);
+    }
+    if (data.replayVersion !== REPLAY_VERSION) {
+        throw new Error(`Replay version mismatch: file v${data.replayVersion}, current v${REPLAY_VERSION}`);
+    }
+
+    const replay = data.replay;
+    if (replay.tickRate !== SIM_TICK_RATE) {
+        throw new Error(`Replay tick rate mismatch: file ${replay.tickRate} Hz, current ${SIM_TICK_RATE} Hz`);
+    }
+    if (!Array.isArray(replay.ships) || !Array.isArray(replay.tracks) ||
+        replay.ships.length !== replay.tracks.length) {
+        throw new Error('Replay file is missing ships or input tracks');
+    }
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+        // Playback only needs the recorded inputs, so this is informational
+        console.warn(`Replay recorded under ML schema v${data.schemaVersion}, current v${SCHEMA_VERSION}`);
+    }
+
+    return {
+        ...replay,
+        version: data.replayVersion,
+        schemaVersion: data.schemaVersion,
+        arenaKey: data.arenaKey
+    };
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function txComplete(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function getAllRecords(store) {
+    return new Promise((resolve, reject) => {
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getAllKeys(store) {
+    return new Promise((resolve, reject) => {
+        const request = store.getAllKeys();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function getRecord(store, key) {
+    return new Promise((resolve, reject) => {
+        const request = store.get(key);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export {
+    saveReplay,
+    listReplays,
+    loadReplay,
+    deleteReplay,
+    downloadReplayAsJson,
+    parseReplayFromJson
+};
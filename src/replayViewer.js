@@ -0,0 +1,529 @@
+// Replay viewer - replay list dialog and playback control bar
+//
+// Pure UI: playback itself lives in arena.js. The caller (main.js) wires the
+// callbacks and feeds getReplayPlayback() into updateReplayControls() each frame.
+
+import { saveReplay, listReplays, loadReplay, deleteReplay, downloadReplayAsJson, parseReplayFromJson } from './replayPersistence.js';
+import { REPLAY_VERSION } from './arena/replay.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let listEl = null;
+let controlsEl = null;
+let stylesInjected = false;
+let controlCallbacks = null;
+let scrubbing = false;        // True while the user drags the timeline
+let lastRenderedKey = '';     // Skips DOM writes when nothing visible changed
+let playbackState = null;     // Latest state passed to updateReplayControls
+
+// Seconds skipped by the arrow keys
+const ARROW_SEEK_SECONDS = 2;
+
+// Zoom multiplier per +/- click
+const ZOOM_STEP = 1.5;
+
+// Result suffix by how the fight was decided (fights won on cores get none)
+const DECIDED_BY_LABELS = {
+    damage: ' on damage',
+    points: ' on points',
+    objective: ' on objective'
+};
+
+// ============================================================================
+// Replay list
+// ============================================================================
+
+/**
+ * Shows the saved replay list.
+ * @param {object} callbacks - { onWatch(id), onClose() }
+ */
+async function showReplayList(callbacks) {
+    ensureStyles();
+    if (!listEl) {
+        listEl = document.createElement('div');
+        listEl.id = 'replay-list-overlay';
+        document.body.appendChild(listEl);
+    }
+    listEl.innerHTML = `
+        <div class="rv-list-box">
+            <div class="rv-list-title">REPLAYS</div>
+            <div class="rv-list-body" id="rv-list-body">
+                <div class="rv-list-empty">Loading...</div>
+            </div>
+            <div class="rv-list-status" id="rv-list-status"></div>
+            <div class="rv-list-buttons">
+                <button class="rv-btn" id="rv-list-import" title="Load a replay file">Import...</button>
+                <button class="rv-btn" id="rv-list-close">Close</button>
+                <input type="file" id="rv-list-file" accept=".json,application/json" hidden>
+            </div>
+        </div>
+    `;
+    listEl.classList.remove('hidden');
+
+    const fileInput = document.getElementById('rv-list-file');
+    document.getElementById('rv-list-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) importReplayFile(file, callbacks);
+    });
+
+    document.getElementById('rv-list-close').addEventListener('click', () => {
+        hideReplayList();
+        if (callbacks.onClose) callbacks.onClose();
+    });
+
+    await refreshReplayRows(callbacks);
+}
+
+/**
+ * Reloads the saved replays and re-renders the list body
+ * @param {object} callbacks - { onWatch(id) }
+ */
+async function refreshReplayRows(callbacks) {
+    let replays;
+    try {
+        replays = await listReplays();
+    } catch (err) {
+        console.error('Failed to load replays:', err.message);
+        replays = [];
+    }
+    renderReplayRows(replays, callbacks);
+}
+
+/**
+ * Reads a replay file, saves it alongside the recorded replays, and
+ * refreshes the list. Bad files are reported in the list's status line.
+ * @param {File} file - File picked by the user
+ * @param {object} callbacks - { onWatch(id) }
+ */
+async function importReplayFile(file, callbacks) {
+    const status = document.getElementById('rv-list-status');
+    try {
+        const replay = parseReplayFromJson(await file.text());
+        await saveReplay(replay);
+        status.textContent = `Imported ${file.name}`;
+        status.classList.remove('rv-status-error');
+    } catch (err) {
+        console.error('Failed to import replay:', err.message);
+        status.textContent = `Import failed: ${err.message}`;
+        status.classList.add('rv-status-error');
+        return;
+    }
+    await refreshReplayRows(callbacks);
+}
+
+/**
+ * Loads a saved replay and downloads it as a replay file
+ * @param {number} id - Replay record ID
+ */
+async function exportReplay(id) {
+    const replay = await loadReplay(id);
+    if (!replay) {
+        console.error(`Replay ${id} not found`);
+        return;
+    }
+    downloadReplayAsJson(replay);
+}
+
+/**
+ * Hides the replay list.
+ */
+function hideReplayList() {
+    if (listEl) listEl.classList.add('hidden');
+}
+
+/**
+ * Fills the list body with one row per replay
+ * @param {Array} replays - Summaries from listReplays()
+ * @param {object} callbacks - { onWatch(id) }
+ */
+function renderReplayRows(replays, callbacks) {
+    const body = document.getElementById('rv-list-body');
+    if (!body) return;
+
+    if (replays.length === 0) {
+        body.innerHTML = '<div class="rv-list-empty">No replays yet. Fights are recorded automatically.</div>';
+        return;
+    }
+
+    body.innerHTML = '';
+    for (const replay of replays) {
+        const row = document.createElement('div');
+        row.className = 'rv-row';
+        const result = replay.outcome?.result;
+        const resultLabel = (result === 'won' ? 'Won' : result === 'lost' ? 'Lost' : 'No result') +
+            (DECIDED_BY_LABELS[replay.outcome?.decidedBy] ?? '');
+        const names = replay.ships.map(s => s.label).join(' vs ');
+        // Replays from another REPLAY_VERSION would desync, so they can only be deleted or exported
+        const playable = replay.version === REPLAY_VERSION;
+        row.innerHTML = `
+            <div class="rv-row-info">
+                <div class="rv-row-names">${escapeHtml(names)}</div>
+                <div class="rv-row-meta">
+                    ${new Date(replay.createdAt).toLocaleString()} &middot;
+                    ${escapeHtml(replay.arenaKey)} &middot;
+                    ${formatTime(replay.duration)}
+                </div>
+            </div>
+            <span class="rv-row-result rv-result-${result || 'none'}">${resultLabel}</span>
+            <button class="rv-btn rv-btn-primary rv-row-watch"${playable ? '' : ' disabled title="Recorded under older simulation rules; it would not play back the same"'}>Watch</button>
+            <button class="rv-btn rv-row-export" title="Download replay file">Export</button>
+            <button class="rv-btn rv-row-delete" title="Delete replay">&times;</button>
+        `;
+        row.querySelector('.rv-row-watch').addEventListener('click', () => {
+            hideReplayList();
+            callbacks.onWatch(replay.id);
+        });
+        row.querySelector('.rv-row-export').addEventListener('click', () => exportReplay(replay.id));
+        row.querySelector('.rv-row-delete').addEventListener('click', async () => {
+            await deleteReplay(replay.id);
+            row.remove();
+            if (!body.querySelector('.rv-row')) renderReplayRows([], callbacks);
+        });
+        body.appendChild(row);
+    }
+}
+
+// ============================================================================
+// Playback controls
+// ============================================================================
+
+/**
+ * Shows the playback control bar.
+ * @param {object} callbacks - { onPlayPause(), onSeek(tick), onSpeed(speed),
+ *   onFollow(index|null), onZoom(zoom), onClose() }
+ */
+function showReplayControls(callbacks) {
+    ensureStyles();
+    controlCallbacks = callbacks;
+    lastRenderedKey = '';
+    playbackState = null;
+    scrubbing = false;
+
+    if (!controlsEl) {
+        controlsEl = document.createElement('div');
+        controlsEl.id = 'replay-controls';
+        document.body.appendChild(controlsEl);
+    }
+    controlsEl.innerHTML = `
+        <button class="rv-btn rv-btn-primary rv-play" id="rv-play">Pause</button>
+        <input type="range" class="rv-scrub" id="rv-scrub" min="0" max="0" value="0">
+        <span class="rv-time" id="rv-time">0:00 / 0:00</span>
+        <select class="rv-speed" id="rv-speed" title="Playback speed"></select>
+        <div class="rv-camera" id="rv-camera"></div>
+        <button class="rv-btn rv-zoom" id="rv-zoom-out" title="Zoom out">&minus;</button>
+        <button class="rv-btn rv-zoom" id="rv-zoom-in" title="Zoom in">+</button>
+        <button class="rv-btn" id="rv-close">Close</button>
+    `;
+    controlsEl.classList.remove('hidden');
+
+    const scrub = document.getElementById('rv-scrub');
+    scrub.addEventListener('pointerdown', () => { scrubbing = true; });
+    scrub.addEventListener('pointerup', () => { scrubbing = false; });
+    scrub.addEventListener('input', () => callbacks.onSeek(Number(scrub.value)));
+
+    document.getElementById('rv-play').addEventListener('click', () => callbacks.onPlayPause());
+    document.getElementById('rv-speed').addEventListener('change', (e) => callbacks.onSpeed(Number(e.target.value)));
+    document.getElementById('rv-close').addEventListener('click', () => callbacks.onClose());
+    window.addEventListener('keydown', onControlsKeyDown);
+}
+
+/**
+ * Hides the playback control bar and drops its key bindings.
+ */
+function hideReplayControls() {
+    if (controlsEl) controlsEl.classList.add('hidden');
+    window.removeEventListener('keydown', onControlsKeyDown);
+    controlCallbacks = null;
+    playbackState = null;
+}
+
+/**
+ * Syncs the control bar with the current playback state. Call once per frame.
+ * @param {object|null} state - From getReplayPlayback()
+ */
+function updateReplayControls(state) {
+    if (!state || !controlsEl || !controlCallbacks) return;
+    playbackState = state;
+
+    const key = [state.tick, state.playing, state.speed, state.follow, state.zoom,
+        state.ships.map(s => s.destroyed).join()].join('|');
+    if (key === lastRenderedKey) return;
+    const firstRender = lastRenderedKey === '';
+    lastRenderedKey = key;
+
+    if (firstRender) buildStaticControls(state);
+
+    const scrub = document.getElementById('rv-scrub');
+    if (!scrubbing) scrub.value = String(state.tick);
+
+    document.getElementById('rv-play').textContent = state.playing ? 'Pause' : 'Play';
+    document.getElementById('rv-time').textContent =
+        `${formatTime(state.tick / state.tickRate)} / ${formatTime(state.ticks / state.tickRate)}`;
+    document.getElementById('rv-speed').value = String(state.speed);
+
+    const cameraButtons = document.querySelectorAll('#rv-camera .rv-btn');
+    cameraButtons.forEach(btn => {
+        const follow = btn.dataset.follow === '' ? null : Number(btn.dataset.follow);
+        btn.classList.toggle('active', follow === state.follow);
+        if (follow !== null) btn.classList.toggle('rv-destroyed', state.ships[follow].destroyed);
+    });
+}
+
+/**
+ * Builds the parts of the bar that depend on the replay but not the tick:
+ * timeline length, speed options, per-ship camera buttons, zoom.
+ * @param {object} state - From getReplayPlayback()
+ */
+function buildStaticControls(state) {
+    document.getElementById('rv-scrub').max = String(state.ticks);
+
+    const speedSelect = document.getElementById('rv-speed');
+    speedSelect.innerHTML = state.speeds
+        .map(speed => `<option value="${speed}">${speed}x</option>`)
+        .join('');
+
+    const camera = document.getElementById('rv-camera');
+    const options = [{ label: 'Arena', follow: null },
+        ...state.ships.map((ship, i) => ({ label: ship.label, follow: i }))];
+    camera.innerHTML = '';
+    for (const option of options) {
+        const btn = document.createElement('button');
+        btn.className = 'rv-btn rv-cam-btn';
+        btn.textContent = option.label;
+        btn.dataset.follow = option.follow === null ? '' : String(option.follow);
+        btn.addEventListener('click', () => controlCallbacks.onFollow(option.follow));
+        camera.appendChild(btn);
+    }
+
+    const zoomBy = (factor) => controlCallbacks.onZoom(playbackState.zoom * factor);
+    document.getElementById('rv-zoom-in').addEventListener('click', () => zoomBy(ZOOM_STEP));
+    document.getElementById('rv-zoom-out').addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+}
+
+/**
+ * Space toggles play/pause; arrow keys skip back/forward
+ */
+function onControlsKeyDown(event) {
+    if (!controlCallbacks || !playbackState) return;
+    if (event.target.tagName === 'INPUT' && event.target.type !== 'range') return;
+
+    const { tick, tickRate } = playbackState;
+    switch (event.code) {
+        case 'Space':
+            controlCallbacks.onPlayPause();
+            event.preventDefault();
+            break;
+        case 'ArrowLeft':
+            controlCallbacks.onSeek(tick - ARROW_SEEK_SECONDS * tickRate);
+            event.preventDefault();
+            break;
+        case 'ArrowRight':
+            controlCallbacks.onSeek(tick + ARROW_SEEK_SECONDS * tickRate);
+            event.preventDefault();
+            break;
+    }
+}
+
+// ============================================================================
+// Internal helpers
+// ============================================================================
+
+/** Formats seconds as m:ss */
+function formatTime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const m = Math.floor(total / 60);
+    const s = total % 60;
+    return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function ensureStyles() {
+    if (stylesInjected || document.getElementById('rv-styles')) return;
+    stylesInjected = true;
+    const style = document.createElement('style');
+    style.id = 'rv-styles';
+    style.textContent = `
+        #replay-list-overlay {
+            position: fixed;
+            top: 0; left: 0;
+            width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.82);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 3000;
+        }
+        #replay-list-overlay.hidden,
+        #replay-controls.hidden {
+            display: none;
+        }
+        .rv-list-box {
+            width: 560px;
+            max-height: calc(100vh - 80px);
+            display: flex;
+            flex-direction: column;
+            background: #1a1a2e;
+            border: 1px solid #2d3748;
+            border-radius: 8px;
+            padding: 18px;
+            font-family: 'Segoe UI', sans-serif;
+        }
+        .rv-list-title {
+            font-size: 22px;
+            font-weight: 700;
+            letter-spacing: 3px;
+            color: #ffcc00;
+            text-align: center;
+            margin-bottom: 12px;
+        }
+        .rv-list-body {
+            overflow-y: auto;
+            flex: 1;
+        }
+        .rv-list-empty {
+            color: #718096;
+            font-size: 13px;
+            text-align: center;
+            padding: 24px 0;
+        }
+        .rv-row {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 8px 6px;
+            border-bottom: 1px solid #2d3748;
+        }
+        .rv-row-info {
+            flex: 1;
+            min-width: 0;
+        }
+        .rv-row-names {
+            color: #e2e8f0;
+            font-size: 14px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
+        .rv-row-meta {
+            color: #718096;
+            font-size: 11px;
+            margin-top: 2px;
+        }
+        .rv-row-result {
+            font-size: 12px;
+            font-weight: 600;
+            width: 64px;
+            text-align: center;
+        }
+        .rv-result-won  { color: #ffcc00; }
+        .rv-result-lost { color: #fc8181; }
+        .rv-result-none { color: #718096; }
+        .rv-list-status {
+            color: #a0aec0;
+            font-size: 12px;
+            text-align: center;
+            min-height: 16px;
+            margin-top: 10px;
+        }
+        .rv-list-status.rv-status-error { color: #fc8181; }
+        .rv-list-buttons {
+            display: flex;
+            justify-content: center;
+            gap: 10px;
+            margin-top: 8px;
+        }
+        .rv-btn {
+            padding: 6px 14px;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 13px;
+            font-weight: 600;
+            background: #4a5568;
+            color: #e2e8f0;
+            transition: background 0.15s;
+        }
+        .rv-btn:hover { background: #5a6578; }
+        .rv-btn.active {
+            background: #2b6cb0;
+        }
+        .rv-btn-primary {
+            background: linear-gradient(135deg, #ffcc00, #ff9900);
+            color: #1a1a2e;
+        }
+        .rv-btn-primary:hover {
+            background: linear-gradient(135deg, #ffd633, #ffaa22);
+        }
+        .rv-btn:disabled,
+        .rv-btn:disabled:hover {
+            background: #4a5568;
+            color: #718096;
+            cursor: not-allowed;
+        }
+        .rv-btn.rv-destroyed {
+            text-decoration: line-through;
+            opacity: 0.7;
+        }
+        #replay-controls {
+            position: fixed;
+            left: 50%;
+            bottom: 16px;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 12px;
+            background: rgba(26, 26, 46, 0.92);
+            border: 1px solid #2d3748;
+            border-radius: 8px;
+            z-index: 2500;
+            font-family: 'Segoe UI', sans-serif;
+        }
+        .rv-play { width: 64px; }
+        .rv-scrub { width: 280px; }
+        .rv-time {
+            font-family: monospace;
+            font-size: 12px;
+            color: #a0aec0;
+            min-width: 84px;
+            text-align: center;
+        }
+        .rv-speed {
+            background: #2d3748;
+            color: #e2e8f0;
+            border: 1px solid #4a5568;
+            border-radius: 4px;
+            padding: 4px;
+        }
+        .rv-camera {
+            display: flex;
+            gap: 4px;
+        }
+        .rv-cam-btn {
+            max-width: 110px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .rv-zoom { width: 30px; padding: 6px 0; }
+    `;
+    document.head.appendChild(style);
+}
+
+export {
+    showReplayList,
+    hideReplayList,
+    showReplayControls,
+    hideReplayControls,
+    updateReplayControls
+};
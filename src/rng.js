@@ -0,0 +1,157 @@
+// RNG module - seedable deterministic random streams
+//
+// Every roll that can change a fight or a run draws from a named stream
+// instead of Math.random(), so a seed is enough to reproduce the outcome.
+// Streams are independent: rerolling the shop never shifts combat spread.
+//
+//   combat - cannon spread (seeded per fight)
+//   ai     - random controller decisions (seeded per fight). Kept apart from
+//            combat so a replay that feeds recorded inputs instead of running
+//            the controllers still draws the same spread rolls.
+//   shop   - tier + item rolls (seeded per run)
+//   arena  - random arena type selection (seeded per run)
+
+// Stream names (use these instead of string literals)
+const RNG_STREAMS = {
+    COMBAT: 'combat',
+    AI: 'ai',
+    SHOP: 'shop',
+    ARENA: 'arena'
+};
+
+// mulberry32 works on unsigned 32-bit state
+const UINT32_RANGE = 0x100000000;
+
+// FNV-1a constants for mixing a stream name into a seed
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+// Current 32-bit state per stream
+const streamStates = new Map();
+
+// ============================================================================
+// Seeding
+// ============================================================================
+
+/**
+ * Creates a fresh random seed. This is the only place allowed to touch
+ * Math.random() - everything downstream is reproducible from its result.
+ * @returns {number} Unsigned 32-bit seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * UINT32_RANGE) >>> 0;
+}
+
+/**
+ * Mixes a label into a seed so one master seed can feed several streams
+ * without them producing identical sequences.
+ * @param {number} seed - Master seed
+ * @param {string} label - Stream or purpose label
+ * @returns {number} Unsigned 32-bit derived seed
+ */
+function deriveSeed(seed, label) {
+    let hash = (FNV_OFFSET ^ (seed >>> 0)) >>> 0;
+    for (let i = 0; i < label.length; i++) {
+        hash ^= label.charCodeAt(i);
+        hash = Math.imul(hash, FNV_PRIME) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Seeds (or reseeds) a stream. The stream's sequence restarts from the seed.
+ * @param {string} name - Stream name from RNG_STREAMS
+ * @param {number} seed - Seed value (coerced to unsigned 32-bit)
+ */
+function seedStream(name, seed) {
+    assertKnownStream(name);
+    streamStates.set(name, deriveSeed(seed, name));
+}
+
+/**
+ * Returns a stream's internal state so it can be persisted mid-sequence.
+ * @param {string} name - Stream name
+ * @returns {number} Unsigned 32-bit state
+ */
+function getStreamState(name) {
+    assertKnownStream(name);
+    return streamStates.get(name);
+}
+
+/**
+ * Restores a stream to a state previously returned by getStreamState().
+ * @param {string} name - Stream name
+ * @param {number} state - Saved state
+ */
+function setStreamState(name, state) {
+    assertKnownStream(name);
+    streamStates.set(name, state >>> 0);
+}
+
+/** Throws on unknown stream names so typos don't silently share a sequence */
+function assertKnownStream(name) {
+    if (!Object.values(RNG_STREAMS).includes(name)) {
+        throw new Error(`Unknown RNG stream "${name}"`);
+    }
+}
+
+// ============================================================================
+// Drawing
+// ============================================================================
+
+/**
+ * Draws the next float in [0, 1) from a stream (mulberry32).
+ * @param {string} name - Stream name
+ * @returns {number}
+ */
+function random(name) {
+    let state = getStreamState(name);
+    state = (state + 0x6d2b79f5) >>> 0;
+    streamStates.set(name, state);
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+}
+
+/**
+ * Draws an integer in [0, count) from a stream.
+ * @param {string} name - Stream name
+ * @param {number} count - Exclusive upper bound
+ * @returns {number}
+ */
+function randomInt(name, count) {
+    return Math.floor(random(name) * count);
+}
+
+/**
+ * Draws a float in [-1, 1) from a stream (for symmetric spread/jitter).
+ * @param {string} name - Stream name
+ * @returns {number}
+ */
+function randomSigned(name) {
+    return random(name) * 2 - 1;
+}
+
+// Streams start from an unreproducible seed until a run or fight seeds them,
+// so callers never hit an unseeded stream.
+for (const name of Object.values(RNG_STREAMS)) {
+    seedStream(name, generateSeed());
+}
+
+// ============================================================================
+// Exports
+// ============================================================================
+
+export {
+    RNG_STREAMS,
+    generateSeed,
+    deriveSeed,
+    seedStream,
+    getStreamState,
+    setStreamState,
+    random,
+    randomInt,
+    randomSigned
+};
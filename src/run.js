@@ -2,6 +2,10 @@
 //
 // A run ties together the ship name, stage progression, money, and a version
 // stamp. Bumping RUN_VERSION invalidates all old runs, forcing a fresh start.
+// Each run also carries an RNG seed; the run-scoped streams (shop, arena) are
+// seeded from it and their position is saved alongside the rest of the run.
+
+import { RNG_STREAMS, generateSeed, seedStream, getStreamState, setStreamState } from './rng.js';
 
 const RUN_STORAGE_KEY = 'currentRun';
 
@@ -11,13 +15,16 @@ const RUN_VERSION = 1;
 // Every new run starts with this much money
 const STARTING_MONEY = 15;
 
+// RNG streams whose position belongs to the run (combat is seeded per fight)
+const RUN_RNG_STREAMS = [RNG_STREAMS.SHOP, RNG_STREAMS.ARENA];
+
 // ============================================================================
 // Core run CRUD
 // ============================================================================
 
 /**
  * Returns the current run object from localStorage, or null if none exists.
- * @returns {{ shipName: string, stage: number, completedStages: number[], money: number, runVersion: number } | null}
+ * @returns {{ shipName: string, stage: number, completedStages: number[], money: number, seed: number, runVersion: number } | null}
  */
 function getCurrentRun() {
     try {
@@ -49,20 +56,26 @@ function startNewRun(shipName) {
         stage: 1,
         completedStages: [],
         money: STARTING_MONEY,
+        seed: generateSeed(),
         runVersion: RUN_VERSION
     };
     localStorage.setItem(RUN_STORAGE_KEY, JSON.stringify(run));
+    restoreRunRng();
 
     // Clear legacy standalone keys so they don't confuse anything
     localStorage.removeItem('currentStage');
     localStorage.removeItem('completedStages');
     localStorage.removeItem('shipName');
 
-    console.log(`New run started: "${shipName}" (stage 1, ${STARTING_MONEY} credits)`);
+    console.log(`New run started: "${shipName}" (stage 1, ${STARTING_MONEY} credits, seed ${run.seed})`);
 }
 
-/** Persists the run object (internal helper). */
+/** Persists the run object, including run-scoped RNG positions (internal helper). */
 function _saveRun(run) {
+    run.rngState = {};
+    for (const name of RUN_RNG_STREAMS) {
+        run.rngState[name] = getStreamState(name);
+    }
     localStorage.setItem(RUN_STORAGE_KEY, JSON.stringify(run));
 }
 
@@ -142,6 +155,56 @@ function getRunShipName() {
     return run ? run.shipName : 'unnamed';
 }
 
+// ============================================================================
+// RNG helpers
+// ============================================================================
+
+/**
+ * Returns the run's RNG seed. Runs created before seeds existed get one
+ * assigned (and saved) on first access.
+ * @returns {number|null} Seed, or null if no run
+ */
+function getRunSeed() {
+    const run = getCurrentRun();
+    if (!run) return null;
+    if (run.seed == null) {
+        run.seed = generateSeed();
+        _saveRun(run);
+    }
+    return run.seed;
+}
+
+/**
+ * Points the run-scoped RNG streams at the current run: resumes from the
+ * saved stream positions, or starts from the run seed if none were saved.
+ * Call once the run is known (after the landing screen).
+ */
+function restoreRunRng() {
+    const run = getCurrentRun();
+    if (!run) return;
+
+    // Read saved positions before getRunSeed() may rewrite a legacy run
+    const savedState = run.rngState || {};
+    const seed = getRunSeed();
+    for (const name of RUN_RNG_STREAMS) {
+        if (savedState[name] != null) {
+            setStreamState(name, savedState[name]);
+        } else {
+            seedStream(name, seed);
+        }
+    }
+}
+
+/**
+ * Saves the current run-scoped RNG positions into the run.
+ * Call after drawing from a run stream outside of another run write.
+ */
+function saveRunRngState() {
+    const run = getCurrentRun();
+    if (!run) return;
+    _saveRun(run);
+}
+
 // ============================================================================
 // Money helpers
 // ============================================================================
@@ -226,6 +289,9 @@ export {
     retreatRunStage,
     getRunCompletedStages,
     getRunShipName,
+    getRunSeed,
+    restoreRunRng,
+    saveRunRngState,
     getRunMoney,
     spendMoney,
     addMoney,
@@ -8,8 +8,10 @@ import { BLOCK_DEFINITIONS } from './pieces/blocks.js';
 import { EQUIPMENT_DEFINITIONS } from './pieces/equipment.js';
 import { createPiece, removePiece, getPieceDefinition, PieceCategory } from './pieces/piece.js';
 import { getRandomBinPosition } from './bin.js';
-import { getRunMoney, spendMoney, addMoney, saveInventory } from './run.js';
+import { getRunMoney, spendMoney, addMoney, saveInventory, saveRunRngState } from './run.js';
 import { getShipLayout } from './layout.js';
+import { RNG_STREAMS, random, randomInt } from './rng.js';
+import { getDamageTypeLabel } from './pieces/damageTypes.js';
 
 // ============================================================================
 // Constants
@@ -98,11 +100,11 @@ function buildItemPool() {
 // ============================================================================
 
 /**
- * Picks a random tier according to TIER_WEIGHTS.
+ * Picks a random tier according to TIER_WEIGHTS (shop RNG stream).
  * @returns {string}
  */
 function pickRandomTier() {
-    const r = Math.random();
+    const r = random(RNG_STREAMS.SHOP);
     let cumulative = 0;
     for (const { tier, weight } of TIER_WEIGHTS) {
         cumulative += weight;
@@ -112,7 +114,8 @@ function pickRandomTier() {
 }
 
 /**
- * Rolls all 6 shop slots.
+ * Rolls all 6 shop slots from the shop RNG stream, then persists the
+ * stream position on the run so a reload continues the same sequence.
  */
 function rollShop() {
     if (!poolByTier) buildItemPool();
@@ -128,9 +131,10 @@ function rollShop() {
             pool = poolByTier.get(tier);
         }
 
-        const item = pool[Math.floor(Math.random() * pool.length)];
+        const item = pool[randomInt(RNG_STREAMS.SHOP, pool.length)];
         slots.push({ ...item, sold: false });
     }
+    saveRunRngState();
 
     renderSlots();
 }
@@ -353,8 +357,8 @@ function initShop(gameState, callbacks = {}) {
         document.body.appendChild(shopPanelEl);
     }
 
-    // Initial roll
-    rollShop();
+    // AIDEV-NOTE: No initial roll here - the run (and its shop RNG stream)
+    // isn't known yet. main.js calls rollShop() after restoreRunRng().
 }
 
 /**
@@ -448,8 +452,21 @@ function buildTooltipHTML(slot) {
     if (def.mass != null) stats.push(['Mass', def.mass]);
     if (def.width != null && def.height != null) stats.push(['Size', `${def.width}×${def.height}`]);
     if (def.damage != null) stats.push(['Damage', def.damage]);
+    if (def.damagePerSecond != null) stats.push(['DPS', def.damagePerSecond]);
+    if (def.damageType != null) stats.push(['Damage Type', getDamageTypeLabel(def.damageType)]);
+    if (def.resistances) {
+        for (const [damageType, resistance] of Object.entries(def.resistances)) {
+            stats.push([`${getDamageTypeLabel(damageType)} Resist`, `${Math.round(resistance * 100)}%`]);
+        }
+    }
+    if (def.ramDamage != null) stats.push(['Ram Damage', `×${def.ramDamage}`]);
     if (def.reloadTime != null) stats.push(['Reload', `${def.reloadTime}s`]);
-    if (def.projectileSpeed != null) stats.push(['Proj Speed', def.projectileSpeed]);
+    if (def.projectileSpeed != null) stats.push(['Proj Speed', def.maxSpeed ?? def.projectileSpeed]);
+    if (def.turnRate != null) stats.push(['Homing', `${def.turnRate} rad/s`]);
+    if (def.explosive) stats.push(['Blast Radius', def.explosive.radius]);
+    if (def.projectileHp != null) stats.push(['Proj HP', Number.isFinite(def.projectileHp) ? def.projectileHp : 'Unstoppable']);
+    if (def.range != null) stats.push(['Range', def.range]);
+    if (def.recoil != null) stats.push(['Recoil', def.recoil]);
     if (def.spread != null) stats.push(['Spread', `±${(def.spread * (180 / Math.PI)).toFixed(1)}°`]);
     if (def.thrustForce != null) stats.push(['Thrust', def.thrustForce]);
 
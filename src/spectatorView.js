@@ -0,0 +1,245 @@
+// Spectator view - control bar for watching AI-vs-AI fights
+//
+// Pure UI: the spectator camera and overlays live in arena.js. The caller
+// (main.js) wires the callbacks and feeds getSpectatorState() into
+// updateSpectatorControls() each frame.
+
+// ============================================================================
+// State
+// ============================================================================
+
+let controlsEl = null;
+let stylesInjected = false;
+let controlCallbacks = null;
+let lastRenderedKey = '';     // Skips DOM writes when nothing visible changed
+let spectatorState = null;    // Latest state passed to updateSpectatorControls
+
+// Zoom multiplier per +/- click
+const ZOOM_STEP = 1.5;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Shows the spectator control bar.
+ * @param {object} callbacks - { onFollow(index|null), onZoom(zoom),
+ *   onToggleDebug(index, 'thrust'|'sensing'), onClose() }
+ */
+function showSpectatorControls(callbacks) {
+    ensureStyles();
+    controlCallbacks = callbacks;
+    lastRenderedKey = '';
+    spectatorState = null;
+
+    if (!controlsEl) {
+        controlsEl = document.createElement('div');
+        controlsEl.id = 'spectator-controls';
+        document.body.appendChild(controlsEl);
+    }
+    controlsEl.innerHTML = `
+        <div class="sv-ships" id="sv-ships"></div>
+        <div class="sv-camera" id="sv-camera"></div>
+        <button class="sv-btn sv-zoom" id="sv-zoom-out" title="Zoom out">&minus;</button>
+        <button class="sv-btn sv-zoom" id="sv-zoom-in" title="Zoom in">+</button>
+        <span class="sv-result" id="sv-result"></span>
+        <button class="sv-btn" id="sv-close">Exit</button>
+    `;
+    controlsEl.classList.remove('hidden');
+
+    const zoomBy = (factor) => {
+        if (spectatorState) callbacks.onZoom(spectatorState.zoom * factor);
+    };
+    document.getElementById('sv-zoom-in').addEventListener('click', () => zoomBy(ZOOM_STEP));
+    document.getElementById('sv-zoom-out').addEventListener('click', () => zoomBy(1 / ZOOM_STEP));
+    document.getElementById('sv-close').addEventListener('click', () => callbacks.onClose());
+}
+
+/**
+ * Hides the spectator control bar.
+ */
+function hideSpectatorControls() {
+    if (controlsEl) controlsEl.classList.add('hidden');
+    controlCallbacks = null;
+    spectatorState = null;
+}
+
+/**
+ * Syncs the control bar with the spectator state. Call once per frame.
+ * @param {object|null} state - From getSpectatorState()
+ */
+function updateSpectatorControls(state) {
+    if (!state || !controlsEl || !controlCallbacks) return;
+    spectatorState = state;
+
+    const key = [state.follow, state.finished, state.winnerTeam,
+        state.ships.map(s => [s.destroyed, s.thrust, s.sensing].join()).join('|')].join('|');
+    if (key === lastRenderedKey) return;
+    const firstRender = lastRenderedKey === '';
+    lastRenderedKey = key;
+
+    if (firstRender) buildShipControls(state);
+
+    document.querySelectorAll('#sv-camera .sv-btn').forEach(btn => {
+        const follow = btn.dataset.follow === '' ? null : Number(btn.dataset.follow);
+        btn.classList.toggle('active', follow === state.follow);
+        if (follow !== null) btn.classList.toggle('sv-destroyed', state.ships[follow].destroyed);
+    });
+    document.querySelectorAll('#sv-ships .sv-toggle').forEach(btn => {
+        const ship = state.ships[Number(btn.dataset.ship)];
+        btn.classList.toggle('active', ship[btn.dataset.overlay]);
+    });
+
+    const result = document.getElementById('sv-result');
+    if (!state.finished) {
+        result.textContent = '';
+    } else if (state.winnerTeam === null) {
+        result.textContent = 'Draw';
+    } else {
+        const winner = state.ships.find(s => s.team === state.winnerTeam);
+        result.textContent = `${winner ? winner.label : `Team ${state.winnerTeam}`} wins`;
+    }
+}
+
+// ============================================================================
+// Internal helpers
+// ============================================================================
+
+/**
+ * Builds the per-ship parts of the bar: camera buttons and debug toggles
+ * @param {object} state - From getSpectatorState()
+ */
+function buildShipControls(state) {
+    const camera = document.getElementById('sv-camera');
+    const options = [{ label: 'Free', follow: null },
+        ...state.ships.map((ship, i) => ({ label: ship.label, follow: i }))];
+    camera.innerHTML = '';
+    for (const option of options) {
+        const btn = document.createElement('button');
+        btn.className = 'sv-btn sv-cam-btn';
+        btn.textContent = option.label;
+        btn.title = option.follow === null ? 'Free camera (0)' : `Follow (${option.follow + 1})`;
+        btn.dataset.follow = option.follow === null ? '' : String(option.follow);
+        btn.addEventListener('click', () => controlCallbacks.onFollow(option.follow));
+        camera.appendChild(btn);
+    }
+
+    const ships = document.getElementById('sv-ships');
+    ships.innerHTML = '';
+    state.ships.forEach((ship, i) => {
+        const group = document.createElement('div');
+        group.className = `sv-ship sv-team-${ship.team}`;
+        group.innerHTML = `<span class="sv-ship-label">${escapeHtml(ship.label)}</span>`;
+        for (const [overlay, label] of [['thrust', 'Thrust'], ['sensing', 'Sensing']]) {
+            const btn = document.createElement('button');
+            btn.className = 'sv-btn sv-toggle';
+            btn.textContent = label;
+            btn.dataset.ship = String(i);
+            btn.dataset.overlay = overlay;
+            btn.addEventListener('click', () => controlCallbacks.onToggleDebug(i, overlay));
+            group.appendChild(btn);
+        }
+        ships.appendChild(group);
+    });
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function ensureStyles() {
+    if (stylesInjected || document.getElementById('sv-styles')) return;
+    stylesInjected = true;
+    const style = document.createElement('style');
+    style.id = 'sv-styles';
+    style.textContent = `
+        #spectator-controls {
+            position: fixed;
+            left: 50%;
+            bottom: 16px;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 12px;
+            background: rgba(26, 26, 46, 0.92);
+            border: 1px solid #2d3748;
+            border-radius: 8px;
+            z-index: 2500;
+            font-family: 'Segoe UI', sans-serif;
+        }
+        #spectator-controls.hidden {
+            display: none;
+        }
+        .sv-btn {
+            padding: 6px 12px;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 13px;
+            font-weight: 600;
+            background: #4a5568;
+            color: #e2e8f0;
+            transition: background 0.15s;
+        }
+        .sv-btn:hover { background: #5a6578; }
+        .sv-btn.active {
+            background: #2b6cb0;
+        }
+        .sv-btn.sv-destroyed {
+            text-decoration: line-through;
+            opacity: 0.7;
+        }
+        .sv-ships,
+        .sv-camera {
+            display: flex;
+            gap: 4px;
+        }
+        .sv-ships { gap: 10px; }
+        .sv-ship {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+            padding-left: 6px;
+            border-left: 3px solid #4a5568;
+        }
+        .sv-team-1 { border-left-color: #4488ff; }
+        .sv-team-2 { border-left-color: #ff4444; }
+        .sv-ship-label {
+            color: #e2e8f0;
+            font-size: 12px;
+            max-width: 90px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .sv-toggle {
+            padding: 4px 8px;
+            font-size: 11px;
+        }
+        .sv-cam-btn {
+            max-width: 110px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .sv-zoom { width: 30px; padding: 6px 0; }
+        .sv-result {
+            color: #ffcc00;
+            font-size: 13px;
+            font-weight: 700;
+            min-width: 60px;
+            text-align: center;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+export {
+    showSpectatorControls,
+    hideSpectatorControls,
+    updateSpectatorControls
+};
@@ -1,6 +1,10 @@
 // Stats Panel - displays stats for hovered/selected pieces in the designer
 
-import { isThrusterType, isCannonType } from './pieces/equipment.js';
+import { EQUIPMENT_DEFINITIONS, isThrusterType, isCannonType, isReactorType, isShieldType, isLauncherType, isBeamType, isPointDefenseType, isWeaponType } from './pieces/equipment.js';
+import { CORE_DEFINITION } from './pieces/core.js';
+import { getShipLayout, createPiecesFromLayout } from './layout.js';
+import { getDamageTypeLabel } from './pieces/damageTypes.js';
+import { getEquipmentForward } from './math.js';
 
 let panelElement = null;
 let currentPiece = null;
@@ -56,6 +60,9 @@ function buildStatsHTML(piece) {
         html += buildEquipmentStats(piece.type, def);
     }
     
+    html += buildShipPowerStats();
+    html += buildShipRecoilStats();
+    
     return html;
 }
 
@@ -69,6 +76,16 @@ function buildCoreStats(def) {
     html += statRow('Omni Force', def.omniThrustForce);
     html += statRow('Turn Force', def.angularThrustForce);
     html += sectionEnd();
+    
+    html += sectionStart('Fuel');
+    html += statRow('Capacity', def.fuelCapacity);
+    html += statRow('Regen', `${def.fuelRegen.toFixed(1)}/s`);
+    html += sectionEnd();
+    
+    html += sectionStart('Power');
+    html += statRow('Generation', `${def.powerGeneration.toFixed(1)}/s`);
+    html += statRow('Capacity', def.powerCapacity);
+    html += sectionEnd();
     return html;
 }
 
@@ -92,6 +109,26 @@ function buildBlockStats(def) {
         html += sectionEnd();
     }
     
+    if (def.ramDamage !== undefined) {
+        html += sectionStart('Ramming');
+        html += statRow('Ram Damage', `×${def.ramDamage}`);
+        html += sectionEnd();
+    }
+    
+    if (def.resistances) {
+        html += sectionStart('Resistances');
+        for (const [damageType, resistance] of Object.entries(def.resistances)) {
+            html += statRow(getDamageTypeLabel(damageType), `${Math.round(resistance * 100)}%`);
+        }
+        html += sectionEnd();
+    }
+    
+    if (def.fuelCapacity) {
+        html += sectionStart('Fuel');
+        html += statRow('Capacity', def.fuelCapacity);
+        html += sectionEnd();
+    }
+    
     return html;
 }
 
@@ -120,10 +157,72 @@ function buildEquipmentStats(type, def) {
         html += sectionEnd();
         
         html += sectionStart('Projectile');
+        html += statRow('Damage', `${def.damage} ${getDamageTypeLabel(def.damageType)}`);
         html += statRow('Speed', def.projectileSpeed);
         html += statRow('Lifetime', `${def.projectileLifetime.toFixed(1)}s`);
         html += statRow('Range', (def.projectileSpeed * def.projectileLifetime).toFixed(0));
         html += statRow('Reload', `${def.reloadTime.toFixed(1)}s`);
+        html += statRow('Energy/Shot', def.energyPerShot.toFixed(1));
+        if (def.projectileHp != null) html += statRow('Projectile HP', formatProjectileHp(def.projectileHp));
+        html += sectionEnd();
+        html += buildRecoilStats(def);
+        html += buildBlastStats(def);
+    } else if (isLauncherType(type)) {
+        html += sectionStart('Weapon');
+        html += statRow('Firing Arc', formatDegrees(def.firingArc));
+        html += statRow('Aiming Arc', formatDegrees(def.aimingArc));
+        html += statRow('Reload', `${def.reloadTime.toFixed(1)}s`);
+        if (def.burstCount > 1) html += statRow('Salvo', def.burstCount);
+        html += statRow('Energy/Shot', def.energyPerShot.toFixed(1));
+        html += sectionEnd();
+        
+        html += sectionStart('Missile');
+        html += statRow('Damage', `${def.damage} ${getDamageTypeLabel(def.damageType)}`);
+        html += statRow('Top Speed', def.maxSpeed);
+        html += statRow('Turn Rate', `${def.turnRate.toFixed(1)} rad/s`);
+        html += statRow('Fuel', `${def.fuelTime.toFixed(1)}s`);
+        html += statRow('Lock Range', def.lockRange);
+        html += statRow('Seeker Cone', formatDegrees(def.seekerCone));
+        if (def.projectileHp != null) html += statRow('Missile HP', formatProjectileHp(def.projectileHp));
+        html += sectionEnd();
+        html += buildBlastStats(def);
+    } else if (isBeamType(type)) {
+        html += sectionStart('Weapon');
+        html += statRow('Firing Arc', formatDegrees(def.firingArc));
+        html += statRow('Aiming Arc', formatDegrees(def.aimingArc));
+        html += statRow('Aim Speed', `${def.aimingSpeed.toFixed(1)} rad/s`);
+        html += sectionEnd();
+        
+        html += sectionStart('Beam');
+        html += statRow('DPS', `${def.damagePerSecond} ${getDamageTypeLabel(def.damageType)}`);
+        html += statRow('Range', def.range);
+        html += statRow('Charge', `${def.chargeTime.toFixed(1)}s`);
+        html += statRow('Heat Capacity', `${def.heatCapacity.toFixed(1)}s`);
+        html += statRow('Cool Rate', `${def.coolRate.toFixed(1)}/s`);
+        html += statRow('Power Draw', `${def.powerDraw.toFixed(1)}/s`);
+        html += sectionEnd();
+    } else if (isPointDefenseType(type)) {
+        html += sectionStart('Point Defense');
+        html += statRow('Range', def.range);
+        html += statRow('Aiming Arc', formatDegrees(def.aimingArc));
+        html += statRow('Aim Speed', `${def.aimingSpeed.toFixed(1)} rad/s`);
+        html += statRow('Reload', `${def.reloadTime.toFixed(2)}s`);
+        html += statRow('Interceptor Speed', def.interceptorSpeed);
+        html += statRow('Interceptor Dmg', def.interceptorDamage);
+        html += statRow('Energy/Shot', def.energyPerShot.toFixed(1));
+        html += sectionEnd();
+    } else if (isReactorType(type)) {
+        html += sectionStart('Power');
+        html += statRow('Generation', `${def.powerGeneration.toFixed(1)}/s`);
+        html += statRow('Capacity', def.powerCapacity);
+        html += sectionEnd();
+    } else if (isShieldType(type)) {
+        html += sectionStart('Shield');
+        html += statRow('Shield HP', def.shieldHp);
+        html += statRow('Coverage', formatDegrees(def.coverageArc));
+        html += statRow('Radius', def.shieldRadius.toFixed(1));
+        html += statRow('Regen Delay', `${def.regenDelay.toFixed(1)}s`);
+        html += statRow('Regen Rate', `${def.regenRate.toFixed(1)}/s`);
         html += sectionEnd();
     } else if (isThrusterType(type)) {
         html += sectionStart('Thrust');
@@ -134,6 +233,10 @@ function buildEquipmentStats(type, def) {
         if (def.backThrust) {
             html += statRow('Back Thrust', def.backThrust.force);
         }
+        html += statRow('Fuel Burn', `${def.fuelBurn.toFixed(1)}/s`);
+        if (def.powerDraw) {
+            html += statRow('Power Draw', `${def.powerDraw.toFixed(1)}/s`);
+        }
         html += sectionEnd();
         
         // Special behaviors
@@ -154,6 +257,157 @@ function buildEquipmentStats(type, def) {
     return html;
 }
 
+/**
+ * Formats how many interceptor hits a projectile takes
+ * @param {number} hp - Projectile HP (Infinity = can't be shot down)
+ * @returns {string|number}
+ */
+function formatProjectileHp(hp) {
+    return Number.isFinite(hp) ? hp : 'Unstoppable';
+}
+
+/**
+ * Builds the blast section for explosive cannons and launchers
+ * @param {object} def - Weapon definition
+ * @returns {string} HTML string (empty for non-explosive weapons)
+ */
+function buildBlastStats(def) {
+    if (!def.explosive) return '';
+    let html = sectionStart('Blast');
+    html += statRow('Radius', def.explosive.radius.toFixed(1));
+    html += statRow('Edge Damage', `${Math.round((1 - def.explosive.falloff) * 100)}%`);
+    html += statRow('Force', def.explosive.force);
+    html += sectionEnd();
+    return html;
+}
+
+/**
+ * Builds the recoil section for a cannon: the kick per shot and, comparable
+ * to a thruster's force, the average push while firing nonstop
+ * @param {object} def - Cannon definition
+ * @returns {string} HTML string (empty for recoilless weapons)
+ */
+function buildRecoilStats(def) {
+    if (!def.recoil) return '';
+    let html = sectionStart('Recoil');
+    html += statRow('Impulse/Shot', def.recoil);
+    html += statRow('Sustained Push', (def.recoil * getShotsPerSecond(def)).toFixed(3));
+    html += sectionEnd();
+    return html;
+}
+
+/**
+ * Average shots per second for a weapon firing nonstop, bursts included
+ * @param {object} def - Weapon or point-defense definition
+ * @returns {number}
+ */
+function getShotsPerSecond(def) {
+    const burstCount = def.burstCount || 1;
+    const cycleTime = def.reloadTime + (def.burstDelay || 0) * (burstCount - 1);
+    return burstCount / cycleTime;
+}
+
+/**
+ * Builds the ship-wide power balance for the current design: what the core
+ * and reactors generate against what the guns and point defense (firing nonstop), beams (held
+ * lit) and powered thrusters (at full throttle) would use
+ * @returns {string} HTML string (empty for an empty design)
+ */
+function buildShipPowerStats() {
+    const layout = getShipLayout();
+    if (layout.length === 0) return '';
+    
+    let generation = 0;
+    let consumption = 0;
+    for (const item of layout) {
+        if (item.type === 'core') {
+            generation += CORE_DEFINITION.powerGeneration;
+            continue;
+        }
+        const def = EQUIPMENT_DEFINITIONS[item.type];
+        if (!def) continue;
+        if (isReactorType(item.type)) {
+            generation += def.powerGeneration;
+        } else if (isWeaponType(item.type) || isPointDefenseType(item.type)) {
+            consumption += def.energyPerShot * getShotsPerSecond(def);
+        } else if (def.powerDraw) {
+            consumption += def.powerDraw;
+        }
+    }
+    
+    const balance = generation - consumption;
+    const balanceClass = balance >= 0 ? 'power-surplus' : 'power-deficit';
+    let html = sectionStart('Ship Power');
+    html += statRow('Generation', `${generation.toFixed(1)}/s`);
+    html += statRow('Consumption', `${consumption.toFixed(1)}/s`);
+    html += statRow('Balance', `<span class="${balanceClass}">${balance >= 0 ? '+' : ''}${balance.toFixed(1)}/s</span>`);
+    html += sectionEnd();
+    return html;
+}
+
+/**
+ * Builds the ship-wide recoil balance for the current design: the net push
+ * and turn every gun's recoil adds up to (firing straight ahead, nonstop)
+ * against the thrust pushing the ship forward
+ * @returns {string} HTML string (empty when no gun has recoil)
+ */
+function buildShipRecoilStats() {
+    const pieces = createPiecesFromLayout(getShipLayout(), { withMeshes: false });
+    if (!pieces.some(p => p.definition.recoil)) return '';
+    
+    // Torque is taken about the center of mass, like the arena ship's body
+    let totalMass = 0;
+    let comX = 0;
+    let comY = 0;
+    for (const piece of pieces) {
+        totalMass += piece.mass;
+        comX += piece.x * piece.mass;
+        comY += piece.y * piece.mass;
+    }
+    comX /= totalMass;
+    comY /= totalMass;
+    
+    let volleyX = 0;
+    let volleyY = 0;
+    let pushX = 0;
+    let pushY = 0;
+    let torque = 0;
+    let forwardThrust = 0;
+    for (const piece of pieces) {
+        const def = piece.definition;
+        const forward = getEquipmentForward(piece.angle);
+        if (def.recoil) {
+            // Kicks go opposite the shot: one full cycle (a whole burst) per
+            // volley, the average force while firing nonstop
+            const impulse = def.recoil * (def.burstCount || 1);
+            const push = def.recoil * getShotsPerSecond(def);
+            volleyX -= forward.x * impulse;
+            volleyY -= forward.y * impulse;
+            pushX -= forward.x * push;
+            pushY -= forward.y * push;
+            torque += (piece.x - comX) * -forward.y * push - (piece.y - comY) * -forward.x * push;
+        } else if (isThrusterType(piece.type)) {
+            // Ship is pushed opposite the exhaust (equipment forward)
+            forwardThrust += Math.max(0, -forward.y) * def.thrustForce;
+        }
+    }
+    
+    const volley = Math.hypot(volleyX, volleyY);
+    const sustained = Math.hypot(pushX, pushY);
+    let html = sectionStart('Ship Recoil');
+    html += statRow('Volley Kick', forwardThrust > 0
+        ? `${volley.toFixed(2)} (${(volley / forwardThrust).toFixed(2)}s of thrust)`
+        : volley.toFixed(2));
+    html += statRow('Sustained Push', forwardThrust > 0
+        ? `${sustained.toFixed(3)} (${(sustained / forwardThrust * 100).toFixed(0)}% of thrust)`
+        : sustained.toFixed(3));
+    html += statRow('Net Turn', Math.abs(torque) < 0.001
+        ? 'Balanced'
+        : `${Math.abs(torque).toFixed(3)} ${torque > 0 ? 'left' : 'right'}`);
+    html += sectionEnd();
+    return html;
+}
+
 /**
  * Creates a stat row HTML
  * @param {string} label - Stat label
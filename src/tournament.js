@@ -0,0 +1,220 @@
+// Tournament - round-robin between saved fighters using the headless simulator
+//
+// Every entrant fights every other entrant N times, both sides driven by
+// their own trained model through createMlController. Sides alternate each
+// fight so spawn position doesn't favour either ship. Each fight's seed is
+// derived from one tournament seed, and a 'random' arena is picked from that
+// fight seed (never the run's arena stream), so a tournament can be re-run
+// exactly and running one leaves the player's run untouched.
+//
+// AIDEV-NOTE: Fights run on the main thread and share the arena's module
+// state (physics, weapons, hazards), so never start a tournament while the
+// arena is active. The runner yields between fights to keep the page alive.
+
+import { loadSavedShip } from './shipPersistence.js';
+import { importModelFromJson } from './ml/model.js';
+import { createMlController } from './ml/mlController.js';
+import { simulateFight } from './arena/headlessSim.js';
+import { resolveArenaType } from './arena/arenaTypes.js';
+import { generateSeed, deriveSeed } from './rng.js';
+
+// Elo rating every entrant starts with
+const ELO_START = 1000;
+
+// Elo K-factor (max rating change per fight)
+const ELO_K = 32;
+
+// ============================================================================
+// Entrants
+// ============================================================================
+
+/**
+ * Loads saved ships and their models as tournament entrants.
+ * Ships without trained weights can't be piloted and are rejected.
+ * @param {Array<number>} shipIds - Saved ship record IDs
+ * @returns {Promise<Array>} [{ id, name, layout, model }]
+ */
+async function loadTournamentEntrants(shipIds) {
+    const entrants = [];
+    try {
+        for (const id of shipIds) {
+            const record = await loadSavedShip(id);
+            if (!record) throw new Error(`Saved ship ${id} not found`);
+            if (!record.weightsBase64 || !record.topology) {
+                throw new Error(`"${record.shipName}" has no trained weights`);
+            }
+            const { model } = await importModelFromJson({
+                topology: record.topology,
+                weightSpecs: record.weightSpecs,
+                weightsBase64: record.weightsBase64,
+                config: record.modelConfig,
+                schemaVersion: record.schemaVersion
+            });
+            entrants.push({ id, name: record.shipName, layout: record.layout, model });
+        }
+    } catch (err) {
+        disposeTournamentEntrants(entrants);
+        throw err;
+    }
+    return entrants;
+}
+
+/**
+ * Frees the models loaded by loadTournamentEntrants
+ * @param {Array} entrants - Entrants to dispose
+ */
+function disposeTournamentEntrants(entrants) {
+    for (const entrant of entrants) entrant.model.dispose();
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Runs a round-robin tournament.
+ * @param {object} options
+ * @param {Array} options.entrants - From loadTournamentEntrants (at least two)
+ * @param {number} options.fightsPerPairing - Fights between each pair of entrants
+ * @param {string} [options.arenaKey='random'] - Arena type key ('random' picks per fight from the fight seed)
+ * @param {number} [options.seed] - Tournament seed (fresh random seed if omitted)
+ * @param {function} [options.onProgress] - Called after each fight with { done, total, standings, fight }
+ * @param {function} [options.isCancelled] - Checked before each fight; true stops early
+ * @returns {Promise<object>} { seed, fights, standings, cancelled }
+ */
+async function runTournament(options) {
+    const { entrants, fightsPerPairing } = options;
+    if (!entrants || entrants.length < 2) {
+        throw new Error('A tournament needs at least two entrants');
+    }
+    if (!Number.isInteger(fightsPerPairing) || fightsPerPairing < 1) {
+        throw new Error(`Invalid fights per pairing: ${fightsPerPairing}`);
+    }
+
+    const seed = options.seed ?? generateSeed();
+    const arenaKey = options.arenaKey ?? 'random';
+    const schedule = buildSchedule(entrants.length, fightsPerPairing);
+    const records = entrants.map(createRecord);
+    const fights = [];
+
+    for (const { a, b, round } of schedule) {
+        if (options.isCancelled?.()) {
+            return { seed, fights, standings: buildStandings(entrants, records), cancelled: true };
+        }
+
+        // Alternate which entrant takes side A (team 1 spawn)
+        const sides = round % 2 === 0 ? [a, b] : [b, a];
+        const fightSeed = deriveSeed(seed, `${entrants[a].id}:${entrants[b].id}:${round}`);
+        const result = simulateFight({
+            layouts: sides.map(i => entrants[i].layout),
+            controllers: sides.map(i => createMlController(entrants[i].model)),
+            arenaKey: resolveArenaType(arenaKey, fightSeed).key,
+            seed: fightSeed
+        });
+
+        const winner = result.winner === null ? null : sides[result.winner];
+        const fight = {
+            entrants: sides,
+            winner,
+            reason: result.reason,
+            duration: result.duration,
+            arenaKey: result.arenaKey,
+            seed: result.seed
+        };
+        fights.push(fight);
+        recordFight(records, sides, winner, result);
+
+        options.onProgress?.({
+            done: fights.length,
+            total: schedule.length,
+            standings: buildStandings(entrants, records),
+            fight
+        });
+
+        // Let the page repaint between fights
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return { seed, fights, standings: buildStandings(entrants, records), cancelled: false };
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Lists every fight: each pair of entrants, fightsPerPairing times
+ * @returns {Array} [{ a, b, round }] (a < b, entrant indices)
+ */
+function buildSchedule(count, fightsPerPairing) {
+    const schedule = [];
+    for (let a = 0; a < count; a++) {
+        for (let b = a + 1; b < count; b++) {
+            for (let round = 0; round < fightsPerPairing; round++) {
+                schedule.push({ a, b, round });
+            }
+        }
+    }
+    return schedule;
+}
+
+/** Zeroed running totals for one entrant */
+function createRecord() {
+    return { wins: 0, losses: 0, draws: 0, killTimes: [], elo: ELO_START };
+}
+
+/**
+ * Applies one fight's result to both entrants' records and Elo
+ * @param {Array} records - Per-entrant records
+ * @param {Array} sides - [entrant index on side A, entrant index on side B]
+ * @param {number|null} winner - Winning entrant index, or null for a draw
+ * @param {object} result - simulateFight result
+ */
+function recordFight(records, sides, winner, result) {
+    const [ra, rb] = sides.map(i => records[i]);
+
+    if (winner === null) {
+        ra.draws++;
+        rb.draws++;
+    } else {
+        const [w, l] = winner === sides[0] ? [ra, rb] : [rb, ra];
+        w.wins++;
+        l.losses++;
+        // Fights won on damage when time ran out weren't kills
+        if (result.reason === 'destroyed') w.killTimes.push(result.duration);
+    }
+
+    // Score for side A: 1 win, 0.5 draw, 0 loss
+    const scoreA = winner === null ? 0.5 : winner === sides[0] ? 1 : 0;
+    const expectedA = 1 / (1 + Math.pow(10, (rb.elo - ra.elo) / 400));
+    const delta = ELO_K * (scoreA - expectedA);
+    ra.elo += delta;
+    rb.elo -= delta;
+}
+
+/**
+ * Builds the standings table, best Elo first
+ * @returns {Array} [{ id, name, wins, losses, draws, avgTimeToKill, elo }]
+ */
+function buildStandings(entrants, records) {
+    return entrants.map((entrant, i) => {
+        const r = records[i];
+        return {
+            id: entrant.id,
+            name: entrant.name,
+            wins: r.wins,
+            losses: r.losses,
+            draws: r.draws,
+            avgTimeToKill: r.killTimes.length > 0
+                ? r.killTimes.reduce((sum, t) => sum + t, 0) / r.killTimes.length
+                : null,
+            elo: Math.round(r.elo)
+        };
+    }).sort((x, y) => y.elo - x.elo);
+}
+
+export {
+    loadTournamentEntrants,
+    disposeTournamentEntrants,
+    runTournament
+};
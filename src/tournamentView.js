@@ -0,0 +1,407 @@
+// Tournament view - entrant picker, progress, and standings table
+//
+// Runs the round-robin from tournament.js. The overlay covers the page while
+// it's open, so nothing can enter the arena mid-tournament.
+
+import { listSavedShips } from './shipPersistence.js';
+import { loadTournamentEntrants, disposeTournamentEntrants, runTournament } from './tournament.js';
+import { ARENA_TYPES } from './arena/arenaTypes.js';
+
+// ============================================================================
+// State
+// ============================================================================
+
+let overlayEl = null;
+let stylesInjected = false;
+let running = false;
+let cancelRequested = false;
+
+// Fights per pairing offered by default / allowed range
+const DEFAULT_FIGHTS_PER_PAIRING = 4;
+const MAX_FIGHTS_PER_PAIRING = 50;
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Shows the tournament screen with the saved ships that have trained weights.
+ * @param {object} [callbacks] - { onClose() }
+ */
+async function showTournament(callbacks = {}) {
+    if (running) return;   // A closed tournament is still finishing its last fight
+    ensureStyles();
+    if (!overlayEl) {
+        overlayEl = document.createElement('div');
+        overlayEl.id = 'tournament-overlay';
+        document.body.appendChild(overlayEl);
+    }
+
+    const arenaOptions = Object.entries(ARENA_TYPES)
+        .map(([key, type]) => `<option value="${key}">${escapeHtml(type.name)}</option>`)
+        .join('');
+    overlayEl.innerHTML = `
+        <div class="tn-box">
+            <div class="tn-title">TOURNAMENT</div>
+            <div class="tn-section-label">Entrants</div>
+            <div class="tn-entrants" id="tn-entrants">
+                <div class="tn-empty">Loading...</div>
+            </div>
+            <div class="tn-settings">
+                <label>Fights per pairing
+                    <input type="number" id="tn-fights" min="1" max="${MAX_FIGHTS_PER_PAIRING}"
+                        value="${DEFAULT_FIGHTS_PER_PAIRING}">
+                </label>
+                <label>Arena
+                    <select id="tn-arena">
+                        <option value="random" selected>Random</option>
+                        ${arenaOptions}
+                    </select>
+                </label>
+            </div>
+            <div class="tn-status" id="tn-status"></div>
+            <table class="tn-standings" id="tn-standings"></table>
+            <div class="tn-buttons">
+                <button class="tn-btn tn-btn-primary" id="tn-run">Run</button>
+                <button class="tn-btn" id="tn-close">Close</button>
+            </div>
+        </div>
+    `;
+    overlayEl.classList.remove('hidden');
+
+    document.getElementById('tn-run').addEventListener('click', () => {
+        if (running) {
+            cancelRequested = true;
+            setStatus('Stopping after this fight...');
+        } else {
+            startTournament();
+        }
+    });
+    document.getElementById('tn-close').addEventListener('click', () => {
+        cancelRequested = true;
+        hideTournament();
+        if (callbacks.onClose) callbacks.onClose();
+    });
+
+    let ships;
+    try {
+        ships = (await listSavedShips()).filter(s => s.hasWeights);
+    } catch (err) {
+        console.error('Failed to load saved ships:', err.message);
+        ships = [];
+    }
+    renderEntrants(ships);
+}
+
+/**
+ * Hides the tournament screen (a running tournament stops after its current fight)
+ */
+function hideTournament() {
+    if (overlayEl) overlayEl.classList.add('hidden');
+}
+
+// ============================================================================
+// Running
+// ============================================================================
+
+/**
+ * Loads the checked ships and runs the tournament, updating the table live
+ */
+async function startTournament() {
+    const ids = [...document.querySelectorAll('#tn-entrants input:checked')]
+        .map(input => Number(input.value));
+    const fightsPerPairing = Number(document.getElementById('tn-fights').value);
+    const arenaKey = document.getElementById('tn-arena').value;
+
+    if (ids.length < 2) {
+        setStatus('Pick at least two ships', true);
+        return;
+    }
+    if (!Number.isInteger(fightsPerPairing) || fightsPerPairing < 1 || fightsPerPairing > MAX_FIGHTS_PER_PAIRING) {
+        setStatus(`Fights per pairing must be 1-${MAX_FIGHTS_PER_PAIRING}`, true);
+        return;
+    }
+
+    setRunning(true);
+    setStatus('Loading models...');
+
+    let entrants = [];
+    try {
+        entrants = await loadTournamentEntrants(ids);
+        const result = await runTournament({
+            entrants,
+            fightsPerPairing,
+            arenaKey,
+            isCancelled: () => cancelRequested,
+            onProgress: ({ done, total, standings, fight }) => {
+                const names = fight.entrants.map(i => entrants[i].name).join(' vs ');
+                setStatus(`Fight ${done}/${total}: ${names}`);
+                renderStandings(standings);
+            }
+        });
+        renderStandings(result.standings);
+        setStatus(result.cancelled
+            ? `Stopped after ${result.fights.length} fights (seed ${result.seed})`
+            : `Finished ${result.fights.length} fights (seed ${result.seed})`);
+        console.log('Tournament standings:', result.standings);
+    } catch (err) {
+        console.error('Tournament failed:', err.message);
+        setStatus(`Tournament failed: ${err.message}`, true);
+    } finally {
+        disposeTournamentEntrants(entrants);
+        setRunning(false);
+    }
+}
+
+/**
+ * Locks the settings while a tournament runs and turns Run into Stop
+ * @param {boolean} isRunning
+ */
+function setRunning(isRunning) {
+    running = isRunning;
+    cancelRequested = false;
+    const runBtn = document.getElementById('tn-run');
+    if (runBtn) runBtn.textContent = isRunning ? 'Stop' : 'Run';
+    for (const el of overlayEl.querySelectorAll('.tn-entrants input, .tn-settings input, .tn-settings select')) {
+        el.disabled = isRunning;
+    }
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Fills the entrant list with one checkbox per ship (all checked)
+ * @param {Array} ships - Saved ship summaries with weights
+ */
+function renderEntrants(ships) {
+    const container = document.getElementById('tn-entrants');
+    if (!container) return;
+
+    if (ships.length < 2) {
+        container.innerHTML = '<div class="tn-empty">Save at least two ships with trained AI to run a tournament.</div>';
+        document.getElementById('tn-run').disabled = true;
+        return;
+    }
+
+    container.innerHTML = ships.map(ship => `
+        <label class="tn-entrant">
+            <input type="checkbox" value="${ship.id}" checked>
+            <span class="tn-entrant-name">${escapeHtml(ship.shipName)}</span>
+            <span class="tn-entrant-pilot">${escapeHtml(ship.playerName)}</span>
+        </label>
+    `).join('');
+}
+
+/**
+ * Renders the standings table
+ * @param {Array} standings - From runTournament, best first
+ */
+function renderStandings(standings) {
+    const table = document.getElementById('tn-standings');
+    if (!table) return;
+
+    const rows = standings.map((s, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td class="tn-name">${escapeHtml(s.name)}</td>
+            <td>${s.wins}</td>
+            <td>${s.losses}</td>
+            <td>${s.draws}</td>
+            <td>${s.avgTimeToKill === null ? '&ndash;' : `${s.avgTimeToKill.toFixed(1)}s`}</td>
+            <td class="tn-elo">${s.elo}</td>
+        </tr>
+    `).join('');
+    table.innerHTML = `
+        <thead>
+            <tr><th>#</th><th>Ship</th><th>W</th><th>L</th><th>D</th><th>Avg TTK</th><th>Elo</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
+
+/**
+ * Shows a status line under the settings
+ * @param {string} text - Message
+ * @param {boolean} [isError=false] - Show in the error colour
+ */
+function setStatus(text, isError = false) {
+    const el = document.getElementById('tn-status');
+    if (!el) return;
+    el.textContent = text;
+    el.classList.toggle('tn-status-error', isError);
+}
+
+// ============================================================================
+// Internal helpers
+// ============================================================================
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+}
+
+function ensureStyles() {
+    if (stylesInjected || document.getElementById('tn-styles')) return;
+    stylesInjected = true;
+    const style = document.createElement('style');
+    style.id = 'tn-styles';
+    style.textContent = `
+        #tournament-overlay {
+            position: fixed;
+            top: 0; left: 0;
+            width: 100%; height: 100%;
+            background: rgba(10, 10, 25, 0.82);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 3000;
+        }
+        #tournament-overlay.hidden {
+            display: none;
+        }
+        .tn-box {
+            width: 560px;
+            max-height: calc(100vh - 80px);
+            display: flex;
+            flex-direction: column;
+            background: #1a1a2e;
+            border: 1px solid #2d3748;
+            border-radius: 8px;
+            padding: 18px;
+            font-family: 'Segoe UI', sans-serif;
+            color: #e2e8f0;
+        }
+        .tn-title {
+            font-size: 22px;
+            font-weight: 700;
+            letter-spacing: 3px;
+            color: #ffcc00;
+            text-align: center;
+            margin-bottom: 12px;
+        }
+        .tn-section-label {
+            color: #a0aec0;
+            font-size: 11px;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+            margin-bottom: 4px;
+        }
+        .tn-entrants {
+            max-height: 160px;
+            overflow-y: auto;
+            border: 1px solid #2d3748;
+            border-radius: 5px;
+            padding: 4px 8px;
+        }
+        .tn-entrant {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 4px 0;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        .tn-entrant-name { flex: 1; }
+        .tn-entrant-pilot {
+            color: #718096;
+            font-size: 11px;
+        }
+        .tn-empty {
+            color: #718096;
+            font-size: 13px;
+            text-align: center;
+            padding: 16px 0;
+        }
+        .tn-settings {
+            display: flex;
+            gap: 18px;
+            margin-top: 12px;
+            font-size: 12px;
+            color: #a0aec0;
+        }
+        .tn-settings input,
+        .tn-settings select {
+            margin-left: 6px;
+            padding: 3px 6px;
+            background: #1a202c;
+            border: 1px solid #4a5568;
+            border-radius: 4px;
+            color: #e2e8f0;
+            font-size: 12px;
+        }
+        .tn-settings input { width: 52px; }
+        .tn-status {
+            min-height: 16px;
+            margin-top: 10px;
+            font-size: 12px;
+            color: #a0aec0;
+            text-align: center;
+        }
+        .tn-status.tn-status-error { color: #fc8181; }
+        .tn-standings {
+            width: 100%;
+            margin-top: 8px;
+            border-collapse: collapse;
+            font-size: 13px;
+        }
+        .tn-standings th {
+            color: #718096;
+            font-size: 11px;
+            font-weight: 600;
+            text-align: center;
+            padding: 4px;
+            border-bottom: 1px solid #2d3748;
+        }
+        .tn-standings td {
+            text-align: center;
+            padding: 5px 4px;
+            border-bottom: 1px solid #2d3748;
+        }
+        .tn-standings .tn-name {
+            text-align: left;
+            max-width: 200px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+        }
+        .tn-standings .tn-elo {
+            color: #ffcc00;
+            font-weight: 600;
+        }
+        .tn-buttons {
+            display: flex;
+            justify-content: center;
+            gap: 10px;
+            margin-top: 14px;
+        }
+        .tn-btn {
+            padding: 6px 14px;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-family: 'Segoe UI', sans-serif;
+            font-size: 13px;
+            font-weight: 600;
+            background: #4a5568;
+            color: #e2e8f0;
+        }
+        .tn-btn:hover { background: #5a6578; }
+        .tn-btn:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        .tn-btn-primary {
+            background: linear-gradient(135deg, #ffcc00, #ff9900);
+            color: #1a1a2e;
+        }
+    `;
+    document.head.appendChild(style);
+}
+
+export {
+    showTournament,
+    hideTournament
+};